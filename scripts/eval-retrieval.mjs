@@ -0,0 +1,373 @@
+#!/usr/bin/env node
+// Copyright (c) 2025 Gundlapalli Muralidhar,
+// Licensed under the MIT License. See LICENSE file in the project root.
+// LinkedIn: https://www.linkedin.com/in/technomurali/
+//
+// ============================================================================
+// RETRIEVAL EVALUATION - golden question sets for retrieveRefs()
+// ============================================================================
+// FILE SUMMARY:
+// Runs labeled queries from scripts/eval/golden/*.json through the real
+// retrieval pipeline (adapter chunkDocument → askWholeCorpus → retrieveRefs)
+// in Node and reports recall@k, MRR and per-stage latency, so changes to
+// lexicalRetrieve, expandQueryTerms or buildIndexSingleDoc can be compared.
+//
+// The extension code runs unmodified: chrome.storage is an in-memory map,
+// `document` is a bare EventTarget so the `retrieval-telemetry` events that
+// retrieveRefs() emits in debug mode can be collected, IndexedDB falls back to
+// the store's in-memory mode, and AI calls go to the deterministic stub
+// provider (ai.provider = 'stub'), so it runs offline.
+//
+// Node prints a MODULE_TYPELESS_PACKAGE_JSON warning once per run: src/ is
+// plain `.js` ES modules and package.json has no "type" field, so Node has to
+// detect the module syntax itself. That is expected; adding "type": "module"
+// would change how every file in the extension is resolved just for this
+// script. Pass --disable-warning=MODULE_TYPELESS_PACKAGE_JSON to hide it.
+//
+// GOLDEN SET FORMAT:
+// { name, adapter: 'page'|'chromepad'|'bookmarks'|'tabs', chunking?,
+//   documents: [{ id, title, url?, text, headings? }],
+//   queries: [{ query, relevantText?: string[], relevantDocs?: string[] }] }
+// A chunk is relevant when its content contains one of `relevantText`
+// (case-insensitive) or it belongs to one of `relevantDocs`, so labels survive
+// chunking changes.
+//
+// USAGE:
+//   npm run eval:retrieval
+//   node scripts/eval-retrieval.mjs --set notes-corpus --k 1,3,5 --llm
+//   node scripts/eval-retrieval.mjs --json eval.json --min-recall 0.8
+// Options:
+//   --set <name>        only this golden set (repeatable)
+//   --k <list>          cutoffs for recall@k (default 1,3,5)
+//   --llm               enable LLM rerank/synonyms (answered by the stub)
+//   --no-vectors        lexical retrieval only
+//   --no-synonyms       skip query expansion
+//   --json <file>       also write the full report as JSON
+//   --min-recall <x>    exit 1 if overall recall at the largest k is below x
+//   --verbose           keep extension logs
+// ============================================================================
+
+import { readdir, readFile, writeFile } from 'node:fs/promises';
+import { fileURLToPath } from 'node:url';
+import path from 'node:path';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const GOLDEN_DIR = path.join(ROOT, 'scripts', 'eval', 'golden');
+
+// ---------------------------------------------------------------------------
+// Arguments
+// ---------------------------------------------------------------------------
+
+function parseArgs(argv) {
+  const opts = { sets: [], ks: [1, 3, 5], llm: false, vectors: true, synonyms: true, json: null, minRecall: null, verbose: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--set') {
+      opts.sets.push(argv[++i]);
+    } else if (arg === '--k') {
+      opts.ks = String(argv[++i]).split(',').map(Number).filter((k) => k > 0).sort((a, b) => a - b);
+    } else if (arg === '--llm') {
+      opts.llm = true;
+    } else if (arg === '--no-vectors') {
+      opts.vectors = false;
+    } else if (arg === '--no-synonyms') {
+      opts.synonyms = false;
+    } else if (arg === '--json') {
+      opts.json = argv[++i];
+    } else if (arg === '--min-recall') {
+      opts.minRecall = Number(argv[++i]);
+    } else if (arg === '--verbose') {
+      opts.verbose = true;
+    } else if (arg === '--help' || arg === '-h') {
+      opts.help = true;
+    } else {
+      throw new Error(`Unknown option: ${arg}`);
+    }
+  }
+  if (!opts.ks.length) {
+    opts.ks = [1, 3, 5];
+  }
+  return opts;
+}
+
+// ---------------------------------------------------------------------------
+// Extension environment for Node
+// ---------------------------------------------------------------------------
+
+function installEnvironment(verbose) {
+  const storage = new Map([['settings', { ai: { provider: 'stub' } }]]);
+  globalThis.self = globalThis;
+  globalThis.chrome = {
+    storage: {
+      local: {
+        async get(keys) {
+          const list = keys === null || keys === undefined ? Array.from(storage.keys()) : [].concat(keys);
+          const out = {};
+          for (const k of list) {
+            if (storage.has(k)) {
+              out[k] = structuredClone(storage.get(k));
+            }
+          }
+          return out;
+        },
+        async set(items) {
+          for (const [k, v] of Object.entries(items)) {
+            storage.set(k, structuredClone(v));
+          }
+        },
+        async remove(keys) {
+          for (const k of [].concat(keys)) {
+            storage.delete(k);
+          }
+        },
+      },
+      onChanged: { addListener() {} },
+    },
+  };
+  globalThis.document = new EventTarget();
+  if (!verbose) {
+    for (const level of ['debug', 'info', 'log', 'warn']) {
+      console[level] = () => {};
+    }
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Metrics
+// ---------------------------------------------------------------------------
+
+function percentile(values, p) {
+  if (!values.length) {
+    return 0;
+  }
+  const sorted = values.slice().sort((a, b) => a - b);
+  return sorted[Math.min(sorted.length - 1, Math.floor((p / 100) * sorted.length))];
+}
+
+function mean(values) {
+  return values.length ? values.reduce((a, b) => a + b, 0) / values.length : 0;
+}
+
+function summarize(results, ks) {
+  const scored = results.filter((r) => !r.error);
+  const recall = {};
+  for (const k of ks) {
+    recall[k] = mean(scored.map((r) => r.recall[k]));
+  }
+  return {
+    queries: scored.length,
+    skipped: results.length - scored.length,
+    recall,
+    mrr: mean(scored.map((r) => r.reciprocalRank)),
+    readHit: mean(scored.map((r) => (r.readHit ? 1 : 0))),
+  };
+}
+
+function latencyTable(samples) {
+  const stages = ['clsMs', 'synMs', 'lexMs', 'vecMs', 'rrMs', 'totalMs'];
+  const table = {};
+  for (const stage of stages) {
+    const values = samples.map((s) => Number(s[stage] || 0));
+    table[stage] = { mean: Math.round(mean(values) * 10) / 10, p50: percentile(values, 50), p95: percentile(values, 95) };
+  }
+  return table;
+}
+
+// ---------------------------------------------------------------------------
+// Evaluation
+// ---------------------------------------------------------------------------
+
+async function loadGoldenSets(names) {
+  const files = (await readdir(GOLDEN_DIR)).filter((f) => f.endsWith('.json')).sort();
+  const sets = [];
+  for (const file of files) {
+    const set = JSON.parse(await readFile(path.join(GOLDEN_DIR, file), 'utf8'));
+    if (!names.length || names.includes(set.name)) {
+      sets.push(set);
+    }
+  }
+  if (!sets.length) {
+    throw new Error(`No golden sets found${names.length ? ` for: ${names.join(', ')}` : ''} in ${GOLDEN_DIR}`);
+  }
+  return sets;
+}
+
+/**
+ * Wraps a real adapter so it lists the fixture documents; chunking and
+ * hashing stay the adapter's own.
+ */
+function fixtureAdapter(base, set, sourceKind) {
+  const docs = set.documents.map((d) => ({
+    id: String(d.id),
+    title: String(d.title || ''),
+    url: d.url ? String(d.url) : undefined,
+    createdAt: 0,
+    updatedAt: 0,
+    headings: Array.isArray(d.headings) ? d.headings : [],
+    text: String(d.text || ''),
+    sizeBytes: String(d.text || '').length,
+    sourceKind,
+  }));
+  return { ...base, getIndexKey: () => `eval:${set.name}`, listDocuments: async () => docs };
+}
+
+async function evaluateSet(set, opts, modules) {
+  const { retrieveRefs, askWholeCorpus, mapRefsToChunkIds, onRetrievalEvent, adapters } = modules;
+  const entry = adapters[set.adapter];
+  if (!entry) {
+    throw new Error(`Golden set ${set.name}: unknown adapter "${set.adapter}"`);
+  }
+  const adapter = fixtureAdapter(entry.adapter, set, entry.sourceKind);
+  const config = {
+    debug: true, // retrieveRefs() emits retrieval-telemetry only in debug mode
+    chunking: set.chunking || {},
+    retrieval: { topM: Math.max(12, opts.ks[opts.ks.length - 1]), rerankK: 4, useLLM: opts.llm, classifyWithLLM: opts.llm, expandSynonyms: opts.synonyms, vectors: opts.vectors },
+  };
+
+  // Cold index build
+  const t0 = performance.now();
+  const { index } = await askWholeCorpus({ adapter, context: {}, config });
+  const indexMs = Math.round(performance.now() - t0);
+
+  // Chunk texts for relevance labels, chunked exactly as the index was
+  const docs = await adapter.listDocuments({});
+  const chunks = [];
+  for (const doc of docs) {
+    chunks.push(...await adapter.chunkDocument(doc, config.chunking));
+  }
+
+  let telemetry = null;
+  onRetrievalEvent('retrieval-telemetry', (ev) => {
+    telemetry = ev.detail;
+  });
+
+  const results = [];
+  const samples = [];
+  for (const q of set.queries) {
+    const texts = (q.relevantText || []).map((t) => String(t).toLowerCase());
+    const docIds = new Set((q.relevantDocs || []).map(String));
+    const relevant = new Set(chunks
+      .filter((c) => docIds.has(String(c.docId)) || texts.some((t) => String(c.content || '').toLowerCase().includes(t)))
+      .map((c) => c.id));
+    if (!relevant.size) {
+      results.push({ query: q.query, error: 'no chunk matches the labels' });
+      continue;
+    }
+
+    telemetry = null;
+    const { refIds, candidates } = await retrieveRefs({ adapter, context: {}, query: q.query, config });
+    if (telemetry) {
+      samples.push(telemetry);
+    }
+
+    const chunkLists = candidates.map((c) => mapRefsToChunkIds(index, [c.refId]));
+    let rank = 0;
+    const recall = {};
+    for (const k of opts.ks) {
+      const seen = new Set(chunkLists.slice(0, k).flat());
+      recall[k] = Array.from(relevant).filter((id) => seen.has(id)).length / relevant.size;
+    }
+    for (let i = 0; i < chunkLists.length && !rank; i++) {
+      if (chunkLists[i].some((id) => relevant.has(id))) {
+        rank = i + 1;
+      }
+    }
+    const readHit = mapRefsToChunkIds(index, refIds).some((id) => relevant.has(id));
+    results.push({ query: q.query, rank, reciprocalRank: rank ? 1 / rank : 0, recall, readHit, totalMs: telemetry ? telemetry.totalMs : null });
+  }
+
+  return { name: set.name, adapter: set.adapter, documents: docs.length, chunks: chunks.length, indexMs, summary: summarize(results, opts.ks), latency: latencyTable(samples), results };
+}
+
+// ---------------------------------------------------------------------------
+// Report
+// ---------------------------------------------------------------------------
+
+function formatReport(report, ks) {
+  const pct = (x) => `${(x * 100).toFixed(1)}%`.padStart(7);
+  const lines = [];
+  const header = `${'set'.padEnd(20)} ${'queries'.padStart(7)} ${ks.map((k) => `R@${k}`.padStart(7)).join(' ')} ${'MRR'.padStart(6)} ${'read'.padStart(7)} ${'index'.padStart(8)}`;
+  lines.push(header, '-'.repeat(header.length));
+  for (const s of [...report.sets, { name: 'overall', summary: report.overall, indexMs: null }]) {
+    const row = [
+      s.name.padEnd(20),
+      String(s.summary.queries).padStart(7),
+      ks.map((k) => pct(s.summary.recall[k])).join(' '),
+      s.summary.mrr.toFixed(3).padStart(6),
+      pct(s.summary.readHit),
+      (s.indexMs === null ? '' : `${s.indexMs}ms`).padStart(8),
+    ];
+    lines.push(row.join(' '));
+  }
+
+  lines.push('', 'Latency per stage (ms, retrieval-telemetry):');
+  for (const s of report.sets) {
+    const stages = Object.entries(s.latency).map(([stage, v]) => `${stage.replace(/Ms$/, '')} ${v.mean}/${v.p50}/${v.p95}`).join('  ');
+    lines.push(`  ${s.name.padEnd(20)} mean/p50/p95: ${stages}`);
+  }
+
+  const misses = report.sets.flatMap((s) => s.results.filter((r) => r.error || r.rank === 0 || r.rank > ks[ks.length - 1]).map((r) => ({ set: s.name, ...r })));
+  if (misses.length) {
+    lines.push('', `Misses (not in top ${ks[ks.length - 1]}):`);
+    for (const m of misses) {
+      lines.push(`  [${m.set}] ${m.query}${m.error ? ` (skipped: ${m.error})` : m.rank ? ` (rank ${m.rank})` : ' (not retrieved)'}`);
+    }
+  }
+  return lines.join('\n');
+}
+
+// ---------------------------------------------------------------------------
+// Main
+// ---------------------------------------------------------------------------
+
+async function main() {
+  const opts = parseArgs(process.argv.slice(2));
+  if (opts.help) {
+    process.stdout.write('Usage: node scripts/eval-retrieval.mjs [--set name] [--k 1,3,5] [--llm] [--no-vectors] [--no-synonyms] [--json file] [--min-recall x] [--verbose]\n');
+    return 0;
+  }
+  const print = console.log.bind(console);
+  installEnvironment(opts.verbose);
+
+  const src = (p) => import(path.join(ROOT, 'src', p));
+  const { retrieveRefs, askWholeCorpus } = await src('services/retrieval/engine.js');
+  const { mapRefsToChunkIds } = await src('services/retrieval/progressiveReader.js');
+  const { onRetrievalEvent } = await src('services/retrieval/utils/events.js');
+  const { PageAdapter } = await src('services/retrieval/adapters/pageAdapter.js');
+  const { ChromePadAdapter } = await src('services/retrieval/adapters/chromePadAdapter.js');
+  const { BookmarksAdapter } = await src('services/retrieval/adapters/bookmarksAdapter.js');
+  const { TabsAdapter } = await src('services/retrieval/adapters/tabsAdapter.js');
+  const adapters = {
+    page: { adapter: PageAdapter, sourceKind: 'page' },
+    chromepad: { adapter: ChromePadAdapter, sourceKind: 'note' },
+    bookmarks: { adapter: BookmarksAdapter, sourceKind: 'bookmark' },
+    tabs: { adapter: TabsAdapter, sourceKind: 'tab' },
+  };
+
+  const sets = await loadGoldenSets(opts.sets);
+  const report = { options: { ks: opts.ks, llm: opts.llm, vectors: opts.vectors, synonyms: opts.synonyms }, sets: [] };
+  for (const set of sets) {
+    report.sets.push(await evaluateSet(set, opts, { retrieveRefs, askWholeCorpus, mapRefsToChunkIds, onRetrievalEvent, adapters }));
+  }
+  report.overall = summarize(report.sets.flatMap((s) => s.results), opts.ks);
+
+  print(formatReport(report, opts.ks));
+  if (opts.json) {
+    await writeFile(path.resolve(opts.json), JSON.stringify(report, null, 2));
+    print(`\nWrote ${opts.json}`);
+  }
+
+  const topK = opts.ks[opts.ks.length - 1];
+  if (Number.isFinite(opts.minRecall) && report.overall.recall[topK] < opts.minRecall) {
+    print(`\nRecall@${topK} ${report.overall.recall[topK].toFixed(3)} is below --min-recall ${opts.minRecall}`);
+    return 1;
+  }
+  return 0;
+}
+
+main().then((code) => {
+  process.exitCode = code;
+}, (err) => {
+  process.stderr.write(`${err && err.stack || err}\n`);
+  process.exitCode = 1;
+});
@@ -591,6 +591,8 @@ const CONFIG = {
       { id: 'bookmarks', label: '@Bookmarks', icon: '🔖', aliases: ['@saved', '@favorites'] },
       { id: 'downloads', label: '@Downloads', icon: '📥', aliases: ['@files'] },
       { id: 'chromepad', label: '@ChromePad', icon: '📝', aliases: ['@notes', '@notepad'] },
+      { id: 'tabs', label: '@Tabs', icon: '🗂️', aliases: ['@opentabs', '@windows'] },
+      { id: 'all', label: '@All', icon: '🔎', aliases: ['@everything', '@everywhere'] },
       { id: 'help', label: '@Help', icon: '❓', aliases: ['@guide', '@support'] },
     ],
   },
@@ -75,6 +75,38 @@ export const AI = {
   AVAILABILITY_AFTER_DOWNLOAD: 'after-download',
   AVAILABILITY_NO: 'no',
   AVAILABILITY_UNAVAILABLE: 'unavailable',
+  AVAILABILITY_AVAILABLE: 'available',
+  AVAILABILITY_DOWNLOADABLE: 'downloadable',
+  AVAILABILITY_DOWNLOADING: 'downloading',
+
+  // Model lifecycle states (see services/model_state.js)
+  MODEL_STATE_UNKNOWN: 'unknown',
+  MODEL_STATE_DOWNLOADABLE: 'downloadable',
+  MODEL_STATE_DOWNLOADING: 'downloading',
+  MODEL_STATE_READY: 'ready',
+  MODEL_STATE_UNAVAILABLE: 'unavailable',
+  MODEL_STATE_ERROR: 'error',
+
+  // Model providers (see services/providers/registry.js)
+  PROVIDER_DEFAULT: 'default', // per-tool setting: use the global provider
+  PROVIDER_GEMINI_NANO: 'gemini-nano',
+  PROVIDER_OPENAI_COMPATIBLE: 'openai-compatible',
+  PROVIDER_STUB: 'stub',
+
+  // Session purposes (see services/session_pool.js)
+  PURPOSE_CHAT: 'chat',
+  PURPOSE_CLASSIFIER: 'classifier',
+  PURPOSE_RERANKER: 'reranker',
+  PURPOSE_EDITOR: 'editor',
+  PURPOSE_TRANSLATOR: 'translator',
+  PURPOSE_GENERAL: 'general',
+
+  // Context-window accounting (see ai.js fitPromptToQuota)
+  OVERFLOW_TRUNCATE: 'truncate',
+  OVERFLOW_SUMMARIZE: 'summarize',
+  OVERFLOW_REJECT: 'reject',
+  DEFAULT_INPUT_QUOTA: 6144,   // tokens; used when a session reports no inputQuota
+  RESPONSE_TOKEN_RESERVE: 512, // headroom left for the model's reply
 };
 
 /**
@@ -138,6 +170,8 @@ export const TOOLS = {
   DOWNLOADS: 'downloads',
   PAGE: 'page',
   CHROMEPAD: 'chromepad',
+  TABS: 'tabs',
+  ALL: 'all',
   HELP: 'help',
 };
 
@@ -159,6 +193,8 @@ export const ERROR_MESSAGES = {
   AI_CHECK_ERROR: 'AI check error',
   AI_UPDATE_CHROME: 'AI unavailable (update Chrome)',
   AI_SESSION_ERROR: 'Error creating AI session',
+  AI_DOWNLOAD_FAILED: 'The AI model download failed. Check your connection and free disk space, then try again.',
+  AI_CONTEXT_OVERFLOW: 'The request is too large for the model\'s context window. Select less content or shorter contexts and try again.',
   
   // Permission errors
   PERMISSION_DENIED_HISTORY: 'Permission to read history was denied.',
@@ -170,6 +206,7 @@ export const ERROR_MESSAGES = {
   NO_HISTORY_FOUND: 'No history found for your query.',
   NO_BOOKMARKS_FOUND: 'No bookmarks found.',
   NO_DOWNLOADS_FOUND: 'No downloads found.',
+  NO_TABS_FOUND: 'No open tabs found.',
   
   // Generic errors
   UNKNOWN_ERROR: 'Unknown error occurred',
@@ -177,6 +214,7 @@ export const ERROR_MESSAGES = {
   ERROR_ACCESSING_HISTORY: 'Error accessing history',
   ERROR_READING_BOOKMARKS: 'Error reading bookmarks.',
   ERROR_READING_DOWNLOADS: 'Error reading downloads.',
+  ERROR_READING_TABS: 'Error reading open tabs.',
 };
 
 /**
@@ -187,6 +225,7 @@ export const STATUS_MESSAGES = {
   SEARCHING_HISTORY: 'Searching your history…',
   LOADING_BOOKMARKS: 'Loading bookmarks…',
   LOADING_DOWNLOADS: 'Loading downloads…',
+  LOADING_TABS: 'Loading open tabs…',
   PERMISSION_GRANTED_SEARCHING: 'Permission granted. Searching…',
   TRANSLATING: 'Translating…',
   
@@ -195,6 +234,13 @@ export const STATUS_MESSAGES = {
   
   // Tool status display
   TOOL_PREFIX: 'Tool: ',
+
+  // Model download bar
+  MODEL_DOWNLOADABLE: 'AI model needs to be downloaded',
+  MODEL_DOWNLOADING: 'Downloading AI model…',
+  MODEL_DOWNLOAD_FAILED: 'AI model download failed',
+  MODEL_DOWNLOAD_BUTTON: 'Download',
+  MODEL_RETRY_BUTTON: 'Retry',
 };
 
 /**
@@ -215,6 +261,10 @@ export const SELECTORS = {
   CONTENT: 'sp-content',
   RESIZE_HANDLE: 'sp-resize',
   STATUS: 'sp-status',
+  MODEL_PROGRESS: 'sp-model-progress',
+  MODEL_PROGRESS_LABEL: 'sp-model-progress-label',
+  MODEL_PROGRESS_FILL: 'sp-model-progress-fill',
+  MODEL_DOWNLOAD_BUTTON: 'sp-model-download',
   MINIMIZE_BUTTON: 'sp-content-minimize',
   SEND_BUTTON: 'sp-send',
   TOOLS_BUTTON: 'sp-tools',
@@ -36,6 +36,59 @@ export class AIError extends AppError {
   }
 }
 
+/**
+ * Error raised when a prompt does not fit the model's context window
+ */
+export class ContextOverflowError extends AIError {
+  constructor(message, tokens = null, quota = null, code = 'CONTEXT_OVERFLOW') {
+    super(message, code);
+    this.tokens = tokens;
+    this.quota = quota;
+  }
+}
+
+/**
+ * Error raised when the user cancels an in-flight operation (Stop button).
+ * The message is always 'aborted' so every layer reports it the same way.
+ */
+export class AbortedError extends AppError {
+  constructor(message = 'aborted', code = 'ABORTED') {
+    super(message, code);
+  }
+}
+
+/**
+ * Checks whether an error represents a cancellation, whatever layer raised it
+ * (AbortedError, a DOM AbortError from fetch/LanguageModel, or a legacy
+ * `new Error('aborted')`)
+ * @param {unknown} error - Error to inspect
+ * @param {AbortSignal} [signal] - Signal that may have been aborted
+ * @returns {boolean} True if the operation was cancelled
+ */
+export function isAbortError(error, signal = null) {
+  if (signal && signal.aborted) {
+    return true;
+  }
+  if (error instanceof AbortedError) {
+    return true;
+  }
+  if (!error || typeof error !== 'object') {
+    return false;
+  }
+  return error.name === 'AbortError' || String(error.message) === 'aborted';
+}
+
+/**
+ * Throws AbortedError if the signal has been aborted
+ * @param {AbortSignal} [signal] - Signal to check
+ * @throws {AbortedError} If aborted
+ */
+export function throwIfAborted(signal) {
+  if (signal && signal.aborted) {
+    throw new AbortedError();
+  }
+}
+
 /**
  * Error for permission-related issues
  */
@@ -163,11 +216,15 @@ if (typeof module !== 'undefined' && module.exports) {
   module.exports = {
     AppError,
     AIError,
+    ContextOverflowError,
+    AbortedError,
     PermissionError,
     ValidationError,
     NetworkError,
     UIError,
     formatErrorForUser,
+    isAbortError,
+    throwIfAborted,
     logError,
     withErrorHandling,
     makeSafe,
@@ -0,0 +1,190 @@
+// Copyright (c) 2025 Gundlapalli Muralidhar,
+// Licensed under the MIT License. See LICENSE file in the project root.
+// LinkedIn: https://www.linkedin.com/in/technomurali/
+//
+// ============================================================================
+// SCHEMA - Minimal JSON-Schema validation for structured model output
+// ============================================================================
+// FILE SUMMARY:
+// Validates parsed JSON against the subset of JSON Schema that we pass to
+// `responseConstraint`, and extracts JSON from free-form model text.
+//
+// SUPPORTED KEYWORDS:
+// - type (string or array of types), enum, const
+// - properties, required, additionalProperties (boolean)
+// - items, minItems, maxItems
+// - minimum, maximum, minLength, maxLength
+// ============================================================================
+
+function typeOf(value) {
+  if (value === null) {
+    return 'null';
+  }
+  if (Array.isArray(value)) {
+    return 'array';
+  }
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  if (type === 'integer') {
+    return actual === 'number' && Number.isInteger(value);
+  }
+  if (type === 'number') {
+    return actual === 'number' && Number.isFinite(value);
+  }
+  return actual === type;
+}
+
+function validateNode(value, schema, path, errors) {
+  if (!schema || typeof schema !== 'object') {
+    return;
+  }
+  const at = path || '$';
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some((t) => matchesType(value, t))) {
+      errors.push({ path: at, message: `expected ${types.join('|')}, got ${typeOf(value)}` });
+      return;
+    }
+  }
+
+  if ('const' in schema && value !== schema.const) {
+    errors.push({ path: at, message: `expected ${JSON.stringify(schema.const)}` });
+  }
+  if (Array.isArray(schema.enum) && !schema.enum.includes(value)) {
+    errors.push({ path: at, message: `must be one of ${schema.enum.map((v) => JSON.stringify(v)).join(', ')}` });
+  }
+
+  if (typeof value === 'string') {
+    if (Number.isFinite(schema.minLength) && value.length < schema.minLength) {
+      errors.push({ path: at, message: `shorter than ${schema.minLength}` });
+    }
+    if (Number.isFinite(schema.maxLength) && value.length > schema.maxLength) {
+      errors.push({ path: at, message: `longer than ${schema.maxLength}` });
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (Number.isFinite(schema.minimum) && value < schema.minimum) {
+      errors.push({ path: at, message: `less than ${schema.minimum}` });
+    }
+    if (Number.isFinite(schema.maximum) && value > schema.maximum) {
+      errors.push({ path: at, message: `greater than ${schema.maximum}` });
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (Number.isFinite(schema.minItems) && value.length < schema.minItems) {
+      errors.push({ path: at, message: `fewer than ${schema.minItems} items` });
+    }
+    if (Number.isFinite(schema.maxItems) && value.length > schema.maxItems) {
+      errors.push({ path: at, message: `more than ${schema.maxItems} items` });
+    }
+    if (schema.items) {
+      value.forEach((item, i) => validateNode(item, schema.items, `${at}[${i}]`, errors));
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    const props = schema.properties || {};
+    for (const key of schema.required || []) {
+      if (!(key in value)) {
+        errors.push({ path: `${at}.${key}`, message: 'is required' });
+      }
+    }
+    for (const [key, child] of Object.entries(value)) {
+      if (props[key]) {
+        validateNode(child, props[key], `${at}.${key}`, errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path: `${at}.${key}`, message: 'is not allowed' });
+      }
+    }
+  }
+}
+
+/**
+ * Validates a value against a JSON schema (subset)
+ * @param {*} value - Parsed JSON value
+ * @param {Object} schema - JSON schema
+ * @returns {{ valid: boolean, errors: Array<{ path: string, message: string }> }}
+ */
+export function validateSchema(value, schema) {
+  const errors = [];
+  validateNode(value, schema, '$', errors);
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Formats validation errors for logs and repair prompts
+ * @param {Array<{ path: string, message: string }>} errors
+ * @returns {string}
+ */
+export function formatSchemaErrors(errors) {
+  return (errors || []).map((e) => `${e.path} ${e.message}`).join('; ');
+}
+
+/**
+ * Extracts the first JSON value from model text. Tolerates code fences and
+ * prose around the JSON.
+ * @param {string} text - Raw model output
+ * @returns {{ ok: boolean, value?: *, error?: string }}
+ */
+export function extractJSON(text) {
+  const raw = String(text ?? '').trim();
+  if (!raw) {
+    return { ok: false, error: 'empty output' };
+  }
+
+  const fenced = raw.match(/```(?:json)?\s*([\s\S]*?)```/i);
+  const candidates = [fenced ? fenced[1].trim() : null, raw].filter(Boolean);
+
+  for (const candidate of candidates) {
+    try {
+      return { ok: true, value: JSON.parse(candidate) };
+    } catch {
+      // Not plain JSON; look for an embedded block below
+    }
+
+    // Scan for the first balanced {...} or [...] block
+    const start = candidate.search(/[[{]/);
+    if (start < 0) {
+      continue;
+    }
+    let depth = 0;
+    let inString = false;
+    for (let i = start; i < candidate.length; i++) {
+      const ch = candidate[i];
+      if (inString) {
+        if (ch === '\\') {
+          i++;
+        } else if (ch === '"') {
+          inString = false;
+        }
+        continue;
+      }
+      if (ch === '"') {
+        inString = true;
+      } else if (ch === '{' || ch === '[') {
+        depth++;
+      } else if (ch === '}' || ch === ']') {
+        depth--;
+        if (depth === 0) {
+          try {
+            return { ok: true, value: JSON.parse(candidate.slice(start, i + 1)) };
+          } catch {
+            break;
+          }
+        }
+      }
+    }
+  }
+  return { ok: false, error: 'no parseable JSON found' };
+}
+
+// For non-module script compatibility
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { validateSchema, formatSchemaErrors, extractJSON };
+}
@@ -18,6 +18,7 @@
 // ============================================================================
 
 import {
+  AI,
   HISTORY,
   DOMAIN_SHORTCUTS,
   STOP_WORDS,
@@ -29,9 +30,9 @@ import {
   DEFAULTS,
   PERMISSIONS,
 } from '../../core/constants.js';
-import { PermissionError, ValidationError } from '../../core/errors.js';
+import { PermissionError, ValidationError, AbortedError, isAbortError, throwIfAborted } from '../../core/errors.js';
 import { ensurePermission, getPermissionDeniedMessage } from '../../services/permissions.js';
-import { cloneAISession } from '../../services/ai.js';
+import { promptJSON } from '../../services/ai.js';
 import { logger } from '../../core/logger.js';
 import {
   normalizeDomain,
@@ -88,9 +89,12 @@ const HISTORY_CLASSIFICATION_SCHEMA = {
  * Classifies user query to determine if it's asking about browser history
  * Uses AI with structured output to extract intent and filters
  * @param {string} queryText - User's query text
+ * @param {{ signal?: AbortSignal }} options - Optional abort signal
  * @returns {Promise<HistoryClassification>} Classification result
+ * @throws {AbortedError} If the signal is aborted
  */
-export async function classifyHistoryQuery(queryText) {
+export async function classifyHistoryQuery(queryText, options = {}) {
+  const { signal } = options;
   if (!queryText || typeof queryText !== 'string') {
     throw new ValidationError('Query text must be a non-empty string');
   }
@@ -107,31 +111,15 @@ export async function classifyHistoryQuery(queryText) {
   try {
     log.debug('Classifying history query with AI');
     
-    const classifierSession = await cloneAISession();
-    
-    if (!classifierSession) {
-      log.warn('AI not available, using fallback classification');
-      return createFallbackClassification();
-    }
-
+    throwIfAborted(signal);
     const prompt = createClassificationPrompt(queryText);
-    const result = await classifierSession.prompt(prompt, {
-      responseConstraint: HISTORY_CLASSIFICATION_SCHEMA,
-    });
-
-    // Clean up classifier session
-    try {
-      if (classifierSession.destroy) {
-        classifierSession.destroy();
-      }
-    } catch (error) {
-      log.warn('Error destroying classifier session:', error);
-    }
-
-    const classification = JSON.parse(result);
+    const classification = await promptJSON(prompt, HISTORY_CLASSIFICATION_SCHEMA, { signal, purpose: AI.PURPOSE_CLASSIFIER });
     log.info('Query classified:', classification);
     return classification;
   } catch (error) {
+    if (isAbortError(error, signal)) {
+      throw new AbortedError();
+    }
     log.error('Classification error, using fallback:', error);
     return createFallbackClassification();
   }
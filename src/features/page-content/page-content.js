@@ -12,17 +12,22 @@
 // WHERE IT'S USED:
 // - src/sidepanel/sidepanel.js: Main handler for @Page tool requests
 // - src/services/retrieval/adapters/pageAdapter.js: Retrieval adapter for semantic search
+// - src/services/retrieval/adapters/tabsAdapter.js: captureTab() for every open tab
 // - UI components: Chunk selection and page pill display
 //
 // FEATURES:
 // - Deep content extraction from DOM, shadow DOM, and same-origin iframes
 // - Intelligent chunking with heading detection and size management
+// - Citation click-through: scroll to and highlight a quoted passage
 // - State management for current page capture
 // - Filters out hidden, script, and non-text content
 //
 // ============================================================================
 
 import { getSettings } from '../../services/settings.js';
+import { logger } from '../../core/logger.js';
+
+const log = logger.create('PageContent');
 
 /**
  * Captures all visible text content from the currently active browser tab.
@@ -57,81 +62,207 @@ export async function captureActivePage() {
   const tabs = await chrome.tabs.query({ active: true, currentWindow: true });
   const tab = tabs && tabs[0];
   if (!tab || !tab.id) throw new Error('No active tab');
+  return captureTab(tab.id);
+}
 
+/**
+ * Captures visible text from any tab with the same extraction as
+ * captureActivePage() (used by the Tabs adapter for every open tab).
+ * @param {number} tabId
+ * @returns {Promise<Object>} Same payload as captureActivePage()
+ * @throws {Error} If the tab cannot be scripted (e.g. chrome:// pages) or extraction fails
+ */
+export async function captureTab(tabId) {
   const [{ result }] = await chrome.scripting.executeScript({
-    target: { tabId: tab.id },
-    func: () => {
-      try {
-        function collectVisibleTextFromRoot(root) {
-          const parts = [];
-          const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, {
-            acceptNode: (n) => {
-              if (!n || !n.parentElement) return NodeFilter.FILTER_REJECT;
-              const parent = n.parentElement;
-              const tag = parent.tagName;
-              if (['SCRIPT', 'STYLE', 'NOSCRIPT', 'SVG', 'CANVAS', 'VIDEO', 'AUDIO'].includes(tag)) return NodeFilter.FILTER_REJECT;
-              const text = n.nodeValue || '';
-              if (!text.trim()) return NodeFilter.FILTER_REJECT;
-              const style = window.getComputedStyle(parent);
-              if (style && (style.visibility === 'hidden' || style.display === 'none')) return NodeFilter.FILTER_REJECT;
-              return NodeFilter.FILTER_ACCEPT;
-            }
-          });
-          while (walker.nextNode()) parts.push(walker.currentNode.nodeValue);
-          return parts;
-        }
+    target: { tabId },
+    func: extractVisibleContent,
+  });
+
+  if (!result) throw new Error('No result from page');
+  if (result.error) throw new Error(result.error);
+  return result;
+}
+
+/**
+ * Runs in the page: collects visible text and headings. Must stay
+ * self-contained because it is serialized by chrome.scripting.
+ * @private
+ */
+function extractVisibleContent() {
+  try {
+    const collectVisibleTextFromRoot = (root) => {
+      const parts = [];
+      const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, {
+        acceptNode: (n) => {
+          if (!n || !n.parentElement) {
+            return NodeFilter.FILTER_REJECT;
+          }
+          const parent = n.parentElement;
+          const tag = parent.tagName;
+          if (['SCRIPT', 'STYLE', 'NOSCRIPT', 'SVG', 'CANVAS', 'VIDEO', 'AUDIO'].includes(tag)) {
+            return NodeFilter.FILTER_REJECT;
+          }
+          const text = n.nodeValue || '';
+          if (!text.trim()) {
+            return NodeFilter.FILTER_REJECT;
+          }
+          const style = window.getComputedStyle(parent);
+          if (style && (style.visibility === 'hidden' || style.display === 'none')) {
+            return NodeFilter.FILTER_REJECT;
+          }
+          return NodeFilter.FILTER_ACCEPT;
+        },
+      });
+      while (walker.nextNode()) {
+        parts.push(walker.currentNode.nodeValue);
+      }
+      return parts;
+    };
 
-        function getVisibleTextDeep(doc) {
-          const chunks = [];
-          // Main document
-          chunks.push(...collectVisibleTextFromRoot(doc.body || doc));
-          // Shadow roots
+    const getVisibleTextDeep = (doc) => {
+      const chunks = [];
+      // Main document
+      chunks.push(...collectVisibleTextFromRoot(doc.body || doc));
+      // Shadow roots
+      try {
+        const all = doc.querySelectorAll('*');
+        all.forEach((el) => {
           try {
-            const all = doc.querySelectorAll('*');
-            all.forEach((el) => {
-              try {
-                if (el && el.shadowRoot) {
-                  chunks.push(...collectVisibleTextFromRoot(el.shadowRoot));
-                }
-              } catch {}
-            });
-          } catch {}
-          // Same-origin iframes
-          let skippedIframes = 0;
+            if (el && el.shadowRoot) {
+              chunks.push(...collectVisibleTextFromRoot(el.shadowRoot));
+            }
+          } catch {
+            // Closed shadow roots are unreadable
+          }
+        });
+      } catch {
+        // Shadow DOM is optional
+      }
+      // Same-origin iframes
+      let skippedIframes = 0;
+      try {
+        const iframes = doc.querySelectorAll('iframe');
+        iframes.forEach((f) => {
           try {
-            const iframes = doc.querySelectorAll('iframe');
-            iframes.forEach((f) => {
-              try {
-                if (f && f.contentDocument) {
-                  chunks.push(...collectVisibleTextFromRoot(f.contentDocument.body || f.contentDocument));
-                }
-              } catch { skippedIframes += 1; }
-            });
-          } catch {}
-          return { text: chunks.join('\n'), skippedIframes };
+            if (f && f.contentDocument) {
+              chunks.push(...collectVisibleTextFromRoot(f.contentDocument.body || f.contentDocument));
+            }
+          } catch {
+            skippedIframes += 1;
+          }
+        });
+      } catch {
+        // Iframes are optional
+      }
+      return { text: chunks.join('\n'), skippedIframes };
+    };
+    const extractHeadings = () => {
+      const hs = Array.from(document.querySelectorAll('h1,h2,h3,h4,h5,h6'));
+      return hs.map(h => (h.textContent || '').trim()).filter(Boolean);
+    };
+    const deep = getVisibleTextDeep(document);
+    return {
+      title: document.title || '',
+      url: location.href,
+      text: deep.text,
+      headings: extractHeadings(),
+      timestamp: Date.now(),
+      skippedIframes: deep.skippedIframes || 0,
+    };
+  } catch (err) {
+    return { error: String(err && err.message || err) };
+  }
+}
+
+/**
+ * Scrolls a tab to a quoted passage and highlights it (citation click-through).
+ * Matching ignores case, whitespace and curly quotes, since captured text
+ * joins DOM text nodes with newlines.
+ * @param {number} tabId
+ * @param {string} quote - Exact text from a captured chunk
+ * @returns {Promise<boolean>} True if the passage was found in the live page
+ */
+export async function highlightQuoteInTab(tabId, quote) {
+  const needle = String(quote || '').trim();
+  if (!needle) {
+    return false;
+  }
+  try {
+    const [{ result }] = await chrome.scripting.executeScript({
+      target: { tabId },
+      func: highlightQuoteInPage,
+      args: [needle],
+    });
+    return !!(result && result.found);
+  } catch (err) {
+    log.warn('Could not highlight quote:', err && err.message);
+    return false;
+  }
+}
+
+/**
+ * Runs in the page: finds the quote across text nodes, highlights it with the
+ * CSS Custom Highlight API (falling back to the selection) and scrolls to it.
+ * Must stay self-contained because it is serialized by chrome.scripting.
+ * @private
+ */
+function highlightQuoteInPage(quote) {
+  try {
+    const fold = (s) => s.replace(/[\u2018\u2019]/g, "'").replace(/[\u201C\u201D]/g, '"').toLowerCase();
+    const want = fold(quote.replace(/\s+/g, ''));
+    let flat = '';
+    const map = []; // flat index -> [text node, offset]
+    const walker = document.createTreeWalker(document.body || document, NodeFilter.SHOW_TEXT, {
+      acceptNode: (n) => {
+        const tag = n.parentElement && n.parentElement.tagName;
+        return ['SCRIPT', 'STYLE', 'NOSCRIPT'].includes(tag) ? NodeFilter.FILTER_REJECT : NodeFilter.FILTER_ACCEPT;
+      },
+    });
+    while (walker.nextNode()) {
+      const node = walker.currentNode;
+      const value = node.nodeValue || '';
+      for (let i = 0; i < value.length; i++) {
+        if (/\s/.test(value[i])) {
+          continue;
         }
-        function extractHeadings() {
-          const hs = Array.from(document.querySelectorAll('h1,h2,h3,h4,h5,h6'));
-          return hs.map(h => (h.textContent || '').trim()).filter(Boolean);
+        for (const c of fold(value[i])) {
+          flat += c;
+          map.push([node, i]);
         }
-        const deep = getVisibleTextDeep(document);
-        return {
-          title: document.title || '',
-          url: location.href,
-          text: deep.text,
-          headings: extractHeadings(),
-          timestamp: Date.now(),
-          skippedIframes: deep.skippedIframes || 0,
-        };
-      } catch (err) {
-        return { error: String(err && err.message || err) };
       }
-    },
-  });
+    }
+    const at = flat.indexOf(want);
+    if (!want || at === -1) {
+      return { found: false };
+    }
 
-  if (!result) throw new Error('No result from page');
-  if (result.error) throw new Error(result.error);
-  return result;
+    const [startNode, startOffset] = map[at];
+    const [endNode, endOffset] = map[at + want.length - 1];
+    const range = document.createRange();
+    range.setStart(startNode, startOffset);
+    range.setEnd(endNode, endOffset + 1);
+
+    if (typeof CSS !== 'undefined' && CSS.highlights && typeof Highlight === 'function') {
+      CSS.highlights.set('ichrome-citation', new Highlight(range));
+      if (!document.getElementById('ichrome-citation-style')) {
+        const style = document.createElement('style');
+        style.id = 'ichrome-citation-style';
+        style.textContent = '::highlight(ichrome-citation) { background-color: #ffe066; color: inherit; }';
+        (document.head || document.documentElement).appendChild(style);
+      }
+    } else {
+      const selection = window.getSelection();
+      selection.removeAllRanges();
+      selection.addRange(range);
+    }
+    const target = startNode.parentElement;
+    if (target) {
+      target.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    }
+    return { found: true };
+  } catch (err) {
+    return { found: false, error: String(err && err.message || err) };
+  }
 }
 
 /**
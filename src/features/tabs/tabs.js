@@ -0,0 +1,189 @@
+// Copyright (c) 2025 Gundlapalli Muralidhar,
+// Licensed under the MIT License. See LICENSE file in the project root.
+// LinkedIn: https://www.linkedin.com/in/technomurali/
+//
+// ============================================================================
+// OPEN TABS - Chrome Tabs / Tab Groups API Integration
+// ============================================================================
+// FILE SUMMARY:
+// Lists the open tabs across windows with their window and tab group, filters
+// them by text, and focuses a tab when its result row is clicked.
+//
+// FEATURES:
+// - Window numbering ("Window 1 (current)") and tab group titles
+// - Ordering by window, then group, then tab strip position
+// - Eligibility check for tabs whose text can be captured
+// - Result formatting for renderResults()
+// ============================================================================
+
+import { logger } from '../../core/logger.js';
+
+const log = logger.create('Tabs');
+
+/**
+ * @typedef {Object} OpenTab
+ * @property {number} tabId
+ * @property {number} windowId
+ * @property {number} index          // position in the tab strip
+ * @property {string} title
+ * @property {string} url
+ * @property {boolean} active
+ * @property {boolean} discarded
+ * @property {number} lastAccessed
+ * @property {boolean} inCurrentWindow
+ * @property {string} windowLabel    // "Window 1", "Window 2 (current)"
+ * @property {string|null} groupTitle
+ */
+
+/**
+ * Reads tab group titles (the tabGroups API may be unavailable)
+ * @param {chrome.tabs.Tab[]} tabs
+ * @returns {Promise<Map<number, string>>} groupId -> title
+ */
+async function loadGroupTitles(tabs) {
+  const titles = new Map();
+  if (typeof chrome === 'undefined' || !chrome.tabGroups || typeof chrome.tabGroups.get !== 'function') {
+    return titles;
+  }
+  const ids = new Set(tabs.map((t) => t.groupId).filter((id) => typeof id === 'number' && id >= 0));
+  for (const id of ids) {
+    try {
+      const group = await chrome.tabGroups.get(id);
+      titles.set(id, group.title || `Unnamed ${group.color || ''} group`.replace(/\s+/g, ' '));
+    } catch (err) {
+      log.debug('Tab group lookup failed:', id, err && err.message);
+    }
+  }
+  return titles;
+}
+
+/**
+ * Lists open tabs in all normal windows, ordered by window, group and position
+ * @returns {Promise<OpenTab[]>}
+ */
+export async function listOpenTabs() {
+  const [tabs, current] = await Promise.all([
+    chrome.tabs.query({ windowType: 'normal' }),
+    chrome.windows.getCurrent().catch(() => null),
+  ]);
+  const groupTitles = await loadGroupTitles(tabs);
+
+  const windowOrder = [];
+  for (const t of tabs) {
+    if (!windowOrder.includes(t.windowId)) {
+      windowOrder.push(t.windowId);
+    }
+  }
+  const windowLabel = (windowId) => {
+    const n = windowOrder.indexOf(windowId) + 1;
+    return current && current.id === windowId ? `Window ${n} (current)` : `Window ${n}`;
+  };
+
+  const list = tabs.map((t) => ({
+    tabId: t.id,
+    windowId: t.windowId,
+    index: t.index,
+    title: String(t.title || t.url || 'Untitled'),
+    url: String(t.url || t.pendingUrl || ''),
+    active: !!t.active,
+    discarded: !!t.discarded,
+    lastAccessed: Number(t.lastAccessed || 0),
+    inCurrentWindow: !!current && current.id === t.windowId,
+    windowLabel: windowLabel(t.windowId),
+    groupTitle: groupTitles.get(t.groupId) || null,
+  }));
+
+  // Tabs in a group are contiguous in the strip, so position order keeps groups together
+  list.sort((a, b) => windowOrder.indexOf(a.windowId) - windowOrder.indexOf(b.windowId) || a.index - b.index);
+  log.info(`Listed ${list.length} open tabs in ${windowOrder.length} windows`);
+  return list;
+}
+
+/**
+ * True for tabs whose page text can be captured with chrome.scripting
+ * (loaded http/https/file pages; Chrome blocks chrome:// and the Web Store)
+ * @param {OpenTab} tab
+ * @returns {boolean}
+ */
+export function isCapturableTab(tab) {
+  if (!tab || tab.discarded) {
+    return false;
+  }
+  const url = String(tab.url || '');
+  if (!/^(https?|file):/i.test(url)) {
+    return false;
+  }
+  return !/^https:\/\/(chrome\.google\.com\/webstore|chromewebstore\.google\.com)\//i.test(url);
+}
+
+/**
+ * Filters tabs by text in title, URL or group title
+ * @param {OpenTab[]} tabs
+ * @param {string} queryText
+ * @returns {OpenTab[]}
+ */
+export function filterTabs(tabs, queryText) {
+  const q = String(queryText || '').trim().toLowerCase();
+  if (!q || /^(show|list|display)?\s*(me\s+)?(all\s+)?(my\s+)?(open\s+)?tabs?$/i.test(q)) {
+    return tabs;
+  }
+  return tabs.filter((t) =>
+    t.title.toLowerCase().includes(q) ||
+    t.url.toLowerCase().includes(q) ||
+    String(t.groupTitle || '').toLowerCase().includes(q),
+  );
+}
+
+/**
+ * Brings a tab and its window to the front
+ * @param {number} tabId
+ * @param {number=} windowId
+ */
+export async function focusTab(tabId, windowId) {
+  try {
+    await chrome.tabs.update(tabId, { active: true });
+    if (typeof windowId === 'number') {
+      await chrome.windows.update(windowId, { focused: true });
+    }
+  } catch (err) {
+    log.warn('Could not focus tab (it may have been closed):', tabId, err && err.message);
+  }
+}
+
+/**
+ * Label used to group result rows: "Window 1 (current) · Research"
+ * @param {OpenTab} tab
+ * @returns {string}
+ */
+export function getTabGroupLabel(tab) {
+  return tab.groupTitle ? `${tab.windowLabel} · ${tab.groupTitle}` : tab.windowLabel;
+}
+
+/**
+ * Converts tabs to renderResults() items (rows focus the tab when clicked)
+ * @param {OpenTab[]} tabs
+ * @returns {Array<Object>}
+ */
+export function convertTabsToResults(tabs) {
+  return tabs.map((t) => ({
+    title: t.title,
+    url: t.url,
+    lastVisitTime: t.lastAccessed,
+    tabId: t.tabId,
+    windowId: t.windowId,
+    group: getTabGroupLabel(t),
+    onOpen: () => focusTab(t.tabId, t.windowId),
+  }));
+}
+
+// For non-module script compatibility
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    listOpenTabs,
+    isCapturableTab,
+    filterTabs,
+    focusTab,
+    getTabGroupLabel,
+    convertTabsToResults,
+  };
+}
@@ -6,29 +6,66 @@
 // AI MANAGER - Gemini Nano Language Model Integration
 // ============================================================================
 // FILE SUMMARY:
-// Manages all interactions with Chrome's built-in Gemini Nano AI model.
+// Manages all interactions with the language model. Gemini Nano is the default
+// backend; a provider registry lets each tool route to a local
+// OpenAI-compatible endpoint or a deterministic stub instead.
 // Handles session creation, availability checking, prompts, and cleanup.
 //
 // FEATURES:
-// - Session management (create, reuse, destroy)
-// - Availability checking
+// - Pluggable providers chosen per tool in settings
+// - Offline stub fallback and fixture recording for replay (see providers/stubProvider.js)
+// - Purpose-specific pooled sessions (see session_pool.js)
+// - Chat sessions seeded from the active thread's stored conversation
+// - Availability checking and model download lifecycle (see model_state.js);
+//   prompts wait while the model downloads
 // - Language configuration
 // - Streaming and non-streaming prompts
+// - Schema-validated JSON prompts (promptJSON) with a repair round-trip
+// - Context-window accounting with truncate / summarize / reject overflow policies
+// - Cancellation via AbortSignal (AbortedError on Stop)
 // - Error handling with custom error types
 // ============================================================================
 
 import { AI, ERROR_MESSAGES } from '../core/constants.js';
-import { AIError } from '../core/errors.js';
+import { AppError, AIError, ContextOverflowError, AbortedError, ValidationError, isAbortError, throwIfAborted } from '../core/errors.js';
 import { logger } from '../core/logger.js';
 import { getErrorMessage } from '../core/utils.js';
+import { validateSchema, formatSchemaErrors, extractJSON } from '../core/schema.js';
+import { getSettingsSync } from './settings.js';
+import { getProvider } from './providers/registry.js';
+import { recordFixture } from './providers/stubFixtures.js';
+import { loadConversation, buildInitialPrompts, buildInitialPromptsBefore } from './conversation_store.js';
+import { estimateTokensForText } from './retrieval/utils/tokenBudget.js';
+import { emitRetrievalEvent } from './retrieval/utils/events.js';
+import { leaseSession, getBaseSession, dropSessions, pooledSessionCount, getPurposeConfig } from './session_pool.js';
+import {
+  availabilityToState,
+  getModelState,
+  setModelState,
+  downloadFraction,
+  waitUnlessAborted,
+} from './model_state.js';
 
 const log = logger.ai;
 
 /**
- * AI session singleton
- * @type {Object|null}
+ * Tool the user is currently in; drives per-tool provider selection
+ * @type {string|null}
  */
-let aiSession = null;
+let activeTool = null;
+
+/**
+ * Conversation that seeds 'chat' purpose sessions: a conversation_store id and
+ * optionally the turn index to stop before (regenerate / edit-and-resend)
+ * @type {{ threadId: string, beforeIndex?: number }|null}
+ */
+let conversationSource = null;
+
+/**
+ * In-flight model downloads keyed by provider id (shared by all waiting callers)
+ * @type {Map<string, Promise<void>>}
+ */
+const downloads = new Map();
 
 /**
  * Configured language options for AI
@@ -90,21 +127,359 @@ function ensureOutputLanguage(options = {}) {
 }
 
 /**
- * Checks AI availability status
+ * Swaps Gemini Nano for the stub provider when `ai.offlineFallback` is on
+ * and the LanguageModel API is missing.
+ * @param {string} providerId
+ * @returns {string} Provider id
+ */
+function withOfflineFallback(providerId) {
+  if (providerId !== AI.PROVIDER_GEMINI_NANO) {
+    return providerId;
+  }
+  try {
+    const aiSettings = getSettingsSync('ai');
+    if (!aiSettings || !aiSettings.offlineFallback) {
+      return providerId;
+    }
+    const provider = getProvider(providerId);
+    return provider && provider.isPresent() ? providerId : AI.PROVIDER_STUB;
+  } catch {
+    return providerId;
+  }
+}
+
+/**
+ * Resolves which provider should serve a call.
+ * Order: explicit options.provider → per-tool setting → global setting.
+ * Settings-based choices fall back to the stub when `ai.offlineFallback` is on
+ * and Gemini Nano is missing.
+ * @param {{ provider?: string, tool?: string }} options
+ * @returns {string} Provider id
+ */
+export function resolveProviderId(options = {}) {
+  if (options.provider) {
+    return options.provider;
+  }
+  try {
+    const tool = options.tool || activeTool;
+    if (tool) {
+      const toolSettings = getSettingsSync(`tools.${tool}`);
+      if (toolSettings && toolSettings.provider && toolSettings.provider !== AI.PROVIDER_DEFAULT) {
+        return withOfflineFallback(toolSettings.provider);
+      }
+    }
+    const aiSettings = getSettingsSync('ai');
+    return withOfflineFallback((aiSettings && aiSettings.provider) || AI.PROVIDER_GEMINI_NANO);
+  } catch {
+    return AI.PROVIDER_GEMINI_NANO;
+  }
+}
+
+/**
+ * Records a prompt/response pair for stub replay when `ai.recordFixtures` is on
+ * @param {string} providerId - Provider that produced the response
+ * @param {string} prompt - Prompt exactly as sent to the session
+ * @param {string} response
+ */
+function maybeRecordFixture(providerId, prompt, response) {
+  if (providerId === AI.PROVIDER_STUB) {
+    return;
+  }
+  try {
+    const aiSettings = getSettingsSync('ai');
+    if (aiSettings && aiSettings.recordFixtures) {
+      recordFixture(prompt, response);
+    }
+  } catch (error) {
+    log.debug('Fixture recording skipped:', error);
+  }
+}
+
+/**
+ * Records the tool the user is currently working in so per-tool provider
+ * settings apply without every caller passing `tool` explicitly.
+ * @param {string|null} tool - Tool id from TOOLS
+ */
+export function setActiveTool(tool) {
+  activeTool = tool || null;
+}
+
+/**
+ * Sets the conversation that seeds 'chat' purpose sessions and drops any live
+ * chat session so the next chat prompt rebuilds from it. The stored
+ * conversation is re-read every time a chat session is created, so a session
+ * rebuilt after an idle drop has every turn recorded since.
+ * @param {string|null} threadId - conversation_store id; null for no memory
+ * @param {{ beforeIndex?: number }} [options] - `beforeIndex`: seed with the
+ *   conversation as it stood before that turn
+ */
+export function setConversationContext(threadId, options = {}) {
+  conversationSource = threadId
+    ? { threadId, beforeIndex: Number.isInteger(options.beforeIndex) ? options.beforeIndex : undefined }
+    : null;
+  dropSessions({ purpose: AI.PURPOSE_CHAT });
+  log.info('Conversation context set', conversationSource);
+}
+
+/**
+ * Drops the chat session so the next chat prompt is re-seeded from the
+ * current conversation context. Use after a chat prompt failed partway, so a
+ * retry is not asked twice in the session's state.
+ */
+export function resetConversationSession() {
+  dropSessions({ purpose: AI.PURPOSE_CHAT });
+  log.info('Chat session reset');
+}
+
+/**
+ * initialPrompts for a new chat session, built from the stored conversation
+ * @returns {Promise<Array<{ role: string, content: string }>|null>} null with no history
+ */
+async function loadConversationPrompts() {
+  const source = conversationSource;
+  if (!source) {
+    return null;
+  }
+  try {
+    const conversation = await loadConversation(source.threadId);
+    const turns = Number.isInteger(source.beforeIndex) ? source.beforeIndex : conversation.turns.length;
+    if (!turns) {
+      return null;
+    }
+    return Number.isInteger(source.beforeIndex)
+      ? buildInitialPromptsBefore(conversation, source.beforeIndex)
+      : buildInitialPrompts(conversation);
+  } catch (error) {
+    log.warn('Could not load conversation for the chat session:', error);
+    return null;
+  }
+}
+
+function requireProvider(providerId) {
+  const provider = getProvider(providerId);
+  if (!provider) {
+    throw new AIError(`Unknown AI provider: ${providerId}`);
+  }
+  return provider;
+}
+
+/**
+ * Provider-specific options read from settings (e.g. endpoint URL).
+ * @param {string} providerId
+ */
+function getProviderOptions(providerId) {
+  if (providerId !== AI.PROVIDER_OPENAI_COMPATIBLE) {
+    return {};
+  }
+  try {
+    const aiSettings = getSettingsSync('ai');
+    return { endpoint: (aiSettings && aiSettings.endpoint) || {} };
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Splits routing keys from the options forwarded to session.prompt().
+ * @param {Object} options
+ */
+function splitRoutingOptions(options = {}) {
+  const { tool, provider, purpose, sampling, overflow, ...promptOptions } = options;
+  return { routing: { tool, provider, purpose, sampling }, overflow, promptOptions };
+}
+
+/**
+ * Measures how many input tokens a prompt will consume in a session.
+ * Uses the session's own accounting (measureInputUsage / inputQuota) when the
+ * backend exposes it and falls back to the ~4 chars per token estimator.
+ * @param {Object} session - AI session
+ * @param {string} prompt - Prompt text
+ * @returns {Promise<{ tokens: number, quota: number, used: number, measured: boolean }>}
+ */
+export async function measurePrompt(session, prompt) {
+  let tokens = null;
+  try {
+    if (session && typeof session.measureInputUsage === 'function') {
+      tokens = await session.measureInputUsage(prompt);
+    } else if (session && typeof session.countPromptTokens === 'function') {
+      // Older Prompt API builds
+      tokens = await session.countPromptTokens(prompt);
+    }
+  } catch (error) {
+    log.debug('measureInputUsage failed, using estimator:', error);
+  }
+
+  const measured = Number.isFinite(tokens);
+  if (!measured) {
+    tokens = estimateTokensForText(String(prompt ?? ''));
+  }
+
+  const quotaRaw = session && (session.inputQuota ?? session.maxTokens);
+  const quota = Number.isFinite(quotaRaw) && quotaRaw > 0 ? quotaRaw : AI.DEFAULT_INPUT_QUOTA;
+  const usedRaw = session && (session.inputUsage ?? session.tokensSoFar);
+  const used = Number.isFinite(usedRaw) ? usedRaw : 0;
+
+  return { tokens, quota, used, measured };
+}
+
+function getDefaultOverflowPolicy() {
+  try {
+    const aiSettings = getSettingsSync('ai');
+    return (aiSettings && aiSettings.overflowPolicy) || AI.OVERFLOW_TRUNCATE;
+  } catch {
+    return AI.OVERFLOW_TRUNCATE;
+  }
+}
+
+const TRUNCATION_MARKER = '\n\n[… content truncated to fit the context window …]\n\n';
+
+/**
+ * Splits an oversized prompt into a head (usually context) and a tail
+ * (usually the question/instructions) so overflow handling keeps the tail.
+ * @param {string} text
+ * @param {number} targetChars - Size the fitted prompt should not exceed
+ */
+function splitHeadTail(text, targetChars) {
+  const tailChars = Math.min(text.length, Math.floor(targetChars * 0.3));
+  return {
+    head: text.slice(0, text.length - tailChars),
+    tail: text.slice(text.length - tailChars),
+  };
+}
+
+function truncateToChars(text, targetChars) {
+  const { head, tail } = splitHeadTail(text, targetChars);
+  const headChars = Math.max(0, targetChars - tail.length - TRUNCATION_MARKER.length);
+  return `${head.slice(0, headChars)}${TRUNCATION_MARKER}${tail}`;
+}
+
+/**
+ * Condenses text to roughly `targetChars` using a leased general-purpose
+ * session so the summarization turns never enter the caller's conversation.
+ * @param {string} text
+ * @param {number} targetChars
+ * @param {number} pieceChars - Largest piece one summarization prompt may carry
+ * @param {string} providerId
+ * @param {AbortSignal} [signal]
+ */
+async function summarizeToChars(text, targetChars, pieceChars, providerId, signal) {
+  const pieces = [];
+  for (let i = 0; i < text.length; i += pieceChars) {
+    pieces.push(text.slice(i, i + pieceChars));
+  }
+  const perPiece = Math.max(200, Math.floor(targetChars / pieces.length));
+  const { session, release } = await leaseForCall({ provider: providerId, purpose: AI.PURPOSE_GENERAL });
+  try {
+    const parts = [];
+    for (const piece of pieces) {
+      throwIfAborted(signal);
+      const out = await session.prompt(
+        `Summarize the following text in at most ${perPiece} characters. Keep facts, names, numbers and code identifiers. Return only the summary.\n\n${piece}`,
+        ensureOutputLanguage(signal ? { signal } : {}),
+      );
+      parts.push(String(out || '').trim().slice(0, perPiece));
+    }
+    return parts.join('\n');
+  } finally {
+    release();
+  }
+}
+
+/**
+ * Reports prompt usage so the UI can show how full the context window is
+ * @param {Object} usage
+ */
+function reportUsage(usage) {
+  log.debug('Prompt usage:', usage);
+  emitRetrievalEvent('ai-usage', usage);
+}
+
+/**
+ * Ensures a prompt fits what is left of the session's context window (its
+ * quota minus the response reserve and the tokens the session already holds),
+ * applying the caller's overflow policy when it does not.
+ * @param {Object} session - AI session
+ * @param {string} prompt - Prompt text
+ * @param {{ policy?: string, providerId: string, signal?: AbortSignal }} options
+ * @returns {Promise<string>} Prompt that fits (possibly truncated or summarized)
+ * @throws {ContextOverflowError} When the policy is 'reject' and the prompt overflows
+ */
+export async function fitPromptToQuota(session, prompt, options) {
+  if (typeof prompt !== 'string') {
+    return prompt;
+  }
+  const policy = options.policy || getDefaultOverflowPolicy();
+  const measure = await measurePrompt(session, prompt);
+  const limit = Math.max(256, measure.quota - AI.RESPONSE_TOKEN_RESERVE);
+  // Stateful (chat) sessions already hold earlier turns
+  const available = Math.max(0, limit - measure.used);
+  const usage = { provider: options.providerId, ...measure, limit, available, policy, action: 'none' };
+
+  if (measure.tokens <= available) {
+    reportUsage(usage);
+    return prompt;
+  }
+
+  if (policy === AI.OVERFLOW_REJECT) {
+    reportUsage({ ...usage, action: 'rejected' });
+    throw new ContextOverflowError(ERROR_MESSAGES.AI_CONTEXT_OVERFLOW, measure.tokens, available);
+  }
+
+  // Scale by measured chars-per-token so real tokenizers are respected;
+  // never shrink below 256 tokens even when the session is nearly full
+  const charsPerToken = prompt.length / Math.max(1, measure.tokens);
+  const fitTokens = Math.max(256, available);
+  const targetChars = Math.floor(fitTokens * charsPerToken * 0.95);
+
+  if (policy === AI.OVERFLOW_SUMMARIZE) {
+    try {
+      const { head, tail } = splitHeadTail(prompt, targetChars);
+      const headBudget = Math.max(200, targetChars - tail.length - 64);
+      const pieceChars = Math.max(1000, Math.floor(fitTokens * charsPerToken * 0.7));
+      const summary = await summarizeToChars(head, headBudget, pieceChars, options.providerId, options.signal);
+      const fitted = `[Summarized to fit the context window]\n${summary.slice(0, headBudget)}\n\n${tail}`;
+      reportUsage({ ...usage, action: 'summarized', fittedTokens: estimateTokensForText(fitted) });
+      return fitted;
+    } catch (error) {
+      if (isAbortError(error, options.signal)) {
+        throw new AbortedError();
+      }
+      log.warn('Summarizing oversized prompt failed, truncating instead:', error);
+    }
+  }
+
+  const fitted = truncateToChars(prompt, targetChars);
+  reportUsage({ ...usage, action: 'truncated', fittedTokens: estimateTokensForText(fitted) });
+  return fitted;
+}
+
+/**
+ * Checks AI availability status and updates the provider's model state
+ * @param {{ provider?: string, tool?: string }} options - Routing options
  * @returns {Promise<string>} Availability status
  * @throws {AIError} If check fails
  */
-export async function checkAIAvailability() {
+export async function checkAIAvailability(options = {}) {
+  const providerId = resolveProviderId(options);
   try {
-    if (!('LanguageModel' in self)) {
-      log.warn('LanguageModel API not available');
+    const provider = requireProvider(providerId);
+    if (!provider.isPresent()) {
+      log.warn(`AI provider not present: ${providerId}`);
+      setModelState(providerId, { state: AI.MODEL_STATE_UNAVAILABLE });
       return AI.AVAILABILITY_UNAVAILABLE;
     }
 
-    const options = getLanguageOptions();
-    const availability = await LanguageModel.availability(options);
-    
-    log.info(`AI availability: ${availability}`);
+    const availability = await provider.availability({
+      ...getLanguageOptions(),
+      ...getProviderOptions(providerId),
+    });
+
+    log.info(`AI availability (${providerId}): ${availability}`);
+    const state = availabilityToState(availability);
+    // Don't let a stale 'downloadable' overwrite a download we started
+    if (!(downloads.has(providerId) && state === AI.MODEL_STATE_DOWNLOADABLE)) {
+      setModelState(providerId, { state });
+    }
     return availability;
   } catch (error) {
     log.error('Error checking AI availability:', error);
@@ -113,22 +488,120 @@ export async function checkAIAvailability() {
 }
 
 /**
- * Creates a new AI session
+ * Downloads the provider's model by creating a throwaway session with a
+ * `monitor` that reports progress. Concurrent callers share one download.
+ * Call from a user gesture when the model is 'downloadable'; Chrome requires
+ * user activation to start a download.
+ * @param {{ provider?: string, tool?: string }} options - Routing options
+ * @returns {Promise<void>} Resolves once the model is ready
+ * @throws {AIError} If the download fails
+ */
+export function startModelDownload(options = {}) {
+  const providerId = resolveProviderId(options);
+  if (downloads.has(providerId)) {
+    return downloads.get(providerId);
+  }
+
+  const download = (async () => {
+    const provider = requireProvider(providerId);
+    setModelState(providerId, { state: AI.MODEL_STATE_DOWNLOADING, progress: 0 });
+    try {
+      const session = await provider.create({
+        ...getLanguageOptions(),
+        ...getProviderOptions(providerId),
+        monitor(m) {
+          m.addEventListener('downloadprogress', (e) => {
+            setModelState(providerId, { state: AI.MODEL_STATE_DOWNLOADING, progress: downloadFraction(e) });
+          });
+        },
+      });
+      try {
+        if (session && typeof session.destroy === 'function') {
+          session.destroy();
+        }
+      } catch {
+        // The download finished; a failed cleanup does not matter
+      }
+      setModelState(providerId, { state: AI.MODEL_STATE_READY });
+      log.info(`Model download complete (${providerId})`);
+    } catch (error) {
+      const message = getErrorMessage(error, ERROR_MESSAGES.AI_DOWNLOAD_FAILED);
+      log.error('Model download failed:', message);
+      setModelState(providerId, { state: AI.MODEL_STATE_ERROR, error: message });
+      throw new AIError(ERROR_MESSAGES.AI_DOWNLOAD_FAILED);
+    } finally {
+      downloads.delete(providerId);
+    }
+  })();
+
+  downloads.set(providerId, download);
+  return download;
+}
+
+/**
+ * Makes sure the provider's model can serve prompts, downloading it first
+ * when needed. Callers wait (are queued) while a download is in progress.
+ * @param {string} providerId
+ * @param {AbortSignal} [signal] - Stops waiting (the download itself continues)
+ * @throws {AIError} If the model is unavailable or the download fails
+ * @throws {AbortedError} If `signal` is aborted while waiting
+ */
+async function ensureModelReady(providerId, signal) {
+  if (getModelState(providerId).state === AI.MODEL_STATE_READY) {
+    return;
+  }
+  const state = availabilityToState(await checkAIAvailability({ provider: providerId }));
+  if (state === AI.MODEL_STATE_UNAVAILABLE) {
+    throw new AIError(ERROR_MESSAGES.AI_UNAVAILABLE);
+  }
+  if (state === AI.MODEL_STATE_DOWNLOADABLE || state === AI.MODEL_STATE_DOWNLOADING) {
+    log.info(`Waiting for model download (${providerId})`);
+    await waitUnlessAborted(startModelDownload({ provider: providerId }), signal);
+  }
+}
+
+/**
+ * Current model lifecycle state for the resolved provider
+ * @param {{ provider?: string, tool?: string }} options - Routing options
+ * @returns {{ provider: string, state: string, progress: number, error: string|null }}
+ */
+export function getAIModelState(options = {}) {
+  return getModelState(resolveProviderId(options));
+}
+
+/**
+ * Creates a new AI session (not pooled; callers own its lifetime)
+ * @param {{ provider?: string, tool?: string, initialPrompts?: Array, systemPrompt?: string,
+ *   temperature?: number, topK?: number }} options - Routing options, optional history
+ *   and system prompt to seed the session with, and sampling parameters
  * @returns {Promise<Object>} AI session object
  * @throws {AIError} If session creation fails
  */
-export async function createAISession() {
+export async function createAISession(options = {}) {
+  const providerId = resolveProviderId(options);
   try {
-    log.info('Creating new AI session');
-    
-    const availability = await checkAIAvailability();
+    log.info(`Creating new AI session (${providerId})`);
     
-    if (availability === AI.AVAILABILITY_UNAVAILABLE) {
-      throw new AIError(ERROR_MESSAGES.AI_UNAVAILABLE);
-    }
+    await ensureModelReady(providerId);
 
-    const options = getLanguageOptions();
-    const session = await LanguageModel.create(options);
+    const provider = requireProvider(providerId);
+    const createOptions = {
+      ...getLanguageOptions(),
+      ...getProviderOptions(providerId),
+    };
+    const initialPrompts = Array.isArray(options.initialPrompts) ? options.initialPrompts.slice() : [];
+    if (options.systemPrompt && !(initialPrompts[0] && initialPrompts[0].role === 'system')) {
+      initialPrompts.unshift({ role: 'system', content: options.systemPrompt });
+    }
+    if (initialPrompts.length) {
+      createOptions.initialPrompts = initialPrompts;
+    }
+    // The Prompt API requires temperature and topK together
+    if (Number.isFinite(options.temperature) && Number.isFinite(options.topK)) {
+      createOptions.temperature = options.temperature;
+      createOptions.topK = options.topK;
+    }
+    const session = await provider.create(createOptions);
     
     log.info('AI session created successfully');
     return session;
@@ -140,53 +613,137 @@ export async function createAISession() {
 }
 
 /**
- * Gets or creates the AI session (singleton pattern)
- * @returns {Promise<Object|null>} AI session or null if unavailable
+ * Builds the pool factory that creates a primed session for a purpose
+ * @param {string} providerId
+ * @param {string} purpose
+ * @returns {(config: Object) => Promise<Object>}
  */
-export async function ensureAISession() {
-  if (aiSession) {
-    log.debug('Reusing existing AI session');
-    return aiSession;
-  }
+function purposeFactory(providerId, purpose) {
+  return async (config) => createAISession({
+    provider: providerId,
+    systemPrompt: config.systemPrompt,
+    temperature: config.temperature,
+    topK: config.topK,
+    initialPrompts: purpose === AI.PURPOSE_CHAT ? await loadConversationPrompts() : null,
+  });
+}
 
+/**
+ * Gets or creates the pooled base session for the resolved provider and purpose
+ * @param {{ provider?: string, tool?: string, purpose?: string }} options - Routing options;
+ *   `purpose` picks the pooled session ('chat', 'classifier', 'reranker',
+ *   'editor', 'translator'; default 'general')
+ * @returns {Promise<Object|null>} AI session or null if unavailable
+ */
+export async function ensureAISession(options = {}) {
+  const providerId = resolveProviderId(options);
+  const purpose = options.purpose || AI.PURPOSE_GENERAL;
   try {
-    aiSession = await createAISession();
-    return aiSession;
+    return await getBaseSession(providerId, purpose, purposeFactory(providerId, purpose));
   } catch (error) {
     log.error('Could not ensure AI session:', error);
     return null;
   }
 }
 
+/**
+ * Leases a pooled session for one call (a per-call clone for stateless purposes).
+ * With `routing.sampling` a one-off session is created instead, primed like
+ * the purpose's base session but with the given temperature/topK.
+ * Waits for a pending model download first.
+ * @param {{ provider?: string, tool?: string, purpose?: string,
+ *   sampling?: { temperature: number, topK: number } }} routing
+ * @param {AbortSignal} [signal] - Stops waiting for a model download
+ * @returns {Promise<{ session: Object, release: () => void }>}
+ * @throws {AIError} If no session can be created
+ * @throws {AbortedError} If `signal` is aborted while waiting
+ */
+async function leaseForCall(routing, signal) {
+  const providerId = resolveProviderId(routing);
+  const purpose = routing.purpose || AI.PURPOSE_GENERAL;
+  await ensureModelReady(providerId, signal);
+  try {
+    if (routing.sampling) {
+      const config = getPurposeConfig(purpose);
+      const session = await createAISession({
+        provider: providerId,
+        systemPrompt: config.systemPrompt,
+        temperature: routing.sampling.temperature,
+        topK: routing.sampling.topK,
+        initialPrompts: config.purpose === AI.PURPOSE_CHAT ? await loadConversationPrompts() : null,
+      });
+      return {
+        session,
+        release: () => {
+          try {
+            if (typeof session.destroy === 'function') {
+              session.destroy();
+            }
+          } catch {
+            // Session already gone
+          }
+        },
+      };
+    }
+    return await leaseSession(providerId, purpose, purposeFactory(providerId, purpose));
+  } catch (error) {
+    log.error('Could not lease AI session:', error);
+    throw new AIError(ERROR_MESSAGES.AI_UNAVAILABLE);
+  }
+}
+
 /**
  * Sends a prompt to the AI and gets a response
  * @param {string} prompt - The prompt text
- * @param {Object} options - Additional options (merged with language options)
+ * @param {Object} options - Additional options (merged with language options);
+ *   `tool` / `provider` select the backend, `purpose` the pooled session,
+ *   `sampling` ({ temperature, topK }) uses a one-off session with those values, and
+ *   `overflow` ('truncate' | 'summarize' | 'reject') overrides ai.overflowPolicy;
+ *   none are forwarded
  * @returns {Promise<string>} AI response text
+ * @throws {AbortedError} If `options.signal` is aborted
  * @throws {AIError} If prompt fails
  */
 export async function sendPrompt(prompt, options = {}) {
-  const session = await ensureAISession();
-  
-  if (!session) {
-    throw new AIError(ERROR_MESSAGES.AI_UNAVAILABLE);
-  }
+  const { routing, overflow, promptOptions } = splitRoutingOptions(options);
+  const signal = promptOptions.signal;
+  throwIfAborted(signal);
+  const { session, release } = await leaseForCall(routing, signal);
 
   try {
+    throwIfAborted(signal);
+    prompt = await fitPromptToQuota(session, prompt, {
+      policy: overflow,
+      providerId: resolveProviderId(routing),
+      signal,
+    });
     log.debug('Sending prompt to AI');
-    let mergedOptions = ensureOutputLanguage(options);
+    const mergedOptions = ensureOutputLanguage(promptOptions);
     const response = await session.prompt(prompt, mergedOptions);
+    throwIfAborted(signal);
     log.debug('Received AI response');
+    maybeRecordFixture(resolveProviderId(routing), prompt, response);
     return response;
   } catch (error) {
+    if (isAbortError(error, signal)) {
+      log.debug('Prompt aborted');
+      throw new AbortedError();
+    }
+    if (error instanceof ContextOverflowError) {
+      throw error;
+    }
     // Retry once with enforced 'en' language if output missing
     const msg = String(error && (error.message || error)) || '';
     if (msg.toLowerCase().includes('no output language')) {
       try {
-        const retryOptions = ensureOutputLanguage({ output: { language: 'en' } });
+        const retryOptions = ensureOutputLanguage({ ...promptOptions, output: { language: 'en' } });
         const response = await session.prompt(prompt, retryOptions);
+        maybeRecordFixture(resolveProviderId(routing), prompt, response);
         return response;
       } catch (e2) {
+        if (isAbortError(e2, signal)) {
+          throw new AbortedError();
+        }
         const message2 = getErrorMessage(e2, 'AI prompt failed');
         log.error('Prompt error (retry):', message2);
         throw new AIError(message2);
@@ -195,24 +752,59 @@ export async function sendPrompt(prompt, options = {}) {
     const message = getErrorMessage(error, 'AI prompt failed');
     log.error('Prompt error:', message);
     throw new AIError(message);
+  } finally {
+    release();
+  }
+}
+
+/**
+ * Wraps a model stream so cancellation surfaces as AbortedError and no
+ * further chunks are yielded once the signal is aborted
+ * @param {AsyncIterable<string>} stream - Stream from session.promptStreaming()
+ * @param {AbortSignal} [signal] - Caller's abort signal
+ * @param {() => void} [onDone] - Called once the stream ends, fails or is closed
+ * @param {(text: string) => void} [onComplete] - Called with the full text when the stream finishes normally
+ * @returns {AsyncIterable<string>} Guarded stream
+ */
+async function* guardStream(stream, signal, onDone, onComplete) {
+  let text = '';
+  try {
+    for await (const chunk of stream) {
+      throwIfAborted(signal);
+      text += chunk;
+      yield chunk;
+    }
+    if (onComplete) {
+      onComplete(text);
+    }
+  } catch (error) {
+    if (isAbortError(error, signal)) {
+      throw new AbortedError();
+    }
+    throw error;
+  } finally {
+    if (onDone) {
+      onDone();
+    }
   }
 }
 
 /**
  * Sends a streaming prompt to the AI
  * @param {string} prompt - The prompt text
- * @param {Object} options - Additional options (merged with language options)
+ * @param {Object} options - Additional options (merged with language options);
+ *   routing and `overflow` keys as in sendPrompt()
  * @returns {Promise<AsyncIterable<string>>} Async iterable of response chunks
  * @throws {AIError} If streaming fails
  */
 export async function sendStreamingPrompt(prompt, options = {}) {
-  const session = await ensureAISession();
-  
-  if (!session) {
-    throw new AIError(ERROR_MESSAGES.AI_UNAVAILABLE);
-  }
+  const { routing, overflow, promptOptions } = splitRoutingOptions(options);
+  const signal = promptOptions.signal;
+  throwIfAborted(signal);
+  const { session, release } = await leaseForCall(routing, signal);
 
   if (!session.promptStreaming) {
+    release();
     log.warn('Streaming not available, falling back to regular prompt');
     const response = await sendPrompt(prompt, options);
     // Convert to async iterable
@@ -221,27 +813,46 @@ export async function sendStreamingPrompt(prompt, options = {}) {
     })();
   }
 
+  const providerId = resolveProviderId(routing);
+  const record = (text) => maybeRecordFixture(providerId, prompt, text);
+
   try {
+    throwIfAborted(signal);
+    prompt = await fitPromptToQuota(session, prompt, {
+      policy: overflow,
+      providerId,
+      signal,
+    });
     log.debug('Sending streaming prompt to AI');
-    let mergedOptions = ensureOutputLanguage(options);
+    const mergedOptions = ensureOutputLanguage(promptOptions);
     let stream = session.promptStreaming(prompt, mergedOptions);
     log.debug('Streaming started');
-    return stream;
+    return guardStream(stream, signal, release, record);
   } catch (error) {
+    if (isAbortError(error, signal)) {
+      release();
+      throw new AbortedError();
+    }
+    if (error instanceof ContextOverflowError) {
+      release();
+      throw error;
+    }
     // Retry once with enforced 'en' language
     const msg = String(error && (error.message || error)) || '';
     if (msg.toLowerCase().includes('no output language')) {
       try {
-        const retryOptions = ensureOutputLanguage({ output: { language: 'en' } });
+        const retryOptions = ensureOutputLanguage({ ...promptOptions, output: { language: 'en' } });
         const stream2 = session.promptStreaming(prompt, retryOptions);
         log.debug('Streaming started (retry)');
-        return stream2;
+        return guardStream(stream2, signal, release, record);
       } catch (e2) {
+        release();
         const message2 = getErrorMessage(e2, 'AI streaming failed');
         log.error('Streaming error (retry):', message2);
         throw new AIError(message2);
       }
     }
+    release();
     const message = getErrorMessage(error, 'AI streaming failed');
     log.error('Streaming error:', message);
     throw new AIError(message);
@@ -249,12 +860,119 @@ export async function sendStreamingPrompt(prompt, options = {}) {
 }
 
 /**
- * Clones the current AI session for isolated operations
- * Useful for one-off operations that shouldn't affect main conversation
+ * Parses and validates model output against a schema
+ * @param {string} raw - Model output
+ * @param {Object} schema - JSON schema
+ * @returns {{ ok: boolean, value?: *, error?: string, field?: string|null }}
+ */
+function checkJSON(raw, schema) {
+  const parsed = extractJSON(raw);
+  if (!parsed.ok) {
+    return { ok: false, error: parsed.error, field: null };
+  }
+  const { valid, errors } = validateSchema(parsed.value, schema);
+  if (!valid) {
+    return { ok: false, error: formatSchemaErrors(errors), field: errors[0].path };
+  }
+  return { ok: true, value: parsed.value };
+}
+
+function buildRepairPrompt(raw, schema, problem) {
+  return [
+    'Your previous answer was not valid JSON for the required schema.',
+    `Problem: ${problem}`,
+    `Schema: ${JSON.stringify(schema)}`,
+    'Previous answer:',
+    String(raw ?? '').slice(0, 4000),
+    '',
+    'Return ONLY the corrected JSON. No comments or extra text.',
+  ].join('\n');
+}
+
+/**
+ * Prompts for JSON that conforms to a schema. Uses native constrained decoding
+ * (`responseConstraint`) when the backend supports it, validates the parsed
+ * result, and asks the model to repair its answer when validation fails.
+ * Runs in a per-call clone of the purpose's pooled session so the exchange
+ * never enters shared context.
+ * @param {string} prompt - The prompt text
+ * @param {Object} schema - JSON schema (subset supported by core/schema.js)
+ * @param {Object} options - Same routing / `overflow` / `signal` keys as sendPrompt(),
+ *   plus `repairAttempts` (default 1)
+ * @returns {Promise<*>} Parsed value that satisfies the schema
+ * @throws {ValidationError} If the model output is unusable after repair
+ * @throws {AbortedError} If `options.signal` is aborted
+ */
+export async function promptJSON(prompt, schema, options = {}) {
+  const { repairAttempts = 1, ...rest } = options;
+  const { routing, overflow, promptOptions } = splitRoutingOptions(rest);
+  const signal = promptOptions.signal;
+  throwIfAborted(signal);
+
+  const providerId = resolveProviderId(routing);
+  const { session, release } = await leaseForCall(routing, signal);
+
+  let useConstraint = true;
+  const ask = async (text) => {
+    const base = ensureOutputLanguage(promptOptions);
+    if (useConstraint) {
+      try {
+        const raw = await session.prompt(text, { ...base, responseConstraint: schema });
+        maybeRecordFixture(providerId, text, raw);
+        return raw;
+      } catch (error) {
+        if (isAbortError(error, signal)) {
+          throw new AbortedError();
+        }
+        log.debug('responseConstraint rejected, describing schema in the prompt instead:', error);
+        useConstraint = false;
+      }
+    }
+    const described = `${text}\n\nReturn ONLY JSON that matches this JSON schema:\n${JSON.stringify(schema)}`;
+    const raw = await session.prompt(described, base);
+    maybeRecordFixture(providerId, described, raw);
+    return raw;
+  };
+
+  try {
+    const fitted = await fitPromptToQuota(session, prompt, { policy: overflow, providerId, signal });
+    let raw = await ask(fitted);
+    let result = checkJSON(raw, schema);
+    for (let attempt = 0; !result.ok && attempt < repairAttempts; attempt++) {
+      throwIfAborted(signal);
+      log.debug(`Structured output invalid (${result.error}); repairing`);
+      raw = await ask(buildRepairPrompt(raw, schema, result.error));
+      result = checkJSON(raw, schema);
+    }
+    if (!result.ok) {
+      throw new ValidationError(`Model returned unusable JSON: ${result.error}`, result.field, 'INVALID_MODEL_JSON');
+    }
+    return result.value;
+  } catch (error) {
+    if (isAbortError(error, signal)) {
+      throw new AbortedError();
+    }
+    if (error instanceof AppError) {
+      throw error;
+    }
+    const message = getErrorMessage(error, 'AI prompt failed');
+    log.error('Structured prompt error:', message);
+    throw new AIError(message);
+  } finally {
+    release();
+  }
+}
+
+/**
+ * Clones the pooled session for isolated operations; the caller must
+ * destroy the clone. Useful for one-off operations that shouldn't affect
+ * main conversation.
+ * @param {{ provider?: string, tool?: string, purpose?: string }} options - Routing options
  * @returns {Promise<Object|null>} Cloned session or new session
  */
-export async function cloneAISession() {
-  const session = await ensureAISession();
+export async function cloneAISession(options = {}) {
+  const providerId = resolveProviderId(options);
+  const session = await ensureAISession({ provider: providerId, purpose: options.purpose });
   
   if (!session) {
     return null;
@@ -266,29 +984,20 @@ export async function cloneAISession() {
       return await session.clone();
     } else {
       log.debug('Clone not supported, creating new session');
-      return await createAISession();
+      return await createAISession({ provider: providerId });
     }
   } catch (error) {
     log.error('Failed to clone session:', error);
-    return await createAISession();
+    return await createAISession({ provider: providerId });
   }
 }
 
 /**
- * Destroys the current AI session and frees resources
+ * Destroys every pooled AI session and frees resources
  */
 export function destroyAISession() {
-  if (aiSession) {
-    try {
-      log.info('Destroying AI session');
-      aiSession.destroy();
-      aiSession = null;
-      log.info('AI session destroyed');
-    } catch (error) {
-      log.error('Error destroying AI session:', error);
-      aiSession = null;
-    }
-  }
+  const count = dropSessions();
+  log.info(`Destroyed ${count} AI session(s)`);
 }
 
 /**
@@ -296,9 +1005,12 @@ export function destroyAISession() {
  * @returns {boolean} True if session exists
  */
 export function hasActiveSession() {
-  return aiSession !== null;
+  return pooledSessionCount() > 0;
 }
 
+export { registerProvider, listProviders } from './providers/registry.js';
+export { onModelStateChange } from './model_state.js';
+
 // For non-module script compatibility
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = {
@@ -306,6 +1018,8 @@ if (typeof module !== 'undefined' && module.exports) {
     initializeAI,
     getLanguageOptions,
     checkAIAvailability,
+    startModelDownload,
+    getAIModelState,
     createAISession,
     ensureAISession,
     sendPrompt,
@@ -313,6 +1027,13 @@ if (typeof module !== 'undefined' && module.exports) {
     cloneAISession,
     destroyAISession,
     hasActiveSession,
+    resolveProviderId,
+    setActiveTool,
+    setConversationContext,
+    resetConversationSession,
+    measurePrompt,
+    fitPromptToQuota,
+    promptJSON,
   };
 }
 
@@ -53,7 +53,7 @@ export async function proofreadText(text) {
   }
   try {
     const prompt = `Proofread the following text. Fix grammar and spelling. Return only corrected text. Output language: ${outputLanguage}.\n\n---\n${text}`;
-    const out = await sendPrompt(prompt);
+    const out = await sendPrompt(prompt, { purpose: AI.PURPOSE_EDITOR, overflow: AI.OVERFLOW_REJECT });
     return { ok: true, text: out };
   } catch (e) {
     log.error('Proofread fallback failed:', e);
@@ -85,7 +85,7 @@ export async function rewriteText(text, mode = 'formal') {
       longer: 'Rewrite to be slightly longer and more detailed.',
     }[mode] || 'Rewrite with improvements.';
     const prompt = `${instruction} Return only rewritten text. Output language: ${outputLanguage}.\n\n---\n${text}`;
-    const out = await sendPrompt(prompt);
+    const out = await sendPrompt(prompt, { purpose: AI.PURPOSE_EDITOR, overflow: AI.OVERFLOW_REJECT });
     return { ok: true, text: out };
   } catch (e) {
     log.error('Rewrite fallback failed:', e);
@@ -109,7 +109,7 @@ export async function generateTextFromPrompt(promptText) {
     }
   }
   try {
-    const out = await sendPrompt(`${promptText}\n\nOutput language: ${outputLanguage}.`);
+    const out = await sendPrompt(`${promptText}\n\nOutput language: ${outputLanguage}.`, { purpose: AI.PURPOSE_EDITOR, overflow: AI.OVERFLOW_REJECT });
     return { ok: true, text: out };
   } catch (e) {
     log.error('Writer fallback failed:', e);
@@ -0,0 +1,373 @@
+// Copyright (c) 2025 Gundlapalli Muralidhar,
+// Licensed under the MIT License. See LICENSE file in the project root.
+// LinkedIn: https://www.linkedin.com/in/technomurali/
+//
+// ============================================================================
+// CONVERSATION STORE - Persistent multi-turn memory for General Chat
+// ============================================================================
+// FILE SUMMARY:
+// Keeps every chat turn in chrome.storage.local so a conversation survives the
+// side panel closing. Rebuilds `initialPrompts` for a fresh AI session and
+// folds older turns into a rolling summary once the transcript outgrows the
+// model's context window.
+//
+// Regenerating an answer or editing a user message creates a branch on that
+// turn: the previous version and everything after it are kept in
+// `alternatives`, and switching branches swaps the live tail back in.
+//
+// STORAGE SHAPE (key: `conversation:<id>`):
+// {
+//   id, createdAt, updatedAt,
+//   summary: string,           // rolling summary of turns[0..summarizedCount)
+//   summarizedCount: number,   // how many leading turns the summary covers
+//   turns: [{
+//     id, role: 'user'|'assistant', content, ts,
+//     contexts?: [{ id, label, text }],  // context pills sent with a user turn
+//     alternatives?: [{ content, ts, rest: Turn[]|null }], // branches; rest = turns that
+//     activeIndex?: number                                   // followed (null for the live one)
+//   }]
+// }
+// ============================================================================
+
+import { logger } from '../core/logger.js';
+import { sendPrompt } from './ai.js';
+import { estimateTokensForText, hardCapTextToTokens } from './retrieval/utils/tokenBudget.js';
+
+const log = logger.create('ConversationStore');
+
+const KEY_PREFIX = 'conversation:';
+
+export const DEFAULT_CONVERSATION_ID = 'default';
+
+const DEFAULTS = {
+  maxTokens: 3000,        // budget for summary + replayed turns
+  keepRecentTurns: 6,     // never summarize the most recent N turns
+  summaryTokens: 400,     // cap for the rolling summary
+};
+
+const SYSTEM_PROMPT = 'You are iChrome, a helpful assistant inside the browser side panel. Continue the conversation naturally.';
+
+function storageKey(id) {
+  return `${KEY_PREFIX}${id || DEFAULT_CONVERSATION_ID}`;
+}
+
+function emptyConversation(id) {
+  const now = Date.now();
+  return { id, createdAt: now, updatedAt: now, summary: '', summarizedCount: 0, turns: [] };
+}
+
+function makeTurnId() {
+  return `t-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/**
+ * Loads a conversation (creates an empty one if missing)
+ * @param {string} id - Conversation id
+ * @returns {Promise<Object>} Conversation record
+ */
+export async function loadConversation(id = DEFAULT_CONVERSATION_ID) {
+  try {
+    const key = storageKey(id);
+    const data = await chrome.storage.local.get([key]);
+    const stored = data && data[key];
+    if (stored && Array.isArray(stored.turns)) {
+      return { ...emptyConversation(id), ...stored };
+    }
+  } catch (error) {
+    log.warn('Failed to load conversation:', error);
+  }
+  return emptyConversation(id);
+}
+
+/**
+ * Persists a conversation record
+ * @param {Object} conversation
+ */
+export async function saveConversation(conversation) {
+  try {
+    conversation.updatedAt = Date.now();
+    await chrome.storage.local.set({ [storageKey(conversation.id)]: conversation });
+  } catch (error) {
+    log.error('Failed to save conversation:', error);
+  }
+}
+
+/**
+ * Appends a turn and persists it immediately
+ * @param {string} id - Conversation id
+ * @param {'user'|'assistant'} role
+ * @param {string} content
+ * @param {{ contexts?: Array<{ id?: string, label?: string, text: string }> }} extra -
+ *   `contexts` are the context pills the message was sent with, kept so the
+ *   turn can be re-asked the same way after a regenerate or edit
+ * @returns {Promise<Object>} The stored turn
+ */
+export async function appendTurn(id, role, content, extra = {}) {
+  const conversation = await loadConversation(id);
+  const turn = { id: makeTurnId(), role, content: String(content || ''), ts: Date.now() };
+  const contexts = Array.isArray(extra.contexts) ? extra.contexts.filter((c) => c && c.text) : [];
+  if (contexts.length) {
+    turn.contexts = contexts.map((c) => ({ id: c.id, label: c.label, text: String(c.text) }));
+  }
+  conversation.turns.push(turn);
+  await saveConversation(conversation);
+  return turn;
+}
+
+/**
+ * Deletes every turn and the summary
+ * @param {string} id - Conversation id
+ */
+export async function clearConversation(id = DEFAULT_CONVERSATION_ID) {
+  try {
+    await chrome.storage.local.remove(storageKey(id));
+    log.info('Conversation cleared:', id);
+  } catch (error) {
+    log.warn('Failed to clear conversation:', error);
+  }
+}
+
+/**
+ * Builds LanguageModel `initialPrompts` from the summary and unsummarized turns
+ * @param {Object} conversation
+ * @returns {Array<{ role: string, content: string }>}
+ */
+export function buildInitialPrompts(conversation) {
+  const summary = String(conversation && conversation.summary || '').trim();
+  const system = summary
+    ? `${SYSTEM_PROMPT}\n\nSummary of the earlier conversation:\n${summary}`
+    : SYSTEM_PROMPT;
+  const prompts = [{ role: 'system', content: system }];
+  const turns = (conversation && conversation.turns) || [];
+  for (const turn of turns.slice(conversation.summarizedCount || 0)) {
+    prompts.push({ role: turn.role, content: turn.content });
+  }
+  return prompts;
+}
+
+/**
+ * `initialPrompts` for the conversation as it stood before `turns[index]`.
+ * Drops the summary when it covers turns at or after `index`.
+ * @param {Object} conversation
+ * @param {number} index - Turn index
+ * @returns {Array<{ role: string, content: string }>}
+ */
+export function buildInitialPromptsBefore(conversation, index) {
+  const summarizedCount = conversation.summarizedCount || 0;
+  const covered = summarizedCount <= index;
+  return buildInitialPrompts({
+    ...conversation,
+    summary: covered ? conversation.summary : '',
+    summarizedCount: covered ? summarizedCount : 0,
+    turns: conversation.turns.slice(0, index),
+  });
+}
+
+function ensureAlternatives(turn) {
+  if (!Array.isArray(turn.alternatives) || !turn.alternatives.length) {
+    turn.alternatives = [{ content: turn.content, ts: turn.ts, rest: null }];
+    turn.activeIndex = 0;
+  }
+  return turn.alternatives;
+}
+
+function findTurnIndex(conversation, turnId) {
+  const index = conversation.turns.findIndex((t) => t.id === turnId);
+  if (index < 0) {
+    throw new Error(`Unknown conversation turn: ${turnId}`);
+  }
+  return index;
+}
+
+// A branch that starts inside the summarized range invalidates the summary
+function resetSummaryFrom(conversation, index) {
+  if ((conversation.summarizedCount || 0) > index) {
+    conversation.summary = '';
+    conversation.summarizedCount = 0;
+  }
+}
+
+/**
+ * Adds a new version of a turn (regenerated answer or edited user message),
+ * makes it active and stashes the turns that followed the old version.
+ * The live transcript then ends at this turn.
+ * @param {string} id - Conversation id
+ * @param {string} turnId - Turn to branch
+ * @param {string} content - New content for the turn
+ * @returns {Promise<{ conversation: Object, turn: Object, index: number }>}
+ */
+export async function addBranch(id, turnId, content) {
+  const conversation = await loadConversation(id);
+  const index = findTurnIndex(conversation, turnId);
+  const turn = conversation.turns[index];
+  const alternatives = ensureAlternatives(turn);
+
+  alternatives[turn.activeIndex].rest = conversation.turns.slice(index + 1);
+  alternatives.push({ content: String(content || ''), ts: Date.now(), rest: null });
+  turn.activeIndex = alternatives.length - 1;
+  turn.content = alternatives[turn.activeIndex].content;
+  turn.ts = alternatives[turn.activeIndex].ts;
+  conversation.turns.length = index + 1;
+  resetSummaryFrom(conversation, index);
+
+  await saveConversation(conversation);
+  return { conversation, turn, index };
+}
+
+/**
+ * Switches a turn to another of its versions, restoring the turns that
+ * followed that version
+ * @param {string} id - Conversation id
+ * @param {string} turnId - Branched turn
+ * @param {number} branchIndex - Version to activate (0-based)
+ * @returns {Promise<{ conversation: Object, turn: Object, index: number }>}
+ */
+export async function switchBranch(id, turnId, branchIndex) {
+  const conversation = await loadConversation(id);
+  const index = findTurnIndex(conversation, turnId);
+  const turn = conversation.turns[index];
+  const alternatives = ensureAlternatives(turn);
+  const target = Math.max(0, Math.min(alternatives.length - 1, branchIndex));
+
+  if (target !== turn.activeIndex) {
+    alternatives[turn.activeIndex].rest = conversation.turns.slice(index + 1);
+    const next = alternatives[target];
+    conversation.turns = conversation.turns.slice(0, index + 1).concat(next.rest || []);
+    next.rest = null;
+    turn.activeIndex = target;
+    turn.content = next.content;
+    turn.ts = next.ts;
+    resetSummaryFrom(conversation, index);
+    await saveConversation(conversation);
+  }
+  return { conversation, turn, index };
+}
+
+/**
+ * Branch position of a turn for display ("2/3")
+ * @param {Object} turn
+ * @returns {{ index: number, count: number }}
+ */
+export function getBranchInfo(turn) {
+  const count = Array.isArray(turn && turn.alternatives) ? turn.alternatives.length : 0;
+  return count > 1 ? { index: turn.activeIndex || 0, count } : { index: 0, count: 1 };
+}
+
+function appendTurnsMarkdown(lines, turns, depth) {
+  const indent = '  '.repeat(depth);
+  for (const turn of turns) {
+    const who = turn.role === 'user' ? 'User' : 'Assistant';
+    const alternatives = Array.isArray(turn.alternatives) ? turn.alternatives : [];
+    if (alternatives.length > 1) {
+      alternatives.forEach((alt, i) => {
+        const active = i === turn.activeIndex ? ' (shown)' : '';
+        lines.push(`${indent}**${who}** — version ${i + 1}/${alternatives.length}${active}:`, '');
+        lines.push(...String(alt.content || '').split('\n').map((l) => `${indent}${l}`), '');
+        if (i !== turn.activeIndex && alt.rest && alt.rest.length) {
+          lines.push(`${indent}> Continuation of version ${i + 1}:`, '');
+          appendTurnsMarkdown(lines, alt.rest, depth + 1);
+        }
+      });
+    } else {
+      lines.push(`${indent}**${who}:**`, '');
+      lines.push(...String(turn.content || '').split('\n').map((l) => `${indent}${l}`), '');
+    }
+  }
+}
+
+/**
+ * Renders the conversation, including every branch, as Markdown
+ * @param {Object} conversation
+ * @returns {string}
+ */
+export function exportConversationMarkdown(conversation) {
+  const lines = ['# Chat History', '', `Exported ${new Date().toISOString()}`, ''];
+  if (conversation.summary) {
+    lines.push('## Summary of earlier turns', '', conversation.summary, '');
+  }
+  lines.push('## Transcript', '');
+  appendTurnsMarkdown(lines, conversation.turns || [], 0);
+  return lines.join('\n');
+}
+
+/**
+ * Estimates tokens the conversation would occupy when replayed
+ * @param {Object} conversation
+ * @returns {number}
+ */
+export function estimateConversationTokens(conversation) {
+  return buildInitialPrompts(conversation)
+    .reduce((sum, p) => sum + estimateTokensForText(p.content), 0);
+}
+
+async function summarizeTurns(previousSummary, turns, summaryTokens) {
+  const transcript = turns.map((t) => `${t.role === 'user' ? 'User' : 'Assistant'}: ${t.content}`).join('\n');
+  const prompt = [
+    'Update the running summary of a chat so it keeps facts, decisions, names and open questions.',
+    `Keep it under ${summaryTokens * 3} characters. Return only the summary text.`,
+    '',
+    `Current summary: ${previousSummary || '(none)'}`,
+    '',
+    'New turns:',
+    transcript,
+  ].join('\n');
+
+  // General-purpose pooled session, so the summarization never enters chat context
+  const out = await sendPrompt(prompt);
+  return hardCapTextToTokens(String(out || '').trim(), summaryTokens);
+}
+
+/**
+ * Folds older turns into the rolling summary when the replayed conversation
+ * exceeds the token budget. Turns themselves are never deleted.
+ * @param {string} id - Conversation id
+ * @param {{ maxTokens?: number, keepRecentTurns?: number, summaryTokens?: number }} opts
+ * @returns {Promise<boolean>} True if the summary changed (caller should rebuild the session)
+ */
+export async function compactConversation(id = DEFAULT_CONVERSATION_ID, opts = {}) {
+  const cfg = { ...DEFAULTS, ...opts };
+  const conversation = await loadConversation(id);
+  if (estimateConversationTokens(conversation) <= cfg.maxTokens) {
+    return false;
+  }
+
+  const start = conversation.summarizedCount || 0;
+  const end = Math.max(start, conversation.turns.length - Math.max(0, cfg.keepRecentTurns));
+  if (end <= start) {
+    return false;
+  }
+
+  try {
+    const summary = await summarizeTurns(conversation.summary, conversation.turns.slice(start, end), cfg.summaryTokens);
+    if (!summary) {
+      return false;
+    }
+    conversation.summary = summary;
+    conversation.summarizedCount = end;
+    await saveConversation(conversation);
+    log.info('Conversation compacted:', { id, summarizedCount: end });
+    return true;
+  } catch (error) {
+    log.warn('Conversation summarization failed; keeping full transcript:', error);
+    return false;
+  }
+}
+
+// For non-module script compatibility
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    DEFAULT_CONVERSATION_ID,
+    loadConversation,
+    saveConversation,
+    appendTurn,
+    clearConversation,
+    buildInitialPrompts,
+    buildInitialPromptsBefore,
+    addBranch,
+    switchBranch,
+    getBranchInfo,
+    exportConversationMarkdown,
+    estimateConversationTokens,
+    compactConversation,
+  };
+}
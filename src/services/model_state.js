@@ -0,0 +1,168 @@
+// Copyright (c) 2025 Gundlapalli Muralidhar,
+// Licensed under the MIT License. See LICENSE file in the project root.
+// LinkedIn: https://www.linkedin.com/in/technomurali/
+//
+// ============================================================================
+// MODEL STATE - Per-provider model lifecycle (availability → download → ready)
+// ============================================================================
+// FILE SUMMARY:
+// Tracks where each provider's model is in its lifecycle so the UI can show
+// download progress and callers can wait for the model instead of failing.
+//
+// STATES:
+//   unknown ─► downloadable ─► downloading ─► ready
+//      │                            │
+//      └────────► unavailable       └─► error (download failed; may retry)
+//
+// Every change is published to subscribers and as an 'ai-model-state'
+// document event: { provider, state, progress, error }.
+// ============================================================================
+
+import { AI } from '../core/constants.js';
+import { logger } from '../core/logger.js';
+import { AbortedError } from '../core/errors.js';
+import { emitRetrievalEvent } from './retrieval/utils/events.js';
+
+const log = logger.create('ModelState');
+
+/** @type {Map<string, { provider: string, state: string, progress: number, error: string|null }>} */
+const states = new Map();
+
+/** @type {Set<(state: Object) => void>} */
+const listeners = new Set();
+
+/**
+ * Maps a provider availability string to a lifecycle state. Covers both the
+ * current Prompt API values and the legacy 'readily' / 'after-download' / 'no'.
+ * @param {string} availability
+ * @returns {string} One of AI.MODEL_STATE_*
+ */
+export function availabilityToState(availability) {
+  switch (availability) {
+  case AI.AVAILABILITY_AVAILABLE:
+  case AI.AVAILABILITY_READILY:
+    return AI.MODEL_STATE_READY;
+  case AI.AVAILABILITY_DOWNLOADABLE:
+  case AI.AVAILABILITY_AFTER_DOWNLOAD:
+    return AI.MODEL_STATE_DOWNLOADABLE;
+  case AI.AVAILABILITY_DOWNLOADING:
+    return AI.MODEL_STATE_DOWNLOADING;
+  case AI.AVAILABILITY_NO:
+  case AI.AVAILABILITY_UNAVAILABLE:
+    return AI.MODEL_STATE_UNAVAILABLE;
+  default:
+    return AI.MODEL_STATE_UNKNOWN;
+  }
+}
+
+/**
+ * Current lifecycle state for a provider
+ * @param {string} providerId
+ * @returns {{ provider: string, state: string, progress: number, error: string|null }}
+ */
+export function getModelState(providerId) {
+  return states.get(providerId) || { provider: providerId, state: AI.MODEL_STATE_UNKNOWN, progress: 0, error: null };
+}
+
+/**
+ * Updates a provider's state and notifies subscribers when anything changed
+ * @param {string} providerId
+ * @param {{ state?: string, progress?: number, error?: string|null }} patch
+ * @returns {Object} New state
+ */
+export function setModelState(providerId, patch) {
+  const prev = getModelState(providerId);
+  const next = { ...prev, ...patch, provider: providerId };
+  if (next.state !== AI.MODEL_STATE_ERROR) {
+    next.error = null;
+  }
+  if (next.state === AI.MODEL_STATE_READY) {
+    next.progress = 1;
+  }
+  next.progress = Math.max(0, Math.min(1, Number(next.progress) || 0));
+
+  if (prev.state === next.state && prev.progress === next.progress && prev.error === next.error) {
+    return prev;
+  }
+  states.set(providerId, next);
+  if (prev.state !== next.state) {
+    log.info(`Model state (${providerId}): ${prev.state} → ${next.state}`);
+  }
+  for (const listener of listeners) {
+    try {
+      listener(next);
+    } catch (error) {
+      log.warn('Model state listener failed:', error);
+    }
+  }
+  emitRetrievalEvent('ai-model-state', next);
+  return next;
+}
+
+/**
+ * Subscribes to state changes for every provider
+ * @param {(state: { provider: string, state: string, progress: number, error: string|null }) => void} listener
+ * @returns {() => void} Unsubscribe function
+ */
+export function onModelStateChange(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+/**
+ * Normalizes a 'downloadprogress' event to 0..1. Current Chrome reports
+ * `loaded` as a fraction; older builds report `loaded` / `total` bytes.
+ * @param {{ loaded?: number, total?: number }} event
+ * @returns {number}
+ */
+export function downloadFraction(event) {
+  const loaded = Number(event && event.loaded) || 0;
+  const total = Number(event && event.total) || 0;
+  if (total > 1) {
+    return loaded / total;
+  }
+  return loaded;
+}
+
+/**
+ * Resolves with `promise` unless `signal` aborts first. The underlying work
+ * (e.g. a model download) keeps going; only this caller stops waiting.
+ * @param {Promise<*>} promise
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<*>}
+ * @throws {AbortedError}
+ */
+export function waitUnlessAborted(promise, signal) {
+  if (!signal) {
+    return promise;
+  }
+  if (signal.aborted) {
+    return Promise.reject(new AbortedError());
+  }
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(new AbortedError());
+    signal.addEventListener('abort', onAbort, { once: true });
+    promise.then(
+      (value) => {
+        signal.removeEventListener('abort', onAbort);
+        resolve(value);
+      },
+      (error) => {
+        signal.removeEventListener('abort', onAbort);
+        reject(error);
+      },
+    );
+  });
+}
+
+// For non-module script compatibility
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    availabilityToState,
+    getModelState,
+    setModelState,
+    onModelStateChange,
+    downloadFraction,
+    waitUnlessAborted,
+  };
+}
@@ -7,6 +7,8 @@
 // ============================================================================
 
 import { sendPrompt } from './ai.js';
+import { AI } from '../core/constants.js';
+import { isAbortError, throwIfAborted } from '../core/errors.js';
 import { logger } from '../core/logger.js';
 
 const log = logger.create('MultiChunkProcessor');
@@ -20,32 +22,35 @@ const log = logger.create('MultiChunkProcessor');
  * @param {string} params.query
  * @param {Object} params.config
  * @param {AbortSignal} [params.signal]
+ * @param {{ temperature: number, topK: number }} [params.sampling] - Sampling for every prompt (e.g. regenerate)
  * @param {(info: { phase: 'processing'|'synthesizing', current: number, total: number }) => void} [params.onProgress]
  * @returns {Promise<{ answer: string, items: Array<{ ctxId: string, label?: string, response: string|null, hasAnswer: boolean, error?: string }> }>} result
  */
-export async function processMultiContexts({ contexts, query, config = {}, signal, onProgress }) {
+export async function processMultiContexts({ contexts, query, config = {}, signal, sampling, onProgress }) {
   const items = [];
   const total = Array.isArray(contexts) ? contexts.length : 0;
   const chunkTemplate = getChunkPromptTemplate(config);
 
   for (let i = 0; i < total; i++) {
-    if (signal?.aborted) throw new Error('aborted');
+    throwIfAborted(signal);
     const ctx = contexts[i];
 
     try {
       if (onProgress) onProgress({ phase: 'processing', current: i + 1, total });
       const prompt = buildChunkPrompt(ctx, query, chunkTemplate, i + 1, total);
-      const response = await sendPrompt(prompt, { signal });
+      const response = await sendPrompt(prompt, { signal, sampling, overflow: AI.OVERFLOW_TRUNCATE });
       items.push({ ctxId: ctx.id, label: ctx.label, response, hasAnswer: containsAnswer(response) });
     } catch (error) {
-      if (String(error?.message) === 'aborted') throw error;
+      if (isAbortError(error, signal)) {
+        throw error;
+      }
       log.warn('Chunk processing failed:', error);
       items.push({ ctxId: ctx.id, label: ctx.label, response: null, hasAnswer: false, error: String(error?.message || 'failed') });
     }
   }
 
   if (onProgress) onProgress({ phase: 'synthesizing', current: total, total });
-  const answer = await synthesize(items, query, config, signal);
+  const answer = await synthesize(items, query, config, signal, sampling);
   return { answer, items };
 }
 
@@ -88,7 +93,7 @@ function containsAnswer(response) {
   return !negatives.some(n => s.includes(n));
 }
 
-async function synthesize(items, query, config, signal) {
+async function synthesize(items, query, config, signal, sampling) {
   const valid = items.filter(it => it.hasAnswer && it.response);
   if (valid.length === 0) {
     return 'I could not find relevant information to answer your question in the provided chunks.';
@@ -98,8 +103,11 @@ async function synthesize(items, query, config, signal) {
   if (String(config.synthesizeStrategy || 'llm') === 'llm') {
     const prompt = buildSynthesisPrompt(valid, query);
     try {
-      return await sendPrompt(prompt, { signal });
+      return await sendPrompt(prompt, { signal, sampling, overflow: AI.OVERFLOW_SUMMARIZE });
     } catch (e) {
+      if (isAbortError(e, signal)) {
+        throw e;
+      }
       log.warn('LLM synthesis failed, falling back to concatenation:', e);
       return valid.map(v => v.response).join('\n\n---\n\n');
     }
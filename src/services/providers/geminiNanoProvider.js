@@ -0,0 +1,52 @@
+// Copyright (c) 2025 Gundlapalli Muralidhar,
+// Licensed under the MIT License. See LICENSE file in the project root.
+// LinkedIn: https://www.linkedin.com/in/technomurali/
+//
+// ============================================================================
+// GeminiNanoProvider - Chrome built-in LanguageModel (Gemini Nano)
+// ----------------------------------------------------------------------------
+// Thin pass-through to the global LanguageModel API. Sessions returned here are
+// the native sessions, so prompt/promptStreaming/clone/destroy behave exactly
+// as they did before the provider layer existed.
+// ============================================================================
+
+import { AI } from '../../core/constants.js';
+
+/**
+ * @returns {boolean} True if the LanguageModel global is exposed
+ */
+function isPresent() {
+  return typeof self !== 'undefined' && 'LanguageModel' in self;
+}
+
+/**
+ * @param {Object} options - Language options
+ * @returns {Promise<string>} Availability status
+ */
+async function availability(options) {
+  if (!isPresent()) {
+    return AI.AVAILABILITY_UNAVAILABLE;
+  }
+  return LanguageModel.availability(options);
+}
+
+/**
+ * @param {Object} options - Session options (language, initialPrompts, ...)
+ * @returns {Promise<Object>} Native LanguageModel session
+ */
+async function create(options) {
+  return LanguageModel.create(options);
+}
+
+export const GeminiNanoProvider = {
+  id: AI.PROVIDER_GEMINI_NANO,
+  label: 'Gemini Nano (built-in)',
+  isPresent,
+  availability,
+  create,
+};
+
+// CommonJS fallback
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { GeminiNanoProvider };
+}
@@ -0,0 +1,252 @@
+// Copyright (c) 2025 Gundlapalli Muralidhar,
+// Licensed under the MIT License. See LICENSE file in the project root.
+// LinkedIn: https://www.linkedin.com/in/technomurali/
+//
+// ============================================================================
+// OpenAICompatibleProvider - local /v1/chat/completions endpoint
+// ----------------------------------------------------------------------------
+// Targets servers that speak the OpenAI chat API (llama.cpp server, Ollama,
+// LM Studio, vLLM) on localhost. Sessions keep their own message list so they
+// behave like LanguageModel sessions: prompts accumulate context, clone()
+// forks it, destroy() drops it.
+// ============================================================================
+
+import { AI } from '../../core/constants.js';
+import { NetworkError } from '../../core/errors.js';
+import { logger } from '../../core/logger.js';
+
+const log = logger.create('OpenAICompatibleProvider');
+
+const DEFAULT_ENDPOINT = {
+  baseUrl: 'http://localhost:11434/v1',
+  model: '',
+  apiKey: '',
+};
+
+const PROBE_TIMEOUT_MS = 1500;
+
+function resolveEndpoint(options) {
+  const cfg = { ...DEFAULT_ENDPOINT, ...((options && options.endpoint) || {}) };
+  cfg.baseUrl = String(cfg.baseUrl || DEFAULT_ENDPOINT.baseUrl).replace(/\/+$/, '');
+  return cfg;
+}
+
+function buildHeaders(endpoint) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (endpoint.apiKey) {
+    headers.Authorization = `Bearer ${endpoint.apiKey}`;
+  }
+  return headers;
+}
+
+/**
+ * Converts LanguageModel-style initialPrompts into chat messages.
+ * @param {Array<{ role: string, content: string }>} initialPrompts
+ */
+function toMessages(initialPrompts) {
+  return (Array.isArray(initialPrompts) ? initialPrompts : [])
+    .filter((p) => p && typeof p.content === 'string')
+    .map((p) => ({ role: p.role === 'system' || p.role === 'assistant' ? p.role : 'user', content: p.content }));
+}
+
+/**
+ * Maps prompt options onto the request body (sampling + structured output).
+ */
+function buildRequestBody(endpoint, sessionOptions, messages, promptOptions, stream) {
+  const body = { messages, stream };
+  if (endpoint.model) {
+    body.model = endpoint.model;
+  }
+  const temperature = promptOptions.temperature ?? sessionOptions.temperature;
+  const topK = promptOptions.topK ?? sessionOptions.topK;
+  if (typeof temperature === 'number') {
+    body.temperature = temperature;
+  }
+  if (typeof topK === 'number') {
+    body.top_k = topK;
+  }
+  if (promptOptions.responseConstraint) {
+    body.response_format = {
+      type: 'json_schema',
+      json_schema: { name: 'response', schema: promptOptions.responseConstraint },
+    };
+  }
+  return body;
+}
+
+async function postChat(endpoint, body, signal) {
+  let res;
+  try {
+    res = await fetch(`${endpoint.baseUrl}/chat/completions`, {
+      method: 'POST',
+      headers: buildHeaders(endpoint),
+      body: JSON.stringify(body),
+      signal,
+    });
+  } catch (error) {
+    if (error && error.name === 'AbortError') {
+      throw error;
+    }
+    throw new NetworkError(`Local model endpoint unreachable (${endpoint.baseUrl})`);
+  }
+  if (!res.ok) {
+    let detail = '';
+    try {
+      detail = (await res.text()).slice(0, 200);
+    } catch {
+      // The status code alone is enough to report
+    }
+    throw new NetworkError(`Local model request failed: HTTP ${res.status}${detail ? ` - ${detail}` : ''}`, res.status);
+  }
+  return res;
+}
+
+/**
+ * Parses an SSE body from /chat/completions into content deltas.
+ * @param {Response} res
+ * @returns {AsyncGenerator<string>}
+ */
+async function* readDeltas(res) {
+  const reader = res.body.getReader();
+  const decoder = new TextDecoder();
+  let pending = '';
+  try {
+    while (true) {
+      const { value, done } = await reader.read();
+      if (done) {
+        break;
+      }
+      pending += decoder.decode(value, { stream: true });
+      const lines = pending.split('\n');
+      pending = lines.pop() || '';
+      for (const line of lines) {
+        const trimmed = line.trim();
+        if (!trimmed.startsWith('data:')) {
+          continue;
+        }
+        const data = trimmed.slice(5).trim();
+        if (data === '[DONE]') {
+          return;
+        }
+        try {
+          const json = JSON.parse(data);
+          const delta = json.choices && json.choices[0] && json.choices[0].delta;
+          if (delta && typeof delta.content === 'string' && delta.content) {
+            yield delta.content;
+          }
+        } catch {
+          // Ignore keep-alive or malformed lines
+        }
+      }
+    }
+  } finally {
+    try {
+      reader.releaseLock();
+    } catch {
+      // Already released
+    }
+  }
+}
+
+/**
+ * Creates a session object exposing the LanguageModel session surface.
+ * @param {Object} endpoint - Resolved endpoint config
+ * @param {Object} sessionOptions - Options the session was created with
+ * @param {Array<{ role: string, content: string }>} history - Seed messages
+ */
+function createSession(endpoint, sessionOptions, history) {
+  const messages = history.slice();
+  let destroyed = false;
+
+  function assertAlive() {
+    if (destroyed) {
+      throw new Error('Session has been destroyed');
+    }
+  }
+
+  return {
+    async prompt(input, promptOptions = {}) {
+      assertAlive();
+      const turn = { role: 'user', content: String(input || '') };
+      const body = buildRequestBody(endpoint, sessionOptions, [...messages, turn], promptOptions, false);
+      const res = await postChat(endpoint, body, promptOptions.signal);
+      const json = await res.json();
+      const text = String((json.choices && json.choices[0] && json.choices[0].message && json.choices[0].message.content) || '');
+      messages.push(turn, { role: 'assistant', content: text });
+      return text;
+    },
+
+    promptStreaming(input, promptOptions = {}) {
+      assertAlive();
+      const turn = { role: 'user', content: String(input || '') };
+      const body = buildRequestBody(endpoint, sessionOptions, [...messages, turn], promptOptions, true);
+      return (async function* () {
+        const res = await postChat(endpoint, body, promptOptions.signal);
+        let full = '';
+        for await (const delta of readDeltas(res)) {
+          full += delta;
+          yield delta;
+        }
+        messages.push(turn, { role: 'assistant', content: full });
+      })();
+    },
+
+    async clone() {
+      assertAlive();
+      return createSession(endpoint, sessionOptions, messages);
+    },
+
+    destroy() {
+      destroyed = true;
+      messages.length = 0;
+    },
+  };
+}
+
+/**
+ * Probes the endpoint's /models route.
+ * @param {Object} options - Must carry `endpoint` from settings
+ * @returns {Promise<string>} 'available' or 'unavailable'
+ */
+async function availability(options) {
+  const endpoint = resolveEndpoint(options);
+  const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+  const timer = controller ? setTimeout(() => controller.abort(), PROBE_TIMEOUT_MS) : null;
+  try {
+    const res = await fetch(`${endpoint.baseUrl}/models`, {
+      headers: buildHeaders(endpoint),
+      signal: controller ? controller.signal : undefined,
+    });
+    return res.ok ? AI.AVAILABILITY_AVAILABLE : AI.AVAILABILITY_UNAVAILABLE;
+  } catch (error) {
+    log.warn('Endpoint probe failed:', endpoint.baseUrl, error);
+    return AI.AVAILABILITY_UNAVAILABLE;
+  } finally {
+    if (timer) {
+      clearTimeout(timer);
+    }
+  }
+}
+
+/**
+ * @param {Object} options - Session options plus `endpoint`
+ * @returns {Promise<Object>} Session with prompt/promptStreaming/clone/destroy
+ */
+async function create(options = {}) {
+  const endpoint = resolveEndpoint(options);
+  log.info('Creating session against', endpoint.baseUrl);
+  return createSession(endpoint, options, toMessages(options.initialPrompts));
+}
+
+export const OpenAICompatibleProvider = {
+  id: AI.PROVIDER_OPENAI_COMPATIBLE,
+  label: 'Local OpenAI-compatible endpoint',
+  isPresent: () => typeof fetch === 'function',
+  availability,
+  create,
+};
+
+// CommonJS fallback
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { OpenAICompatibleProvider };
+}
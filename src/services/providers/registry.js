@@ -0,0 +1,54 @@
+// Copyright (c) 2025 Gundlapalli Muralidhar,
+// Licensed under the MIT License. See LICENSE file in the project root.
+// LinkedIn: https://www.linkedin.com/in/technomurali/
+//
+// ============================================================================
+// Provider Registry - pluggable language model backends for ai.js
+// ----------------------------------------------------------------------------
+// A provider mirrors the static LanguageModel surface:
+//   { id, label, isPresent(), availability(options), create(options) }
+// and create() resolves to a session exposing prompt / promptStreaming /
+// clone / destroy. ai.js picks a provider per call; callers never see it.
+// ============================================================================
+
+import { GeminiNanoProvider } from './geminiNanoProvider.js';
+import { OpenAICompatibleProvider } from './openaiCompatibleProvider.js';
+import { StubProvider } from './stubProvider.js';
+
+/** @type {Map<string, Object>} */
+const providers = new Map();
+
+/**
+ * Registers (or replaces) a provider by id.
+ * @param {{ id: string, label?: string, isPresent: Function, availability: Function, create: Function }} provider
+ */
+export function registerProvider(provider) {
+  if (!provider || !provider.id || typeof provider.create !== 'function') {
+    throw new Error('Invalid provider: id and create() are required');
+  }
+  providers.set(provider.id, provider);
+}
+
+/**
+ * @param {string} id
+ * @returns {Object|null}
+ */
+export function getProvider(id) {
+  return providers.get(id) || null;
+}
+
+/**
+ * @returns {{ id: string, label: string }[]} Registered providers for settings UI
+ */
+export function listProviders() {
+  return Array.from(providers.values()).map((p) => ({ id: p.id, label: p.label || p.id }));
+}
+
+registerProvider(GeminiNanoProvider);
+registerProvider(OpenAICompatibleProvider);
+registerProvider(StubProvider);
+
+// CommonJS fallback
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { registerProvider, getProvider, listProviders };
+}
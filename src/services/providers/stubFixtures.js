@@ -0,0 +1,178 @@
+// Copyright (c) 2025 Gundlapalli Muralidhar,
+// Licensed under the MIT License. See LICENSE file in the project root.
+// LinkedIn: https://www.linkedin.com/in/technomurali/
+//
+// ============================================================================
+// Stub Fixtures - record real model responses and replay them offline
+// ----------------------------------------------------------------------------
+// While `ai.recordFixtures` is on, ai.js records each prompt → response pair
+// from a real provider. The stub provider replays an exact match before
+// falling back to its rules. Fixtures persist in chrome.storage.local and can
+// be exported/imported as JSON (e.g. for demos or the eval harness).
+// ============================================================================
+
+import { logger } from '../../core/logger.js';
+
+const log = logger.create('StubFixtures');
+
+const STORAGE_KEY = 'ai:stubFixtures';
+const MAX_FIXTURES = 200;
+
+/** @type {Map<string, { prompt: string, response: string, ts: number }>} */
+const fixtures = new Map();
+/** @type {Promise<void>|null} */
+let storageLoad = null;
+
+/**
+ * Stable key for a prompt (whitespace-insensitive djb2 hash + length)
+ * @param {string} prompt
+ * @returns {string}
+ */
+export function fixtureKey(prompt) {
+  const norm = String(prompt ?? '').replace(/\s+/g, ' ').trim();
+  let h = 5381;
+  for (let i = 0; i < norm.length; i++) {
+    h = ((h << 5) + h) ^ norm.charCodeAt(i);
+  }
+  return `${(h >>> 0).toString(16)}:${norm.length}`;
+}
+
+function hasStorage() {
+  return typeof chrome !== 'undefined' && chrome.storage && chrome.storage.local;
+}
+
+function trim() {
+  while (fixtures.size > MAX_FIXTURES) {
+    fixtures.delete(fixtures.keys().next().value);
+  }
+}
+
+/**
+ * Loads persisted fixtures once per page. Fixtures recorded or imported
+ * before the load finished are newer and win over stored ones.
+ * @returns {Promise<void>}
+ */
+export function loadStoredFixtures() {
+  if (!hasStorage()) {
+    return Promise.resolve();
+  }
+  if (!storageLoad) {
+    storageLoad = (async () => {
+      try {
+        const data = await chrome.storage.local.get([STORAGE_KEY]);
+        const list = (data && data[STORAGE_KEY]) || [];
+        const newer = Array.from(fixtures.values());
+        loadFixtures(list, { persist: false });
+        for (const f of newer) {
+          const key = fixtureKey(f.prompt);
+          fixtures.delete(key);
+          fixtures.set(key, f);
+        }
+        trim();
+      } catch (error) {
+        log.warn('Failed to load stub fixtures:', error);
+      }
+    })();
+  }
+  return storageLoad;
+}
+
+/**
+ * Writes every fixture to storage, merged with the stored ones first so a
+ * page that only recorded does not overwrite fixtures from earlier sessions
+ */
+async function persist() {
+  if (!hasStorage()) {
+    return;
+  }
+  await loadStoredFixtures();
+  try {
+    await chrome.storage.local.set({ [STORAGE_KEY]: exportFixtures() });
+  } catch (error) {
+    log.warn('Failed to persist stub fixtures:', error);
+  }
+}
+
+/**
+ * Adds fixtures (e.g. from an exported JSON file)
+ * @param {Array<{ prompt: string, response: string }>} list
+ * @param {{ persist?: boolean }} options
+ * @returns {number} Number of fixtures loaded
+ */
+export function loadFixtures(list, options = {}) {
+  let count = 0;
+  for (const f of Array.isArray(list) ? list : []) {
+    if (!f || typeof f.prompt !== 'string' || typeof f.response !== 'string') {
+      continue;
+    }
+    fixtures.set(fixtureKey(f.prompt), { prompt: f.prompt, response: f.response, ts: f.ts || Date.now() });
+    count++;
+  }
+  trim();
+  if (options.persist !== false) {
+    persist();
+  }
+  return count;
+}
+
+/**
+ * Returns the recorded response for a prompt, if any
+ * @param {string} prompt
+ * @returns {string|null}
+ */
+export function findFixture(prompt) {
+  const hit = fixtures.get(fixtureKey(prompt));
+  return hit ? hit.response : null;
+}
+
+/**
+ * Records one exchange from a real provider
+ * @param {string} prompt
+ * @param {string} response
+ */
+export function recordFixture(prompt, response) {
+  if (typeof prompt !== 'string' || typeof response !== 'string' || !response) {
+    return;
+  }
+  const key = fixtureKey(prompt);
+  fixtures.delete(key); // re-insert to keep newest last
+  fixtures.set(key, { prompt, response, ts: Date.now() });
+  trim();
+  persist();
+}
+
+/**
+ * All fixtures as a JSON-serializable array (oldest first)
+ * @returns {Array<{ prompt: string, response: string, ts: number }>}
+ */
+export function exportFixtures() {
+  return Array.from(fixtures.values());
+}
+
+/**
+ * Removes every fixture (memory and storage)
+ */
+export async function clearFixtures() {
+  fixtures.clear();
+  if (!hasStorage()) {
+    return;
+  }
+  try {
+    await chrome.storage.local.remove(STORAGE_KEY);
+  } catch (error) {
+    log.warn('Failed to clear stub fixtures:', error);
+  }
+}
+
+// CommonJS fallback
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    fixtureKey,
+    loadStoredFixtures,
+    loadFixtures,
+    findFixture,
+    recordFixture,
+    exportFixtures,
+    clearFixtures,
+  };
+}
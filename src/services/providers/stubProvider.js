@@ -0,0 +1,403 @@
+// Copyright (c) 2025 Gundlapalli Muralidhar,
+// Licensed under the MIT License. See LICENSE file in the project root.
+// LinkedIn: https://www.linkedin.com/in/technomurali/
+//
+// ============================================================================
+// StubProvider - deterministic model for development and demos
+// ----------------------------------------------------------------------------
+// Always available, never touches the network. Replies are a pure function of
+// the prompt text so flows that depend on the model can be exercised
+// repeatably on machines without Gemini Nano.
+//
+// Reply order:
+// 1. Recorded fixture for the exact prompt (see stubFixtures.js)
+// 2. Scripted rules added with registerStubRule()
+// 3. `responseConstraint` → a value generated from the schema
+// 4. Built-in rules: translate/proofread/rewrite echo the text, summaries
+//    and context questions are answered extractively from the prompt
+// ============================================================================
+
+import { AI } from '../../core/constants.js';
+import { findFixture, loadStoredFixtures } from './stubFixtures.js';
+
+const STUB_INPUT_QUOTA = AI.DEFAULT_INPUT_QUOTA;
+
+const STOPWORDS = new Set([
+  'the', 'and', 'for', 'are', 'was', 'were', 'what', 'when', 'where', 'which', 'who', 'why', 'how',
+  'does', 'did', 'can', 'could', 'should', 'would', 'this', 'that', 'these', 'those', 'with', 'from',
+  'about', 'into', 'your', 'you', 'my', 'our', 'their', 'there', 'here', 'have', 'has', 'had', 'not',
+  'any', 'all', 'tell', 'show', 'find', 'please', 'give', 'list', 'page', 'section', 'is', 'of', 'to',
+]);
+
+/** @type {Array<{ match: RegExp|((prompt: string) => boolean), reply: string|((prompt: string) => string) }>} */
+const scriptedRules = [];
+
+const streamConfig = { chunkDelayMs: 15 };
+
+/**
+ * Adds a scripted reply. Rules are checked in registration order after
+ * fixtures and before the built-in rules.
+ * @param {RegExp|((prompt: string) => boolean)} match
+ * @param {string|((prompt: string) => string)} reply
+ */
+export function registerStubRule(match, reply) {
+  scriptedRules.push({ match, reply });
+}
+
+/**
+ * Removes all scripted replies
+ */
+export function clearStubRules() {
+  scriptedRules.length = 0;
+}
+
+/**
+ * Tunes streaming (0 disables the delay between chunks)
+ * @param {{ chunkDelayMs?: number }} options
+ */
+export function configureStub(options = {}) {
+  if (Number.isFinite(options.chunkDelayMs)) {
+    streamConfig.chunkDelayMs = Math.max(0, options.chunkDelayMs);
+  }
+}
+
+function lastLine(text) {
+  const lines = String(text || '').trim().split('\n').map((l) => l.trim()).filter(Boolean);
+  return lines.length ? lines[lines.length - 1] : '';
+}
+
+function terms(text) {
+  return (String(text || '').toLowerCase().match(/[a-z0-9][a-z0-9'-]{2,}/g) || [])
+    .filter((t) => !STOPWORDS.has(t));
+}
+
+/**
+ * Splits a prompt into the question and the context above it.
+ * Recognizes "QUESTION:", "USER QUESTION:", "ORIGINAL QUESTION:", "Question:",
+ * "Query:" and "User:" markers (last one wins; the value may be on the next line).
+ * @param {string} prompt
+ * @returns {{ question: string, context: string }}
+ */
+function splitQuestion(prompt) {
+  const text = String(prompt || '');
+  const re = /^[ \t]*(?:USER QUESTION|ORIGINAL QUESTION|QUESTION|Question|Query|User)\s*:[ \t]*(.*)$/gm;
+  let match = null;
+  let m;
+  while ((m = re.exec(text)) !== null) {
+    match = m;
+  }
+  if (!match) {
+    return { question: '', context: text };
+  }
+
+  let question = match[1].trim();
+  if (!question) {
+    const after = text.slice(match.index + match[0].length).split('\n').map((l) => l.trim()).filter(Boolean);
+    question = after[0] || '';
+  }
+  return { question, context: text.slice(0, match.index) };
+}
+
+function payloadAfter(text, marker) {
+  const i = text.indexOf(marker);
+  return i >= 0 ? text.slice(i + marker.length).trim() : '';
+}
+
+function proofread(text) {
+  return text
+    .replace(/[ \t]{2,}/g, ' ')
+    .replace(/\s+([,.;:!?])/g, '$1')
+    .replace(/(^|[.!?]\s+)([a-z])/g, (_, p, c) => p + c.toUpperCase())
+    .replace(/\bi\b/g, 'I');
+}
+
+function sentencesOf(text) {
+  return String(text || '')
+    .split(/\n+|(?<=[.!?])\s+/)
+    .map((s) => s.trim())
+    .filter((s) => s.length > 20 && !/^(PAGE|URL|SECTION|CONTEXT|CONTENT|CHUNK|INSTRUCTIONS|TASK)\b/.test(s) && !/^-\s/.test(s));
+}
+
+/**
+ * Picks the context sentences sharing the most terms with the question
+ * @returns {string} Answer text ('' when nothing matches)
+ */
+function extractiveAnswer(context, question, maxSentences = 3) {
+  const qTerms = new Set(terms(question));
+  if (!qTerms.size) {
+    return '';
+  }
+  const scored = sentencesOf(context).map((s, i) => {
+    const seen = new Set(terms(s).filter((t) => qTerms.has(t)));
+    return { s, i, score: seen.size };
+  }).filter((x) => x.score > 0);
+  if (!scored.length) {
+    return '';
+  }
+  return scored
+    .sort((a, b) => b.score - a.score || a.i - b.i)
+    .slice(0, maxSentences)
+    .sort((a, b) => a.i - b.i)
+    .map((x) => x.s)
+    .join(' ');
+}
+
+function summarize(text, maxChars = 400) {
+  const out = [];
+  let len = 0;
+  for (const s of sentencesOf(text)) {
+    if (len + s.length > maxChars && out.length) {
+      break;
+    }
+    out.push(s);
+    len += s.length + 1;
+  }
+  return out.join(' ').slice(0, maxChars) || String(text || '').trim().slice(0, maxChars);
+}
+
+/**
+ * Built-in rule-based reply for plain-text prompts
+ * @param {string} prompt
+ * @returns {string}
+ */
+function ruleReply(prompt) {
+  const text = String(prompt || '');
+
+  if (/^Translate the following text/i.test(text)) {
+    return payloadAfter(text, 'Text to translate:') || lastLine(text);
+  }
+  if (/^Proofread\b/i.test(text)) {
+    return proofread(payloadAfter(text, '\n---\n') || lastLine(text));
+  }
+  if (/^Rewrite\b/i.test(text)) {
+    const body = payloadAfter(text, '\n---\n') || lastLine(text);
+    return /concise|shorter/i.test(text) ? summarize(body, Math.max(40, Math.floor(body.length / 2))) : body;
+  }
+  if (/^(Summarize|Update the running summary)\b/i.test(text)) {
+    const limit = Number((text.match(/at most (\d+) characters|under (\d+) characters/) || []).slice(1).find(Boolean)) || 400;
+    const body = text.split('\n').slice(1).join('\n');
+    return summarize(body, limit);
+  }
+
+  const { question, context } = splitQuestion(text);
+  if (question && context.trim()) {
+    const answer = extractiveAnswer(context, question);
+    if (answer) {
+      return answer;
+    }
+    if (/insufficient evidence in these sections/i.test(text)) {
+      return 'insufficient evidence in these sections';
+    }
+    if (/No relevant information found in this section/i.test(text)) {
+      return 'No relevant information found in this section';
+    }
+    return `I could not find anything about "${question.slice(0, 80)}" in the provided context.`;
+  }
+
+  const line = (question || lastLine(text)).slice(0, 120);
+  if (/^(hi|hello|hey)\b/i.test(line)) {
+    return 'Hello! This is the offline stub model, so replies are scripted rather than generated.';
+  }
+  return `Stub response to: "${line}"`;
+}
+
+/**
+ * Enum values ordered by relevance to the question, then by first mention.
+ * Each value is scored on the prompt line that mentions it.
+ */
+function rankEnumValues(values, prompt, question) {
+  const lines = String(prompt || '').split('\n');
+  const qTerms = new Set(terms(question));
+  return values
+    .map((v, i) => {
+      const needle = String(v);
+      const lineIndex = lines.findIndex((l) => l.includes(needle));
+      if (lineIndex < 0) {
+        return null;
+      }
+      const score = terms(lines[lineIndex]).filter((t) => qTerms.has(t)).length;
+      return { v, i, lineIndex, score };
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.score - a.score || a.lineIndex - b.lineIndex || a.i - b.i)
+    .map((x) => x.v);
+}
+
+function pickEnum(values, question) {
+  const q = String(question || '').toLowerCase();
+  const hit = values.find((v) => typeof v === 'string' && v && q.includes(v.toLowerCase()));
+  return hit !== undefined ? hit : values[0];
+}
+
+/**
+ * Generates a value that satisfies a JSON schema, guided by the prompt
+ * @param {Object} schema - JSON schema (subset supported by core/schema.js)
+ * @param {{ prompt: string, question: string }} ctx
+ * @returns {*}
+ */
+function valueForSchema(schema, ctx) {
+  if (!schema || typeof schema !== 'object') {
+    return null;
+  }
+  if ('const' in schema) {
+    return schema.const;
+  }
+  if (Array.isArray(schema.enum) && schema.enum.length) {
+    return pickEnum(schema.enum, ctx.question);
+  }
+
+  const type = Array.isArray(schema.type) ? schema.type[0] : schema.type;
+  switch (type) {
+  case 'object': {
+    const out = {};
+    const props = schema.properties || {};
+    const required = new Set(schema.required || []);
+    for (const [key, child] of Object.entries(props)) {
+      if (required.has(key) || child.type === 'array') {
+        out[key] = valueForSchema(child, ctx);
+      }
+    }
+    return out;
+  }
+  case 'array': {
+    const items = schema.items || {};
+    let arr;
+    if (Array.isArray(items.enum)) {
+      arr = rankEnumValues(items.enum, ctx.prompt, ctx.question);
+    } else if (!items.type || items.type === 'string') {
+      const source = ctx.question || lastLine(ctx.prompt).replace(/^[^:]*:/, '');
+      arr = Array.from(new Set(terms(source)));
+    } else {
+      arr = [];
+    }
+    const min = Number.isFinite(schema.minItems) ? schema.minItems : 0;
+    while (arr.length < min) {
+      arr.push(valueForSchema(items, ctx));
+    }
+    return Number.isFinite(schema.maxItems) ? arr.slice(0, schema.maxItems) : arr;
+  }
+  case 'string': {
+    let s = ctx.question || 'stub';
+    if (Number.isFinite(schema.maxLength)) {
+      s = s.slice(0, schema.maxLength);
+    }
+    if (Number.isFinite(schema.minLength) && s.length < schema.minLength) {
+      s = s.padEnd(schema.minLength, '.');
+    }
+    return s;
+  }
+  case 'integer':
+  case 'number': {
+    let n = Number.isFinite(schema.minimum) ? schema.minimum : 0;
+    if (Number.isFinite(schema.maximum)) {
+      n = Math.min(n, schema.maximum);
+    }
+    return type === 'integer' ? Math.ceil(n) : n;
+  }
+  case 'boolean':
+    return false;
+  default:
+    return null;
+  }
+}
+
+/**
+ * Deterministic reply for a prompt.
+ * @param {string} input
+ * @param {{ responseConstraint?: Object }} options - Prompt options
+ * @returns {string}
+ */
+function respond(input, options = {}) {
+  const prompt = String(input ?? '');
+
+  const fixture = findFixture(prompt);
+  if (fixture !== null) {
+    return fixture;
+  }
+
+  for (const rule of scriptedRules) {
+    const hit = typeof rule.match === 'function' ? rule.match(prompt) : rule.match.test(prompt);
+    if (hit) {
+      return typeof rule.reply === 'function' ? String(rule.reply(prompt)) : String(rule.reply);
+    }
+  }
+
+  if (options.responseConstraint) {
+    const { question } = splitQuestion(prompt);
+    return JSON.stringify(valueForSchema(options.responseConstraint, { prompt, question }));
+  }
+  return ruleReply(prompt);
+}
+
+function abortError() {
+  const error = new Error('aborted');
+  error.name = 'AbortError';
+  return error;
+}
+
+function tokensOf(text) {
+  return Math.ceil(String(text || '').length / 4);
+}
+
+function createSession(history) {
+  const turns = history.slice();
+  const record = (input, text) => {
+    turns.push({ role: 'user', content: String(input || '') }, { role: 'assistant', content: text });
+  };
+  return {
+    inputQuota: STUB_INPUT_QUOTA,
+    get inputUsage() {
+      return turns.reduce((sum, t) => sum + tokensOf(t.content), 0);
+    },
+    async measureInputUsage(input) {
+      return tokensOf(input);
+    },
+    async prompt(input, options = {}) {
+      if (options.signal && options.signal.aborted) {
+        throw abortError();
+      }
+      const text = respond(input, options);
+      record(input, text);
+      return text;
+    },
+    promptStreaming(input, options = {}) {
+      const text = respond(input, options);
+      record(input, text);
+      const { signal } = options;
+      return (async function* () {
+        // Word-sized chunks, like a real model emitting tokens
+        for (const chunk of text.match(/\s*\S+/g) || ['']) {
+          if (signal && signal.aborted) {
+            throw abortError();
+          }
+          if (streamConfig.chunkDelayMs) {
+            await new Promise((resolve) => setTimeout(resolve, streamConfig.chunkDelayMs));
+          }
+          yield chunk;
+        }
+      })();
+    },
+    async clone() {
+      return createSession(turns);
+    },
+    destroy() {
+      turns.length = 0;
+    },
+  };
+}
+
+export const StubProvider = {
+  id: AI.PROVIDER_STUB,
+  label: 'Offline stub (deterministic)',
+  isPresent: () => true,
+  availability: async () => AI.AVAILABILITY_AVAILABLE,
+  create: async (options = {}) => {
+    await loadStoredFixtures();
+    return createSession(Array.isArray(options.initialPrompts) ? options.initialPrompts : []);
+  },
+};
+
+// CommonJS fallback
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { StubProvider, registerStubRule, clearStubRules, configureStub };
+}
@@ -0,0 +1,147 @@
+// Copyright (c) 2025 Gundlapalli Muralidhar,
+// Licensed under the MIT License. See LICENSE file in the project root.
+// LinkedIn: https://www.linkedin.com/in/technomurali/
+//
+// ============================================================================
+// BookmarksAdapter - retrieval over saved bookmarks
+// ----------------------------------------------------------------------------
+// Builds a corpus from the bookmark tree: one small doc per bookmark with its
+// title, URL, folder path and date added, so questions like "which articles
+// on Rust did I save last spring?" can match folder names and dates.
+// ============================================================================
+
+import { logger } from '../../../core/logger.js';
+import { ensurePermission } from '../../permissions.js';
+import { PERMISSIONS } from '../../../core/constants.js';
+import { chunkContent } from '../../../features/page-content/page-content.js';
+
+const log = logger.create('BookmarksAdapter');
+
+function djb2(str) {
+  let h = 5381;
+  for (let i = 0; i < str.length; i++) {
+    h = ((h << 5) + h) ^ str.charCodeAt(i);
+  }
+  return (h >>> 0).toString(16);
+}
+
+/**
+ * Flattens the bookmark tree, keeping each bookmark's folder path
+ * @param {chrome.bookmarks.BookmarkTreeNode[]} nodes
+ * @param {string[]} path - Folder titles from the root
+ * @param {{ id: string, title: string, url: string, dateAdded: number, folder: string }[]} out
+ */
+function collectBookmarks(nodes, path, out) {
+  for (const node of nodes || []) {
+    if (node.url) {
+      out.push({
+        id: String(node.id),
+        title: String(node.title || ''),
+        url: String(node.url),
+        dateAdded: Number(node.dateAdded || 0),
+        folder: path.join(' > '),
+      });
+    }
+    if (node.children) {
+      collectBookmarks(node.children, node.title ? [...path, node.title] : path, out);
+    }
+  }
+}
+
+function formatDate(ms) {
+  if (!ms) {
+    return 'unknown';
+  }
+  try {
+    return new Date(ms).toISOString().slice(0, 10);
+  } catch {
+    return 'unknown';
+  }
+}
+
+/** @param {{ text?: string, maxResults?: number }} context */
+function getIndexKey(context) {
+  const text = String(context && context.text || '');
+  return `bookmarks:q=${text.toLowerCase().slice(0,32)}`;
+}
+
+/**
+ * @param {{ text?: string, maxResults?: number }} context
+ * @returns {Promise<import('../types.js').Document[]>}
+ */
+async function listDocuments(context) {
+  const perm = await ensurePermission(PERMISSIONS.BOOKMARKS);
+  if (!perm || !perm.granted) {
+    log.warn('Bookmarks permission not granted');
+    return [];
+  }
+  const text = String(context && context.text || '').toLowerCase();
+  const maxResults = Number(context && context.maxResults || 500);
+  const tree = await chrome.bookmarks.getTree();
+  const items = [];
+  collectBookmarks(tree, [], items);
+  return items
+    .filter((b) => {
+      if (!text) {
+        return true;
+      }
+      return b.title.toLowerCase().includes(text) || b.url.toLowerCase().includes(text) || b.folder.toLowerCase().includes(text);
+    })
+    .sort((a, b) => b.dateAdded - a.dateAdded)
+    .slice(0, maxResults)
+    .map((b) => {
+      const content = [
+        b.title || b.url,
+        b.url,
+        `Folder: ${b.folder || 'Bookmarks'}`,
+        `Added: ${formatDate(b.dateAdded)}`,
+      ].join('\n');
+      return {
+        id: b.id || djb2(content),
+        title: b.title || b.url || 'Untitled',
+        url: b.url,
+        createdAt: b.dateAdded || Date.now(),
+        updatedAt: b.dateAdded || Date.now(),
+        language: undefined,
+        headings: [],
+        text: content,
+        sizeBytes: content.length,
+        sourceKind: 'bookmark',
+        extra: { folder: b.folder },
+      };
+    });
+}
+
+/** @param {import('../types.js').Document} doc */
+async function computeContentHash(doc) {
+  return djb2(String(doc.text || ''));
+}
+
+/** @param {import('../types.js').Document} doc */
+async function fetchFullText(doc) {
+  return String(doc.text || '');
+}
+
+/**
+ * Namespaces chunk id with doc id for corpus uniqueness: `${doc.id}::${chunk.id}`
+ * @param {import('../types.js').Document} doc
+ * @param {{ maxChunkChars?: number, overlapChars?: number, minChunkChars?: number }} options
+ * @returns {Promise<import('../types.js').Chunk[]>}
+ */
+async function chunkDocument(doc, options = {}) {
+  const payload = { title: doc.title || '', url: doc.url || '', text: String(doc.text || ''), headings: [] };
+  const cfg = { maxChunkChars: 600, overlapChars: 0, minChunkChars: 200, ...options };
+  const chunks = await chunkContent(payload, cfg);
+  return chunks.map((c) => ({ id: `${doc.id}::${String(c.id)}`, docId: String(doc.id), heading: c.heading || '', content: String(c.content || ''), sizeChars: Number(c.sizeBytes || c.content?.length || 0), index: Number(c.index || 0) }));
+}
+
+function captureDisclaimers(_doc) {
+  return [];
+}
+
+export const BookmarksAdapter = { getIndexKey, listDocuments, computeContentHash, fetchFullText, chunkDocument, captureDisclaimers };
+
+// CommonJS fallback
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { BookmarksAdapter };
+}
@@ -0,0 +1,136 @@
+// Copyright (c) 2025 Gundlapalli Muralidhar,
+// Licensed under the MIT License. See LICENSE file in the project root.
+// LinkedIn: https://www.linkedin.com/in/technomurali/
+//
+// ============================================================================
+// TabsAdapter - retrieval over the text of all open tabs
+// ----------------------------------------------------------------------------
+// Captures each eligible tab with the same extraction as @Page (captureTab)
+// and makes one document per tab. The window and tab group are part of the
+// document text, so "the tab in my Research group" can match. Tabs that
+// cannot be scripted (chrome://, discarded, Web Store) are skipped.
+// ============================================================================
+
+import { logger } from '../../../core/logger.js';
+import { captureTab, chunkContent } from '../../../features/page-content/page-content.js';
+import { listOpenTabs, isCapturableTab, getTabGroupLabel } from '../../../features/tabs/tabs.js';
+
+const log = logger.create('TabsAdapter');
+
+// Per-tab text cap so a few huge pages cannot dominate indexing time
+const MAX_TAB_CHARS = 60000;
+
+// Captures per context object: indexing and reading call listDocuments() with
+// the same context, and re-scripting every tab twice per question is slow
+const capturesByContext = new WeakMap();
+
+function djb2(str) {
+  let h = 5381;
+  for (let i = 0; i < str.length; i++) {
+    h = ((h << 5) + h) ^ str.charCodeAt(i);
+  }
+  return (h >>> 0).toString(16);
+}
+
+/** @param {{ maxTabs?: number }} _context */
+function getIndexKey(_context) {
+  return 'tabs:open';
+}
+
+/**
+ * @param {{ maxTabs?: number, tabs?: import('../../../features/tabs/tabs.js').OpenTab[] }} context
+ * @returns {Promise<import('../types.js').Document[]>}
+ */
+async function listDocuments(context) {
+  if (context && typeof context === 'object') {
+    if (!capturesByContext.has(context)) {
+      const pending = captureDocuments(context);
+      capturesByContext.set(context, pending);
+      pending.catch(() => capturesByContext.delete(context));
+    }
+    return capturesByContext.get(context);
+  }
+  return captureDocuments(context);
+}
+
+/**
+ * @param {{ maxTabs?: number, tabs?: import('../../../features/tabs/tabs.js').OpenTab[] }} context
+ * @returns {Promise<import('../types.js').Document[]>}
+ */
+async function captureDocuments(context) {
+  const maxTabs = Number(context && context.maxTabs || 30);
+  const tabs = (context && Array.isArray(context.tabs) ? context.tabs : await listOpenTabs())
+    .filter(isCapturableTab)
+    .slice(0, maxTabs);
+
+  const docs = [];
+  for (const tab of tabs) {
+    let payload;
+    try {
+      payload = await captureTab(tab.tabId);
+    } catch (err) {
+      log.debug('Skipping tab that could not be captured:', tab.url, err && err.message);
+      continue;
+    }
+    const location = getTabGroupLabel(tab);
+    const body = String(payload.text || '').slice(0, MAX_TAB_CHARS);
+    const content = `Open tab: ${location}\n${tab.url}\n\n${body}`;
+    docs.push({
+      id: `tab-${tab.tabId}`,
+      title: String(payload.title || tab.title || 'Untitled tab'),
+      url: String(payload.url || tab.url || ''),
+      createdAt: Number(tab.lastAccessed || Date.now()),
+      updatedAt: Number(payload.timestamp || Date.now()),
+      language: undefined,
+      headings: Array.isArray(payload.headings) ? payload.headings : [],
+      text: content,
+      sizeBytes: content.length,
+      sourceKind: 'tab',
+      extra: { tabId: tab.tabId, windowId: tab.windowId, location },
+    });
+  }
+  log.info(`Captured ${docs.length} of ${tabs.length} eligible tabs`);
+  return docs;
+}
+
+/** @param {import('../types.js').Document} doc */
+async function computeContentHash(doc) {
+  const text = String(doc.text || '');
+  return djb2(`${doc.title || ''}\n${text.slice(0, 16384)}\n${text.length}`);
+}
+
+/** @param {import('../types.js').Document} doc */
+async function fetchFullText(doc) {
+  return String(doc.text || '');
+}
+
+/**
+ * Namespaces chunk id with doc id for corpus uniqueness: `${doc.id}::${chunk.id}`
+ * @param {import('../types.js').Document} doc
+ * @param {{ maxChunkChars?: number, overlapChars?: number, minChunkChars?: number }} options
+ * @returns {Promise<import('../types.js').Chunk[]>}
+ */
+async function chunkDocument(doc, options = {}) {
+  const payload = { title: doc.title || '', url: doc.url || '', text: String(doc.text || ''), headings: Array.isArray(doc.headings) ? doc.headings : [] };
+  const cfg = { maxChunkChars: 4000, overlapChars: 0, minChunkChars: 600, ...options };
+  const chunks = await chunkContent(payload, cfg);
+  return chunks.map((c) => ({
+    id: `${doc.id}::${String(c.id)}`,
+    docId: String(doc.id),
+    heading: c.heading || '',
+    content: String(c.content || ''),
+    sizeChars: Number(c.sizeBytes || c.content?.length || 0),
+    index: Number(c.index || 0),
+  }));
+}
+
+function captureDisclaimers(_doc) {
+  return [];
+}
+
+export const TabsAdapter = { getIndexKey, listDocuments, computeContentHash, fetchFullText, chunkDocument, captureDisclaimers };
+
+// CommonJS fallback
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { TabsAdapter };
+}
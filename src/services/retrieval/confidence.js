@@ -0,0 +1,157 @@
+// Copyright (c) 2025 Gundlapalli Muralidhar,
+// Licensed under the MIT License. See LICENSE file in the project root.
+// LinkedIn: https://www.linkedin.com/in/technomurali/
+//
+// ============================================================================
+// Answer Confidence - evidence-based confidence for retrieval answers
+// ----------------------------------------------------------------------------
+// Scores an answer from three signals instead of its length:
+// - support: share of answer sentences whose terms are found in one of the
+//   chunks that were read (lexical entailment check, no extra model call)
+// - margin: how clearly the chunks that were read out-scored the other
+//   retrieval candidates
+// - refusal: the model said the evidence is insufficient
+// Each result carries a short reason for the UI badge.
+// ============================================================================
+
+import { tokenize } from './utils/bm25.js';
+
+const DEFAULTS = {
+  threshold: 0.7,        // score for 'high' (reading.confidenceThreshold)
+  mediumThreshold: 0.4,
+  sentenceSupport: 0.6,  // share of a sentence's terms that must appear in one chunk
+  supportWeight: 0.75,
+};
+
+const INSUFFICIENT_RE = /\binsufficient evidence\b|\b(?:is|are) not (?:present|mentioned|provided|included|found|covered)\b|\b(?:does|do) not (?:say|mention|contain|include|provide)\b|\bno (?:information|mention|details?)\b|\b(?:cannot|can't|unable to) (?:find|determine|answer)\b/i;
+
+/**
+ * True when the answer says the sources do not contain it
+ * @param {string} answer
+ * @returns {boolean}
+ */
+export function isInsufficientAnswer(answer) {
+  return INSUFFICIENT_RE.test(String(answer || ''));
+}
+
+/**
+ * Answer sentences worth checking: drops citation markers, the trailing
+ * Sources list and fragments with fewer than two terms.
+ * @param {string} answer
+ * @returns {string[]}
+ */
+export function splitAnswerSentences(answer) {
+  const body = String(answer || '')
+    .split(/\n\s*(?:\*\*)?sources?(?:\*\*)?\s*:?/i)[0]
+    .replace(/\[(?:S|Section\s*)?\d+\]/gi, ' ');
+  return body
+    .split(/(?<=[.!?])\s+|\n+/)
+    .map((s) => s.replace(/^[\s>*\-•\d.)]+/, '').trim())
+    .filter((s) => tokenize(s).length >= 2);
+}
+
+/**
+ * Share of a sentence's terms found in the best-matching chunk
+ * @param {string} sentence
+ * @param {Set<string>[]} chunkTerms
+ * @returns {number} 0..1
+ */
+function sentenceOverlap(sentence, chunkTerms) {
+  const terms = Array.from(new Set(tokenize(sentence)));
+  if (!terms.length) {
+    return 0;
+  }
+  let best = 0;
+  for (const set of chunkTerms) {
+    let hit = 0;
+    for (const t of terms) {
+      if (set.has(t)) {
+        hit += 1;
+      }
+    }
+    best = Math.max(best, hit / terms.length);
+  }
+  return best;
+}
+
+/**
+ * Separation between the candidates that were read and the ones that were
+ * not, relative to the whole score range (1 when nothing was left out).
+ * @param {{ score: number }[]} candidates - Sorted best first
+ * @param {number} readCount
+ * @returns {number} 0..1
+ */
+export function scoreMargin(candidates, readCount) {
+  const scores = (candidates || []).map((c) => Number(c.score) || 0);
+  const k = Math.max(1, Math.min(readCount || 1, scores.length));
+  if (scores.length <= k) {
+    return 1;
+  }
+  const range = Math.max(...scores) - Math.min(...scores);
+  if (range <= 0) {
+    return 0;
+  }
+  const mean = (xs) => xs.reduce((a, b) => a + b, 0) / xs.length;
+  return Math.max(0, Math.min(1, (mean(scores.slice(0, k)) - mean(scores.slice(k))) / range));
+}
+
+/**
+ * Scores an answer against the chunk texts it was written from.
+ * @param {{
+ *   answer: string,
+ *   evidence: string[],
+ *   candidates?: { score: number }[],
+ *   readCount?: number,
+ *   options?: Partial<typeof DEFAULTS>,
+ * }} params
+ * @returns {{ level: 'low'|'medium'|'high', score: number, reason: string,
+ *   supported: number, total: number, margin: number, insufficient: boolean }}
+ */
+export function scoreConfidence({ answer, evidence, candidates, readCount, options }) {
+  const cfg = { ...DEFAULTS, ...(options || {}) };
+  const margin = Array.isArray(candidates) && candidates.length
+    ? scoreMargin(candidates, readCount || (evidence || []).length)
+    : 0.5;
+
+  if (isInsufficientAnswer(answer)) {
+    return { level: 'low', score: 0, reason: 'The sources read do not contain the answer', supported: 0, total: 0, margin, insufficient: true };
+  }
+
+  const chunkTerms = (evidence || []).map((text) => new Set(tokenize(text)));
+  const sentences = splitAnswerSentences(answer);
+  const supported = sentences.filter((s) => sentenceOverlap(s, chunkTerms) >= cfg.sentenceSupport).length;
+  const total = sentences.length;
+  const support = total ? supported / total : 0;
+  const score = cfg.supportWeight * support + (1 - cfg.supportWeight) * margin;
+  const level = score >= cfg.threshold ? 'high' : score >= cfg.mediumThreshold ? 'medium' : 'low';
+
+  const parts = [total ? `${supported} of ${total} statements found in the sources` : 'No checkable statements in the answer'];
+  if (margin >= 0.5) {
+    parts.push('clear best match');
+  } else if (margin < 0.2) {
+    parts.push('several sections matched about equally');
+  }
+  const reason = parts.join('; ');
+  return { level, score: Math.round(score * 100) / 100, reason, supported, total, margin: Math.round(margin * 100) / 100, insufficient: false };
+}
+
+/**
+ * Follow-up question for an answer that stayed low-confidence
+ * @param {string} query
+ * @param {string[]} topics - Headings or titles of the best candidates
+ * @returns {string}
+ */
+export function buildClarifyingQuestion(query, topics) {
+  const names = Array.from(new Set((topics || []).map((t) => String(t || '').trim()).filter(Boolean))).slice(0, 3);
+  const q = String(query || '').trim();
+  if (!names.length) {
+    return `I could not find a confident answer to “${q}”. Could you add a detail, such as a name, date or section?`;
+  }
+  const list = names.length === 1 ? `“${names[0]}”` : `${names.slice(0, -1).map((n) => `“${n}”`).join(', ')} or “${names[names.length - 1]}”`;
+  return `I could not find a confident answer to “${q}”. Are you asking about ${list}?`;
+}
+
+// CommonJS fallback
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { isInsufficientAnswer, splitAnswerSentences, scoreMargin, scoreConfidence, buildClarifyingQuestion };
+}
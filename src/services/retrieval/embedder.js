@@ -0,0 +1,259 @@
+// Copyright (c) 2025 Gundlapalli Muralidhar,
+// Licensed under the MIT License. See LICENSE file in the project root.
+// LinkedIn: https://www.linkedin.com/in/technomurali/
+//
+// ============================================================================
+// Embedder - chunk vectors for vector retrieval
+// ----------------------------------------------------------------------------
+// Keeps a priority list of encoders and uses the first one that is available;
+// the extension ships only the built-in hashed n-gram encoder, and
+// registerEncoder() puts another one ahead of it. Chunk vectors are stored
+// with the Index (`index.vectors`, int8-quantized + base64) together with the
+// encoder id, so an index is re-embedded when a different encoder becomes
+// active.
+//
+// The hashed encoder is lexical: the vector leg adds word-variant and
+// partial-word matching to BM25, not semantic matching. A question that shares
+// no words with a section does not find it.
+// ============================================================================
+
+import { logger } from '../../core/logger.js';
+import { HashedEncoder } from './encoders/hashedEncoder.js';
+
+const log = logger.create('Embedder');
+
+/**
+ * @typedef {Object} Encoder
+ * @property {string} id
+ * @property {number} dims
+ * @property {number} maxChars            // longer texts are truncated
+ * @property {() => Promise<boolean>} isAvailable
+ * @property {(texts: string[]) => Promise<Float32Array[]>} embed  // L2-normalized
+ */
+
+/** @type {Encoder[]} Highest priority first */
+const encoders = [HashedEncoder];
+
+/** @type {Map<string, boolean>} Availability is checked once per page */
+const availability = new Map();
+
+/**
+ * Adds an encoder ahead of the built-in ones
+ * @param {Encoder} encoder
+ */
+export function registerEncoder(encoder) {
+  if (!encoder || !encoder.id || typeof encoder.embed !== 'function') {
+    throw new Error('Encoder requires id and embed()');
+  }
+  const existing = encoders.findIndex((e) => e.id === encoder.id);
+  if (existing !== -1) {
+    encoders.splice(existing, 1);
+  }
+  encoders.unshift(encoder);
+  availability.delete(encoder.id);
+}
+
+/**
+ * The encoder that will embed chunks and queries
+ * @returns {Promise<Encoder>}
+ */
+export async function resolveEncoder() {
+  for (const encoder of encoders) {
+    if (!availability.has(encoder.id)) {
+      let ok = false;
+      try {
+        ok = await encoder.isAvailable();
+      } catch {
+        // Treated as unavailable
+      }
+      availability.set(encoder.id, ok);
+      if (ok) {
+        log.info('Using encoder:', encoder.id);
+      }
+    }
+    if (availability.get(encoder.id)) {
+      return encoder;
+    }
+  }
+  return HashedEncoder;
+}
+
+// ============================================
+// STORAGE ENCODING (int8 + base64)
+// ============================================
+
+function quantize(vectors, dims) {
+  const bytes = new Int8Array(vectors.length * dims);
+  vectors.forEach((v, i) => {
+    for (let d = 0; d < dims; d++) {
+      bytes[i * dims + d] = Math.max(-127, Math.min(127, Math.round(v[d] * 127)));
+    }
+  });
+  return encodeBytes(bytes);
+}
+
+function encodeBytes(bytes) {
+  let bin = '';
+  const u8 = new Uint8Array(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  for (let i = 0; i < u8.length; i += 0x8000) {
+    bin += String.fromCharCode.apply(null, u8.subarray(i, i + 0x8000));
+  }
+  return btoa(bin);
+}
+
+function dequantize(data) {
+  const bin = atob(data);
+  const bytes = new Int8Array(bin.length);
+  for (let i = 0; i < bin.length; i++) {
+    bytes[i] = (bin.charCodeAt(i) << 24) >> 24;
+  }
+  return bytes;
+}
+
+/** Decoded vectors, cached per stored `index.vectors` object */
+const decoded = new WeakMap();
+
+function vectorsOf(stored) {
+  let bytes = decoded.get(stored);
+  if (!bytes) {
+    bytes = dequantize(stored.data);
+    decoded.set(stored, bytes);
+  }
+  return bytes;
+}
+
+// ============================================
+// BUILD / QUERY
+// ============================================
+
+/**
+ * Embeds chunks for storage with the Index
+ * @param {{ id: string, text: string }[]} units
+ * @param {{ signal?: AbortSignal }} options
+ * @returns {Promise<{ encoder: string, dims: number, units: string[], data: string }|null>}
+ */
+export async function buildChunkVectors(units, options = {}) {
+  if (!units.length) {
+    return null;
+  }
+  const encoder = await resolveEncoder();
+  const vectors = [];
+  const batch = 16;
+  for (let i = 0; i < units.length; i += batch) {
+    if (options.signal && options.signal.aborted) {
+      return null;
+    }
+    const texts = units.slice(i, i + batch).map((u) => String(u.text || '').slice(0, encoder.maxChars));
+    vectors.push(...await encoder.embed(texts));
+  }
+  return {
+    encoder: encoder.id,
+    dims: encoder.dims,
+    units: units.map((u) => u.id),
+    data: quantize(vectors, encoder.dims),
+  };
+}
+
+/**
+ * Concatenates stored vectors (e.g. from per-document segments). All inputs
+ * must come from the same encoder; others are skipped.
+ * @param {Array<{ encoder: string, dims: number, units: string[], data: string }|null>} list
+ * @returns {{ encoder: string, dims: number, units: string[], data: string }|null}
+ */
+export function mergeVectors(list) {
+  const parts = list.filter((v) => v && v.data);
+  if (!parts.length) {
+    return null;
+  }
+  const { encoder, dims } = parts[0];
+  const same = parts.filter((v) => v.encoder === encoder && v.dims === dims);
+  const bytes = new Int8Array(same.reduce((n, v) => n + v.units.length * dims, 0));
+  const units = [];
+  let offset = 0;
+  for (const v of same) {
+    const b = vectorsOf(v);
+    bytes.set(b, offset);
+    offset += b.length;
+    units.push(...v.units);
+  }
+  return { encoder, dims, units, data: encodeBytes(bytes) };
+}
+
+/**
+ * True when the index has vectors from the currently active encoder
+ * @param {import('./types.js').Index} index
+ * @returns {Promise<boolean>}
+ */
+export async function hasCurrentVectors(index) {
+  if (!index || !index.vectors) {
+    return false;
+  }
+  const encoder = await resolveEncoder();
+  return index.vectors.encoder === encoder.id;
+}
+
+/**
+ * Nearest chunks to the query by cosine similarity
+ * @param {import('./types.js').Index} index
+ * @param {string} query
+ * @param {{ topM?: number, minScore?: number }} cfg
+ * @returns {Promise<{ refId: string, score: number }[]>}
+ */
+export async function vectorRetrieve(index, query, cfg = {}) {
+  const stored = index && index.vectors;
+  if (!stored || !stored.data) {
+    return [];
+  }
+  const encoder = await resolveEncoder();
+  if (encoder.id !== stored.encoder) {
+    return [];
+  }
+
+  const [q] = await encoder.embed([String(query || '')]);
+  const bytes = vectorsOf(stored);
+  const dims = stored.dims;
+  const out = [];
+  for (let i = 0; i < stored.units.length; i++) {
+    let dot = 0;
+    const base = i * dims;
+    for (let d = 0; d < dims; d++) {
+      dot += q[d] * bytes[base + d];
+    }
+    out.push({ refId: stored.units[i], score: dot / 127 });
+  }
+  const minScore = Number(cfg.minScore ?? 0.03);
+  return out
+    .filter((c) => c.score >= minScore)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, Math.max(1, Number(cfg.topM || 12)));
+}
+
+/**
+ * Reciprocal rank fusion: score = Σ 1 / (k + rank) over the ranked lists
+ * @param {{ refId: string }[][]} lists - Each sorted best first
+ * @param {{ k?: number }} cfg
+ * @returns {{ refId: string, score: number }[]}
+ */
+export function reciprocalRankFusion(lists, cfg = {}) {
+  const k = Math.max(1, Number(cfg.k || 60));
+  const scores = new Map();
+  for (const list of lists) {
+    (list || []).forEach((c, rank) => {
+      scores.set(c.refId, (scores.get(c.refId) || 0) + 1 / (k + rank + 1));
+    });
+  }
+  return Array.from(scores, ([refId, score]) => ({ refId, score })).sort((a, b) => b.score - a.score);
+}
+
+// CommonJS fallback
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    registerEncoder,
+    resolveEncoder,
+    buildChunkVectors,
+    mergeVectors,
+    hasCurrentVectors,
+    vectorRetrieve,
+    reciprocalRankFusion,
+  };
+}
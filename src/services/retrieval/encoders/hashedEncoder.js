@@ -0,0 +1,91 @@
+// Copyright (c) 2025 Gundlapalli Muralidhar,
+// Licensed under the MIT License. See LICENSE file in the project root.
+// LinkedIn: https://www.linkedin.com/in/technomurali/
+//
+// ============================================================================
+// Hashed N-gram Encoder - dependency-free CPU text vectors
+// ----------------------------------------------------------------------------
+// Signed feature hashing of word unigrams, word bigrams and character
+// trigrams into a fixed-size, L2-normalized vector. Needs no model file, so
+// it is always available; it is the only encoder the extension ships.
+//
+// It matches inflections and partial words ("conductive" ~ "conductivity")
+// that BM25 misses, but it is still lexical: it cannot relate words that
+// share no characters. Only a neural sentence encoder could.
+// ============================================================================
+
+import { tokenize } from '../utils/bm25.js';
+
+const DIMS = 384;
+
+function hash32(str, seed) {
+  let h = seed >>> 0;
+  for (let i = 0; i < str.length; i++) {
+    h = Math.imul(h ^ str.charCodeAt(i), 0x5bd1e995);
+    h ^= h >>> 13;
+  }
+  return h >>> 0;
+}
+
+/**
+ * @param {string} text
+ * @returns {Float32Array}
+ */
+function encodeOne(text) {
+  // Collect weighted feature counts first so repeated boilerplate is damped
+  const counts = new Map();
+  const add = (feature, weight) => {
+    const prev = counts.get(feature);
+    if (prev) {
+      prev.n += 1;
+    } else {
+      counts.set(feature, { n: 1, weight });
+    }
+  };
+  const words = tokenize(text);
+  for (let i = 0; i < words.length; i++) {
+    const w = words[i];
+    add(`w:${w}`, 1);
+    if (i > 0) {
+      add(`b:${words[i - 1]}_${w}`, 0.5);
+    }
+    const padded = `<${w}>`;
+    for (let j = 0; j + 3 <= padded.length; j++) {
+      add(`c:${padded.slice(j, j + 3)}`, 0.3);
+    }
+  }
+
+  const vec = new Float32Array(DIMS);
+  for (const [feature, { n, weight }] of counts) {
+    const h = hash32(feature, 0x9747b28c);
+    const sign = hash32(feature, 0x2c1b3c6d) & 1 ? 1 : -1;
+    vec[h % DIMS] += sign * weight * (1 + Math.log(n));
+  }
+  let norm = 0;
+  for (let i = 0; i < DIMS; i++) {
+    norm += vec[i] * vec[i];
+  }
+  norm = Math.sqrt(norm) || 1;
+  for (let i = 0; i < DIMS; i++) {
+    vec[i] /= norm;
+  }
+  return vec;
+}
+
+/** @type {import('../embedder.js').Encoder} */
+export const HashedEncoder = {
+  id: 'hashed-ngram-v1',
+  dims: DIMS,
+  maxChars: 20000,
+  async isAvailable() {
+    return true;
+  },
+  async embed(texts) {
+    return texts.map(encodeOne);
+  },
+};
+
+// CommonJS fallback
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { HashedEncoder };
+}
@@ -5,32 +5,319 @@
 // ============================================================================
 // Retrieval Engine - Phase 1 entrypoint (build & cache index for @Page)
 // ----------------------------------------------------------------------------
-// Exposes askWholeCorpus() which for Phase 1 builds an index for a single
-// document (e.g., active page) and caches it. Retrieval/reading will be wired
-// in later phases.
+// Exposes askWholeCorpus() which builds an index for a single document
+// (e.g., active page) and caches it. Multi-document corpora (ChromePad notes,
+// history) are indexed incrementally: each document is a segment keyed by its
+// content hash, so only changed documents are re-chunked and re-summarized,
+// removed ones are tombstoned, and the segments are merged at query time.
+// Questions are classified by intent (retrieval.js classifyQuery) and each
+// intent has its own retrieval and answer strategy; see retrieveRefs() and
+// answerWithRetrieval().
+// With `config.index.abstractive` (opt-in), an LLM summary pass
+// (summarizer.js) runs in the background once the fast extractive index is
+// ready and upgrades the cached index or segments in place, a few documents
+// per pass; a new question cancels running passes so it gets the model.
 // ============================================================================
 
 import { logger } from '../../core/logger.js';
-import { saveIndex, loadIndex, cleanupStore } from './stores/indexStore.js';
-import { buildIndexSingleDoc, buildIndexCorpus } from './indexer.js';
+import { sendPrompt } from '../ai.js';
+import { saveIndex, loadIndex, loadChunks, loadSegments, saveSegments, cleanupStore } from './stores/indexStore.js';
+import { buildIndexSingleDoc, buildDocSegment, mergeSegments } from './indexer.js';
 import { emitRetrievalEvent } from './utils/events.js';
 import { classifyQuery, lexicalRetrieve, rerankWithLLM } from './retrieval.js';
 import { expandQueryTerms } from './utils/synonyms.js';
-import { progressiveRead } from './progressiveReader.js';
+import { tokenize } from './utils/bm25.js';
+import { progressiveRead, readChunks, mapRefsToChunkIds, planAnswerBudget } from './progressiveReader.js';
+import { matchQueryEntities, listEntities } from './entities.js';
+import { locateQuote, findSentenceSpan, findQuoteSpans } from './utils/quoteSpans.js';
+import { scoreConfidence, buildClarifyingQuestion } from './confidence.js';
+import { rewriteFollowUp } from './followUp.js';
+import { getSession, rememberSession, recordSessionTurn } from './stores/memoryStore.js';
+import { generateSummaries } from './summarizer.js';
+import { buildChunkVectors, mergeVectors, hasCurrentVectors, vectorRetrieve, reciprocalRankFusion } from './embedder.js';
+import { throwIfAborted, isAbortError } from '../../core/errors.js';
+import { waitUnlessAborted } from '../model_state.js';
 
 const log = logger.create('RetrievalEngine');
 
 // Simple in-flight build map to avoid duplicate builds per key
 const inflight = new Map(); // key -> Promise<{ index, built }>
 
+// Merged corpus indexes for this page session (segments are what is persisted)
+const mergedCache = new Map(); // `${baseKey}:${corpusHash}` -> Index
+const MERGED_CACHE_SIZE = 4;
+// Removed documents keep their segment this long in case they come back unchanged
+const TOMBSTONE_TTL_MS = 3 * 24 * 3600 * 1000;
+
+// Background LLM summary passes, one per source (all versions of a page or corpus)
+const summarizing = new Map(); // baseKey -> { run: Promise<void>, controller: AbortController }
+const SUMMARY_DELAY_MS = 2000; // let the question that built the index use the model first
+const SUMMARY_MAX_DOCS = 3; // corpus documents upgraded per pass; later questions continue
+
+// "List every X mentioned" answers read from the entity map
+const ENTITY_LIST_LABELS = { person: 'People', organization: 'Organizations', product: 'Products', date: 'Dates', amount: 'Amounts', code: 'Code identifiers', name: 'Names' };
+const MAX_LISTED_ENTITIES = 50;
+const MAX_LIST_SOURCES = 8;
+
+// Query intents (retrieval.js QUERY_INTENTS): how each one is answered
+const INTENT_STYLES = {
+  definition: 'Start with a one-sentence definition, then add detail only if the sections give it.',
+  howto: 'Answer as numbered steps in the order the sections give them.',
+  comparison: 'Compare the items point by point and cover each one; say so when the sections do not mention one of them.',
+  numeric: 'Lead with the exact number, amount, date or duration as written, with its unit.',
+  list: 'Answer as a bulleted list, one item per line.',
+};
+const INTENT_REF_SCALE = { list: 2, howto: 1.5 }; // refs read, as a multiple of retrieval.rerankK
+const QUOTE_WORDS = ['quote', 'exact', 'words', 'wording', 'text', 'sentence', 'verbatim', 'word', 'citation', 'cite', 'say', 'says'];
+const COMPARE_WORDS = ['compare', 'comparison', 'versus', 'vs', 'difference', 'differences', 'different', 'between', 'better', 'worse', 'than', 'cheaper', 'faster'];
+const MAX_SYNOPSIS_SECTIONS = 12;
+
+/**
+ * Embeds chunks for storage with an index or segment
+ * @param {import('./types.js').Chunk[]} chunks
+ * @param {{ signal?: AbortSignal }=} config
+ */
+async function embedChunks(chunks, config) {
+  try {
+    return await buildChunkVectors(
+      chunks.map((c) => ({ id: c.id, text: [c.heading, c.content].filter(Boolean).join('\n') })),
+      { signal: config && config.signal },
+    );
+  } catch (err) {
+    log.warn('Chunk embedding failed; lexical retrieval only', err);
+    return null;
+  }
+}
+
+/**
+ * True when a cached index/segment can be reused with the active encoder
+ * @param {{ vectors?: Object, inverted?: Object }} indexLike
+ * @param {boolean} wantVectors
+ */
+async function vectorsUpToDate(indexLike, wantVectors) {
+  if (!wantVectors) {
+    return true;
+  }
+  if (indexLike.inverted && indexLike.inverted.units.length === 0) {
+    return true;
+  } // nothing to embed
+  return hasCurrentVectors(indexLike);
+}
+
+/**
+ * Runs an LLM summary pass in the background unless one is already running
+ * for the source or `config.index.abstractive` is off. Failures keep the
+ * extractive summaries; cancelSummaries() stops the pass.
+ * @param {string} baseKey - Source key (adapter.getIndexKey), shared by every version of its content
+ * @param {(signal: AbortSignal) => Promise<number>} task - Resolves to the number of documents upgraded
+ * @param {any} config
+ */
+function scheduleSummaries(baseKey, task, config) {
+  const cfg = (config && config.index) || {};
+  if (!cfg.abstractive || summarizing.has(baseKey)) {
+    return;
+  }
+  const delay = Math.max(0, Number(cfg.abstractiveDelayMs ?? SUMMARY_DELAY_MS));
+  const controller = new AbortController();
+  const run = waitUnlessAborted(new Promise((resolve) => setTimeout(resolve, delay)), controller.signal)
+    .then(() => task(controller.signal))
+    .then((upgraded) => {
+      if (upgraded) {
+        emitRetrievalEvent('retrieval-summaries', { key: baseKey, upgraded });
+      }
+    })
+    .catch((err) => {
+      if (isAbortError(err, controller.signal)) {
+        log.debug('Abstractive summaries cancelled', { key: baseKey });
+      } else {
+        log.warn('Abstractive summaries failed; keeping extractive ones', err);
+      }
+    })
+    .finally(() => {
+      if (summarizing.get(baseKey) && summarizing.get(baseKey).controller === controller) {
+        summarizing.delete(baseKey);
+      }
+    });
+  summarizing.set(baseKey, { run, controller });
+}
+
+/**
+ * Stops background summary passes (all of them when no key is given).
+ * Work already saved is kept; the next question on the source resumes.
+ * @param {string} [baseKey]
+ */
+export function cancelSummaries(baseKey) {
+  for (const [key, pass] of summarizing) {
+    if (baseKey && key !== baseKey) {
+      continue;
+    }
+    pass.controller.abort();
+    summarizing.delete(key);
+  }
+}
+
+/**
+ * Replaces a single-document index's summaries with LLM ones, in place
+ * (callers holding the index see the upgrade) and in the IndexStore.
+ * @returns {Promise<number>}
+ */
+async function upgradeIndexSummaries({ adapter, doc, index, storeKey, config, signal }) {
+  if (index.meta && index.meta.summarizer) {
+    return 0;
+  }
+  const chunks = await loadChunks(storeKey) || await adapter.chunkDocument(doc, config && config.chunking || {});
+  const generated = await generateSummaries({ title: doc.title, chunks, signal, options: config.index && config.index.summaries });
+  if (!generated) {
+    return 0;
+  }
+  throwIfAborted(signal);
+  const upgraded = buildIndexSingleDoc(doc, chunks, { budget: config.index || {}, contentHash: index.meta.contentHash, generated });
+  upgraded.meta.createdAt = index.meta.createdAt;
+  Object.assign(index, upgraded, { key: storeKey, vectors: index.vectors });
+  await saveIndex(storeKey, index, { chunks });
+  log.info('Index summaries upgraded', { key: storeKey, backend: generated.backend });
+  return 1;
+}
+
+/**
+ * Replaces the summaries of up to `index.abstractiveMaxDocs` live segments
+ * that have not been upgraded yet, saving each one as it is done, then
+ * refreshes the merged index in place (also when cancelled part-way).
+ * @returns {Promise<number>}
+ */
+async function upgradeSegmentSummaries({ adapter, docs, baseKey, storeKey, contentHash, config, signal }) {
+  const corpusKey = `${baseKey}#segments`;
+  const budget = config.index || {};
+  const maxDocs = Math.max(1, Number(budget.abstractiveMaxDocs || SUMMARY_MAX_DOCS));
+  const records = new Map((await loadSegments(corpusKey)).map((r) => [r.docId, r]));
+  let upgraded = 0;
+  try {
+    for (const doc of docs) {
+      if (upgraded >= maxDocs) {
+        break;
+      }
+      const record = records.get(String(doc.id));
+      if (!record || record.deletedAt || record.segment.summarizer) {
+        continue;
+      }
+      const chunks = await adapter.chunkDocument(doc, config.chunking || {});
+      const generated = await generateSummaries({ title: doc.title, chunks, signal, options: budget.summaries });
+      if (!generated) {
+        continue;
+      }
+      throwIfAborted(signal);
+      const segment = { ...buildDocSegment(doc, chunks, { budget, contentHash: record.hash, generated }), vectors: record.segment.vectors };
+      const next = { ...record, segment, bytes: 0 }; // re-measured on save
+      records.set(next.docId, next);
+      await saveSegments(corpusKey, { put: [next], all: Array.from(records.values()) });
+      upgraded++;
+    }
+  } finally {
+    const merged = upgraded ? mergedCache.get(storeKey) : null;
+    if (merged) {
+      const live = docs.map((d) => records.get(String(d.id))).filter((r) => r && !r.deletedAt).map((r) => r.segment);
+      Object.assign(merged, mergeSegments(live, { budget, contentHash }), { key: storeKey, vectors: merged.vectors });
+    }
+    if (upgraded) {
+      log.info('Segment summaries upgraded', { key: baseKey, docs: upgraded });
+    }
+  }
+  return upgraded;
+}
+
+/**
+ * Brings a corpus' per-document segments up to date and merges them.
+ * @param {{ adapter: any, docs: import('./types.js').Document[], hashes: string[], baseKey: string,
+ *   storeKey: string, contentHash: string, config?: any, wantVectors: boolean,
+ *   report: (phase: string, percent: number) => void }} params
+ * @returns {Promise<{ index: import('./types.js').Index, built: boolean }>}
+ */
+async function syncCorpusSegments({ adapter, docs, hashes, baseKey, storeKey, contentHash, config, wantVectors, report }) {
+  const corpusKey = `${baseKey}#segments`;
+  const budget = config && config.index || {};
+  report('start', 0);
+  const records = new Map((await loadSegments(corpusKey)).map((r) => [r.docId, r]));
+  const now = Date.now();
+  const put = [];
+  const live = [];
+  let rebuilt = 0;
+
+  for (let i = 0; i < docs.length; i++) {
+    const doc = docs[i];
+    const docId = String(doc.id);
+    const prev = records.get(docId);
+    let record = prev && prev.hash === hashes[i] && prev.segment.entities && await vectorsUpToDate(prev.segment, wantVectors) ? prev : null;
+    if (record && record.deletedAt) {
+      // Removed earlier, back unchanged: revive the tombstoned segment
+      record = { ...record, deletedAt: null };
+      put.push(record);
+    }
+    if (!record) {
+      const chunks = await adapter.chunkDocument(doc, config && config.chunking || {});
+      const segment = buildDocSegment(doc, chunks, { budget, contentHash: hashes[i] });
+      if (wantVectors) {
+        segment.vectors = await embedChunks(chunks, config);
+      }
+      record = { docId, hash: hashes[i], deletedAt: null, segment };
+      put.push(record);
+      rebuilt += 1;
+      report('buildingIndex', Math.round(10 + (75 * (i + 1)) / docs.length));
+    }
+    live.push(record);
+  }
+
+  // Tombstone documents that disappeared; purge old tombstones
+  const present = new Set(docs.map((d) => String(d.id)));
+  const kept = live.slice();
+  const remove = [];
+  let tombstoned = 0;
+  for (const [docId, r] of records) {
+    if (present.has(docId)) {
+      continue;
+    }
+    if (!r.deletedAt) {
+      const tomb = { ...r, deletedAt: now };
+      put.push(tomb);
+      kept.push(tomb);
+      tombstoned += 1;
+    } else if (now - r.deletedAt > TOMBSTONE_TTL_MS) {
+      remove.push(docId);
+    } else {
+      kept.push(r);
+    }
+  }
+  if (put.length || remove.length) {
+    report('saving', 90);
+    await saveSegments(corpusKey, { put, remove, all: kept });
+  }
+
+  const index = mergeSegments(live.map((r) => r.segment), { budget, contentHash });
+  if (wantVectors) {
+    index.vectors = mergeVectors(live.map((r) => r.segment.vectors));
+  }
+  index.key = storeKey;
+  mergedCache.delete(storeKey);
+  mergedCache.set(storeKey, index);
+  while (mergedCache.size > MERGED_CACHE_SIZE) {
+    mergedCache.delete(mergedCache.keys().next().value);
+  }
+
+  log.info('Corpus segments synced', { key: baseKey, docs: docs.length, rebuilt, tombstoned, purged: remove.length });
+  report('done', 100);
+  if (live.some((r) => !r.segment.summarizer)) {
+    scheduleSummaries(baseKey, (signal) => upgradeSegmentSummaries({ adapter, docs, baseKey, storeKey, contentHash, config, signal }), config);
+  }
+  return { index, built: rebuilt > 0 };
+}
+
 /**
  * Phase 1: Build and cache an index for a corpus (single doc for @Page).
  * Future phases will also return retrieval results & answers.
  * @param {{
  *   adapter: any,
  *   context: any,
- *   config?: { index?: any, chunking?: any, debug?: boolean },
- *   sessionId?: string,
+ *   config?: { index?: { abstractive?: boolean, abstractiveDelayMs?: number, abstractiveMaxDocs?: number, summaries?: Object }, chunking?: any, debug?: boolean },
+ *   sessionId?: string,   // follow-up session; its refIds are dropped when they belong to another index
  *   onProgress?: (p: { key: string, phase: string, percent: number }) => void,
  * }} params
  * @returns {Promise<{ index: import('./types.js').Index, built: boolean }>}
@@ -46,28 +333,41 @@ export async function askWholeCorpus({ adapter, context, config, sessionId, onPr
   }
   const baseKey = adapter.getIndexKey(context);
   // Compute content hash: single doc or corpus
-  let contentHash = '';
-  if (docs.length === 1) {
-    contentHash = await adapter.computeContentHash(docs[0]);
-  } else {
-    // Combine hashes for corpus
-    const parts = [];
-    for (const d of docs) parts.push(await adapter.computeContentHash(d));
-    contentHash = (function combine(hs){
-      let acc = 5381;
-      for (const h of hs) {
-        for (let i = 0; i < h.length; i++) acc = ((acc << 5) + acc) ^ h.charCodeAt(i);
-      }
-      return (acc >>> 0).toString(16);
-    })(parts);
+  const hashes = [];
+  for (const d of docs) {
+    hashes.push(await adapter.computeContentHash(d));
   }
+  const contentHash = docs.length === 1 ? hashes[0] : (function combine(hs){
+    let acc = 5381;
+    for (const h of hs) {
+      for (let i = 0; i < h.length; i++) {
+        acc = ((acc << 5) + acc) ^ h.charCodeAt(i);
+      }
+    }
+    return (acc >>> 0).toString(16);
+  })(hashes);
   const storeKey = `${baseKey}:${contentHash}`;
+  // Previous-answer refs only bias follow-ups on the same source (and, for a
+  // single document, the same content, since its chunk ids are positional)
+  if (sessionId) {
+    const session = getSession(sessionId);
+    const stale = session.baseKey !== baseKey || (docs.length === 1 && session.indexKey !== storeKey);
+    if (stale && session.refIds && session.refIds.length) {
+      rememberSession(sessionId, { refIds: [] });
+    }
+    rememberSession(sessionId, { baseKey, indexKey: storeKey });
+  }
+  const wantVectors = !(config && config.retrieval && config.retrieval.vectors === false);
 
-  // Try cache
-  const cached = await loadIndex(storeKey);
-  if (cached) {
+  // Try cache (corpora: merged in memory; single documents: IndexStore)
+  const cached = docs.length > 1 ? mergedCache.get(storeKey) : await loadIndex(storeKey);
+  // Indexes cached before the inverted index or entity map / with another encoder's vectors are rebuilt
+  if (cached && cached.inverted && cached.entities && await vectorsUpToDate(cached, wantVectors)) {
     if (debug) log.info('Index cache hit', { key: storeKey, ms: Date.now() - t0 });
     cached.key = storeKey;
+    if (docs.length === 1 && !(cached.meta && cached.meta.summarizer)) {
+      scheduleSummaries(baseKey, (signal) => upgradeIndexSummaries({ adapter, doc: docs[0], index: cached, storeKey, config, signal }), config);
+    }
     return { index: cached, built: false };
   }
 
@@ -83,33 +383,31 @@ export async function askWholeCorpus({ adapter, context, config, sessionId, onPr
     emitRetrievalEvent('retrieval-progress', payload);
   };
 
-  const buildPromise = (async () => {
-    report('start', 0);
-    // Build fresh
-    report('chunking', 25);
-    let index;
-    if (docs.length === 1) {
+  const buildPromise = (docs.length > 1
+    ? syncCorpusSegments({ adapter, docs, hashes, baseKey, storeKey, contentHash, config, wantVectors, report })
+    : (async () => {
+      report('start', 0);
+      // Build fresh
+      report('chunking', 25);
       const doc = docs[0];
       const chunks = await adapter.chunkDocument(doc, config && config.chunking || {});
       report('buildingIndex', 60);
-      index = buildIndexSingleDoc(doc, chunks, { budget: config && config.index || {}, contentHash });
-    } else {
-      // Corpus: chunk per doc, then build corpus index
-      const chunksByDocId = {};
-      for (const d of docs) {
-        chunksByDocId[d.id] = await adapter.chunkDocument(d, config && config.chunking || {});
+      const index = buildIndexSingleDoc(doc, chunks, { budget: config && config.index || {}, contentHash });
+      if (wantVectors) {
+        report('embedding', 75);
+        index.vectors = await embedChunks(chunks, config);
       }
-      report('buildingIndex', 60);
-      index = buildIndexCorpus(docs, chunksByDocId, { budget: config && config.index || {}, contentHash });
-    }
-    index.key = storeKey;
-    report('saving', 85);
-    await saveIndex(storeKey, index);
-    const ms = Date.now() - t0;
-    if (debug) log.info('Index built & saved', { key: storeKey, ms });
-    report('done', 100);
-    return { index, built: true };
-  })()
+      index.key = storeKey;
+      report('saving', 85);
+      await saveIndex(storeKey, index, { chunks });
+      const ms = Date.now() - t0;
+      if (debug) {
+        log.info('Index built & saved', { key: storeKey, ms });
+      }
+      report('done', 100);
+      scheduleSummaries(baseKey, (signal) => upgradeIndexSummaries({ adapter, doc, index, storeKey, config, signal }), config);
+      return { index, built: true };
+    })())
     .finally(() => {
       inflight.delete(storeKey);
     });
@@ -118,41 +416,455 @@ export async function askWholeCorpus({ adapter, context, config, sessionId, onPr
   return buildPromise;
 }
 
+/**
+ * Raises candidates that cover a previous answer's chunks by `boost` times the
+ * top score; previous chunks the query did not match are kept at the end.
+ * @param {import('./types.js').Index} index
+ * @param {{ refId: string, score: number }[]} candidates
+ * @param {string[]} priorRefIds - Chunk ids
+ * @param {number} [boost]
+ * @returns {{ refId: string, score: number }[]}
+ */
+function boostCandidates(index, candidates, priorRefIds, boost = 0.5) {
+  const prior = new Set(priorRefIds);
+  const top = candidates.length ? Number(candidates[0].score) || 0 : 0;
+  const covers = (c) => mapRefsToChunkIds(index, [c.refId]).some((id) => prior.has(id));
+  const out = candidates.map((c) => (covers(c) ? { ...c, score: c.score + boost * top } : c));
+  const seen = new Set(out.flatMap((c) => mapRefsToChunkIds(index, [c.refId])));
+  const units = new Set((index.inverted && index.inverted.units) || []);
+  for (const id of priorRefIds) {
+    if (!seen.has(id) && units.has(id)) {
+      out.push({ refId: id, score: 0 });
+    }
+  }
+  return out.sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Raises candidates whose chunks mention entities named in the query by
+ * `boost` times the top score, scaled by the share of those entities they
+ * mention; mentioning chunks that were not retrieved are appended.
+ * @param {import('./types.js').Index} index
+ * @param {{ refId: string, score: number }[]} candidates
+ * @param {import('./types.js').EntityEntry[]} entities
+ * @param {number} [boost]
+ * @returns {{ refId: string, score: number }[]}
+ */
+function boostEntityCandidates(index, candidates, entities, boost = 0.3) {
+  const top = candidates.length ? Number(candidates[0].score) || 0 : 1;
+  const share = (chunkIds) => entities.filter((e) => e.chunkIds.some((id) => chunkIds.includes(id))).length / entities.length;
+  const out = candidates.map((c) => {
+    const hit = share(mapRefsToChunkIds(index, [c.refId]));
+    return hit ? { ...c, score: c.score + boost * top * hit } : c;
+  });
+  const seen = new Set(out.flatMap((c) => mapRefsToChunkIds(index, [c.refId])));
+  for (const id of new Set(entities.flatMap((e) => e.chunkIds))) {
+    if (!seen.has(id)) {
+      out.push({ refId: id, score: boost * top * share([id]) });
+    }
+  }
+  return out.sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Raises candidates whose chunks mention an entity of one of `types` (e.g.
+ * amounts and dates for numeric questions) by `boost` times the top score
+ * @param {import('./types.js').Index} index
+ * @param {{ refId: string, score: number }[]} candidates
+ * @param {import('./types.js').EntityType[]} types
+ * @param {number} [boost]
+ * @returns {{ refId: string, score: number }[]}
+ */
+function boostTypedCandidates(index, candidates, types, boost = 0.15) {
+  const typed = new Set(Object.values(index.entities || {}).filter((e) => types.includes(e.type)).flatMap((e) => e.chunkIds));
+  if (!typed.size || !candidates.length) {
+    return candidates;
+  }
+  const top = Number(candidates[0].score) || 0;
+  return candidates
+    .map((c) => (mapRefsToChunkIds(index, [c.refId]).some((id) => typed.has(id)) ? { ...c, score: c.score + boost * top } : c))
+    .sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Moves the earliest chunk among the near-top candidates (within `within` of
+ * the top score) to the front: terms are usually defined where first used
+ * @param {import('./types.js').Index} index
+ * @param {{ refId: string, score: number }[]} candidates
+ * @param {number} [within]
+ * @returns {{ refId: string, score: number }[]}
+ */
+function preferEarliestCandidate(index, candidates, within = 0.8) {
+  const units = (index.inverted && index.inverted.units) || [];
+  if (candidates.length < 2 || !units.length) {
+    return candidates;
+  }
+  const floor = (Number(candidates[0].score) || 0) * within;
+  const position = (c) => {
+    const at = mapRefsToChunkIds(index, [c.refId]).map((id) => units.indexOf(id)).filter((i) => i >= 0);
+    return at.length ? Math.min(...at) : Infinity;
+  };
+  let earliest = 0;
+  for (let i = 1; i < candidates.length && candidates[i].score >= floor; i++) {
+    if (position(candidates[i]) < position(candidates[earliest])) {
+      earliest = i;
+    }
+  }
+  if (!earliest) {
+    return candidates;
+  }
+  const out = candidates.slice();
+  out.unshift(...out.splice(earliest, 1));
+  return out;
+}
+
+/**
+ * Retrieves each compared item on its own, with the rest of the question
+ * (the aspect compared, e.g. "storage") as down-weighted expansion terms
+ * @param {import('./types.js').Index} index
+ * @param {string} query
+ * @param {string[]} subjects
+ * @param {{ topM: number, expansions: string[], bm25?: Object, entityBoost?: number }} opts
+ * @returns {{ refId: string, score: number }[][]} One candidate list per subject
+ */
+function retrievePerSubject(index, query, subjects, opts) {
+  const subjectTerms = new Set(tokenize(subjects.join(' ')));
+  const compareTerms = new Set(tokenize(COMPARE_WORDS.join(' ')));
+  const aspects = tokenize(query).filter((t) => !subjectTerms.has(t) && !compareTerms.has(t));
+  return subjects.map((subject) => {
+    let list = lexicalRetrieve(index, subject, { topM: opts.topM, expansions: [...aspects, ...opts.expansions], bm25: opts.bm25 });
+    const named = matchQueryEntities(index.entities, subject);
+    if (named.length) {
+      list = boostEntityCandidates(index, list, named, opts.entityBoost);
+    }
+    return list;
+  });
+}
+
+/**
+ * Takes refs from each list in turn, skipping refs whose chunks were already taken
+ * @param {import('./types.js').Index} index
+ * @param {{ refId: string }[][]} lists
+ * @param {number} count
+ * @returns {string[]}
+ */
+function interleaveRefs(index, lists, count) {
+  const refIds = [];
+  const taken = new Set();
+  const cursors = lists.map(() => 0);
+  while (refIds.length < count && cursors.some((at, i) => at < lists[i].length)) {
+    lists.forEach((list, i) => {
+      while (refIds.length < count && cursors[i] < list.length) {
+        const ref = list[cursors[i]++].refId;
+        const chunkIds = mapRefsToChunkIds(index, [ref]);
+        if (chunkIds.every((id) => taken.has(id))) {
+          continue;
+        }
+        chunkIds.forEach((id) => taken.add(id));
+        refIds.push(ref);
+        break;
+      }
+    });
+  }
+  return refIds;
+}
+
+/**
+ * Section rollups in reading order, for summary questions
+ * @param {import('./types.js').Index} index
+ * @returns {{ section: { id: string, heading: string, chunkIds: string[] }, summary: import('./types.js').Summary }[]}
+ */
+function sectionRollups(index) {
+  const byRef = new Map((index.summaries || []).filter((s) => s.kind === 'section').map((s) => [s.refId, s]));
+  return (index.sections || [])
+    .filter((sec) => byRef.has(sec.id) && (sec.chunkIds || []).length)
+    .map((sec) => ({ section: sec, summary: byRef.get(sec.id) }))
+    .slice(0, MAX_SYNOPSIS_SECTIONS);
+}
+
+/**
+ * Answers a "list every X mentioned" question from the entity map without a
+ * model call; each source is the first chunk that mentions a listed entity.
+ * @param {{ adapter: any, context: any, index: import('./types.js').Index,
+ *   entityType: import('./types.js').EntityType, entries: import('./types.js').EntityEntry[], config?: any }} params
+ * @returns {Promise<import('./types.js').Answer>}
+ */
+async function answerFromEntityList({ adapter, context, index, entityType, entries, config }) {
+  const listed = entries.slice(0, MAX_LISTED_ENTITIES);
+  const firstChunks = Array.from(new Set(listed.map((e) => e.chunkIds[0]))).slice(0, MAX_LIST_SOURCES);
+  const { docs, selected, usedRefs } = await readChunks({ adapter, context, index, refIds: firstChunks, budget: { kMax: firstChunks.length, perChunkTokenCap: 100000 }, signal: config && config.signal });
+  // Where each entity is first mentioned: its heading, or the document title for generic "Section N" headings
+  const titleOf = new Map(docs.map((d) => [String(d.id), d.title]));
+  const headingOf = new Map(usedRefs.map((u) => {
+    const generic = !u.heading || /^(section|chunk)[\s-]*\d+$/i.test(u.heading);
+    return [u.chunkId, generic ? (docs.length > 1 ? titleOf.get(String(u.docId)) : '') : u.heading];
+  }));
+  const textOf = new Map(selected.map((c) => [c.id, c.text]));
+
+  const label = ENTITY_LIST_LABELS[entityType] || 'Entities';
+  const lines = listed.map((e) => {
+    const heading = headingOf.get(e.chunkIds[0]);
+    const more = e.chunkIds.length > 1 ? ` (${e.chunkIds.length} sections)` : '';
+    return `- ${e.text}${heading ? ` — ${heading}` : ''}${more}`;
+  });
+  const omitted = entries.length - listed.length;
+  const text = [`**${label} mentioned (${entries.length}):**`, '', ...lines, ...(omitted > 0 ? ['', `…and ${omitted} more.`] : [])].join('\n');
+
+  for (const u of usedRefs) {
+    const chunkText = textOf.get(u.chunkId) || '';
+    u.spans = listed
+      .filter((e) => e.chunkIds[0] === u.chunkId)
+      .map((e) => ({ quote: e.text, ...locateQuote(chunkText, e.text) }))
+      .filter((span) => Number.isFinite(span.start));
+  }
+  return {
+    text,
+    usedRefs,
+    confidence: 'high',
+    confidenceReason: `Listed from the ${label.toLowerCase()} found in the index`,
+    confidenceScore: 1,
+    insufficient: false,
+    entityList: { type: entityType, count: entries.length },
+  };
+}
+
+/**
+ * Answers a quote question with the best-matching sentence of each retrieved
+ * chunk, verbatim and without a model call
+ * @param {{ adapter: any, context: any, query: string, index: import('./types.js').Index, refIds: string[],
+ *   candidates: { refId: string, score: number }[], config?: any }} params
+ * @returns {Promise<import('./types.js').Answer|null>} null when no sentence matches the question
+ */
+async function answerWithQuotes({ adapter, context, query, index, refIds, candidates, config }) {
+  const budget = planAnswerBudget(config);
+  const { selected, usedRefs } = await readChunks({ adapter, context, index, refIds, budget: { ...budget, perChunkTokenCap: 100000 }, signal: config && config.signal });
+  const quoted = [];
+  selected.forEach((c, i) => {
+    const span = findSentenceSpan(c.text, query, { ignore: QUOTE_WORDS });
+    if (span) {
+      quoted.push({ ref: { ...usedRefs[i], spans: [span] }, span });
+    }
+  });
+  if (!quoted.length) {
+    return null;
+  }
+
+  const text = quoted.map(({ ref, span }) => `> “${span.quote}”${ref.heading ? ` — ${ref.heading}` : ''}`).join('\n\n');
+  const scored = scoreConfidence({ answer: text, evidence: quoted.map((q) => q.span.quote), candidates, readCount: selected.length });
+  return {
+    text,
+    usedRefs: quoted.map((q) => q.ref),
+    confidence: scored.level,
+    confidenceReason: `Quoted verbatim from ${quoted.length} section${quoted.length === 1 ? '' : 's'}`,
+    confidenceScore: scored.score,
+    insufficient: false,
+  };
+}
+
+/**
+ * Answers a summary question from the index's global synopsis and section
+ * rollups; each section's first chunk is cited
+ * @param {{ adapter: any, context: any, query: string, index: import('./types.js').Index,
+ *   candidates: { refId: string, score: number }[], config?: any }} params
+ * @returns {Promise<import('./types.js').Answer|null>} null when the index has no section rollups
+ */
+async function answerFromSynopsis({ adapter, context, query, index, candidates, config }) {
+  const rollups = sectionRollups(index);
+  if (!rollups.length) {
+    return null;
+  }
+  const signal = config && config.signal;
+  const { docs, selected, usedRefs } = await readChunks({
+    adapter, context, index,
+    refIds: rollups.map((r) => r.section.chunkIds[0]),
+    budget: { kMax: rollups.length, perChunkTokenCap: 300 },
+    signal,
+  });
+  const synopsis = (index.summaries || []).find((s) => s.kind === 'global');
+  const title = String((index.meta && index.meta.title) || (docs.length === 1 ? docs[0].title : '') || '');
+  const prompt = [
+    `Summarize ${title ? `"${title}"` : 'these documents'} for the question below using ONLY the overview and section summaries given. Cover the main points in order in a short paragraph or a few bullets, keeping names, numbers and dates as written.`,
+    '',
+    synopsis ? `OVERVIEW: ${synopsis.text}` : '',
+    ...rollups.map((r, i) => `SECTION ${i + 1}: ${r.section.heading || ''}\n${r.summary.text}`),
+    '',
+    `QUESTION: ${query}`,
+  ].join('\n');
+  throwIfAborted(signal);
+  const answer = await sendPrompt(prompt, { signal });
+  const evidence = rollups.map((r) => r.summary.text).concat(synopsis ? [synopsis.text] : []);
+  const scored = scoreConfidence({ answer, evidence, candidates });
+  const spansByChunk = findQuoteSpans(answer, selected);
+  for (const u of usedRefs) {
+    u.spans = spansByChunk.get(u.chunkId) || [];
+  }
+  return {
+    text: answer,
+    usedRefs,
+    confidence: scored.level,
+    confidenceReason: `Summarized from ${rollups.length} section summar${rollups.length === 1 ? 'y' : 'ies'}; ${scored.reason}`,
+    confidenceScore: scored.score,
+    insufficient: scored.insufficient,
+  };
+}
+
+/**
+ * Headings of the best candidates, used to phrase a clarifying question
+ * (generic "Section N" headings are skipped)
+ * @param {import('./types.js').Index} index
+ * @param {{ refId: string }[]} candidates
+ * @returns {string[]}
+ */
+function candidateTopics(index, candidates) {
+  const sections = (index && index.sections) || [];
+  const topics = [];
+  for (const c of candidates) {
+    const sec = sections.find((s) => s.id === c.refId || (s.chunkIds || []).includes(c.refId));
+    const heading = String(sec && sec.heading || '').replace(/:\s*(section|chunk)[\s-]*\d+$/i, '').trim();
+    if (heading && !/^(section|chunk)[\s-]*\d+$/i.test(heading) && !topics.includes(heading)) {
+      topics.push(heading);
+    }
+    if (topics.length >= 3) {
+      break;
+    }
+  }
+  return topics;
+}
+
 /**
  * Phase 3: Retrieve then progressively read and synthesize an answer with sources.
+ * Reading is multi-hop: follow-up sub-queries from the evidence judge are
+ * retrieved against the same adapter (see progressiveRead). A low-confidence
+ * answer that did not hop is retried once with more sections (up to
+ * reading.maxKMax, unless reading.autoWiden is false); if it is still low the
+ * result carries a clarifying question in `clarify`.
+ * The answer strategy follows the query intent:
+ * - list of entities ("list every X mentioned"): the index's entity map, no model call
+ * - quote: the best-matching sentence of each retrieved section, verbatim, no model call
+ * - summary: the global synopsis and section rollups
+ * - otherwise progressive reading, with an answer shape per intent (INTENT_STYLES)
+ *   and, for comparisons, room for a section per compared item
+ * Quote and summary answers fall back to progressive reading when they find nothing.
+ * Background summary passes are cancelled so the question gets the model.
+ * With a `sessionId` (memoryStore), follow-up questions are rewritten into
+ * standalone queries from the session's recent turns and biased toward the
+ * previous answer's refs; each answer is recorded as a turn of the session.
  * @param {{
  *   adapter: any,
  *   context: any,
  *   query: string,
- *   config?: { index?: any, retrieval?: any, reading?: any, debug?: boolean },
+ *   config?: { index?: any, retrieval?: any, reading?: { kMax?: number, maxKMax?: number, autoWiden?: boolean, multiHop?: boolean, maxHops?: number },
+ *     onHop?: (hop: import('./types.js').ReadingHop) => void, debug?: boolean, signal?: AbortSignal },
+ *   sessionId?: string,
  * }} params
- * @returns {Promise<{ text: string, usedRefs: { docId: string, chunkId: string, heading?: string }[], confidence: 'low'|'medium'|'high' }>}
+ * @returns {Promise<import('./types.js').Answer>}
  */
-export async function answerWithRetrieval({ adapter, context, query, config }) {
-  const { refIds, index } = await retrieveRefs({ adapter, context, query, config });
-  return progressiveRead({ adapter, context, query, index, refIds, config });
+export async function answerWithRetrieval({ adapter, context, query, config, sessionId }) {
+  cancelSummaries(); // the question gets the model; passes resume on later questions
+  const rewritten = sessionId
+    ? await rewriteFollowUp(query, getSession(sessionId), { signal: config && config.signal })
+    : { query, followUp: false };
+  const standalone = rewritten.query;
+  const { refIds, candidates, index, entityList, queryClass } = await retrieveRefs({ adapter, context, query: standalone, config, sessionId, followUp: rewritten.followUp });
+  // Hop sub-queries come from the judge: classify them with the patterns only
+  const hopConfig = { ...config, retrieval: { ...((config && config.retrieval) || {}), classifyWithLLM: false } };
+  const retrieve = (subQuery) => retrieveRefs({ adapter, context, query: subQuery, config: hopConfig });
+  const intent = queryClass.intent;
+  let result = null;
+  if (entityList && entityList.entries.length) {
+    result = await answerFromEntityList({ adapter, context, index, entityType: entityList.type, entries: entityList.entries, config });
+  } else if (intent === 'quote') {
+    result = await answerWithQuotes({ adapter, context, query: standalone, index, refIds, candidates, config });
+  } else if (intent === 'summary') {
+    result = await answerFromSynopsis({ adapter, context, query: standalone, index, candidates, config });
+  }
+  if (!result) {
+    const reading = { ...((config && config.reading) || {}) };
+    if (INTENT_STYLES[intent] && !reading.answerStyle) {
+      reading.answerStyle = INTENT_STYLES[intent];
+    }
+    if (intent === 'comparison' && queryClass.subjects.length >= 2) {
+      reading.kMax = Math.min(Number(reading.maxKMax || 6), Math.max(Number(reading.kMax || 3), queryClass.subjects.length * 2));
+    }
+    result = await readWithFallbacks({ adapter, context, query: standalone, index, refIds, candidates, retrieve, config: { ...config, reading } });
+  }
+  result = { ...result, intent };
+  if (sessionId) {
+    recordSessionTurn(sessionId, { query, standalone: rewritten.followUp ? standalone : undefined, answer: result.text }, { refIds: result.usedRefs.map((u) => u.chunkId) });
+  }
+  return rewritten.followUp ? { ...result, standaloneQuery: standalone } : result;
+}
+
+/**
+ * Reads and answers; a low-confidence answer is widened or gets a clarifying question
+ * @param {{ adapter: any, context: any, query: string, index: import('./types.js').Index, refIds: string[],
+ *   candidates: { refId: string, score: number }[], retrieve: (q: string) => Promise<any>, config?: any }} params
+ * @returns {Promise<import('./types.js').Answer>}
+ */
+async function readWithFallbacks({ adapter, context, query, index, refIds, candidates, retrieve, config }) {
+  const first = await progressiveRead({ adapter, context, query, index, refIds, candidates, retrieve, config });
+  if (first.confidence !== 'low') {
+    return first;
+  }
+
+  const reading = (config && config.reading) || {};
+  const kMax = Math.max(1, Number(reading.kMax || 3));
+  const wideK = Math.max(kMax, Number(reading.maxKMax || 6));
+  const wideRefs = Array.from(new Set([...refIds, ...candidates.map((c) => c.refId)]));
+  const hopped = Array.isArray(first.hops) && first.hops.length > 1;
+  const canWiden = !hopped && reading.autoWiden !== false && wideK > kMax && mapRefsToChunkIds(index, wideRefs).length > first.usedRefs.length;
+  let best = first;
+  if (canWiden) {
+    throwIfAborted(config && config.signal);
+    log.info('Low confidence, widening reading', { from: kMax, to: wideK });
+    const wider = await progressiveRead({ adapter, context, query, index, refIds: wideRefs, candidates, config: { ...config, reading: { ...reading, kMax: wideK, multiHop: false } } });
+    if ((wider.confidenceScore || 0) >= (first.confidenceScore || 0) || first.insufficient) {
+      best = { ...wider, widened: true };
+    }
+  }
+  if (best.confidence === 'low') {
+    best = { ...best, clarify: buildClarifyingQuestion(query, candidateTopics(index, candidates)) };
+  }
+  return best;
 }
 
 /**
  * Phase 2: Ensure index exists, then retrieve top references for a query.
+ * Chunks mentioning entities named in the query are boosted; for "list every
+ * X mentioned" queries `entityList` holds the entities of that type in
+ * reading order. The query intent (`queryClass`, classified by the model
+ * unless retrieval.classifyWithLLM is false) picks the references:
+ * - comparison: each compared item is retrieved on its own and the lists are interleaved
+ * - summary: the sections with rollups, in reading order
+ * - numeric: chunks with amounts or dates are favoured
+ * - definition: the earliest of the near-top chunks leads
+ * - list, howto: more references are kept
+ * Comparison, summary and quote questions skip the LLM rerank.
  * @param {{
  *   adapter: any,
  *   context: any,
  *   query: string,
- *   config?: { index?: any, retrieval?: { topM?: number, rerankK?: number, useLLM?: boolean }, debug?: boolean },
+ *   config?: { index?: any, retrieval?: { topM?: number, rerankK?: number, useLLM?: boolean, bm25?: { k1?: number, fields?: Object }, vectors?: boolean, fusionK?: number, followUpBoost?: number, entityBoost?: number, classifyWithLLM?: boolean }, debug?: boolean, signal?: AbortSignal },
+ *   sessionId?: string,
+ *   followUp?: boolean,   // boost the refs the session's previous answer used
  * }} params
- * @returns {Promise<{ refIds: string[], rationale?: string, candidates: { refId: string, score: number }[], index: import('./types.js').Index }>}
+ * @returns {Promise<{ refIds: string[], rationale?: string, candidates: { refId: string, score: number }[], index: import('./types.js').Index,
+ *   queryClass: import('./retrieval.js').QueryClass,
+ *   entityList?: { type: import('./types.js').EntityType, entries: import('./types.js').EntityEntry[] } }>}
  */
-export async function retrieveRefs({ adapter, context, query, config }) {
+export async function retrieveRefs({ adapter, context, query, config, sessionId, followUp }) {
   const t0 = performance.now();
   // Ensure index exists
-  const { index } = await askWholeCorpus({ adapter, context, config });
+  const signal = config && config.signal;
+  throwIfAborted(signal);
+  const { index } = await askWholeCorpus({ adapter, context, config, sessionId });
+  throwIfAborted(signal);
   const debug = !!(config && config.debug);
   const retrievalCfg = (config && config.retrieval) || {};
 
-  // Classify query (heuristic for now)
+  // Classify query intent (patterns first, the model for unclear questions)
   const tCls0 = performance.now();
-  const cls = await classifyQuery(query);
+  const cls = await classifyQuery(query, { useLLM: retrievalCfg.classifyWithLLM !== false, signal });
   const tCls1 = performance.now();
   if (debug) log.info('Query classified', cls);
 
@@ -160,33 +872,93 @@ export async function retrieveRefs({ adapter, context, query, config }) {
   const tSyn0 = performance.now();
   let expanded = [];
   if (retrievalCfg.expandSynonyms) {
-    expanded = await expandQueryTerms(query, index, { useLLM: !!retrievalCfg.useLLM, limit: 8 });
+    expanded = await expandQueryTerms(query, index, { useLLM: !!retrievalCfg.useLLM, limit: 8, signal });
   }
   const tSyn1 = performance.now();
   const expandedQuery = expanded.length ? `${query} ${expanded.join(' ')}` : query;
 
   // Lexical retrieve
   const tLex0 = performance.now();
-  const candidates = lexicalRetrieve(index, expandedQuery, { topM: retrievalCfg.topM || 12 });
+  const topM = retrievalCfg.topM || 12;
+  const lexical = lexicalRetrieve(index, query, { topM, expansions: expanded, bm25: retrievalCfg.bm25 });
   const tLex1 = performance.now();
-  if (debug) log.info('Lexical candidates', candidates);
+  if (debug) {
+    log.info('Lexical candidates', lexical);
+  }
 
-  // Optional LLM rerank over summaries only
+  // Vector retrieve + reciprocal rank fusion with the lexical list
+  const tVec0 = performance.now();
+  let candidates = lexical;
+  let vectorHits = 0;
+  if (retrievalCfg.vectors !== false && index.vectors) {
+    try {
+      const byVector = await vectorRetrieve(index, query, { topM });
+      throwIfAborted(signal);
+      vectorHits = byVector.length;
+      if (byVector.length) {
+        candidates = reciprocalRankFusion([lexical, byVector], { k: retrievalCfg.fusionK || 60 }).slice(0, topM);
+      }
+      if (debug) {
+        log.info('Vector candidates', byVector);
+      }
+    } catch (err) {
+      throwIfAborted(signal);
+      log.warn('Vector retrieval failed, using lexical candidates', err);
+    }
+  }
+  const tVec1 = performance.now();
+
+  // Entities named in the query: favour the chunks that mention them
+  const queryEntities = matchQueryEntities(index.entities, query);
+  if (queryEntities.length) {
+    candidates = boostEntityCandidates(index, candidates, queryEntities, retrievalCfg.entityBoost);
+    if (debug) {
+      log.info('Entity boost', { entities: queryEntities.map((e) => e.text) });
+    }
+  }
+  if (cls.intent === 'numeric') {
+    candidates = boostTypedCandidates(index, candidates, ['amount', 'date']);
+  }
+  if (cls.intent === 'definition') {
+    candidates = preferEarliestCandidate(index, candidates);
+  }
+
+  // Follow-ups: favour the chunks the previous answer used
+  const priorRefIds = followUp && sessionId ? (getSession(sessionId).refIds || []) : [];
+  if (priorRefIds.length) {
+    candidates = boostCandidates(index, candidates, priorRefIds, retrievalCfg.followUpBoost);
+    if (debug) {
+      log.info('Follow-up boost', { prior: priorRefIds });
+    }
+  }
+
+  // Intent-specific picks, else optional LLM rerank over summaries only
   const tRr0 = performance.now();
+  const rerankK = Math.ceil((retrievalCfg.rerankK || 4) * (INTENT_REF_SCALE[cls.intent] || 1));
+  const rollups = cls.intent === 'summary' ? sectionRollups(index) : [];
   let refIds;
   let rationale = '';
-  if (retrievalCfg.useLLM && candidates.length > Math.max(1, (retrievalCfg.rerankK || 4))) {
+  if (cls.intent === 'comparison' && cls.subjects.length >= 2) {
+    const perSubject = retrievePerSubject(index, query, cls.subjects, { topM, expansions: expanded, bm25: retrievalCfg.bm25, entityBoost: retrievalCfg.entityBoost });
+    refIds = interleaveRefs(index, [...perSubject, candidates], Math.max(rerankK, cls.subjects.length * 2));
+    if (debug) {
+      log.info('Per-subject candidates', { subjects: cls.subjects, perSubject });
+    }
+  } else if (rollups.length) {
+    refIds = rollups.map((r) => r.section.id);
+  } else if (cls.intent !== 'quote' && retrievalCfg.useLLM && candidates.length > Math.max(1, rerankK)) {
     try {
       // Use expanded query (with synonyms) to help LLM understand intent semantically
-      const rr = await rerankWithLLM(index, expandedQuery, candidates, { rerankK: retrievalCfg.rerankK || 4 });
+      const rr = await rerankWithLLM(index, expandedQuery, candidates, { rerankK, signal });
       refIds = rr.refIds;
       rationale = rr.rationale || '';
     } catch (err) {
+      throwIfAborted(signal);
       if (debug) log.warn('LLM rerank failed, using lexical order', err);
-      refIds = candidates.slice(0, (retrievalCfg.rerankK || 4)).map((c) => c.refId);
+      refIds = candidates.slice(0, rerankK).map((c) => c.refId);
     }
   } else {
-    refIds = candidates.slice(0, (retrievalCfg.rerankK || 4)).map((c) => c.refId);
+    refIds = candidates.slice(0, rerankK).map((c) => c.refId);
   }
   const tRr1 = performance.now();
 
@@ -194,21 +966,28 @@ export async function retrieveRefs({ adapter, context, query, config }) {
   if (debug) {
     emitRetrievalEvent('retrieval-telemetry', {
       clsMs: Math.round(tCls1 - tCls0),
+      intent: cls.intent,
       synMs: Math.round(tSyn1 - tSyn0),
       lexMs: Math.round(tLex1 - tLex0),
+      vecMs: Math.round(tVec1 - tVec0),
+      vectorHits,
       rrMs: Math.round(tRr1 - tRr0),
       totalMs: Math.round(tRr1 - t0),
       expanded,
+      entityHits: queryEntities.length,
       candidateCount: candidates.length,
     });
   }
 
-  return { refIds, rationale, candidates, index };
+  const entityList = cls.intent === 'list' && cls.entityType
+    ? { type: cls.entityType, entries: listEntities(index, cls.entityType) }
+    : undefined;
+  return { refIds, rationale, candidates, index, queryClass: cls, entityList };
 }
 
 // CommonJS fallback
 if (typeof module !== 'undefined' && module.exports) {
-  module.exports = { askWholeCorpus };
+  module.exports = { askWholeCorpus, cancelSummaries };
 }
 
 
@@ -0,0 +1,339 @@
+// Copyright (c) 2025 Gundlapalli Muralidhar,
+// Licensed under the MIT License. See LICENSE file in the project root.
+// LinkedIn: https://www.linkedin.com/in/technomurali/
+//
+// ============================================================================
+// Entities - per-chunk entity extraction and the Index entity map
+// ----------------------------------------------------------------------------
+// Runs at index time without a model:
+// - dates, amounts (currency, percentages, sizes) and code identifiers come
+//   from patterns and are typed reliably
+// - capitalized names are typed 'person' only with a clear cue (a middle
+//   initial, a title, "by …", "… said"), 'organization' by a suffix (Inc,
+//   University, …), 'product' by a version number or inner capitals;
+//   everything else stays a generic 'name'
+// The background LLM summary pass (summarizer.js) returns typed entities that
+// take precedence over 'name'. `index.entities` maps each normalized entity to
+// the chunks that mention it; retrieval boosts those chunks when the query
+// names the entity and answers "list every X mentioned" queries from the map.
+// ============================================================================
+
+/** @typedef {import('./types.js').EntityType} EntityType */
+
+export const ENTITY_TYPES = ['person', 'organization', 'product', 'date', 'amount', 'code', 'name'];
+
+const MAX_PER_CHUNK = 40;
+
+const MONTHS = 'Jan(?:uary)?|Feb(?:ruary)?|Mar(?:ch)?|Apr(?:il)?|May|June?|July?|Aug(?:ust)?|Sep(?:t(?:ember)?)?|Oct(?:ober)?|Nov(?:ember)?|Dec(?:ember)?';
+const CALENDAR_WORDS = new Set([
+  'january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december',
+  'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday', 'today', 'tomorrow', 'yesterday',
+]);
+
+const DATE_RES = [
+  new RegExp(`\\b\\d{1,2}(?:st|nd|rd|th)?\\s+(?:${MONTHS})\\b\\.?(?:,?\\s+\\d{4})?`, 'g'),
+  new RegExp(`\\b(?:${MONTHS})\\.?\\s+\\d{1,2}(?:st|nd|rd|th)?\\b(?:,?\\s+\\d{4})?`, 'g'),
+  new RegExp(`\\b(?:${MONTHS})\\s+\\d{4}\\b`, 'g'),
+  /\b\d{4}-\d{2}-\d{2}\b/g,
+  /\b\d{1,2}\/\d{1,2}\/\d{2,4}\b/g,
+  /\bQ[1-4]\s+\d{4}\b/g,
+];
+
+const AMOUNT_RES = [
+  /[$€£¥₹]\s?\d[\d,]*(?:\.\d+)?(?:\s?(?:k|m|bn|thousand|million|billion)\b)?/gi,
+  /\b\d[\d,]*(?:\.\d+)?\s?(?:USD|EUR|GBP|INR|JPY|dollars?|euros?|pounds?|rupees?)\b/gi,
+  /\b\d+(?:\.\d+)?\s?(?:%|percent\b)/gi,
+  /\b\d[\d,]*(?:\.\d+)?\s?(?:KB|MB|GB|TB|km|kg|kWh|mph)\b/g,
+];
+
+const CODE_RES = [
+  /\b[A-Za-z_$][\w$]*(?:\.[A-Za-z_$][\w$]*)*\(\)/g,           // calls: foo(), obj.method()
+  /\b[a-z][a-z0-9]*(?:[A-Z][a-z0-9]*)+\b/g,                 // camelCase
+  /\b[a-z][a-z0-9]*(?:_[a-z0-9]+)+\b/g,                     // snake_case
+  /\b[A-Z][A-Z0-9]*(?:_[A-Z0-9]+)+\b/g,                     // CONSTANT_CASE
+];
+
+// Mixed-case brand names read as camelCase: iPhone, iOS, macOS, eBay
+const BRAND_PREFIX_RE = /^(?:i|e|mac|my)[A-Z]/;
+
+const NAME_RUN_RE = /\b(?:[A-Z]\.|[A-Z][\p{L}\p{N}'’&-]*)(?:\s(?:[A-Z]\.|[A-Z][\p{L}\p{N}'’&-]*))*/gu;
+const ORG_SUFFIX_RE = /\s(?:Inc|Corp|Corporation|Ltd|LLC|GmbH|AG|PLC|Co|Company|Foundation|University|Institute|Labs?|Group|Bank|Agency|Association|Council|Ministry|Department|Hospital|College|School)\.?$/;
+const HONORIFIC_RE = /(?:\b(?:Mr|Mrs|Ms|Dr|Prof|Sir|Dame)\.?\s)$/;
+const PERSON_BEFORE_RE = /\b(?:by|author|cc|ask|asked|told|thanks to)\s$/i;
+const PERSON_AFTER_RE = /^\s(?:said|says|wrote|asked|told|thinks|suggested|will|agreed)\b/;
+const VERSION_AFTER_RE = /^\s\d+(?:\.\d+)*\b/;
+// Words that start a sentence without being part of a name
+const LEADING_WORDS = new Set(['the', 'a', 'an', 'this', 'that', 'these', 'those', 'our', 'your', 'my', 'his', 'her', 'their', 'its', 'we', 'you', 'they', 'it', 'if', 'when', 'in', 'on', 'at', 'for', 'from', 'to', 'and', 'but', 'or', 'after', 'before', 'with', 'by', 'as', 'all', 'any', 'each', 'every', 'some', 'i']);
+
+/**
+ * Normalized lookup key for an entity or a query
+ * @param {string} text
+ * @returns {string}
+ */
+export function entityKey(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/[’`]/g, "'")
+    .replace(/[^\p{L}\p{N}$€£¥₹%.'_-]+/gu, ' ')
+    .replace(/\.(?=\s|$)/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function addMatches(out, text, re, type, group = 0) {
+  re.lastIndex = 0;
+  let m;
+  while ((m = re.exec(text))) {
+    const value = String(m[group] || '').trim();
+    if (value) {
+      out.push({ text: value, type, start: m.index, end: m.index + m[0].length });
+    }
+  }
+}
+
+/**
+ * True when a capitalized word starts a sentence, line or list item
+ * @param {string} text
+ * @param {number} at
+ */
+function atSentenceStart(text, at) {
+  const before = text.slice(Math.max(0, at - 4), at);
+  return at === 0 || /(?:[.!?;]\s+|\n\s*|^\s*[-*•]\s*)$/.test(before) || /^\s+$/.test(text.slice(0, at));
+}
+
+function nameCandidates(text, taken) {
+  const out = [];
+  NAME_RUN_RE.lastIndex = 0;
+  let m;
+  while ((m = NAME_RUN_RE.exec(text))) {
+    let start = m.index;
+    let words = m[0].split(' ');
+    // Strip a leading sentence word ("The Dispossessed" keeps "Dispossessed")
+    while (words.length && LEADING_WORDS.has(words[0].toLowerCase())) {
+      start += words[0].length + 1;
+      words = words.slice(1);
+    }
+    // Dates are matched separately; split the run at calendar words
+    const parts = [];
+    let current = [];
+    let partStart = start;
+    let offset = start;
+    for (const w of words) {
+      if (CALENDAR_WORDS.has(w.toLowerCase().replace(/\.$/, ''))) {
+        if (current.length) {
+          parts.push({ words: current, start: partStart });
+        }
+        current = [];
+        partStart = offset + w.length + 1;
+      } else {
+        current.push(w);
+      }
+      offset += w.length + 1;
+    }
+    if (current.length) {
+      parts.push({ words: current, start: partStart });
+    }
+
+    for (const part of parts) {
+      const value = part.words.join(' ').replace(/[’']s$/, '');
+      const end = part.start + value.length;
+      if (taken.some((t) => part.start < t.end && end > t.start)) {
+        continue;
+      }
+      const before = text.slice(Math.max(0, part.start - 12), part.start);
+      const after = text.slice(end, end + 12);
+      const single = part.words.length === 1;
+      if (/^[A-Z]\.?$/.test(value)) {
+        continue;
+      }                 // lone initial or "I"
+      if (single && /^[A-Z0-9]{2,}$/.test(value)) {
+        continue;
+      }   // acronyms: too ambiguous
+      if (single && atSentenceStart(text, part.start)) {
+        continue;
+      }
+
+      let type = 'name';
+      if (ORG_SUFFIX_RE.test(` ${value}`)) {
+        type = 'organization';
+      } else if (VERSION_AFTER_RE.test(after) || (single && /^[A-Z][a-z]+[A-Z]/.test(value))) {
+        type = 'product';
+      } else if (HONORIFIC_RE.test(before) || part.words.slice(1, -1).some((w) => /^[A-Z]\.$/.test(w))
+        || PERSON_BEFORE_RE.test(before) || PERSON_AFTER_RE.test(after)) {
+        type = 'person';
+      }
+      out.push({ text: value, type, start: part.start, end });
+    }
+  }
+  return out;
+}
+
+/**
+ * Entities mentioned in a text, deduplicated by key in order of appearance
+ * @param {string} text
+ * @returns {{ text: string, type: EntityType }[]}
+ */
+export function extractEntities(text) {
+  const s = String(text || '');
+  if (!s.trim()) {
+    return [];
+  }
+  const found = [];
+  DATE_RES.forEach((re) => addMatches(found, s, re, 'date'));
+  AMOUNT_RES.forEach((re) => addMatches(found, s, re, 'amount'));
+  addMatches(found, s, /`([^`\n]{2,60})`/g, 'code', 1);
+  CODE_RES.forEach((re) => addMatches(found, s, re, 'code'));
+  for (const e of found) {
+    if (e.type === 'code' && BRAND_PREFIX_RE.test(e.text)) {
+      e.type = 'product';
+    }
+  }
+  // Longest first so "14 March 2024" wins over "March 2024"
+  found.sort((a, b) => (b.end - b.start) - (a.end - a.start));
+  const taken = [];
+  for (const e of found) {
+    if (!taken.some((t) => e.start < t.end && e.end > t.start)) {
+      taken.push(e);
+    }
+  }
+  const all = taken.concat(nameCandidates(s, taken)).sort((a, b) => a.start - b.start);
+
+  const seen = new Map();
+  for (const e of all) {
+    const key = entityKey(e.text);
+    if (key.length < 2) {
+      continue;
+    }
+    const prev = seen.get(key);
+    if (!prev) {
+      seen.set(key, { text: e.text, type: e.type });
+    } else if (prev.type === 'name' && e.type !== 'name') {
+      prev.type = e.type;
+    }
+  }
+  return Array.from(seen.values()).slice(0, MAX_PER_CHUNK);
+}
+
+/**
+ * Builds the entity map for a document's chunks
+ * @param {import('./types.js').Chunk[]} chunks
+ * @param {Map<string, { text: string, type: EntityType }[]>} entitiesByChunk - chunk id -> entities
+ * @returns {Record<string, import('./types.js').EntityEntry>}
+ */
+export function buildEntityMap(chunks, entitiesByChunk) {
+  const map = {};
+  for (const c of chunks) {
+    for (const e of entitiesByChunk.get(c.id) || []) {
+      const key = entityKey(e.text);
+      if (!key) {
+        continue;
+      }
+      const entry = map[key] || (map[key] = { text: e.text, type: e.type, chunkIds: [] });
+      if (entry.type === 'name' && e.type !== 'name') {
+        entry.type = e.type;
+      }
+      if (!entry.chunkIds.includes(c.id)) {
+        entry.chunkIds.push(c.id);
+      }
+    }
+  }
+  return map;
+}
+
+/**
+ * Merges per-document entity maps (chunk ids are already namespaced)
+ * @param {Record<string, import('./types.js').EntityEntry>[]} maps
+ * @returns {Record<string, import('./types.js').EntityEntry>}
+ */
+export function mergeEntityMaps(maps) {
+  const out = {};
+  for (const map of maps) {
+    for (const [key, e] of Object.entries(map || {})) {
+      const entry = out[key];
+      if (!entry) {
+        out[key] = { text: e.text, type: e.type, chunkIds: e.chunkIds.slice() };
+        continue;
+      }
+      if (entry.type === 'name' && e.type !== 'name') {
+        entry.type = e.type;
+      }
+      for (const id of e.chunkIds) {
+        if (!entry.chunkIds.includes(id)) {
+          entry.chunkIds.push(id);
+        }
+      }
+    }
+  }
+  return out;
+}
+
+/**
+ * Index entities the query names (whole-word match on normalized text)
+ * @param {Record<string, import('./types.js').EntityEntry>|undefined} map
+ * @param {string} query
+ * @returns {import('./types.js').EntityEntry[]}
+ */
+export function matchQueryEntities(map, query) {
+  if (!map) {
+    return [];
+  }
+  const q = ` ${entityKey(query)} `;
+  const out = [];
+  for (const [key, entry] of Object.entries(map)) {
+    if (key.length >= 3 && q.includes(` ${key} `)) {
+      out.push(entry);
+    }
+  }
+  // A longer match covers its parts ("Ursula K. Le Guin" over "Le Guin")
+  return out.filter((e) => !out.some((o) => o !== e && entityKey(o.text).includes(entityKey(e.text))));
+}
+
+const LIST_VERB_RE = /^\s*(?:please\s+)?(?:list|enumerate|show(?:\s+me)?|give\s+me|what|which|name|find)\b/i;
+const LIST_SCOPE_RE = /\b(?:all|every|each)\b|\b(?:mentioned|referenced|named|cited|appear(?:s|ing)?)\b|\bon\s+(?:this|the)\s+page\b|\bin\s+(?:this|the|my)\s+(?:page|document|article|notes?)\b/i;
+const LIST_TYPE_RES = [
+  ['person', /\b(?:people|persons?|individuals|authors|speakers)\b/i],
+  ['organization', /\b(?:organi[sz]ations?|compan(?:y|ies)|firms|institutions|brands)\b/i],
+  ['product', /\b(?:products?|apps|applications)\b/i],
+  ['date', /\b(?:dates?|deadlines?)\b/i],
+  ['amount', /\b(?:amounts?|prices?|costs|figures|numbers|sums|percentages|fees)\b/i],
+  ['code', /\b(?:code|identifiers?|functions?|variables?|methods?|classes)\b/i],
+  ['name', /\b(?:names|entities|proper nouns)\b/i],
+];
+
+/**
+ * Entity type asked for by a "list every X mentioned" question
+ * @param {string} query
+ * @returns {EntityType|null}
+ */
+export function detectEntityListQuery(query) {
+  const q = String(query || '');
+  if (!LIST_VERB_RE.test(q) || !LIST_SCOPE_RE.test(q)) {
+    return null;
+  }
+  for (const [type, re] of LIST_TYPE_RES) {
+    if (re.test(q)) {
+      return type;
+    }
+  }
+  return null;
+}
+
+/**
+ * Entities of one type in reading order (by the first chunk that mentions them)
+ * @param {import('./types.js').Index} index
+ * @param {EntityType} type
+ * @returns {import('./types.js').EntityEntry[]}
+ */
+export function listEntities(index, type) {
+  const units = (index.inverted && index.inverted.units) || [];
+  const order = new Map(units.map((id, i) => [id, i]));
+  const first = (e) => Math.min(...e.chunkIds.map((id) => order.get(id) ?? Infinity));
+  return Object.values(index.entities || {})
+    .filter((e) => e.type === type)
+    .sort((a, b) => first(a) - first(b));
+}
+
+// CommonJS fallback
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { ENTITY_TYPES, entityKey, extractEntities, buildEntityMap, mergeEntityMaps, matchQueryEntities, detectEntityListQuery, listEntities };
+}
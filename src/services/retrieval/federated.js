@@ -0,0 +1,181 @@
+// Copyright (c) 2025 Gundlapalli Muralidhar,
+// Licensed under the MIT License. See LICENSE file in the project root.
+// LinkedIn: https://www.linkedin.com/in/technomurali/
+//
+// ============================================================================
+// Federated Retrieval - one question across every source (@All)
+// ----------------------------------------------------------------------------
+// Runs retrieveRefs() against each source adapter (page, tabs, notes,
+// history, bookmarks, downloads), min-max normalizes each source's candidate
+// scores so BM25 and fused scores from different corpora are comparable,
+// merges them into one ranking, reads the top chunks per source and asks the
+// model once with every piece of evidence labelled by source.
+//
+// A source that fails (no permission, nothing to index, capture error) is
+// skipped and reported in `skipped`; the others still answer.
+// ============================================================================
+
+import { logger } from '../../core/logger.js';
+import { sendPrompt } from '../ai.js';
+import { throwIfAborted } from '../../core/errors.js';
+import { retrieveRefs, cancelSummaries } from './engine.js';
+import { readChunks } from './progressiveReader.js';
+import { findQuoteSpans } from './utils/quoteSpans.js';
+import { scoreConfidence } from './confidence.js';
+
+const log = logger.create('FederatedRetrieval');
+
+/** Display labels per Document.sourceKind, in the order sources are listed */
+export const SOURCE_KIND_LABELS = {
+  page: 'Current page',
+  tab: 'Open tabs',
+  note: 'ChromePad notes',
+  history: 'History',
+  bookmark: 'Bookmarks',
+  download: 'Downloads',
+};
+
+const DEFAULTS = {
+  perSource: 4,          // candidates kept from each source before merging
+  kMax: 6,               // chunks read across all sources
+  perChunkTokenCap: 600,
+};
+
+/**
+ * Min-max normalizes scores to [0, 1]; a lone candidate (or all-equal
+ * scores) gets 1 so a source with one strong hit is not zeroed out.
+ * @param {{ refId: string, score: number }[]} candidates
+ * @returns {{ refId: string, score: number }[]}
+ */
+export function normalizeScores(candidates) {
+  if (!candidates.length) {
+    return [];
+  }
+  const scores = candidates.map((c) => Number(c.score) || 0);
+  const max = Math.max(...scores);
+  const min = Math.min(...scores);
+  const span = max - min;
+  return candidates.map((c, i) => ({ refId: c.refId, score: span > 0 ? (scores[i] - min) / span : 1 }));
+}
+
+function buildPrompt(query, evidence) {
+  const header = 'You are answering a question using ONLY the provided sources from the user\'s browser (current page, open tabs, notes, history, bookmarks, downloads). Cite the sources you use as [S1], [S2], ... and support each point with a short exact quote in double quotes. If the answer is not present, respond: "insufficient evidence in these sources".';
+  const blocks = evidence.map((e, i) => {
+    const where = [SOURCE_KIND_LABELS[e.kind] || e.kind, e.title, e.url].filter(Boolean).join(' — ');
+    return `[S${i + 1}] ${where}${e.heading ? `\nSECTION: ${e.heading}` : ''}\n${e.text}`;
+  });
+  return `${header}\n\n${blocks.join('\n\n')}\n\nQUESTION: ${query}`;
+}
+
+/**
+ * Answers one question from several sources.
+ * @param {{
+ *   sources: { kind: string, adapter: any, context: any }[],
+ *   query: string,
+ *   config?: { retrieval?: any, federated?: Partial<typeof DEFAULTS>, debug?: boolean, signal?: AbortSignal },
+ * }} params
+ * @returns {Promise<{
+ *   text: string,
+ *   confidence: 'low'|'medium'|'high',
+ *   confidenceReason: string,
+ *   usedRefs: { kind: string, docId: string, chunkId: string, heading?: string, title: string, url?: string, updatedAt: number, spans: import('./types.js').QuoteSpan[] }[],
+ *   searched: string[],
+ *   skipped: { kind: string, reason: string }[],
+ * }>}
+ */
+export async function answerAcrossSources({ sources, query, config }) {
+  cancelSummaries(); // background summary passes would compete for the model
+  const signal = config && config.signal;
+  const cfg = { ...DEFAULTS, ...((config && config.federated) || {}) };
+  const retrievalCfg = { useLLM: false, classifyWithLLM: false, expandSynonyms: true, ...((config && config.retrieval) || {}), rerankK: cfg.perSource };
+
+  // 1) Retrieve per source. Sequential on purpose: indexing is CPU-bound and
+  //    synonym expansion / summaries share the one on-device model.
+  const merged = [];
+  const searched = [];
+  const skipped = [];
+  for (let order = 0; order < sources.length; order++) {
+    const source = sources[order];
+    throwIfAborted(signal);
+    try {
+      const { candidates, index } = await retrieveRefs({
+        adapter: source.adapter,
+        context: source.context,
+        query,
+        config: { ...config, retrieval: retrievalCfg },
+      });
+      searched.push(source.kind);
+      for (const c of normalizeScores(candidates.slice(0, cfg.perSource))) {
+        merged.push({ source, index, order, refId: c.refId, score: c.score });
+      }
+    } catch (err) {
+      throwIfAborted(signal);
+      skipped.push({ kind: source.kind, reason: String(err && err.message || err) });
+      log.warn(`Skipping source ${source.kind}:`, err && err.message);
+    }
+  }
+  if (config && config.debug) {
+    log.info('Federated candidates', merged.map((m) => [m.source.kind, m.refId, m.score]));
+  }
+
+  // 2) One ranking on normalized scores (ties: source order)
+  merged.sort((a, b) => b.score - a.score || a.order - b.order);
+  const top = merged.slice(0, cfg.kMax);
+  if (!top.length) {
+    return { text: 'insufficient evidence (nothing matched in any source)', confidence: 'low', confidenceReason: 'Nothing matched in any source', usedRefs: [], searched, skipped };
+  }
+
+  // 3) Read the chosen chunks, one pass per source
+  const evidence = [];
+  for (const source of sources) {
+    const picks = top.filter((m) => m.source === source);
+    if (!picks.length) {
+      continue;
+    }
+    throwIfAborted(signal);
+    try {
+      const { docs, selected, usedRefs } = await readChunks({
+        adapter: source.adapter,
+        context: source.context,
+        index: picks[0].index,
+        refIds: picks.map((m) => m.refId),
+        budget: { kMax: picks.length, perChunkTokenCap: cfg.perChunkTokenCap },
+        signal,
+      });
+      const docById = new Map(docs.map((d) => [String(d.id), d]));
+      selected.forEach((chunk, i) => {
+        const doc = docById.get(String(usedRefs[i].docId)) || {};
+        evidence.push({
+          kind: source.kind,
+          docId: String(usedRefs[i].docId),
+          chunkId: chunk.id,
+          heading: chunk.heading,
+          title: String(doc.title || ''),
+          url: doc.url ? String(doc.url) : undefined,
+          updatedAt: Number(doc.updatedAt || doc.createdAt || 0),
+          text: chunk.text,
+        });
+      });
+    } catch (err) {
+      throwIfAborted(signal);
+      skipped.push({ kind: source.kind, reason: String(err && err.message || err) });
+      log.warn(`Reading ${source.kind} failed:`, err && err.message);
+    }
+  }
+  if (!evidence.length) {
+    return { text: 'insufficient evidence (no readable sections)', confidence: 'low', confidenceReason: 'No readable sections', usedRefs: [], searched, skipped };
+  }
+
+  // 4) Synthesize once
+  throwIfAborted(signal);
+  const answer = await sendPrompt(buildPrompt(query, evidence), { signal });
+  const spansByChunk = findQuoteSpans(answer, evidence.map((e) => ({ id: `${e.kind}|${e.chunkId}`, text: e.text })));
+  const usedRefs = evidence.map(({ text: _text, ...ref }) => ({ ...ref, spans: spansByChunk.get(`${ref.kind}|${ref.chunkId}`) || [] }));
+  const scored = scoreConfidence({ answer, evidence: evidence.map((e) => e.text), candidates: merged, readCount: evidence.length });
+  return { text: answer, confidence: scored.level, confidenceReason: scored.reason, usedRefs, searched, skipped };
+}
+
+// CommonJS fallback
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { SOURCE_KIND_LABELS, normalizeScores, answerAcrossSources };
+}
@@ -0,0 +1,108 @@
+// Copyright (c) 2025 Gundlapalli Muralidhar,
+// Licensed under the MIT License. See LICENSE file in the project root.
+// LinkedIn: https://www.linkedin.com/in/technomurali/
+//
+// ============================================================================
+// Follow-up Queries - rewrite conversational questions into standalone ones
+// ----------------------------------------------------------------------------
+// "What about the second one?" only makes sense next to the previous turn.
+// When a retrieval session (stores/memoryStore.js) has recent turns and the
+// question looks like a follow-up, the model rewrites it into a standalone
+// query using those turns; without a model the previous standalone query is
+// appended so retrieval still has the topic.
+// ============================================================================
+
+import { logger } from '../../core/logger.js';
+import { promptJSON } from '../ai.js';
+import { AI } from '../../core/constants.js';
+import { AbortedError, isAbortError } from '../../core/errors.js';
+
+const log = logger.create('FollowUp');
+
+const MAX_TURNS = 3;
+const MAX_ANSWER_CHARS = 600;
+
+// Leading connectives: "and for teams?", "what about the pro plan?"
+const CONNECTIVE_RE = /^(?:and|but|also|or|so|then|what about|how about|why not|what else|same for|tell me more|more about)\b/i;
+// Referring expressions: "the second one", "that one", "the latter", "mentioned
+// above", or a pronoun closing the question ("how do I cancel it?")
+const REFERRING_RE = /\b(?:(?:the|that|this)\s+(?:first|second|third|fourth|fifth|last|other|previous)\s+ones?|(?:that|this|the same)\s+ones?|the\s+(?:former|latter|above)|(?:mentioned|listed)\s+(?:above|earlier|before))\b|\b(?:it|them|those|these)\s*[?.!]*$/i;
+
+const REWRITE_SCHEMA = {
+  type: 'object',
+  properties: { standalone: { type: 'string', minLength: 1, maxLength: 300 } },
+  required: ['standalone'],
+};
+
+/**
+ * True when a question probably depends on earlier turns
+ * @param {string} query
+ * @param {{ turns?: { query: string }[] }} session
+ * @returns {boolean}
+ */
+export function looksLikeFollowUp(query, session) {
+  const q = String(query || '').trim();
+  if (!q || !session || !Array.isArray(session.turns) || !session.turns.length) {
+    return false;
+  }
+  return CONNECTIVE_RE.test(q) || REFERRING_RE.test(q);
+}
+
+function normalizeQuery(text) {
+  return String(text || '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+}
+
+function buildRewritePrompt(query, turns) {
+  const history = turns.map((t, i) => `Q${i + 1}: ${t.standalone || t.query}\nA${i + 1}: ${String(t.answer || '').slice(0, MAX_ANSWER_CHARS)}`).join('\n\n');
+  return [
+    'Rewrite the follow-up question into a standalone search query using the conversation below.',
+    'Resolve pronouns and references such as "it", "that one" or "the second one" to the items they mean in the answers.',
+    'Keep the user\'s intent; do not answer the question. If it is already standalone, return it unchanged.',
+    '',
+    history,
+    '',
+    `Follow-up: ${query}`,
+  ].join('\n');
+}
+
+/**
+ * Rewrites a follow-up into a standalone query. A rewrite that leaves the
+ * question unchanged means it was standalone after all (`followUp: false`).
+ * @param {string} query
+ * @param {{ turns?: { query: string, standalone?: string, answer?: string }[] }} session
+ * @param {{ signal?: AbortSignal, useLLM?: boolean }} [options]
+ * @returns {Promise<{ query: string, followUp: boolean }>}
+ */
+export async function rewriteFollowUp(query, session, options = {}) {
+  const q = String(query || '').trim();
+  if (!looksLikeFollowUp(q, session)) {
+    return { query: q, followUp: false };
+  }
+  const turns = session.turns.slice(-MAX_TURNS);
+  const previous = turns[turns.length - 1];
+
+  if (options.useLLM !== false) {
+    try {
+      const out = await promptJSON(buildRewritePrompt(q, turns), REWRITE_SCHEMA, { signal: options.signal, purpose: AI.PURPOSE_CLASSIFIER });
+      const standalone = String(out.standalone || '').trim();
+      if (standalone && normalizeQuery(standalone) === normalizeQuery(q)) {
+        return { query: q, followUp: false };
+      }
+      if (standalone) {
+        log.info('Rewrote follow-up:', { from: q, to: standalone });
+        return { query: standalone, followUp: true };
+      }
+    } catch (err) {
+      if (isAbortError(err, options.signal)) {
+        throw new AbortedError();
+      }
+      log.warn('Follow-up rewrite failed, appending the previous query', err);
+    }
+  }
+  return { query: `${q} (${previous.standalone || previous.query})`, followUp: true };
+}
+
+// CommonJS fallback
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { looksLikeFollowUp, rewriteFollowUp };
+}
@@ -10,6 +10,14 @@
 //  - Section rollups: merge kid summaries capped
 //  - Global synopsis: title + top keywords
 //  - Prune to token budget by dropping lowest‑priority chunk summaries
+// When the background LLM pass (summarizer.js) has run, its output is passed
+// back in as `opts.generated` and replaces the fallback chunk summaries, key
+// terms, entities and the synopsis; section rollups merge the new summaries.
+// Entities found in each chunk (entities.js) fill `Summary.entities` and the
+// index's entity → chunk map (`index.entities`).
+// Alongside the summaries, every chunk's heading, summary and full text go
+// into a BM25F inverted index (`index.inverted`, see utils/bm25.js) so
+// lexical retrieval is not limited to what survived the summary budget.
 // ============================================================================
 
 import { STOP_WORDS } from '../../core/constants.js';
@@ -19,6 +27,8 @@ import {
   hardCapTextToTokens,
   pruneToTokenBudget,
 } from './utils/tokenBudget.js';
+import { buildInverted, mergeInverted } from './utils/bm25.js';
+import { extractEntities, entityKey, buildEntityMap, mergeEntityMaps } from './entities.js';
 
 const log = logger.create('Indexer');
 
@@ -79,6 +89,83 @@ function extractKeyTerms(text, limit = 12) {
     .map(([w]) => w);
 }
 
+function mergeEntities(summaries, limit = 12) {
+  return Array.from(new Set(summaries.flatMap((s) => s.entities || []))).slice(0, limit);
+}
+
+/**
+ * Entities of each chunk: the LLM pass's typed entities first, then pattern
+ * matches; a specific type replaces the generic 'name'
+ * @param {import('./types.js').Chunk[]} chunks
+ * @param {import('./summarizer.js').GeneratedSummaries=} generated
+ * @returns {Map<string, { text: string, type: import('./types.js').EntityType }[]>}
+ */
+function findChunkEntities(chunks, generated) {
+  const byChunk = new Map();
+  for (const c of chunks) {
+    const gen = generated && generated.byRef.get(c.id);
+    const merged = new Map();
+    for (const e of [...(gen ? gen.entities : []), ...extractEntities(c.content)]) {
+      const key = entityKey(e.text);
+      const prev = merged.get(key);
+      if (!key) {
+        continue;
+      }
+      if (!prev) {
+        merged.set(key, e);
+      } else if (prev.type === 'name' && e.type !== 'name') {
+        merged.set(key, { ...prev, type: e.type });
+      }
+    }
+    byChunk.set(c.id, Array.from(merged.values()));
+  }
+  return byChunk;
+}
+
+/**
+ * Summary of one chunk: the LLM's when `generated` has one, else first sentences
+ * @param {string} id
+ * @param {import('./types.js').Chunk} chunk
+ * @param {typeof DEFAULT_BUDGET} budget
+ * @param {{ text: string }[]} entities - The chunk's entities
+ * @param {import('./summarizer.js').GeneratedSummaries=} generated
+ * @returns {import('./types.js').Summary}
+ */
+function summarizeChunk(id, chunk, budget, entities, generated) {
+  const gen = generated && generated.byRef.get(chunk.id);
+  const names = entities.map((e) => e.text).slice(0, 10);
+  if (gen) {
+    const text = hardCapTextToTokens(gen.text, budget.perChunkSummaryTokens);
+    return {
+      id,
+      refId: chunk.id,
+      kind: 'chunk',
+      text,
+      keyTerms: gen.keyTerms && gen.keyTerms.length ? gen.keyTerms : extractKeyTerms(`${text} ${chunk.content}`, 10),
+      entities: names,
+    };
+  }
+  const text = firstSentences(chunk.content, budget.perChunkSummaryTokens);
+  return { id, refId: chunk.id, kind: 'chunk', text, keyTerms: extractKeyTerms(text, 10), entities: names };
+}
+
+/**
+ * Section rollup: merged summaries of the section's chunks, capped
+ * @param {string} id
+ * @param {{ id: string, chunkIds: string[] }} section
+ * @param {import('./types.js').Summary[]} chunkSummaries
+ * @param {typeof DEFAULT_BUDGET} budget
+ * @returns {import('./types.js').Summary}
+ */
+function summarizeSection(id, section, chunkSummaries, budget) {
+  const kids = section.chunkIds
+    .map((cid) => chunkSummaries.find((x) => x.refId === cid))
+    .filter(Boolean);
+  const merged = kids.map((k) => k.text).filter(Boolean).join(' ');
+  const text = firstSentences(merged, budget.perSectionTokens);
+  return { id, refId: section.id, kind: 'section', text, keyTerms: extractKeyTerms(text, 12), entities: mergeEntities(kids) };
+}
+
 function groupSections(chunks) {
   const sections = [];
   let current = null;
@@ -93,6 +180,23 @@ function groupSections(chunks) {
   return sections;
 }
 
+/**
+ * Builds the BM25F inverted index over all chunks (not just the kept summaries).
+ * @param {import('./types.js').Chunk[]} chunks
+ * @param {import('./types.js').Summary[]} chunkSummaries - One per chunk
+ * @param {(chunk: import('./types.js').Chunk) => string} headingOf
+ * @returns {Object}
+ */
+function buildInvertedIndex(chunks, chunkSummaries, headingOf) {
+  const summaryByRef = new Map(chunkSummaries.map((s) => [s.refId, s.text]));
+  return buildInverted(chunks.map((c) => ({
+    id: c.id,
+    heading: headingOf(c),
+    summary: summaryByRef.get(c.id) || '',
+    body: c.content || '',
+  })));
+}
+
 function buildToc(sections) {
   return sections.map((s) => ({ heading: s.heading, level: 2, chunkIds: s.chunkIds.slice() }));
 }
@@ -101,7 +205,8 @@ function buildToc(sections) {
  * Builds a compact index for a single document.
  * @param {import('./types.js').Document} doc
  * @param {import('./types.js').Chunk[]} chunks
- * @param {{ budget?: Partial<typeof DEFAULT_BUDGET>, contentHash: string }} opts
+ * @param {{ budget?: Partial<typeof DEFAULT_BUDGET>, contentHash: string,
+ *   generated?: import('./summarizer.js').GeneratedSummaries }} opts
  * @returns {import('./types.js').Index}
  */
 export function buildIndexSingleDoc(doc, chunks, opts) {
@@ -109,47 +214,29 @@ export function buildIndexSingleDoc(doc, chunks, opts) {
   const sections = groupSections(chunks);
   const toc = buildToc(sections);
 
-  // Chunk summaries (fallback): first sentences capped + key terms
-  const chunkSummaries = chunks.map((c, i) => {
-    const text = firstSentences(c.content, budget.perChunkSummaryTokens);
-    return /** @type {import('./types.js').Summary} */({
-      id: `sum-ch-${i + 1}`,
-      refId: c.id,
-      kind: 'chunk',
-      text,
-      keyTerms: extractKeyTerms(text, 10),
-      entities: [],
-    });
-  });
+  const generated = opts && opts.generated;
+  const entitiesByChunk = findChunkEntities(chunks, generated);
+
+  // Chunk summaries: LLM output when generated, else first sentences capped + key terms
+  const chunkSummaries = chunks.map((c, i) => summarizeChunk(`sum-ch-${i + 1}`, c, budget, entitiesByChunk.get(c.id), generated));
 
   // Section rollups: merge summaries of child chunks and cap
-  const sectionSummaries = sections.map((s, i) => {
-    const merged = s.chunkIds
-      .map((cid) => chunkSummaries.find((x) => x.refId === cid)?.text || '')
-      .filter(Boolean)
-      .join(' ');
-    const text = firstSentences(merged, budget.perSectionTokens);
-    return /** @type {import('./types.js').Summary} */({
-      id: `sum-sec-${i + 1}`,
-      refId: s.id,
-      kind: 'section',
-      text,
-      keyTerms: extractKeyTerms(text, 12),
-      entities: [],
-    });
-  });
+  const sectionSummaries = sections.map((s, i) => summarizeSection(`sum-sec-${i + 1}`, s, chunkSummaries, budget));
 
-  // Global synopsis: title + top terms from sections
+  // Global synopsis: title + LLM synopsis when generated, else title + top terms from sections
   const allTerms = sectionSummaries.flatMap((s) => s.keyTerms);
-  const uniqueTop = Array.from(new Set(allTerms)).slice(0, 20);
-  const synopsisBase = `${doc.title || 'Document'} — Topics: ${uniqueTop.join(', ')}`;
+  const synopsis = generated && generated.synopsis;
+  const uniqueTop = Array.from(new Set([...(synopsis && synopsis.keyTerms || []), ...allTerms])).slice(0, 20);
+  const synopsisBase = synopsis
+    ? `${doc.title || 'Document'} — ${synopsis.text}`
+    : `${doc.title || 'Document'} — Topics: ${uniqueTop.join(', ')}`;
   const globalSynopsis = /** @type {import('./types.js').Summary} */({
     id: 'sum-global-1',
     refId: doc.id,
     kind: 'global',
     text: hardCapTextToTokens(synopsisBase, budget.globalSynopsisTokens),
     keyTerms: uniqueTop,
-    entities: [],
+    entities: synopsis && synopsis.entities.length ? synopsis.entities.map((e) => e.text) : mergeEntities(sectionSummaries, 20),
   });
 
   // Compose summaries with ordering: global, sections (cap), chunks (cap)
@@ -187,10 +274,13 @@ export function buildIndexSingleDoc(doc, chunks, opts) {
       language: doc.language || undefined,
       createdAt: Date.now(),
       contentHash: String(opts && opts.contentHash || ''),
+      summarizer: generated ? generated.backend : undefined,
     },
     toc,
     summaries,
     sections,
+    inverted: buildInvertedIndex(chunks, chunkSummaries, (c) => [doc.title, c.heading].filter(Boolean).join(' ')),
+    entities: buildEntityMap(chunks, entitiesByChunk),
   };
 
   log.info('Index built:', {
@@ -198,63 +288,60 @@ export function buildIndexSingleDoc(doc, chunks, opts) {
     chunks: chunks.length,
     sections: sections.length,
     summaries: summaries.length,
+    terms: Object.keys(index.inverted.postings).length,
+    entities: Object.keys(index.entities).length,
   });
   return index;
 }
 
 /**
- * Builds a compact index for a corpus of documents (e.g., ChromePad notes).
- * Namespacing of chunk ids should already be handled by the adapter.
- * @param {import('./types.js').Document[]} docs
- * @param {Record<string, import('./types.js').Chunk[]>} chunksByDocId
+ * Builds the per-document segment of a corpus index: namespaced sections,
+ * unpruned section/chunk summaries and the document's inverted index.
+ * Segments are cached by document content hash and merged by mergeSegments().
+ * @param {import('./types.js').Document} doc
+ * @param {import('./types.js').Chunk[]} chunks - Ids already namespaced by the adapter
+ * @param {{ budget?: Partial<typeof DEFAULT_BUDGET>, contentHash: string,
+ *   generated?: import('./summarizer.js').GeneratedSummaries }} opts
+ * @returns {import('./types.js').Segment}
+ */
+export function buildDocSegment(doc, chunks, opts) {
+  const budget = { ...DEFAULT_BUDGET, ...(opts && opts.budget || {}) };
+  const sections = groupSections(chunks).map((s) => ({ id: `${doc.id}::${s.id}`, heading: `${doc.title}: ${s.heading}`, chunkIds: s.chunkIds.slice() }));
+
+  const generated = opts && opts.generated;
+  const entitiesByChunk = findChunkEntities(chunks, generated);
+  const chunkSummaries = chunks.map((c, i) => summarizeChunk(`${doc.id}::sum-ch-${i + 1}`, c, budget, entitiesByChunk.get(c.id), generated));
+  const sectionSummaries = sections.map((s, i) => summarizeSection(`${doc.id}::sum-sec-${i + 1}`, s, chunkSummaries, budget));
+
+  return {
+    docId: String(doc.id),
+    title: doc.title || 'Untitled',
+    contentHash: String(opts && opts.contentHash || ''),
+    summarizer: generated ? generated.backend : undefined,
+    sections,
+    sectionSummaries,
+    chunkSummaries,
+    inverted: buildInvertedIndex(chunks, chunkSummaries, (c) => [doc.title, c.heading].filter(Boolean).join(' ')),
+    entities: buildEntityMap(chunks, entitiesByChunk),
+  };
+}
+
+/**
+ * Merges document segments (in order) into one corpus Index. Only the
+ * global synopsis and the summary pruning are computed here; nothing is
+ * re-chunked or re-summarized.
+ * @param {import('./types.js').Segment[]} segments
  * @param {{ budget?: Partial<typeof DEFAULT_BUDGET>, contentHash: string }} opts
  * @returns {import('./types.js').Index}
  */
-export function buildIndexCorpus(docs, chunksByDocId, opts) {
+export function mergeSegments(segments, opts) {
   const budget = { ...DEFAULT_BUDGET, ...(opts && opts.budget || {}) };
-  const sections = [];
-  const allChunkSummaries = [];
-
-  // Per-document sections and chunk summaries
-  docs.forEach((doc) => {
-    const chunks = chunksByDocId[doc.id] || [];
-    // Group into synthetic sections by chunk heading or sequential blocks
-    const docSections = groupSections(chunks).map((s, i) => ({ id: `${doc.id}::${s.id}`, heading: `${doc.title}: ${s.heading}`, chunkIds: s.chunkIds.slice() }));
-    sections.push(...docSections);
-
-    const chunkSummaries = chunks.map((c, i) => {
-      const text = firstSentences(c.content, budget.perChunkSummaryTokens);
-      return /** @type {import('./types.js').Summary} */({
-        id: `${doc.id}::sum-ch-${i + 1}`,
-        refId: c.id,
-        kind: 'chunk',
-        text,
-        keyTerms: extractKeyTerms(text, 10),
-        entities: [],
-      });
-    });
-    allChunkSummaries.push(...chunkSummaries);
-  });
-
-  // Section rollups
-  const sectionSummaries = sections.map((s, i) => {
-    const merged = s.chunkIds
-      .map((cid) => allChunkSummaries.find((x) => x.refId === cid)?.text || '')
-      .filter(Boolean)
-      .join(' ');
-    const text = firstSentences(merged, budget.perSectionTokens);
-    return /** @type {import('./types.js').Summary} */({
-      id: `sum-sec-${i + 1}`,
-      refId: s.id,
-      kind: 'section',
-      text,
-      keyTerms: extractKeyTerms(text, 12),
-      entities: [],
-    });
-  });
+  const sections = segments.flatMap((seg) => seg.sections);
+  const sectionSummaries = segments.flatMap((seg) => seg.sectionSummaries);
+  const allChunkSummaries = segments.flatMap((seg) => seg.chunkSummaries);
 
   // Global synopsis: concatenate doc titles + top terms across sections
-  const titles = docs.map((d) => d.title || 'Untitled').slice(0, 12).join(' · ');
+  const titles = segments.map((seg) => seg.title || 'Untitled').slice(0, 12).join(' · ');
   const allTerms = sectionSummaries.flatMap((s) => s.keyTerms);
   const uniqueTop = Array.from(new Set(allTerms)).slice(0, 25);
   const synopsisBase = `Notes Corpus — ${titles} — Topics: ${uniqueTop.join(', ')}`;
@@ -264,7 +351,7 @@ export function buildIndexCorpus(docs, chunksByDocId, opts) {
     kind: 'global',
     text: hardCapTextToTokens(synopsisBase, budget.globalSynopsisTokens),
     keyTerms: uniqueTop,
-    entities: [],
+    entities: mergeEntities(sectionSummaries, 20),
   });
 
   // Compose and prune
@@ -297,10 +384,25 @@ export function buildIndexCorpus(docs, chunksByDocId, opts) {
     toc: sections.map((s) => ({ heading: s.heading, level: 2, chunkIds: s.chunkIds.slice() })),
     summaries,
     sections,
+    inverted: mergeInverted(segments.map((seg) => seg.inverted)),
+    entities: mergeEntityMaps(segments.map((seg) => seg.entities)),
   };
-  log.info('Corpus index built:', { docs: docs.length, sections: sections.length, summaries: summaries.length });
+  log.info('Corpus index merged:', { docs: segments.length, sections: sections.length, summaries: summaries.length, terms: Object.keys(index.inverted.postings).length });
   return index;
 }
+
+/**
+ * Builds a compact index for a corpus of documents (e.g., ChromePad notes).
+ * Namespacing of chunk ids should already be handled by the adapter.
+ * @param {import('./types.js').Document[]} docs
+ * @param {Record<string, import('./types.js').Chunk[]>} chunksByDocId
+ * @param {{ budget?: Partial<typeof DEFAULT_BUDGET>, contentHash: string }} opts
+ * @returns {import('./types.js').Index}
+ */
+export function buildIndexCorpus(docs, chunksByDocId, opts) {
+  const segments = docs.map((doc) => buildDocSegment(doc, chunksByDocId[doc.id] || [], { budget: opts && opts.budget }));
+  return mergeSegments(segments, opts);
+}
 // CommonJS fallback
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = { buildIndexSingleDoc };
@@ -6,11 +6,23 @@
 // Progressive Reader (Phase 3)
 // ----------------------------------------------------------------------------
 // Loads full chunk texts progressively under a strict token budget and
-// synthesizes an answer with citations and a confidence hint.
+// synthesizes an answer with citations and an evidence-based confidence
+// (see confidence.js).
+//
+// Multi-hop: when a `retrieve` callback is given, each batch of chunks is
+// shown to a judge prompt that says whether the evidence is enough or
+// proposes follow-up sub-queries; those are retrieved and read as the next
+// hop, until the judge is satisfied or the hop/token/time budget runs out.
+// The answer is synthesized once over everything read and carries `hops`.
 // ============================================================================
 
 import { logger } from '../../core/logger.js';
-import { sendPrompt } from '../ai.js';
+import { sendPrompt, promptJSON } from '../ai.js';
+import { AI } from '../../core/constants.js';
+import { throwIfAborted, isAbortError, AbortedError } from '../../core/errors.js';
+import { loadChunks } from './stores/indexStore.js';
+import { findQuoteSpans } from './utils/quoteSpans.js';
+import { scoreConfidence } from './confidence.js';
 import {
   estimateTokensForText,
   hardCapTextToTokens,
@@ -24,9 +36,25 @@ const DEFAULT_CFG = {
     reserveAnswerTokens: 800,
     perChunkTokenCap: 1400,
     confidenceThreshold: 0.7,
+    multiHop: true,
+    maxHops: 3,
+    hopBatch: 2,              // chunks read per follow-up hop
+    maxEvidenceTokens: 6000,  // all hops together
+    timeBudgetMs: 20000,
   }
 };
 
+const JUDGE_SCHEMA = {
+  type: 'object',
+  properties: {
+    enough: { type: 'boolean' },
+    confidence: { type: 'number', minimum: 0, maximum: 1 },
+    missing: { type: 'string', maxLength: 200 },
+    subQueries: { type: 'array', items: { type: 'string', maxLength: 120 }, maxItems: 2 },
+  },
+  required: ['enough', 'subQueries'],
+};
+
 /**
  * Maps refIds to chunkIds using the index.
  * Section ids map to their child chunk ids; chunk ids pass through.
@@ -53,15 +81,21 @@ export function mapRefsToChunkIds(index, refIds) {
  */
 export function planAnswerBudget(cfg) {
   const r = (cfg && cfg.reading) || {};
+  const d = DEFAULT_CFG.reading;
   return {
-    kMax: Math.max(1, Number(r.kMax || DEFAULT_CFG.reading.kMax)),
-    perChunkTokenCap: Math.max(300, Number(r.perChunkTokenCap || DEFAULT_CFG.reading.perChunkTokenCap)),
-    reserveAnswerTokens: Math.max(300, Number(r.reserveAnswerTokens || DEFAULT_CFG.reading.reserveAnswerTokens)),
+    kMax: Math.max(1, Number(r.kMax || d.kMax)),
+    perChunkTokenCap: Math.max(300, Number(r.perChunkTokenCap || d.perChunkTokenCap)),
+    reserveAnswerTokens: Math.max(300, Number(r.reserveAnswerTokens || d.reserveAnswerTokens)),
+    maxHops: Math.max(1, Number(r.maxHops || d.maxHops)),
+    hopBatch: Math.max(1, Number(r.hopBatch || d.hopBatch)),
+    maxEvidenceTokens: Math.max(1000, Number(r.maxEvidenceTokens || d.maxEvidenceTokens)),
+    timeBudgetMs: Math.max(1000, Number(r.timeBudgetMs || d.timeBudgetMs)),
   };
 }
 
-function buildPrompt(docTitle, docUrl, query, chunksPayload) {
-  const header = `You are answering a question using ONLY the provided page sections. Quote exactly when appropriate. At the end include a Sources list with the section headings used. If the answer is not present, respond: "insufficient evidence in these sections".
+function buildPrompt(docTitle, docUrl, query, chunksPayload, answerStyle) {
+  const style = answerStyle ? ` ${answerStyle}` : '';
+  const header = `You are answering a question using ONLY the provided page sections.${style} Support each point with a short exact quote from the sections in double quotes. At the end include a Sources list with the section headings used. If the answer is not present, respond: "insufficient evidence in these sections".
 
 PAGE: ${docTitle || ''}
 URL: ${docUrl || ''}
@@ -70,43 +104,72 @@ URL: ${docUrl || ''}
   return `${header}\n${sections}\n\nQUESTION: ${query}`;
 }
 
-function parseConfidence(answerText) {
-  // Heuristic: longer answers with multiple sentences → higher confidence
-  const s = String(answerText || '').trim();
-  if (!s) return 'low';
-  const len = s.length;
-  const sentences = s.split(/[.!?]\s+/).length;
-  if (len > 600 && sentences >= 3) return 'high';
-  if (len > 200) return 'medium';
-  return 'low';
+function buildJudgePrompt(query, chunksPayload, askedQueries) {
+  const excerpts = chunksPayload.map((c, i) => `SECTION ${i + 1}: ${c.heading || ''}\n${hardCapTextToTokens(c.text, 200)}`).join('\n\n');
+  return [
+    'You decide whether the sections below contain enough evidence to fully answer the question.',
+    'Comparisons need evidence for every item compared; how-to questions need every step.',
+    'If something is missing, propose up to 2 short search queries for the missing parts.',
+    `Do not repeat these searches: ${askedQueries.map((q) => `"${q}"`).join(', ')}`,
+    '',
+    `QUESTION: ${query}`,
+    '',
+    excerpts,
+  ].join('\n');
 }
 
 /**
- * Progressive reading loop: read up to kMax chunks and synthesize answer.
- * @param {{ adapter: any, context: any, query: string, index: import('./types.js').Index, refIds: string[], config?: any }} params
- * @returns {Promise<{ text: string, usedRefs: { docId: string, chunkId: string, heading?: string }[], confidence: 'low'|'medium'|'high' }>}
+ * Asks the judge whether the evidence so far is enough
+ * @returns {Promise<{ enough: boolean, confidence: number, missing: string, subQueries: string[] }>}
  */
-export async function progressiveRead({ adapter, context, query, index, refIds, config }) {
-  const signal = config && config.signal;
-  if (signal && signal.aborted) {
-    throw new Error('aborted');
+async function judgeEvidence(query, selected, askedQueries, signal) {
+  try {
+    const out = await promptJSON(buildJudgePrompt(query, selected, askedQueries), JUDGE_SCHEMA, { signal, purpose: AI.PURPOSE_CLASSIFIER });
+    const asked = new Set(askedQueries.map((q) => q.toLowerCase()));
+    const subQueries = (out.subQueries || []).map((q) => String(q).trim()).filter((q) => q && !asked.has(q.toLowerCase()));
+    return { enough: !!out.enough, confidence: Number.isFinite(out.confidence) ? out.confidence : (out.enough ? 1 : 0), missing: String(out.missing || ''), subQueries };
+  } catch (err) {
+    if (isAbortError(err, signal)) {
+      throw new AbortedError();
+    }
+    log.warn('Evidence judge failed, answering from what was read', err);
+    return { enough: true, confidence: 0, missing: '', subQueries: [] };
   }
-  const budget = planAnswerBudget(config);
+}
+
+/**
+ * Loads capped chunk texts for refIds (sections expand to their chunks),
+ * preferring the chunks stored with the index over re-chunking.
+ * @param {{ adapter: any, context: any, index: import('./types.js').Index, refIds: string[],
+ *   budget: { kMax: number, perChunkTokenCap: number }, signal?: AbortSignal }} params
+ * @returns {Promise<{ docs: import('./types.js').Document[], selected: { id: string, heading: string, text: string }[],
+ *   usedRefs: { docId: string, chunkId: string, heading?: string }[] }>}
+ */
+export async function readChunks({ adapter, context, index, refIds, budget, signal }) {
   const chunkIds = mapRefsToChunkIds(index, refIds);
   const docs = await adapter.listDocuments(context);
-  if (signal && signal.aborted) {
-    throw new Error('aborted');
-  }
+  throwIfAborted(signal);
   if (!docs || docs.length === 0) throw new Error('No document for reading');
   const docById = new Map(docs.map((d) => [String(d.id), d]));
   const chunkCacheByDoc = new Map(); // docId -> Map(chunkId -> chunk)
+  // Reuse the chunks stored with the index instead of re-chunking
+  const storedChunks = index && index.key ? await loadChunks(index.key) : null;
+  throwIfAborted(signal);
+  for (const c of storedChunks || []) {
+    const d = docs.length === 1 ? docs[0] : docById.get(String(c.docId));
+    if (!d) {
+      continue;
+    }
+    if (!chunkCacheByDoc.has(d.id)) {
+      chunkCacheByDoc.set(d.id, new Map());
+    }
+    chunkCacheByDoc.get(d.id).set(c.id, c);
+  }
   
   const usedRefs = [];
   const selected = [];
   for (const cid of chunkIds) {
-    if (signal && signal.aborted) {
-      throw new Error('aborted');
-    }
+    throwIfAborted(signal);
     // Detect namespaced id `${docId}::chunk-#` for corpus. Otherwise single-doc.
     let docId = null;
     let chunkKey = cid;
@@ -120,9 +183,7 @@ export async function progressiveRead({ adapter, context, query, index, refIds,
     let cache = chunkCacheByDoc.get(d.id);
     if (!cache) {
       const docChunks = await adapter.chunkDocument(d, {});
-      if (signal && signal.aborted) {
-        throw new Error('aborted');
-      }
+      throwIfAborted(signal);
       cache = new Map(docChunks.map((x) => [x.id, x]));
       chunkCacheByDoc.set(d.id, cache);
     }
@@ -134,15 +195,116 @@ export async function progressiveRead({ adapter, context, query, index, refIds,
     usedRefs.push({ docId: d.id, chunkId: c.id, heading: c.heading || '' });
     if (selected.length >= budget.kMax) break;
   }
+  return { docs, selected, usedRefs };
+}
 
-  if (selected.length === 0) {
-    return { text: 'insufficient evidence (no readable sections)', usedRefs: [], confidence: 'low' };
+/**
+ * Progressive reading loop: reads up to kMax chunks, then (when `retrieve` is
+ * given) lets a judge ask for follow-up hops before synthesizing one answer.
+ * Each used ref carries `spans`: the quoted chunk text with its offsets.
+ * `candidates` (retrieval scores) feed the confidence margin when given.
+ * `reading.answerStyle` adds a shape instruction to the answer prompt (the
+ * engine sets one per query intent).
+ * @param {{ adapter: any, context: any, query: string, index: import('./types.js').Index, refIds: string[],
+ *   candidates?: { refId: string, score: number }[],
+ *   retrieve?: (subQuery: string) => Promise<{ refIds: string[], index: import('./types.js').Index }>,
+ *   config?: { reading?: any, signal?: AbortSignal, onHop?: (hop: import('./types.js').ReadingHop) => void } }} params
+ * @returns {Promise<import('./types.js').Answer>}
+ */
+export async function progressiveRead({ adapter, context, query, index, refIds, candidates, retrieve, config }) {
+  const signal = config && config.signal;
+  throwIfAborted(signal);
+  const budget = planAnswerBudget(config);
+  const reading = (config && config.reading) || {};
+  const threshold = Number(reading.confidenceThreshold) || DEFAULT_CFG.reading.confidenceThreshold;
+  const multiHop = typeof retrieve === 'function' && reading.multiHop !== false && budget.maxHops > 1;
+  const startedAt = Date.now();
+
+  const first = await readChunks({ adapter, context, index, refIds, budget, signal });
+  if (first.selected.length === 0) {
+    return { text: 'insufficient evidence (no readable sections)', usedRefs: [], confidence: 'low', confidenceReason: 'No readable sections', insufficient: true };
   }
+  const docs = first.docs;
+  const selected = first.selected.slice();
+  const usedRefs = first.usedRefs.slice();
+  let evidenceTokens = selected.reduce((n, c) => n + estimateTokensForText(c.text), 0);
+
+  /** @type {import('./types.js').ReadingHop[]} */
+  const hops = [{ hop: 1, query, read: usedRefs.map((u) => ({ chunkId: u.chunkId, heading: u.heading })) }];
+  const report = (hop) => {
+    try {
+      if (config && typeof config.onHop === 'function') {
+        config.onHop(hop);
+      }
+    } catch {
+      // A failing progress callback must not stop the read
+    }
+  };
+  report(hops[0]);
+
+  // Judge → sub-queries → retrieve → read, until satisfied or out of budget
+  const asked = [query];
+  while (multiHop && hops.length < budget.maxHops) {
+    if (Date.now() - startedAt > budget.timeBudgetMs || evidenceTokens >= budget.maxEvidenceTokens) {
+      break;
+    }
+    throwIfAborted(signal);
+    const last = hops[hops.length - 1];
+    const verdict = await judgeEvidence(query, selected, asked, signal);
+    Object.assign(last, { enough: verdict.enough, missing: verdict.missing, subQueries: verdict.subQueries });
+    if ((verdict.enough && verdict.confidence >= threshold) || !verdict.subQueries.length) {
+      break;
+    }
 
-  // Build prompt and ask once for Phase 3 MVP
-  if (signal && signal.aborted) {
-    throw new Error('aborted');
+    const readIds = new Set(selected.map((c) => c.id));
+    const next = [];
+    let hopIndex = index;
+    for (const subQuery of verdict.subQueries) {
+      throwIfAborted(signal);
+      asked.push(subQuery);
+      try {
+        const found = await retrieve(subQuery);
+        hopIndex = found.index || hopIndex;
+        for (const cid of mapRefsToChunkIds(hopIndex, found.refIds)) {
+          if (!readIds.has(cid) && !next.includes(cid)) {
+            next.push(cid);
+          }
+        }
+      } catch (err) {
+        if (isAbortError(err, signal)) {
+          throw new AbortedError();
+        }
+        log.warn('Sub-query retrieval failed:', subQuery, err && err.message);
+      }
+    }
+    if (!next.length) {
+      break;
+    }
+
+    const hopRead = await readChunks({ adapter, context, index: hopIndex, refIds: next, budget: { ...budget, kMax: budget.hopBatch }, signal });
+    const hop = { hop: hops.length + 1, query: verdict.subQueries.join(' | '), read: [] };
+    hopRead.selected.forEach((c, i) => {
+      const tokens = estimateTokensForText(c.text);
+      if (evidenceTokens + tokens > budget.maxEvidenceTokens) {
+        return;
+      }
+      evidenceTokens += tokens;
+      selected.push(c);
+      usedRefs.push(hopRead.usedRefs[i]);
+      hop.read.push({ chunkId: c.id, heading: c.heading });
+    });
+    if (!hop.read.length) {
+      break;
+    }
+    hops.push(hop);
+    report(hop);
+  }
+  if (hops.length > 1) {
+    log.info('Multi-hop reading', { hops: hops.length, chunks: selected.length, ms: Date.now() - startedAt });
   }
+
+  // Synthesize once over everything read
+  throwIfAborted(signal);
   // Resolve doc info for header
   let docTitle = '';
   let docUrl = '';
@@ -154,15 +316,20 @@ export async function progressiveRead({ adapter, context, query, index, refIds,
       docUrl = docUrl || String(docs[0].url || '');
     }
   } catch {}
-  const prompt = buildPrompt(docTitle, docUrl, query, selected);
-  const answer = await sendPrompt(prompt);
-  const confidence = parseConfidence(answer);
-  return { text: answer, usedRefs, confidence };
+  const prompt = buildPrompt(docTitle, docUrl, query, selected, reading.answerStyle);
+  const answer = await sendPrompt(prompt, { signal });
+  const scored = scoreConfidence({ answer, evidence: selected.map((c) => c.text), candidates, readCount: first.selected.length, options: { threshold } });
+  // Attach the exact chunk text each citation points at
+  const spansByChunk = findQuoteSpans(answer, selected);
+  for (const u of usedRefs) {
+    u.spans = spansByChunk.get(u.chunkId) || [];
+  }
+  return { text: answer, usedRefs, confidence: scored.level, confidenceReason: scored.reason, confidenceScore: scored.score, insufficient: scored.insufficient, hops };
 }
 
 // CommonJS fallback
 if (typeof module !== 'undefined' && module.exports) {
-  module.exports = { mapRefsToChunkIds, planAnswerBudget, progressiveRead };
+  module.exports = { mapRefsToChunkIds, planAnswerBudget, readChunks, progressiveRead };
 }
 
 
@@ -5,11 +5,18 @@
 // ============================================================================
 // Retrieval (Phase 2) - classification, lexical retrieve, optional rerank
 // ----------------------------------------------------------------------------
-// Works on the compact Index built in Phase 1 (summaries + sections + toc).
+// Works on the Index built in Phase 1 (summaries + sections + toc, plus the
+// BM25F inverted index over full chunk text). classifyQuery() sorts questions
+// into fact, definition, howto, comparison, quote, summary, list and numeric
+// intents; the engine picks a retrieval and answer strategy per intent.
 // ============================================================================
 
 import { logger } from '../../core/logger.js';
-import { sendPrompt } from '../ai.js';
+import { promptJSON } from '../ai.js';
+import { AI } from '../../core/constants.js';
+import { AbortedError, isAbortError, throwIfAborted } from '../../core/errors.js';
+import { tokenize, scoreBM25F } from './utils/bm25.js';
+import { detectEntityListQuery } from './entities.js';
 
 const log = logger.create('Retrieval');
 
@@ -26,30 +33,187 @@ function normTokens(s) {
     .filter((w) => !STOP.has(w));
 }
 
+export const QUERY_INTENTS = ['fact', 'definition', 'howto', 'comparison', 'quote', 'summary', 'list', 'numeric'];
+
+// Checked in order; the first match wins
+const INTENT_PATTERNS = [
+  ['summary', /\b(?:summar(?:y|ise|ize)|overview|tl;?dr|gist|main (?:points|ideas)|key (?:points|takeaways)|what is (?:this|the) (?:page|article|document|note) about)\b/],
+  ['quote', /\b(?:quote|exact (?:words|wording|text|sentence)|verbatim|word for word|citation|cite)\b/],
+  ['comparison', /\b(?:compare|comparison|versus|vs\.?|differen(?:ce|ces|t) (?:between|from)|better than|worse than)\b/],
+  ['numeric', /\bhow (?:many|much|long|old|far|big|often)\b|\b(?:what|which) (?:percentage|number|price|amount|total|rate)\b|\b(?:count|total|average)\b/],
+  ['howto', /\bhow (?:do|does|can|could|should|to)\b|\b(?:steps?|step-by-step|instructions|guide to)\b/],
+  ['definition', /\b(?:define|definition|meaning of|what does .+ mean)\b|^\s*what (?:is|are) (?:an? |the )?[\w.-]+(?: [\w.-]+)?\s*\??\s*$/],
+  ['list', /^\s*(?:list|enumerate)\b|\b(?:what|which) are (?:all )?the\b.*\b(?:options|types|kinds|ways|items|features|requirements)\b/],
+];
+
+const COMPARISON_SUBJECT_RES = [
+  /\bcompare\s+(.+?)\s+(?:and|with|to|against|vs\.?|versus)\s+(.+?)(?:\s+(?:on|in terms of|for|regarding)\s+.*)?[?.!]?$/,
+  /\bdifferen(?:ce|ces)\s+between\s+(.+?)\s+and\s+(.+?)[?.!]?$/,
+  /\bis\s+(.+?)\s+(?:better|worse|cheaper|faster|different)\s+than\s+(.+?)[?.!]?$/,
+  /^(.+?)\s+(?:vs\.?|versus)\s+(.+?)[?.!]?$/,
+];
+
+const CLASSIFY_SCHEMA = {
+  type: 'object',
+  properties: {
+    intent: { type: 'string', enum: QUERY_INTENTS },
+    subjects: { type: 'array', items: { type: 'string' }, maxItems: 4 },
+  },
+  required: ['intent', 'subjects'],
+};
+
 /**
- * Classify query intent and breadth (heuristic + optional LLM later).
+ * @typedef {Object} QueryClass
+ * @property {string} intent          // one of QUERY_INTENTS
+ * @property {('narrow'|'wide')} breadth
+ * @property {string[]} subjects      // the items a comparison is between
+ * @property {import('./types.js').EntityType=} entityType  // "list every X mentioned"
+ * @property {('heuristic'|'llm')} source
+ * @property {boolean=} decisive      // heuristic: a pattern matched
+ */
+
+function breadthOf(intent) {
+  return ['comparison', 'list', 'summary'].includes(intent) ? 'wide' : 'narrow';
+}
+
+function cleanSubject(s) {
+  return String(s || '').replace(/^(?:the|a|an)\s+/i, '').replace(/[?.!,;:]+$/, '').trim();
+}
+
+/**
+ * Items compared in a comparison question ("compare A and B", "A vs B")
  * @param {string} query
+ * @returns {string[]}
  */
-export async function classifyQuery(query) {
+export function extractComparisonSubjects(query) {
+  const q = String(query || '').trim();
+  for (const re of COMPARISON_SUBJECT_RES) {
+    const m = q.match(new RegExp(re.source, 'i'));
+    if (m) {
+      return [m[1], m[2]].map(cleanSubject).filter(Boolean);
+    }
+  }
+  return [];
+}
+
+/**
+ * Pattern-based classification, also the fallback when the model is unavailable
+ * @param {string} query
+ * @returns {QueryClass}
+ */
+export function classifyQueryHeuristic(query) {
+  const entityType = detectEntityListQuery(query);
+  if (entityType) {
+    return { intent: 'list', breadth: 'wide', subjects: [], entityType, source: 'heuristic', decisive: true };
+  }
   const q = String(query || '').toLowerCase();
-  let intent = 'fact';
-  if (/\bdefine|definition\b/.test(q)) intent = 'definition';
-  else if (/\bhow\b/.test(q)) intent = 'howto';
-  else if (/\bcompare|vs\.|versus|difference\b/.test(q)) intent = 'comparison';
-  else if (/\bquote|exact words|citation|cite\b/.test(q)) intent = 'quote';
-  const breadth = intent === 'comparison' ? 'wide' : 'narrow';
-  return { intent, breadth };
+  const hit = INTENT_PATTERNS.find(([, re]) => re.test(q));
+  const intent = hit ? hit[0] : 'fact';
+  const subjects = intent === 'comparison' ? extractComparisonSubjects(query) : [];
+  return { intent, breadth: breadthOf(intent), subjects, source: 'heuristic', decisive: !!hit };
 }
 
 /**
- * Lexical retrieval over index summaries (global, sections, chunks).
- * Returns top M refIds with scores; prefers sections over chunks.
+ * Classify query intent and breadth. Patterns decide clear cases; otherwise
+ * (and for comparisons whose items the patterns could not split) the model
+ * classifies the question when `useLLM` is set, falling back to the patterns.
+ * "List every X mentioned" questions get intent 'list' and the entity type.
+ * @param {string} query
+ * @param {{ useLLM?: boolean, signal?: AbortSignal }} [opts]
+ * @returns {Promise<QueryClass>}
+ * @throws {AbortedError} If opts.signal is aborted
+ */
+export async function classifyQuery(query, opts = {}) {
+  const heuristic = classifyQueryHeuristic(query);
+  const needsSubjects = heuristic.intent === 'comparison' && heuristic.subjects.length < 2;
+  if (!opts.useLLM || (heuristic.decisive && !needsSubjects)) {
+    return heuristic;
+  }
+  try {
+    const prompt = [
+      'Classify the user\'s question about a document by what kind of answer it needs:',
+      '- fact: a specific piece of information',
+      '- definition: what a term or concept means',
+      '- howto: steps or a procedure',
+      '- comparison: differences or similarities between two or more items (list the items in "subjects")',
+      '- quote: the exact wording of a passage',
+      '- summary: an overview of the whole document',
+      '- list: several items of one kind',
+      '- numeric: a number, amount, date or duration',
+      'Return "subjects" only for comparisons, otherwise an empty array.',
+      '',
+      `Question: ${query}`,
+    ].join('\n');
+    const out = await promptJSON(prompt, CLASSIFY_SCHEMA, { signal: opts.signal, purpose: AI.PURPOSE_CLASSIFIER });
+    const intent = QUERY_INTENTS.includes(out.intent) ? out.intent : heuristic.intent;
+    const subjects = intent === 'comparison'
+      ? Array.from(new Set((out.subjects || []).map(cleanSubject).filter(Boolean))).slice(0, 4)
+      : [];
+    return { intent, breadth: breadthOf(intent), subjects: subjects.length >= 2 ? subjects : heuristic.subjects, source: 'llm' };
+  } catch (err) {
+    if (isAbortError(err, opts.signal)) {
+      throw new AbortedError();
+    }
+    log.warn('LLM query classification failed; using patterns', err);
+    return heuristic;
+  }
+}
+
+/**
+ * Lexical retrieval. Chunks are scored with BM25F over the inverted index
+ * (heading, summary and full body); a section scores as its best chunk,
+ * slightly discounted so the precise chunk ranks ahead of its section.
+ * Indexes built before the inverted index existed use summary overlap.
  * @param {import('./types.js').Index} index
  * @param {string} query
- * @param {{ topM?: number }} cfg
+ * @param {{ topM?: number, expansions?: string[], expansionWeight?: number, bm25?: Object }} cfg
+ *   expansions: extra terms (e.g. synonyms) scored at `expansionWeight` (default 0.5)
+ * @returns {{ refId: string, score: number }[]}
  */
 export function lexicalRetrieve(index, query, cfg = {}) {
   const topM = Math.max(1, Number(cfg.topM || 12));
+  if (!index.inverted || !index.inverted.postings) {
+    const expanded = (cfg.expansions || []).length ? `${query} ${cfg.expansions.join(' ')}` : query;
+    return summaryOverlapRetrieve(index, expanded, topM);
+  }
+
+  // Query terms: original at weight 1, expansions down-weighted, deduped
+  const weights = new Map();
+  for (const t of tokenize(query)) {
+    if (!STOP.has(t)) {
+      weights.set(t, 1);
+    }
+  }
+  const expansionWeight = Number(cfg.expansionWeight ?? 0.5);
+  for (const t of tokenize((cfg.expansions || []).join(' '))) {
+    if (!weights.has(t)) {
+      weights.set(t, expansionWeight);
+    }
+  }
+  const queryTerms = Array.from(weights, ([term, weight]) => ({ term, weight }));
+  const chunkScores = scoreBM25F(index.inverted, queryTerms, cfg.bm25 || {});
+
+  const out = Array.from(chunkScores, ([refId, score]) => ({ refId, score }));
+  for (const sec of index.sections || []) {
+    let best = 0;
+    for (const cid of sec.chunkIds || []) {
+      best = Math.max(best, chunkScores.get(cid) || 0);
+    }
+    if (best > 0) {
+      out.push({ refId: sec.id, score: best * 0.9 });
+    }
+  }
+  out.sort((a, b) => b.score - a.score);
+  return out.slice(0, topM);
+}
+
+/**
+ * Legacy scoring: substring overlap with summary text and section headings.
+ * @param {import('./types.js').Index} index
+ * @param {string} query
+ * @param {number} topM
+ */
+function summaryOverlapRetrieve(index, query, topM) {
   const qTokens = normTokens(query);
   const qSet = new Set(qTokens);
 
@@ -96,9 +260,11 @@ export function lexicalRetrieve(index, query, cfg = {}) {
  * @param {import('./types.js').Index} index
  * @param {string} query
  * @param {{ refId: string, score: number }[]} candidates
- * @param {{ rerankK?: number }} cfg
+ * @param {{ rerankK?: number, signal?: AbortSignal }} cfg
+ * @throws {AbortedError} If cfg.signal is aborted (never falls back silently)
  */
 export async function rerankWithLLM(index, query, candidates, cfg = {}) {
+  throwIfAborted(cfg.signal);
   try {
     const k = Math.max(1, Number(cfg.rerankK || 4));
     // Lookup maps for richer candidate context
@@ -141,25 +307,17 @@ export async function rerankWithLLM(index, query, candidates, cfg = {}) {
       'JSON array only:'
     ].join('\n');
 
-    const raw = await sendPrompt(prompt);
-
-    // Be tolerant: extract JSON array if wrapped with extra text
-    let jsonStr = raw;
-    try {
-      const m = String(raw || '').match(/\[\s*"[\s\S]*?\]\s*/);
-      if (m) jsonStr = m[0];
-    } catch {}
-
-    try {
-      const arr = JSON.parse(jsonStr);
-      if (Array.isArray(arr)) {
-        const filtered = arr.filter((id) => typeof id === 'string');
-        return { refIds: filtered.slice(0, k), rationale: '' };
-      }
-    } catch {
-      // fall through to fallback
-    }
+    const schema = {
+      type: 'array',
+      items: { type: 'string', enum: candidates.map((c) => c.refId) },
+      maxItems: k,
+    };
+    const arr = await promptJSON(prompt, schema, { signal: cfg.signal, purpose: AI.PURPOSE_RERANKER });
+    return { refIds: Array.from(new Set(arr)).slice(0, k), rationale: '' };
   } catch (err) {
+    if (isAbortError(err, cfg.signal)) {
+      throw new AbortedError();
+    }
     log.warn('rerankWithLLM failed, using lexical order', err);
   }
   // Fallback: keep original lexical order by score, limit K
@@ -169,7 +327,7 @@ export async function rerankWithLLM(index, query, candidates, cfg = {}) {
 
 // CommonJS fallback
 if (typeof module !== 'undefined' && module.exports) {
-  module.exports = { classifyQuery, lexicalRetrieve, rerankWithLLM };
+  module.exports = { QUERY_INTENTS, extractComparisonSubjects, classifyQueryHeuristic, classifyQuery, lexicalRetrieve, rerankWithLLM };
 }
 
 
@@ -3,132 +3,302 @@
 // LinkedIn: https://www.linkedin.com/in/technomurali/
 //
 // ============================================================================
-// IndexStore - chrome.storage backed index cache with simple LRU/TTL policies
+// IndexStore - IndexedDB backed index cache with LRU/TTL eviction
 // ----------------------------------------------------------------------------
-// This store is intentionally simple for Phase 1. We keep a map of key → entry
-// and an LRU list to approximate recency. TTL is enforced on load/save.
+// Each index is split across object stores so a save or a load touches only
+// that index's records:
+//   meta      { key, createdAt, lastUsed, bytes }   (indexed by lastUsed/createdAt)
+//   indexes   { key, index }     core Index: meta, toc, summaries, sections
+//   postings  { key, inverted }  BM25F inverted index
+//   vectors   { key, vectors }   chunk embeddings
+//   chunks    { key, chunks }    chunk texts used to build the index
+//   segments  { corpus, docId, hash, deletedAt, bytes, segment }
+//             per-document pieces of a corpus index (see engine.js); the
+//             corpus has a `meta` record of its own, so LRU/TTL eviction
+//             drops all of its segments together
+//
+// Eviction walks the `meta` store only (sizes are measured once at save), so
+// it no longer re-serializes every index. Indexes saved by the previous
+// chrome.storage.local store (`retrieval:indexes` / `retrieval:lru`) are
+// migrated on first open. Without IndexedDB the store keeps indexes in memory
+// for the session.
 // ============================================================================
 
 import { logger } from '../../../core/logger.js';
 
 const log = logger.create('IndexStore');
 
-const NAMESPACE = 'retrieval:indexes';
-const LRU_KEY = 'retrieval:lru';
+const DB_NAME = 'ichrome-retrieval';
+const DB_VERSION = 2;
+const META = 'meta';
+const PARTS = ['indexes', 'postings', 'vectors', 'chunks'];
+const SEGMENTS = 'segments';
+
+// Previous chrome.storage.local keys (migrated, then removed)
+const LEGACY_NAMESPACE = 'retrieval:indexes';
+const LEGACY_LRU_KEY = 'retrieval:lru';
 
 const DEFAULTS = {
-  maxEntries: 20,
+  maxEntries: 40,
   ttlHours: 24 * 7, // 7 days
-  maxTotalBytes: 4_000_000, // ~4MB safety cap for chrome.storage.local
-  maxEntryBytes: 1_000_000, // ~1MB per index soft cap (advisory)
+  maxTotalBytes: 50_000_000, // ~50MB across all indexes
 };
 
+let dbPromise = null;
+/** @type {Map<string, { meta: Object, parts: Object }>|null} In-memory fallback */
+let memory = null;
+/** @type {Map<string, Map<string, Object>>} In-memory fallback: corpus -> docId -> segment record */
+const memorySegments = new Map();
+
+// ============================================
+// INDEXEDDB HELPERS
+// ============================================
+
+function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function done(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+  });
+}
+
+function openDb() {
+  if (!dbPromise) {
+    dbPromise = (async () => {
+      if (typeof indexedDB === 'undefined') {
+        log.warn('IndexedDB unavailable; indexes are kept in memory for this session');
+        memory = new Map();
+        return null;
+      }
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(META)) {
+          const meta = db.createObjectStore(META, { keyPath: 'key' });
+          meta.createIndex('lastUsed', 'lastUsed');
+          meta.createIndex('createdAt', 'createdAt');
+        }
+        for (const name of PARTS) {
+          if (!db.objectStoreNames.contains(name)) {
+            db.createObjectStore(name, { keyPath: 'key' });
+          }
+        }
+        if (!db.objectStoreNames.contains(SEGMENTS)) {
+          const segments = db.createObjectStore(SEGMENTS, { keyPath: ['corpus', 'docId'] });
+          segments.createIndex('corpus', 'corpus');
+        }
+      };
+      const db = await promisify(request);
+      await migrateLegacy(db);
+      return db;
+    })().catch((err) => {
+      log.warn('Failed to open IndexedDB; using in-memory store:', err);
+      memory = new Map();
+      return null;
+    });
+  }
+  return dbPromise;
+}
+
 function measureBytes(obj) {
   try {
-    // Approximate UTF-8 bytes from JSON string length
-    const s = JSON.stringify(obj) || '';
-    // Roughly estimate bytes: count non-ASCII as 2 bytes, ASCII as 1
-    // For simplicity and speed, use length as a lower-bound approximation
-    return s.length;
+    return (JSON.stringify(obj) || '').length;
   } catch {
     return 0;
   }
 }
 
 /**
- * @returns {Promise<Record<string, any>>}
+ * Splits an Index into its per-store records
+ * @param {string} key
+ * @param {import('../types.js').Index} index
+ * @param {import('../types.js').Chunk[]=} chunks
  */
-async function readAll() {
-  try {
-    const data = await chrome.storage.local.get([NAMESPACE]);
-    return data[NAMESPACE] && typeof data[NAMESPACE] === 'object' ? data[NAMESPACE] : {};
-  } catch (err) {
-    log.warn('readAll fallback to localStorage:', err);
-    try {
-      const raw = localStorage.getItem(NAMESPACE) || '{}';
-      return JSON.parse(raw);
-    } catch {
-      return {};
+function splitIndex(key, index, chunks) {
+  const { inverted, vectors, ...core } = index || {};
+  const parts = {
+    indexes: { key, index: core },
+    postings: inverted ? { key, inverted } : null,
+    vectors: vectors ? { key, vectors } : null,
+    chunks: Array.isArray(chunks) ? { key, chunks } : null,
+  };
+  let bytes = 0;
+  for (const name of PARTS) {
+    if (parts[name]) {
+      bytes += measureBytes(parts[name]);
     }
   }
+  const createdAt = (core.meta && core.meta.createdAt) || Date.now();
+  return { meta: { key, createdAt, lastUsed: Date.now(), bytes }, parts };
 }
 
-/**
- * @param {Record<string, any>} map
- */
-async function writeAll(map) {
-  try {
-    await chrome.storage.local.set({ [NAMESPACE]: map });
-  } catch (err) {
-    log.warn('writeAll fallback to localStorage:', err);
-    try { localStorage.setItem(NAMESPACE, JSON.stringify(map)); } catch {}
+function joinIndex(parts) {
+  if (!parts.indexes) {
+    return null;
   }
+  const index = { ...parts.indexes.index };
+  if (parts.postings) {
+    index.inverted = parts.postings.inverted;
+  }
+  if (parts.vectors) {
+    index.vectors = parts.vectors.vectors;
+  }
+  return index;
 }
 
-/**
- * @returns {Promise<string[]>}
- */
-async function readLRU() {
-  try {
-    const data = await chrome.storage.local.get([LRU_KEY]);
-    return Array.isArray(data[LRU_KEY]) ? data[LRU_KEY] : [];
-  } catch (err) {
-    log.warn('readLRU fallback to localStorage:', err);
-    try {
-      const raw = localStorage.getItem(LRU_KEY) || '[]';
-      return JSON.parse(raw);
-    } catch {
-      return [];
+async function writeEntry(db, entry) {
+  const tx = db.transaction([META, ...PARTS], 'readwrite');
+  tx.objectStore(META).put(entry.meta);
+  for (const name of PARTS) {
+    if (entry.parts[name]) {
+      tx.objectStore(name).put(entry.parts[name]);
+    } else {
+      tx.objectStore(name).delete(entry.meta.key);
     }
   }
+  await done(tx);
 }
 
-/**
- * @param {string[]} list
- */
-async function writeLRU(list) {
+async function deleteEntries(db, keys) {
+  if (!keys.length) {
+    return;
+  }
+  const tx = db.transaction([META, ...PARTS, SEGMENTS], 'readwrite');
+  const segments = tx.objectStore(SEGMENTS);
+  for (const key of keys) {
+    tx.objectStore(META).delete(key);
+    for (const name of PARTS) {
+      tx.objectStore(name).delete(key);
+    }
+    const request = segments.index('corpus').getAllKeys(key);
+    request.onsuccess = () => request.result.forEach((k) => segments.delete(k));
+  }
+  await done(tx);
+}
+
+// ============================================
+// MIGRATION (chrome.storage.local → IndexedDB)
+// ============================================
+
+async function migrateLegacy(db) {
   try {
-    await chrome.storage.local.set({ [LRU_KEY]: list });
+    if (typeof chrome === 'undefined' || !chrome.storage || !chrome.storage.local) {
+      return;
+    }
+    const data = await chrome.storage.local.get([LEGACY_NAMESPACE, LEGACY_LRU_KEY]);
+    const map = data && data[LEGACY_NAMESPACE];
+    if (!map || typeof map !== 'object') {
+      return;
+    }
+
+    // LRU head = most recent; give older entries older lastUsed stamps
+    const lru = Array.isArray(data[LEGACY_LRU_KEY]) ? data[LEGACY_LRU_KEY] : [];
+    const now = Date.now();
+    let moved = 0;
+    for (const [key, index] of Object.entries(map)) {
+      const entry = splitIndex(key, index);
+      const rank = lru.indexOf(key);
+      entry.meta.lastUsed = now - (rank === -1 ? lru.length : rank) * 1000;
+      await writeEntry(db, entry);
+      moved += 1;
+    }
+    await chrome.storage.local.remove([LEGACY_NAMESPACE, LEGACY_LRU_KEY]);
+    log.info('Migrated indexes from chrome.storage.local:', moved);
   } catch (err) {
-    log.warn('writeLRU fallback to localStorage:', err);
-    try { localStorage.setItem(LRU_KEY, JSON.stringify(list)); } catch {}
+    log.warn('Legacy index migration failed (continuing):', err);
   }
 }
 
+// ============================================
+// PUBLIC API
+// ============================================
+
 /**
  * @param {string} key
- * @returns {Promise<any|null>}
+ * @returns {Promise<import('../types.js').Index|null>}
  */
 export async function loadIndex(key) {
+  const db = await openDb();
+  const ttlMs = (DEFAULTS.ttlHours || 168) * 3600 * 1000;
   const now = Date.now();
-  const map = await readAll();
-  const entry = map[key];
-  if (!entry) return null;
 
-  // TTL enforcement
-  const ttlMs = (DEFAULTS.ttlHours || 168) * 3600 * 1000;
-  if (entry.meta && entry.meta.createdAt && now - entry.meta.createdAt > ttlMs) {
-    // Expired
-    delete map[key];
-    await writeAll(map);
-    await dropFromLRU(key);
+  if (!db) {
+    const entry = memory.get(key);
+    if (!entry) {
+      return null;
+    }
+    entry.meta.lastUsed = now;
+    return joinIndex(entry.parts);
+  }
+
+  // Chunk texts are only read on demand (loadChunks)
+  const names = PARTS.filter((p) => p !== 'chunks');
+  const tx = db.transaction([META, ...names], 'readonly');
+  const [meta, ...records] = await Promise.all(
+    [META, ...names].map((name) => promisify(tx.objectStore(name).get(key))),
+  );
+  if (!meta) {
+    return null;
+  }
+  if (meta.createdAt && now - meta.createdAt > ttlMs) {
+    await deleteEntries(db, [key]);
     log.info('Index expired by TTL:', key);
     return null;
   }
+  const index = joinIndex(Object.fromEntries(names.map((name, i) => [name, records[i]])));
 
-  await touchLRU(key);
-  return entry;
+  // Touch LRU
+  try {
+    const touch = db.transaction([META], 'readwrite');
+    touch.objectStore(META).put({ ...meta, lastUsed: now });
+    await done(touch);
+  } catch {
+    // A stale lastUsed only affects eviction order
+  }
+  return index;
 }
 
 /**
+ * Chunk texts saved with an index, if any
  * @param {string} key
- * @param {any} index
+ * @returns {Promise<import('../types.js').Chunk[]|null>}
  */
-export async function saveIndex(key, index) {
-  const map = await readAll();
-  map[key] = index;
-  await writeAll(map);
-  await touchLRU(key);
+export async function loadChunks(key) {
+  const db = await openDb();
+  if (!db) {
+    const entry = memory.get(key);
+    return (entry && entry.parts.chunks && entry.parts.chunks.chunks) || null;
+  }
+  try {
+    const tx = db.transaction(['chunks'], 'readonly');
+    const record = await promisify(tx.objectStore('chunks').get(key));
+    return record ? record.chunks : null;
+  } catch (err) {
+    log.warn('loadChunks failed:', err);
+    return null;
+  }
+}
+
+/**
+ * @param {string} key
+ * @param {import('../types.js').Index} index
+ * @param {{ chunks?: import('../types.js').Chunk[] }} options - Chunk texts to keep with the index
+ */
+export async function saveIndex(key, index, options = {}) {
+  const db = await openDb();
+  const entry = splitIndex(key, index, options.chunks);
+  if (!db) {
+    memory.set(key, entry);
+  } else {
+    await writeEntry(db, entry);
+  }
   await evictIfNeeded(DEFAULTS);
 }
 
@@ -136,29 +306,103 @@ export async function saveIndex(key, index) {
  * @param {string} key
  */
 export async function deleteIndex(key) {
-  const map = await readAll();
-  if (map[key]) {
-    delete map[key];
-    await writeAll(map);
+  const db = await openDb();
+  if (!db) {
+    memory.delete(key);
+    memorySegments.delete(key);
+    return;
+  }
+  await deleteEntries(db, [key]);
+}
+
+// ============================================
+// CORPUS SEGMENTS
+// ============================================
+
+/**
+ * All segment records of a corpus (live and tombstoned)
+ * @param {string} corpus - Corpus key (adapter index key)
+ * @returns {Promise<{ corpus: string, docId: string, hash: string, deletedAt: number|null, bytes: number, segment: Object }[]>}
+ */
+export async function loadSegments(corpus) {
+  const db = await openDb();
+  if (!db) {
+    const entry = memory.get(corpus);
+    if (entry) {
+      entry.meta.lastUsed = Date.now();
+    }
+    return Array.from((memorySegments.get(corpus) || new Map()).values());
+  }
+  const tx = db.transaction([META, SEGMENTS], 'readwrite');
+  const [meta, records] = await Promise.all([
+    promisify(tx.objectStore(META).get(corpus)),
+    promisify(tx.objectStore(SEGMENTS).index('corpus').getAll(corpus)),
+  ]);
+  if (meta) {
+    tx.objectStore(META).put({ ...meta, lastUsed: Date.now() });
   }
-  await dropFromLRU(key);
+  await done(tx);
+  return records;
 }
 
-async function touchLRU(key) {
-  const list = await readLRU();
-  const next = [key, ...list.filter((k) => k !== key)];
-  await writeLRU(next);
+/**
+ * Writes changed segment records, deletes purged ones and refreshes the
+ * corpus' meta record (size = sum of record sizes measured at write time)
+ * @param {string} corpus
+ * @param {{ put?: Object[], remove?: string[], all: Object[] }} changes
+ *   put: records to write; remove: docIds to delete; all: every record kept
+ */
+export async function saveSegments(corpus, changes) {
+  const db = await openDb();
+  const put = (changes.put || []).map((r) => ({ ...r, corpus, bytes: r.bytes || measureBytes(r.segment) }));
+  const sizes = new Map(put.map((r) => [r.docId, r.bytes]));
+  const bytes = (changes.all || []).reduce((sum, r) => sum + (sizes.get(r.docId) ?? r.bytes ?? 0), 0);
+  const now = Date.now();
+  // createdAt is kept across syncs so the TTL counts from the first build
+  const makeMeta = (previous) => ({
+    key: corpus,
+    createdAt: (previous && previous.createdAt) || now,
+    lastUsed: now,
+    bytes,
+    segments: true,
+  });
+
+  if (!db) {
+    const map = memorySegments.get(corpus) || new Map();
+    put.forEach((r) => map.set(r.docId, r));
+    (changes.remove || []).forEach((docId) => map.delete(docId));
+    memorySegments.set(corpus, map);
+    const previous = memory.get(corpus);
+    memory.set(corpus, { meta: makeMeta(previous && previous.meta), parts: {} });
+  } else {
+    const tx = db.transaction([META, SEGMENTS], 'readwrite');
+    const store = tx.objectStore(SEGMENTS);
+    put.forEach((r) => store.put(r));
+    (changes.remove || []).forEach((docId) => store.delete([corpus, docId]));
+    const metaStore = tx.objectStore(META);
+    const previous = await promisify(metaStore.get(corpus));
+    metaStore.put(makeMeta(previous));
+    await done(tx);
+  }
+  await evictIfNeeded(DEFAULTS);
 }
 
-async function dropFromLRU(key) {
-  const list = await readLRU();
-  const next = list.filter((k) => k !== key);
-  await writeLRU(next);
+/**
+ * All entry metadata, least recently used first
+ * @returns {Promise<{ key: string, createdAt: number, lastUsed: number, bytes: number }[]>}
+ */
+async function listMeta(db) {
+  if (!db) {
+    return Array.from(memory.values(), (e) => e.meta).sort((a, b) => a.lastUsed - b.lastUsed);
+  }
+  const tx = db.transaction([META], 'readonly');
+  return promisify(tx.objectStore(META).index('lastUsed').getAll());
 }
 
 /**
- * Simple count-based eviction (Phase 1). Evict least recently used.
- * @param {{ maxEntries?: number }} cfg
+ * TTL purge, then count- and size-based eviction of least recently used
+ * entries. Reads only the small `meta` records.
+ * @param {{ maxEntries?: number, ttlHours?: number, maxTotalBytes?: number }} cfg
  */
 async function evictIfNeeded(cfg) {
   const limits = Object.assign({}, DEFAULTS, cfg || {});
@@ -166,71 +410,49 @@ async function evictIfNeeded(cfg) {
   const ttlMs = Math.max(0, Number(limits.ttlHours)) * 3600 * 1000;
   const maxTotalBytes = Math.max(1, Number(limits.maxTotalBytes));
 
-  let map = await readAll();
-  let lru = await readLRU();
+  const db = await openDb();
+  const metas = await listMeta(db);
+  const now = Date.now();
+  const victims = new Set();
 
   // 1) TTL purge
-  try {
-    if (ttlMs > 0) {
-      const now = Date.now();
-      let purged = 0;
-      for (const k of Object.keys(map)) {
-        const e = map[k];
-        const created = e && e.meta && e.meta.createdAt;
-        if (created && now - created > ttlMs) {
-          delete map[k];
-          purged += 1;
-        }
-      }
-      if (purged) {
-        await writeAll(map);
-        lru = lru.filter((k) => !!map[k]);
-        await writeLRU(lru);
-        log.info('IndexStore TTL purged entries:', purged);
+  if (ttlMs > 0) {
+    for (const m of metas) {
+      if (m.createdAt && now - m.createdAt > ttlMs) {
+        victims.add(m.key);
       }
     }
-  } catch {}
-
-  // 2) Count-based eviction
-  const keys = Object.keys(map);
-  if (keys.length > maxEntries) {
-    const toRemove = Math.max(0, keys.length - maxEntries);
-    const victims = lru.slice().reverse().slice(0, toRemove);
-    for (const k of victims) {
-      if (map[k]) delete map[k];
+  }
+
+  // 2) Count, 3) total size — evict from the LRU end
+  const live = metas.filter((m) => !victims.has(m.key));
+  let count = live.length;
+  let totalBytes = live.reduce((sum, m) => sum + (m.bytes || 0), 0);
+  for (const m of live) {
+    if (count <= 1 || (count <= maxEntries && totalBytes <= maxTotalBytes)) {
+      break;
     }
-    await writeAll(map);
-    lru = lru.filter((k) => !victims.includes(k));
-    await writeLRU(lru);
-    log.info('IndexStore evicted by count:', victims.length);
+    victims.add(m.key);
+    count -= 1;
+    totalBytes -= m.bytes || 0;
   }
 
-  // 3) Size-based eviction (total bytes cap)
-  try {
-    let totalBytes = 0;
-    for (const k of Object.keys(map)) totalBytes += measureBytes(map[k]);
-    if (totalBytes > maxTotalBytes) {
-      const victims = [];
-      // Evict from least-recently-used tail until under cap
-      for (let i = lru.length - 1; i >= 0 && totalBytes > maxTotalBytes; i--) {
-        const k = lru[i];
-        if (!map[k]) continue;
-        totalBytes -= measureBytes(map[k]);
-        delete map[k];
-        victims.push(k);
-      }
-      await writeAll(map);
-      lru = lru.filter((k) => !victims.includes(k));
-      await writeLRU(lru);
-      log.info('IndexStore evicted by size:', victims.length, { totalBytesAfter: totalBytes });
+  if (!victims.size) {
+    return;
+  }
+  if (!db) {
+    for (const key of victims) {
+      memory.delete(key);
+      memorySegments.delete(key);
     }
-  } catch (err) {
-    log.warn('IndexStore size eviction failed (continuing):', err);
+  } else {
+    await deleteEntries(db, Array.from(victims));
   }
+  log.info('IndexStore evicted entries:', victims.size, { totalBytesAfter: totalBytes });
 }
 
 /**
- * Manual cleanup: TTL purge, remove orphaned LRU items, count+size eviction.
+ * Manual cleanup: TTL purge plus count+size eviction.
  * Can be called on startup or periodically.
  */
 export async function cleanupStore(cfg = {}) {
@@ -243,7 +465,5 @@ export async function cleanupStore(cfg = {}) {
 
 // CommonJS fallback
 if (typeof module !== 'undefined' && module.exports) {
-  module.exports = { loadIndex, saveIndex, deleteIndex };
+  module.exports = { loadIndex, loadChunks, saveIndex, deleteIndex, loadSegments, saveSegments, cleanupStore };
 }
-
-
@@ -5,24 +5,55 @@
 // ============================================================================
 // MemoryStore - per-session ephemeral memory for retrieval biasing
 // ----------------------------------------------------------------------------
-// Simple in-memory store to keep last used references and query synopsis.
-// In the extension, this resets on reload. This is sufficient for Phase 1.
+// Simple in-memory store to keep the last used references and recent turns
+// for follow-up questions (see followUp.js). Session ids are
+// `${threadId}:${tool}`; the side panel saves sessions with the chat thread
+// (thread_store) and seeds them back here when the thread is restored.
 // ============================================================================
 
 const sessionMap = new Map();
 
+/** Turns kept per session for follow-up rewriting */
+export const MAX_SESSION_TURNS = 3;
+
+/**
+ * @typedef {Object} RetrievalSession
+ * @property {string[]=} refIds     // chunk ids used by the previous answer
+ * @property {string=} synopsis     // previous answer, trimmed
+ * @property {string=} baseKey      // adapter index key the refIds belong to
+ * @property {string=} indexKey     // versioned index key (baseKey:contentHash)
+ * @property {{ query: string, standalone?: string, answer?: string }[]=} turns
+ * @property {number=} updatedAt
+ */
+
 /**
  * @param {string} sessionId
- * @param {{ refIds?: string[], synopsis?: string }} payload
+ * @param {RetrievalSession} payload
  */
 export function rememberSession(sessionId, payload) {
   const prev = sessionMap.get(sessionId) || {};
   sessionMap.set(sessionId, { ...prev, ...payload });
 }
 
+/**
+ * Appends a question/answer turn and the refs it used
+ * @param {string} sessionId
+ * @param {{ query: string, standalone?: string, answer?: string }} turn
+ * @param {RetrievalSession} [payload] - refIds, index keys
+ */
+export function recordSessionTurn(sessionId, turn, payload = {}) {
+  if (!sessionId) {
+    return;
+  }
+  const prev = sessionMap.get(sessionId) || {};
+  const entry = { query: String(turn.query || ''), standalone: turn.standalone || undefined, answer: String(turn.answer || '').slice(0, 600) };
+  const turns = [...(prev.turns || []), entry].slice(-MAX_SESSION_TURNS);
+  sessionMap.set(sessionId, { ...prev, ...payload, turns, synopsis: entry.answer, updatedAt: Date.now() });
+}
+
 /**
  * @param {string} sessionId
- * @returns {{ refIds?: string[], synopsis?: string }}
+ * @returns {RetrievalSession}
  */
 export function getSession(sessionId) {
   return sessionId && sessionMap.get(sessionId) || {};
@@ -37,7 +68,7 @@ export function clearSession(sessionId) {
 
 // CommonJS fallback
 if (typeof module !== 'undefined' && module.exports) {
-  module.exports = { rememberSession, getSession, clearSession };
+  module.exports = { MAX_SESSION_TURNS, rememberSession, recordSessionTurn, getSession, clearSession };
 }
 
 
@@ -0,0 +1,251 @@
+// Copyright (c) 2025 Gundlapalli Muralidhar,
+// Licensed under the MIT License. See LICENSE file in the project root.
+// LinkedIn: https://www.linkedin.com/in/technomurali/
+//
+// ============================================================================
+// Abstractive Summaries - optional LLM pass over an index's chunks
+// ----------------------------------------------------------------------------
+// The indexer's summaries are extractive (first sentences + frequent words) so
+// an index is ready without a model. This pass rewrites them with a model:
+// - Summarizer API (Chrome built-in, `self.Summarizer`) when it is available,
+//   with key terms and entities from the prompt API if that is available too
+// - otherwise one structured prompt per chunk (summary, key terms, entities)
+// The engine runs it in the background after the fast index is ready and
+// rebuilds the cached index with the result (see indexer.js `generated`).
+// ============================================================================
+
+import { logger } from '../../core/logger.js';
+import { AI } from '../../core/constants.js';
+import { AbortedError, isAbortError, throwIfAborted } from '../../core/errors.js';
+import { checkAIAvailability, promptJSON } from '../ai.js';
+import { ENTITY_TYPES } from './entities.js';
+
+const log = logger.create('Summarizer');
+
+const DEFAULTS = {
+  maxChunks: 40,           // chunks summarized per document; the rest keep extractive summaries
+  maxInputChars: 6000,     // chunk text sent per call
+  synopsisInputChars: 8000,
+  maxTerms: 10,
+};
+
+const TERMS_PROPERTIES = {
+  keyTerms: { type: 'array', items: { type: 'string' }, maxItems: DEFAULTS.maxTerms },
+  entities: {
+    type: 'array',
+    items: {
+      type: 'object',
+      properties: { text: { type: 'string', minLength: 1 }, type: { type: 'string', enum: ENTITY_TYPES } },
+      required: ['text', 'type'],
+    },
+    maxItems: DEFAULTS.maxTerms,
+  },
+};
+
+const SUMMARY_SCHEMA = {
+  type: 'object',
+  properties: { summary: { type: 'string', minLength: 1, maxLength: 800 }, ...TERMS_PROPERTIES },
+  required: ['summary', 'keyTerms', 'entities'],
+};
+
+const TERMS_SCHEMA = {
+  type: 'object',
+  properties: TERMS_PROPERTIES,
+  required: ['keyTerms', 'entities'],
+};
+
+/**
+ * @typedef {Object} GeneratedSummary
+ * @property {string} text
+ * @property {string[]|null} keyTerms   // null: derive lexically
+ * @property {{ text: string, type: import('./types.js').EntityType }[]} entities
+ */
+
+/**
+ * @typedef {Object} GeneratedSummaries
+ * @property {'summarizer'|'prompt'} backend
+ * @property {Map<string, GeneratedSummary>} byRef   // chunk id -> summary
+ * @property {GeneratedSummary|null} synopsis        // whole document
+ */
+
+async function summarizerApiAvailable() {
+  if (typeof self === 'undefined' || !('Summarizer' in self)) {
+    return false;
+  }
+  try {
+    return (await self.Summarizer.availability()) === AI.AVAILABILITY_AVAILABLE;
+  } catch {
+    return false;
+  }
+}
+
+async function promptApiAvailable() {
+  try {
+    const availability = await checkAIAvailability();
+    return availability === AI.AVAILABILITY_AVAILABLE || availability === AI.AVAILABILITY_READILY;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Which model APIs can summarize right now. Models that still need a
+ * download are skipped: a background pass has no user gesture to start one.
+ * @returns {Promise<{ summarizer: boolean, prompt: boolean }>}
+ */
+export async function resolveSummaryBackend() {
+  const [summarizer, prompt] = await Promise.all([summarizerApiAvailable(), promptApiAvailable()]);
+  return { summarizer, prompt };
+}
+
+function cleanTerms(values) {
+  const out = [];
+  for (const v of Array.isArray(values) ? values : []) {
+    const item = String(v || '').replace(/\s+/g, ' ').trim().toLowerCase();
+    if (item && !out.includes(item)) {
+      out.push(item);
+    }
+  }
+  return out.slice(0, DEFAULTS.maxTerms);
+}
+
+function cleanEntities(values) {
+  const out = [];
+  for (const v of Array.isArray(values) ? values : []) {
+    const text = String(v && v.text || '').replace(/\s+/g, ' ').trim();
+    const type = ENTITY_TYPES.includes(v && v.type) ? v.type : 'name';
+    if (text && !out.some((x) => x.text.toLowerCase() === text.toLowerCase())) {
+      out.push({ text, type });
+    }
+  }
+  return out.slice(0, DEFAULTS.maxTerms);
+}
+
+function buildSummaryPrompt(text, context) {
+  return [
+    `Summarize this ${context} in two or three sentences, keeping names, numbers and dates exactly as written.`,
+    'Also list its key terms (short lowercase keywords a reader would search for) and its entities, each with a type: person, organization, product, date, amount, code (identifiers such as function names) or name (places and anything else).',
+    '',
+    text,
+  ].join('\n');
+}
+
+function buildTermsPrompt(text, context) {
+  return [
+    `List the key terms (short lowercase keywords a reader would search for) and the entities in this ${context}, each with a type: person, organization, product, date, amount, code (identifiers such as function names) or name (places and anything else).`,
+    '',
+    text,
+  ].join('\n');
+}
+
+/**
+ * Summarizes one text with the available backends
+ * @param {string} text
+ * @param {string} context - What the text is, e.g. 'section of "Title"'
+ * @param {{ summarizer: Object|null, prompt: boolean, signal?: AbortSignal }} backends
+ * @returns {Promise<GeneratedSummary>}
+ */
+async function summarizeOne(text, context, backends) {
+  const input = String(text || '').slice(0, DEFAULTS.maxInputChars);
+  if (backends.summarizer) {
+    const summary = String(await backends.summarizer.summarize(input, { context: `A ${context}.`, signal: backends.signal }) || '').trim();
+    let terms = null;
+    if (backends.prompt) {
+      terms = await promptJSON(buildTermsPrompt(input, context), TERMS_SCHEMA, { signal: backends.signal, purpose: AI.PURPOSE_CLASSIFIER });
+    }
+    return { text: summary, keyTerms: terms ? cleanTerms(terms.keyTerms) : null, entities: terms ? cleanEntities(terms.entities) : [] };
+  }
+  const out = await promptJSON(buildSummaryPrompt(input, context), SUMMARY_SCHEMA, { signal: backends.signal, purpose: AI.PURPOSE_CLASSIFIER });
+  return { text: String(out.summary || '').trim(), keyTerms: cleanTerms(out.keyTerms), entities: cleanEntities(out.entities) };
+}
+
+/**
+ * Abstractive summaries for a document's chunks plus a document synopsis.
+ * Chunks whose call fails keep their extractive summary.
+ * @param {{
+ *   title: string,
+ *   chunks: import('./types.js').Chunk[],
+ *   signal?: AbortSignal,
+ *   options?: Partial<typeof DEFAULTS>,
+ * }} params
+ * @returns {Promise<GeneratedSummaries|null>} null when no model is available or nothing was summarized
+ * @throws {AbortedError} If `signal` is aborted
+ */
+export async function generateSummaries({ title, chunks, signal, options }) {
+  const cfg = { ...DEFAULTS, ...(options || {}) };
+  const available = await resolveSummaryBackend();
+  if (!available.summarizer && !available.prompt) {
+    return null;
+  }
+
+  const name = String(title || 'Untitled');
+  let summarizer = null;
+  if (available.summarizer) {
+    try {
+      summarizer = await self.Summarizer.create({ type: 'tldr', format: 'plain-text', length: 'short', sharedContext: `Sections of "${name}"` });
+    } catch (err) {
+      log.warn('Summarizer API create failed; using the prompt API', err);
+      if (!available.prompt) {
+        return null;
+      }
+    }
+  }
+  const backends = { summarizer, prompt: available.prompt, signal };
+  const backend = summarizer ? 'summarizer' : 'prompt';
+
+  const byRef = new Map();
+  let synopsis = null;
+  try {
+    for (const chunk of (chunks || []).slice(0, Math.max(0, cfg.maxChunks))) {
+      throwIfAborted(signal);
+      const context = chunk.heading ? `section "${chunk.heading}" of "${name}"` : `section of "${name}"`;
+      try {
+        const gen = await summarizeOne(chunk.content, context, backends);
+        if (gen.text) {
+          byRef.set(chunk.id, gen);
+        }
+      } catch (err) {
+        if (isAbortError(err, signal)) {
+          throw new AbortedError();
+        }
+        log.debug('Chunk summary failed; keeping the extractive one', { chunk: chunk.id, err });
+      }
+    }
+    if (!byRef.size) {
+      return null;
+    }
+
+    if (byRef.size === 1) {
+      synopsis = byRef.values().next().value;
+    } else {
+      const joined = Array.from(byRef.values()).map((g) => g.text).join('\n').slice(0, cfg.synopsisInputChars);
+      try {
+        const gen = await summarizeOne(joined, `document "${name}", given as section summaries`, backends);
+        if (gen.text) {
+          synopsis = gen;
+        }
+      } catch (err) {
+        if (isAbortError(err, signal)) {
+          throw new AbortedError();
+        }
+        log.debug('Synopsis failed; keeping the extractive one', err);
+      }
+    }
+  } finally {
+    if (summarizer && typeof summarizer.destroy === 'function') {
+      try {
+        summarizer.destroy();
+      } catch {
+        // Already destroyed
+      }
+    }
+  }
+
+  log.info('Abstractive summaries generated', { title: name, backend, chunks: byRef.size, synopsis: !!synopsis });
+  return { backend, byRef, synopsis };
+}
+
+// CommonJS fallback
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { resolveSummaryBackend, generateSummaries };
+}
@@ -20,7 +20,7 @@
  * @property {string[]=} headings
  * @property {string=} text
  * @property {number=} sizeBytes
- * @property {('page'|'note'|'history'|'download'|'bookmark')} sourceKind
+ * @property {('page'|'tab'|'note'|'history'|'download'|'bookmark')} sourceKind
  * @property {Object<string, any>=} extra
  */
 
@@ -47,10 +47,49 @@
 /**
  * @typedef {Object} Index
  * @property {string} key
- * @property {{ url?: string, title?: string, language?: string, createdAt: number, contentHash: string }} meta
+ * @property {{ url?: string, title?: string, language?: string, createdAt: number, contentHash: string,
+ *   summarizer?: ('summarizer'|'prompt') }} meta  // summarizer: set once the LLM summary pass has run
  * @property {{ heading: string, level: number, chunkIds: string[] }[]} toc
  * @property {Summary[]} summaries
  * @property {{ id: string, heading: string, chunkIds: string[] }[]} sections
+ * @property {InvertedIndex=} inverted  // BM25F postings over every chunk
+ * @property {{ encoder: string, dims: number, units: string[], data: string }=} vectors  // int8 chunk embeddings (base64)
+ * @property {Record<string, EntityEntry>=} entities  // normalized entity text -> entry (entities.js entityKey)
+ */
+
+/**
+ * @typedef {('person'|'organization'|'product'|'date'|'amount'|'code'|'name')} EntityType
+ */
+
+/**
+ * @typedef {Object} EntityEntry
+ * @property {string} text         // as first written
+ * @property {EntityType} type     // 'name' when no specific type was found
+ * @property {string[]} chunkIds   // chunks that mention it, in reading order
+ */
+
+/**
+ * @typedef {Object} InvertedIndex
+ * @property {number} version
+ * @property {string[]} fields               // ['heading', 'summary', 'body']
+ * @property {string[]} units                // chunk ids, by ordinal
+ * @property {number[][]} lengths            // per-unit field lengths (tokens)
+ * @property {number[]} avgLengths           // per-field average length
+ * @property {Record<string, number[]>} postings  // term -> [ord, tfH, tfS, tfB, ...]
+ */
+
+/**
+ * @typedef {Object} Segment
+ * @property {string} docId
+ * @property {string} title
+ * @property {string} contentHash
+ * @property {{ id: string, heading: string, chunkIds: string[] }[]} sections  // ids namespaced `${docId}::sec-N`
+ * @property {Summary[]} sectionSummaries
+ * @property {Summary[]} chunkSummaries
+ * @property {InvertedIndex} inverted
+ * @property {{ encoder: string, dims: number, units: string[], data: string }|null=} vectors
+ * @property {('summarizer'|'prompt')=} summarizer  // set once the LLM summary pass has run
+ * @property {Record<string, EntityEntry>=} entities
  */
 
 /**
@@ -72,11 +111,38 @@
  * @property {Document} doc
  */
 
+/**
+ * @typedef {Object} QuoteSpan
+ * @property {string} quote        // exact substring of the chunk content
+ * @property {number} start        // offset in the chunk content
+ * @property {number} end          // exclusive
+ * @property {boolean=} inferred   // best-matching sentence, not quoted by the model
+ */
+
+/**
+ * @typedef {Object} ReadingHop
+ * @property {number} hop                 // 1-based
+ * @property {string} query               // question (hop 1) or the sub-queries that found this hop's chunks
+ * @property {{ chunkId: string, heading?: string }[]} read
+ * @property {boolean=} enough            // judge verdict after this hop
+ * @property {string=} missing            // what the judge said was missing
+ * @property {string[]=} subQueries       // follow-up searches proposed by the judge
+ */
+
 /**
  * @typedef {Object} Answer
  * @property {string} text
  * @property {('low'|'medium'|'high')} confidence
- * @property {{ docId: string, chunkId: string, heading?: string }[]} usedRefs
+ * @property {string=} confidenceReason   // shown next to the confidence badge
+ * @property {number=} confidenceScore    // 0..1 (support and score margin)
+ * @property {boolean=} insufficient      // the model said the sources lack the answer
+ * @property {boolean=} widened          // re-read with more sections after a low-confidence first pass
+ * @property {string=} clarify            // follow-up question when still low after widening
+ * @property {ReadingHop[]=} hops         // multi-hop reading trace
+ * @property {string=} standaloneQuery    // follow-up rewritten from the session's recent turns
+ * @property {{ type: EntityType, count: number }=} entityList  // answered from the entity map
+ * @property {string=} intent             // query intent that picked the strategy (retrieval.js QUERY_INTENTS)
+ * @property {{ docId: string, chunkId: string, heading?: string, spans?: QuoteSpan[] }[]} usedRefs
  * @property {string[]=} disclaimers
  */
 
@@ -0,0 +1,209 @@
+// Copyright (c) 2025 Gundlapalli Muralidhar,
+// Licensed under the MIT License. See LICENSE file in the project root.
+// LinkedIn: https://www.linkedin.com/in/technomurali/
+//
+// ============================================================================
+// BM25F - tokenizer and scoring over the Index's inverted index
+// ----------------------------------------------------------------------------
+// indexer.js builds `index.inverted` from every chunk (heading, summary and
+// full body text); lexicalRetrieve() scores queries against it here.
+//
+// Stored shape (compact arrays, persisted with the index):
+//   {
+//     version, fields: ['heading','summary','body'],
+//     units: [refId, ...],               // chunk ids, by ordinal
+//     lengths: [[h, s, b], ...],          // field lengths in tokens, by ordinal
+//     avgLengths: [h, s, b],
+//     postings: { term: [ord, tfH, tfS, tfB, ord, ...] }
+//   }
+// ============================================================================
+
+export const INVERTED_INDEX_VERSION = 1;
+export const FIELDS = ['heading', 'summary', 'body'];
+
+/** Field weights and length normalization (b) per field, plus k1 */
+export const BM25F_DEFAULTS = {
+  k1: 1.2,
+  fields: {
+    heading: { weight: 3, b: 0.3 },
+    summary: { weight: 2, b: 0.75 },
+    body: { weight: 1, b: 0.75 },
+  },
+};
+
+const STOP = new Set([
+  'the','a','an','and','or','but','of','to','in','on','for','with','as','by','is','are','was','were','be','been','it','its','this','that','these','those','from','at','which','will','can','would','should','could','about','into','over','than','then','so','if','we','you','they','i','he','she','do','does','did','not','no','has','have','had',
+]);
+
+/**
+ * Light suffix folding so "results"/"result" and "studies"/"study" match
+ * @param {string} w
+ * @returns {string}
+ */
+function stem(w) {
+  if (w.length > 4 && w.endsWith('ies')) {
+    return `${w.slice(0, -3)}y`;
+  }
+  if (w.length > 3 && w.endsWith('s') && !/(ss|us|is)$/.test(w)) {
+    return w.slice(0, -1);
+  }
+  return w;
+}
+
+/**
+ * Tokenizes text for indexing and querying (both sides must use this)
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function tokenize(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s_-]+/gu, ' ')
+    .split(/[\s_-]+/)
+    .filter((w) => w.length >= 2 && !STOP.has(w))
+    .map(stem);
+}
+
+/**
+ * Builds the inverted index for a list of units (chunks)
+ * @param {{ id: string, heading?: string, summary?: string, body?: string }[]} units
+ * @returns {Object} Inverted index (see file header)
+ */
+export function buildInverted(units) {
+  const ids = [];
+  const lengths = [];
+  const totals = [0, 0, 0];
+  /** @type {Map<string, number[]>} */
+  const postings = new Map();
+
+  units.forEach((unit, ord) => {
+    ids.push(unit.id);
+    const tfs = new Map(); // term -> [h, s, b]
+    const lens = FIELDS.map((field, f) => {
+      const tokens = tokenize(unit[field]);
+      for (const t of tokens) {
+        let row = tfs.get(t);
+        if (!row) {
+          row = [0, 0, 0];
+          tfs.set(t, row);
+        }
+        row[f] += 1;
+      }
+      totals[f] += tokens.length;
+      return tokens.length;
+    });
+    lengths.push(lens);
+    for (const [term, row] of tfs) {
+      let list = postings.get(term);
+      if (!list) {
+        list = [];
+        postings.set(term, list);
+      }
+      list.push(ord, row[0], row[1], row[2]);
+    }
+  });
+
+  const n = Math.max(1, units.length);
+  return {
+    version: INVERTED_INDEX_VERSION,
+    fields: FIELDS.slice(),
+    units: ids,
+    lengths,
+    avgLengths: totals.map((t) => t / n),
+    postings: Object.fromEntries(postings),
+  };
+}
+
+/**
+ * Concatenates inverted indexes (e.g. per-document segments) into one
+ * @param {Object[]} list - From buildInverted()
+ * @returns {Object}
+ */
+export function mergeInverted(list) {
+  const units = [];
+  const lengths = [];
+  const totals = [0, 0, 0];
+  /** @type {Map<string, number[]>} */
+  const postings = new Map();
+
+  for (const inv of list) {
+    if (!inv) {
+      continue;
+    }
+    const offset = units.length;
+    units.push(...inv.units);
+    for (const lens of inv.lengths) {
+      lengths.push(lens);
+      for (let f = 0; f < 3; f++) {
+        totals[f] += lens[f];
+      }
+    }
+    for (const [term, entries] of Object.entries(inv.postings)) {
+      let out = postings.get(term);
+      if (!out) {
+        out = [];
+        postings.set(term, out);
+      }
+      for (let i = 0; i < entries.length; i += 4) {
+        out.push(entries[i] + offset, entries[i + 1], entries[i + 2], entries[i + 3]);
+      }
+    }
+  }
+
+  const n = Math.max(1, units.length);
+  return {
+    version: INVERTED_INDEX_VERSION,
+    fields: FIELDS.slice(),
+    units,
+    lengths,
+    avgLengths: totals.map((t) => t / n),
+    postings: Object.fromEntries(postings),
+  };
+}
+
+/**
+ * Scores units with BM25F: per-field length-normalized term frequencies are
+ * weighted and summed before the k1 saturation, then multiplied by IDF.
+ * @param {Object} inverted - From buildInverted()
+ * @param {{ term: string, weight?: number }[]} queryTerms - Already tokenized
+ * @param {Partial<typeof BM25F_DEFAULTS>} params
+ * @returns {Map<string, number>} refId -> score (only units with a hit)
+ */
+export function scoreBM25F(inverted, queryTerms, params = {}) {
+  const k1 = Number(params.k1 ?? BM25F_DEFAULTS.k1);
+  const fieldCfg = FIELDS.map((f) => ({ ...BM25F_DEFAULTS.fields[f], ...((params.fields || {})[f] || {}) }));
+  const N = inverted.units.length;
+  const scores = new Map();
+
+  for (const { term, weight = 1 } of queryTerms) {
+    const list = inverted.postings[term];
+    if (!list || !list.length) {
+      continue;
+    }
+    const df = list.length / 4;
+    const idf = Math.log(1 + (N - df + 0.5) / (df + 0.5));
+    for (let i = 0; i < list.length; i += 4) {
+      const ord = list[i];
+      const lens = inverted.lengths[ord];
+      let tf = 0;
+      for (let f = 0; f < 3; f++) {
+        const raw = list[i + 1 + f];
+        if (!raw) {
+          continue;
+        }
+        const avg = inverted.avgLengths[f] || 1;
+        const norm = 1 - fieldCfg[f].b + fieldCfg[f].b * (lens[f] / avg);
+        tf += fieldCfg[f].weight * (raw / norm);
+      }
+      const s = weight * idf * (tf / (k1 + tf));
+      const refId = inverted.units[ord];
+      scores.set(refId, (scores.get(refId) || 0) + s);
+    }
+  }
+  return scores;
+}
+
+// CommonJS fallback
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { INVERTED_INDEX_VERSION, FIELDS, BM25F_DEFAULTS, tokenize, buildInverted, mergeInverted, scoreBM25F };
+}
@@ -0,0 +1,180 @@
+// Copyright (c) 2025 Gundlapalli Muralidhar,
+// Licensed under the MIT License. See LICENSE file in the project root.
+// LinkedIn: https://www.linkedin.com/in/technomurali/
+//
+// ============================================================================
+// Quote Spans - locate an answer's quotes inside the chunks it was built from
+// ----------------------------------------------------------------------------
+// The reading prompt asks the model to back each point with a short exact
+// quote in double quotes. Each quote is located in the chunk texts (exactly,
+// else ignoring case, whitespace and curly quotes) and returned as the exact
+// chunk substring with its offsets, so the UI can highlight that text.
+// Chunks the model used without quoting get their best-overlapping sentence;
+// quote questions use the same matching against the question, with no model.
+// ============================================================================
+
+import { tokenize } from './bm25.js';
+
+const MIN_QUOTE_CHARS = 12;
+const MAX_QUOTE_CHARS = 400;
+
+/**
+ * Lowercases, folds curly quotes and drops whitespace, keeping a map from
+ * each normalized char back to its index in the original text.
+ * @param {string} text
+ * @returns {{ flat: string, map: number[] }}
+ */
+function normalizeWithMap(text) {
+  let flat = '';
+  const map = [];
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (/\s/.test(ch)) {
+      continue;
+    }
+    const folded = ch.replace(/[‘’]/g, "'").replace(/[“”]/g, '"').toLowerCase();
+    for (const c of folded) {
+      flat += c;
+      map.push(i);
+    }
+  }
+  return { flat, map };
+}
+
+/**
+ * Finds a quote in text
+ * @param {string} text
+ * @param {string} quote
+ * @returns {{ start: number, end: number }|null} Offsets into text (end exclusive)
+ */
+export function locateQuote(text, quote) {
+  const source = String(text || '');
+  const needle = String(quote || '').trim();
+  if (!needle) {
+    return null;
+  }
+  const exact = source.indexOf(needle);
+  if (exact !== -1) {
+    return { start: exact, end: exact + needle.length };
+  }
+
+  const hay = normalizeWithMap(source);
+  const want = normalizeWithMap(needle).flat;
+  if (!want) {
+    return null;
+  }
+  const at = hay.flat.indexOf(want);
+  if (at === -1) {
+    return null;
+  }
+  return { start: hay.map[at], end: hay.map[at + want.length - 1] + 1 };
+}
+
+/**
+ * Double-quoted passages in an answer that are long enough to be citations
+ * @param {string} answer
+ * @returns {string[]}
+ */
+export function extractQuotedStrings(answer) {
+  const out = [];
+  const re = /["“]([^"“”\n]+)["”]/g;
+  for (const m of String(answer || '').matchAll(re)) {
+    const q = m[1].trim();
+    if (q.length >= MIN_QUOTE_CHARS && q.length <= MAX_QUOTE_CHARS) {
+      out.push(q);
+    }
+  }
+  return out;
+}
+
+/**
+ * The chunk sentence sharing the most terms with the answer
+ * @param {string} text
+ * @param {Set<string>} answerTerms
+ * @param {number} [minShared] - Shared terms required
+ * @returns {{ start: number, end: number }|null}
+ */
+function bestSentence(text, answerTerms, minShared = 2) {
+  let best = null;
+  let bestScore = minShared - 1;
+  for (const m of text.matchAll(/[^.!?\n]+[.!?]?/g)) {
+    const sentence = m[0];
+    if (sentence.trim().length < MIN_QUOTE_CHARS) {
+      continue;
+    } // headings and fragments
+    const terms = new Set(tokenize(sentence));
+    let score = 0;
+    for (const t of terms) {
+      if (answerTerms.has(t)) {
+        score += 1;
+      }
+    }
+    if (score > bestScore) {
+      bestScore = score;
+      const lead = sentence.length - sentence.trimStart().length;
+      best = { start: m.index + lead, end: m.index + sentence.trimEnd().length };
+    }
+  }
+  return best;
+}
+
+/**
+ * The sentence of a chunk that best matches a question, as a verbatim span
+ * @param {string} text - Chunk text
+ * @param {string} query
+ * @param {{ minShared?: number, ignore?: string[] }} [opts] - ignore: query words that are not content (e.g. "quote")
+ * @returns {import('../types.js').QuoteSpan|null}
+ */
+export function findSentenceSpan(text, query, opts = {}) {
+  const source = String(text || '');
+  const ignore = new Set(tokenize((opts.ignore || []).join(' ')));
+  const terms = new Set(tokenize(query).filter((t) => !ignore.has(t)));
+  if (!terms.size) {
+    return null;
+  }
+  const hit = bestSentence(source, terms, Math.max(1, Number(opts.minShared || 1)));
+  return hit ? { quote: source.slice(hit.start, hit.end), start: hit.start, end: hit.end } : null;
+}
+
+/**
+ * Quote spans per chunk for an answer
+ * @param {string} answer
+ * @param {{ id: string, text: string }[]} chunks - Chunk texts the answer was built from
+ * @returns {Map<string, import('../types.js').QuoteSpan[]>} chunkId -> spans
+ */
+export function findQuoteSpans(answer, chunks) {
+  const spans = new Map(chunks.map((c) => [c.id, []]));
+  for (const quote of extractQuotedStrings(answer)) {
+    for (const c of chunks) {
+      const hit = locateQuote(c.text, quote);
+      if (!hit) {
+        continue;
+      }
+      const list = spans.get(c.id);
+      if (!list.some((s) => s.start === hit.start)) {
+        list.push({ quote: c.text.slice(hit.start, hit.end), start: hit.start, end: hit.end });
+      }
+      break;
+    }
+  }
+
+  // Unquoted chunks: point at the sentence the answer most likely drew on
+  const answerTerms = new Set(tokenize(answer));
+  for (const c of chunks) {
+    const list = spans.get(c.id);
+    if (list.length) {
+      list.sort((a, b) => a.start - b.start);
+      continue;
+    }
+    const hit = bestSentence(String(c.text || ''), answerTerms);
+    if (hit) {
+      list.push({ quote: c.text.slice(hit.start, hit.end), start: hit.start, end: hit.end, inferred: true });
+    }
+  }
+  return spans;
+}
+
+// CommonJS fallback
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { locateQuote, extractQuotedStrings, findSentenceSpan, findQuoteSpans };
+}
@@ -9,7 +9,9 @@
 // ============================================================================
 
 import { logger } from '../../../core/logger.js';
-import { sendPrompt } from '../../ai.js';
+import { promptJSON } from '../../ai.js';
+import { AI } from '../../../core/constants.js';
+import { AbortedError, isAbortError } from '../../../core/errors.js';
 
 const log = logger.create('Synonyms');
 
@@ -35,7 +37,7 @@ function tokenize(text) {
 /**
  * @param {string} query
  * @param {import('../types.js').Index} index
- * @param {{ useLLM?: boolean, limit?: number }} cfg
+ * @param {{ useLLM?: boolean, limit?: number, signal?: AbortSignal }} cfg
  * @returns {Promise<string[]>}
  */
 export async function expandQueryTerms(query, index, cfg = {}) {
@@ -56,16 +58,12 @@ export async function expandQueryTerms(query, index, cfg = {}) {
     try {
       const topics = Array.from(new Set((index.summaries || []).flatMap((s) => s.keyTerms || []))).slice(0, 40);
       const prompt = `Given the user's question tokens and the document topic terms, propose up to ${limit} short synonyms or closely related terms from the topic set only. Return JSON array of strings.\n\nQuestion tokens: ${Array.from(base).join(', ')}\nTopic terms: ${topics.join(', ')}`;
-      const json = await sendPrompt(prompt);
-      try {
-        const arr = JSON.parse(json);
-        if (Array.isArray(arr)) {
-          arr.forEach((s) => {
-            if (typeof s === 'string') staticOut.push(s.toLowerCase());
-          });
-        }
-      } catch {}
+      const arr = await promptJSON(prompt, { type: 'array', items: { type: 'string' }, maxItems: limit }, { signal: cfg.signal, purpose: AI.PURPOSE_CLASSIFIER });
+      arr.forEach((s) => staticOut.push(s.toLowerCase()));
     } catch (err) {
+      if (isAbortError(err, cfg.signal)) {
+        throw new AbortedError();
+      }
       log.warn('LLM synonym expansion failed; using static only', err);
     }
   }
@@ -0,0 +1,321 @@
+// Copyright (c) 2025 Gundlapalli Muralidhar,
+// Licensed under the MIT License. See LICENSE file in the project root.
+// LinkedIn: https://www.linkedin.com/in/technomurali/
+//
+// ============================================================================
+// SESSION POOL - Purpose-specific AI sessions with idle garbage collection
+// ============================================================================
+// FILE SUMMARY:
+// Keeps one primed base session per (provider, purpose). Each purpose has its
+// own system prompt, sampling parameters and idle lifetime. Stateless purposes
+// (classifier, reranker, ...) clone the primed base per call so their prompts
+// never accumulate; the 'chat' purpose keeps its state across turns.
+//
+// FEATURES:
+// - Purpose configs: chat, classifier, reranker, editor, translator, general
+// - Concurrent callers share one in-flight session creation
+// - Idle sessions destroyed after the purpose's TTL
+// - Dropping a leased base session waits for its release, so a settings or
+//   provider change does not cut off a streaming reply
+// ============================================================================
+
+import { AI } from '../core/constants.js';
+import { logger } from '../core/logger.js';
+
+const log = logger.create('SessionPool');
+
+/**
+ * Per-purpose session settings
+ * - systemPrompt: seeds the base session
+ * - temperature/topK: sampling (Prompt API requires both or neither)
+ * - idleTtlMs: base session is destroyed after this long unused
+ * - stateful: true = prompts go to the base session; false = clone per call
+ */
+export const PURPOSE_CONFIG = {
+  [AI.PURPOSE_CHAT]: {
+    systemPrompt: 'You are iChrome, a helpful assistant inside the browser side panel. Answer clearly and concisely.',
+    temperature: 0.8,
+    topK: 3,
+    idleTtlMs: 30 * 60 * 1000,
+    stateful: true,
+  },
+  [AI.PURPOSE_CLASSIFIER]: {
+    systemPrompt: 'You classify user requests and extract structured fields. Reply with JSON only.',
+    temperature: 0.1,
+    topK: 1,
+    idleTtlMs: 5 * 60 * 1000,
+    stateful: false,
+  },
+  [AI.PURPOSE_RERANKER]: {
+    systemPrompt: 'You rank candidate passages by semantic relevance to a question. Reply with JSON only.',
+    temperature: 0.1,
+    topK: 1,
+    idleTtlMs: 5 * 60 * 1000,
+    stateful: false,
+  },
+  [AI.PURPOSE_EDITOR]: {
+    systemPrompt: 'You are a careful writing assistant. Return only the edited or generated text.',
+    temperature: 0.7,
+    topK: 3,
+    idleTtlMs: 10 * 60 * 1000,
+    stateful: false,
+  },
+  [AI.PURPOSE_TRANSLATOR]: {
+    systemPrompt: 'You are a translator. Output only the translation, preserving formatting.',
+    temperature: 0.2,
+    topK: 1,
+    idleTtlMs: 10 * 60 * 1000,
+    stateful: false,
+  },
+  [AI.PURPOSE_GENERAL]: {
+    systemPrompt: 'You are a precise assistant that answers using only the context you are given.',
+    temperature: 0.5,
+    topK: 3,
+    idleTtlMs: 10 * 60 * 1000,
+    stateful: false,
+  },
+};
+
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Pool entries keyed by `${providerId}:${purpose}`
+ * @type {Map<string, { providerId: string, purpose: string, session: Object|null, pending: Promise<Object>|null, lastUsed: number, leases: number, dropped?: boolean }>}
+ */
+const entries = new Map();
+
+let sweepTimer = null;
+
+/**
+ * Resolves a purpose id to its config (unknown purposes use 'general')
+ * @param {string} purpose
+ * @returns {{ purpose: string, systemPrompt: string, temperature: number, topK: number, idleTtlMs: number, stateful: boolean }}
+ */
+export function getPurposeConfig(purpose) {
+  const id = PURPOSE_CONFIG[purpose] ? purpose : AI.PURPOSE_GENERAL;
+  return { purpose: id, ...PURPOSE_CONFIG[id] };
+}
+
+function poolKey(providerId, purpose) {
+  return `${providerId}:${purpose}`;
+}
+
+function destroyQuietly(session) {
+  try {
+    if (session && typeof session.destroy === 'function') {
+      session.destroy();
+    }
+  } catch (error) {
+    log.warn('Error destroying pooled session:', error);
+  }
+}
+
+function ensureSweeper() {
+  if (sweepTimer || typeof setInterval !== 'function') {
+    return;
+  }
+  sweepTimer = setInterval(() => sweepIdleSessions(), SWEEP_INTERVAL_MS);
+  // Don't keep Node-based tooling alive just for the sweeper
+  if (sweepTimer && typeof sweepTimer.unref === 'function') {
+    sweepTimer.unref();
+  }
+}
+
+/**
+ * Returns the base session for (provider, purpose), creating it once with
+ * `factory` if needed. Concurrent callers share the same creation; a creation
+ * dropped by dropSessions() while pending is destroyed when it resolves and
+ * the callers get a new session instead.
+ * @param {string} providerId
+ * @param {string} purpose
+ * @param {(config: Object) => Promise<Object>} factory - Creates a primed session
+ * @returns {Promise<Object>} Base session
+ */
+export async function getBaseSession(providerId, purpose, factory) {
+  const config = getPurposeConfig(purpose);
+  const key = poolKey(providerId, config.purpose);
+  let entry = entries.get(key);
+
+  if (entry && entry.session) {
+    entry.lastUsed = Date.now();
+    return entry.session;
+  }
+  if (entry && entry.pending) {
+    return entry.pending;
+  }
+
+  entry = { providerId, purpose: config.purpose, session: null, pending: null, lastUsed: Date.now(), leases: 0 };
+  entries.set(key, entry);
+  entry.pending = (async () => {
+    try {
+      const session = await factory(config);
+      if (entry.dropped) {
+        destroyQuietly(session);
+        log.info(`Pooled session dropped while it was created (${key}); creating again`);
+        return getBaseSession(providerId, purpose, factory);
+      }
+      entry.session = session;
+      entry.lastUsed = Date.now();
+      log.info(`Pooled session ready (${key})`);
+      return session;
+    } catch (error) {
+      if (entries.get(key) === entry) {
+        entries.delete(key);
+      }
+      throw error;
+    } finally {
+      entry.pending = null;
+    }
+  })();
+  ensureSweeper();
+  return entry.pending;
+}
+
+/**
+ * Leases the base session itself. A base session dropped while leased is
+ * destroyed when its last lease is released.
+ * @param {string} key - Pool key
+ * @param {Object} base - Base session returned by getBaseSession()
+ * @returns {{ session: Object, release: () => void }}
+ */
+function leaseBase(key, base) {
+  const entry = entries.get(key);
+  if (!entry || entry.session !== base) {
+    return { session: base, release: () => {} };
+  }
+  entry.leases++;
+  let released = false;
+  return {
+    session: base,
+    release: () => {
+      if (released) {
+        return;
+      }
+      released = true;
+      entry.leases--;
+      entry.lastUsed = Date.now();
+      if (entry.dropped && entry.leases === 0) {
+        destroyQuietly(entry.session);
+        entry.session = null;
+        log.info(`Dropped session destroyed after its last lease (${key})`);
+      }
+    },
+  };
+}
+
+/**
+ * Leases a session for one call. Stateful purposes get the base session;
+ * stateless purposes get a clone that is destroyed on release.
+ * @param {string} providerId
+ * @param {string} purpose
+ * @param {(config: Object) => Promise<Object>} factory
+ * @returns {Promise<{ session: Object, release: () => void }>}
+ */
+export async function leaseSession(providerId, purpose, factory) {
+  const config = getPurposeConfig(purpose);
+  const key = poolKey(providerId, config.purpose);
+  const base = await getBaseSession(providerId, config.purpose, factory);
+  if (config.stateful || typeof base.clone !== 'function') {
+    return leaseBase(key, base);
+  }
+  try {
+    const clone = await base.clone();
+    let released = false;
+    return {
+      session: clone,
+      release: () => {
+        if (released) {
+          return;
+        }
+        released = true;
+        destroyQuietly(clone);
+      },
+    };
+  } catch (error) {
+    log.warn(`Clone failed for ${config.purpose}; using base session`, error);
+    return leaseBase(key, base);
+  }
+}
+
+/**
+ * Destroys pooled sessions matching a filter (all when no filter). Sessions
+ * still being created are marked and destroyed once they resolve; leased
+ * sessions are destroyed when their last lease is released.
+ * @param {{ purpose?: string, providerId?: string }} filter
+ * @returns {number} Number of sessions destroyed now or on release
+ */
+export function dropSessions(filter = {}) {
+  let count = 0;
+  for (const [key, entry] of entries) {
+    if (filter.purpose && entry.purpose !== filter.purpose) {
+      continue;
+    }
+    if (filter.providerId && entry.providerId !== filter.providerId) {
+      continue;
+    }
+    if (entry.session) {
+      if (entry.leases > 0) {
+        log.info(`Session dropped while leased (${key}); destroying on release`);
+      } else {
+        destroyQuietly(entry.session);
+      }
+      count++;
+    }
+    entry.dropped = true;
+    entries.delete(key);
+  }
+  return count;
+}
+
+/**
+ * Destroys base sessions that have been idle longer than their purpose TTL
+ * @param {number} now - Current time (ms)
+ * @returns {number} Number of sessions destroyed
+ */
+export function sweepIdleSessions(now = Date.now()) {
+  let count = 0;
+  for (const [key, entry] of entries) {
+    if (!entry.session || entry.leases > 0) {
+      continue;
+    }
+    const { idleTtlMs } = getPurposeConfig(entry.purpose);
+    if (now - entry.lastUsed > idleTtlMs) {
+      destroyQuietly(entry.session);
+      entries.delete(key);
+      count++;
+      log.debug(`Idle session collected (${key})`);
+    }
+  }
+  if (entries.size === 0 && sweepTimer) {
+    clearInterval(sweepTimer);
+    sweepTimer = null;
+  }
+  return count;
+}
+
+/**
+ * Number of live base sessions in the pool
+ * @returns {number}
+ */
+export function pooledSessionCount() {
+  let count = 0;
+  for (const entry of entries.values()) {
+    if (entry.session) {
+      count++;
+    }
+  }
+  return count;
+}
+
+// For non-module script compatibility
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    PURPOSE_CONFIG,
+    getPurposeConfig,
+    getBaseSession,
+    leaseSession,
+    dropSessions,
+    sweepIdleSessions,
+    pooledSessionCount,
+  };
+}
@@ -43,6 +43,9 @@ const DEFAULT_SETTINGS = {
     autoScroll: true,
     timestamps: false,
     historyLimit: 100,
+    persistConversation: true, // keep turns across side panel reloads
+    memoryTokenBudget: 3000,   // summarize older turns beyond this budget
+    keepRecentTurns: 6,        // most recent turns always replayed verbatim
   },
   tools: {
     chat: {
@@ -50,21 +53,25 @@ const DEFAULT_SETTINGS = {
       topM: 12,
       rerankK: 4,
       useLLM: true,
+      provider: 'default', // 'default' = use ai.provider
     },
     history: {
       enabled: true,
       maxResults: 10,
       dateRange: 'all', // '7days', '30days', '90days', 'all'
+      provider: 'default', // 'default' = use ai.provider
     },
     bookmarks: {
       enabled: true,
       maxResults: 10,
       searchFolders: true,
+      provider: 'default', // 'default' = use ai.provider
     },
     downloads: {
       enabled: true,
       maxResults: 10,
       includeMetadata: true,
+      provider: 'default', // 'default' = use ai.provider
     },
     page: {
       enabled: true,
@@ -72,12 +79,32 @@ const DEFAULT_SETTINGS = {
       overlap: 500,
       autoCapture: true,
       clearOnSwitch: true,
+      aiSummaries: false, // opt-in: rewrite index summaries with the model in the background
+      provider: 'default', // 'default' = use ai.provider
     },
     chromepad: {
       enabled: true,
       autoSave: true,
       typewriter: true,
       showSuccess: true,
+      aiSummaries: false, // opt-in: rewrite index summaries with the model in the background
+      provider: 'default', // 'default' = use ai.provider
+    },
+    tabs: {
+      enabled: true,
+      maxTabs: 30, // tabs captured per question
+      provider: 'default', // 'default' = use ai.provider
+    },
+  },
+  ai: {
+    provider: 'gemini-nano', // 'gemini-nano', 'openai-compatible', 'stub'
+    overflowPolicy: 'truncate', // 'truncate', 'summarize', 'reject' when a prompt exceeds the context window
+    offlineFallback: false, // use the stub provider when Gemini Nano is missing
+    recordFixtures: false, // record real responses for replay by the stub provider
+    endpoint: {
+      baseUrl: 'http://localhost:11434/v1',
+      model: '',
+      apiKey: '',
     },
   },
   translation: {
@@ -138,6 +165,7 @@ function validateSettings(settings) {
     if (settings.audio) validated.audio = { ...validated.audio, ...settings.audio };
     if (settings.chat) validated.chat = { ...validated.chat, ...settings.chat };
     if (settings.tools) validated.tools = { ...validated.tools, ...settings.tools };
+    if (settings.ai) validated.ai = { ...validated.ai, ...settings.ai };
     if (settings.translation) validated.translation = { ...validated.translation, ...settings.translation };
     if (settings.contextSelection) validated.contextSelection = { ...validated.contextSelection, ...settings.contextSelection };
     if (settings.appearance) validated.appearance = { ...validated.appearance, ...settings.appearance };
@@ -158,6 +186,9 @@ function validateSettings(settings) {
   if (validated.chat.historyLimit < 1 || validated.chat.historyLimit > 1000) {
     validated.chat.historyLimit = DEFAULT_SETTINGS.chat.historyLimit;
   }
+  if (validated.chat.memoryTokenBudget < 500 || validated.chat.memoryTokenBudget > 16000) {
+    validated.chat.memoryTokenBudget = DEFAULT_SETTINGS.chat.memoryTokenBudget;
+  }
 
   // Validate enums
   const validDateRanges = ['7days', '30days', '90days', 'all'];
@@ -165,6 +196,17 @@ function validateSettings(settings) {
     validated.tools.history.dateRange = DEFAULT_SETTINGS.tools.history.dateRange;
   }
 
+  if (typeof validated.ai.provider !== 'string' || !validated.ai.provider) {
+    validated.ai.provider = DEFAULT_SETTINGS.ai.provider;
+  }
+  validated.ai.endpoint = { ...DEFAULT_SETTINGS.ai.endpoint, ...(validated.ai.endpoint || {}) };
+  const validOverflowPolicies = ['truncate', 'summarize', 'reject'];
+  if (!validOverflowPolicies.includes(validated.ai.overflowPolicy)) {
+    validated.ai.overflowPolicy = DEFAULT_SETTINGS.ai.overflowPolicy;
+  }
+  validated.ai.offlineFallback = validated.ai.offlineFallback === true;
+  validated.ai.recordFixtures = validated.ai.recordFixtures === true;
+
   const validThemes = ['auto', 'light', 'dark'];
   if (!validThemes.includes(validated.appearance.theme)) {
     validated.appearance.theme = DEFAULT_SETTINGS.appearance.theme;
@@ -343,6 +385,7 @@ export async function getSettings(category = null) {
       if (category === 'audio') return { ...DEFAULT_SETTINGS.audio };
       if (category === 'chat') return { ...DEFAULT_SETTINGS.chat };
       if (category === 'tools') return { ...DEFAULT_SETTINGS.tools };
+      if (category === 'ai') return { ...DEFAULT_SETTINGS.ai };
       if (category === 'translation') return { ...DEFAULT_SETTINGS.translation };
       if (category === 'contextSelection') return { ...DEFAULT_SETTINGS.contextSelection };
       if (category === 'appearance') return { ...DEFAULT_SETTINGS.appearance };
@@ -361,19 +404,18 @@ export async function getSettings(category = null) {
  * @returns {Object} - Settings object or category settings
  */
 export function getSettingsSync(category = null) {
+  const source = cachedSettings || DEFAULT_SETTINGS;
   if (!cachedSettings) {
     log.warn('Settings not cached, returning defaults');
-    if (category === null) return { ...DEFAULT_SETTINGS };
-    return getSettingsSync(category);
   }
 
   if (category === null) {
-    return { ...cachedSettings };
+    return { ...source };
   }
 
   // Support dot notation
   const parts = category.split('.');
-  let result = cachedSettings;
+  let result = source;
   
   for (const part of parts) {
     if (result && typeof result === 'object' && part in result) {
@@ -459,6 +501,8 @@ export async function resetSettings(category = null) {
     target[finalKey] = { ...DEFAULT_SETTINGS.chat };
   } else if (category === 'tools') {
     target[finalKey] = { ...DEFAULT_SETTINGS.tools };
+  } else if (category === 'ai') {
+    target[finalKey] = { ...DEFAULT_SETTINGS.ai };
   } else if (category === 'translation') {
     target[finalKey] = { ...DEFAULT_SETTINGS.translation };
   } else if (category === 'contextSelection') {
@@ -538,6 +582,7 @@ export function getDefaultSettings(category = null) {
   if (category === 'audio') return { ...DEFAULT_SETTINGS.audio };
   if (category === 'chat') return { ...DEFAULT_SETTINGS.chat };
   if (category === 'tools') return { ...DEFAULT_SETTINGS.tools };
+  if (category === 'ai') return { ...DEFAULT_SETTINGS.ai };
   if (category === 'translation') return { ...DEFAULT_SETTINGS.translation };
   if (category === 'contextSelection') return { ...DEFAULT_SETTINGS.contextSelection };
   if (category === 'appearance') return { ...DEFAULT_SETTINGS.appearance };
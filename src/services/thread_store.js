@@ -0,0 +1,293 @@
+// Copyright (c) 2025 Gundlapalli Muralidhar,
+// Licensed under the MIT License. See LICENSE file in the project root.
+// LinkedIn: https://www.linkedin.com/in/technomurali/
+//
+// ============================================================================
+// THREAD STORE - Named chat threads
+// ============================================================================
+// FILE SUMMARY:
+// Keeps the list of chat threads and which one is active. Each thread's
+// transcript lives in conversation_store under the thread id; this store only
+// holds thread metadata plus the per-thread UI state (tool and context pills)
+// and follow-up retrieval sessions that are restored when switching back to it.
+//
+// STORAGE SHAPE (key: `threads:index`):
+// {
+//   activeId: string,
+//   threads: [{ id, name, pinned, autoName, tool, contexts, retrieval, createdAt, updatedAt }]
+// }
+// The original single transcript becomes the "General" thread (id 'default').
+// ============================================================================
+
+import { logger } from '../core/logger.js';
+import { DEFAULT_CONVERSATION_ID, loadConversation, clearConversation } from './conversation_store.js';
+
+const log = logger.create('ThreadStore');
+
+const INDEX_KEY = 'threads:index';
+const DEFAULT_THREAD_NAME = 'General';
+const NEW_THREAD_NAME = 'New thread';
+const MAX_NAME_LENGTH = 60;
+
+// Serializes read-modify-write cycles on the index
+let pending = Promise.resolve();
+
+function makeThreadId() {
+  return `th-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+function cleanName(name, fallback) {
+  const text = String(name || '').replace(/\s+/g, ' ').trim();
+  return (text || fallback).slice(0, MAX_NAME_LENGTH);
+}
+
+function newThread(id, name, extra = {}) {
+  const now = Date.now();
+  return { id, name, pinned: false, autoName: false, tool: null, contexts: [], retrieval: {}, createdAt: now, updatedAt: now, ...extra };
+}
+
+async function readIndex() {
+  try {
+    const data = await chrome.storage.local.get([INDEX_KEY]);
+    const stored = data && data[INDEX_KEY];
+    if (stored && Array.isArray(stored.threads) && stored.threads.length) {
+      return stored;
+    }
+  } catch (error) {
+    log.warn('Failed to load thread index:', error);
+  }
+  return { activeId: DEFAULT_CONVERSATION_ID, threads: [newThread(DEFAULT_CONVERSATION_ID, DEFAULT_THREAD_NAME)] };
+}
+
+async function writeIndex(index) {
+  try {
+    await chrome.storage.local.set({ [INDEX_KEY]: index });
+  } catch (error) {
+    log.error('Failed to save thread index:', error);
+  }
+}
+
+/**
+ * Runs `fn(index)` against the stored index and saves it afterwards.
+ * Calls are queued so concurrent updates don't overwrite each other.
+ * @param {(index: Object) => *} fn
+ * @returns {Promise<*>} Whatever `fn` returns
+ */
+function mutate(fn) {
+  const run = pending.then(async () => {
+    const index = await readIndex();
+    const result = await fn(index);
+    await writeIndex(index);
+    return result;
+  });
+  pending = run.catch(() => {});
+  return run;
+}
+
+function findThread(index, id) {
+  const thread = index.threads.find((t) => t.id === id);
+  if (!thread) {
+    throw new Error(`Unknown thread: ${id}`);
+  }
+  return thread;
+}
+
+/**
+ * Pinned threads first, then most recently used
+ * @param {Array<Object>} threads
+ * @returns {Array<Object>}
+ */
+function sortThreads(threads) {
+  return threads.slice().sort((a, b) => (b.pinned - a.pinned) || (b.updatedAt - a.updatedAt));
+}
+
+/**
+ * All threads, pinned first then most recently used
+ * @returns {Promise<Array<Object>>}
+ */
+export async function listThreads() {
+  const index = await readIndex();
+  return sortThreads(index.threads);
+}
+
+/**
+ * Threads whose name or transcript contains the query
+ * @param {string} query
+ * @returns {Promise<Array<Object & { snippet?: string }>>} Matches, with a transcript
+ *   snippet when the match was in a message
+ */
+export async function searchThreads(query) {
+  const threads = await listThreads();
+  const q = String(query || '').trim().toLowerCase();
+  if (!q) {
+    return threads;
+  }
+
+  const results = [];
+  for (const thread of threads) {
+    if (thread.name.toLowerCase().includes(q)) {
+      results.push(thread);
+      continue;
+    }
+    const conversation = await loadConversation(thread.id);
+    const turn = conversation.turns.find((t) => String(t.content || '').toLowerCase().includes(q));
+    if (turn) {
+      const text = String(turn.content);
+      const at = text.toLowerCase().indexOf(q);
+      const start = Math.max(0, at - 30);
+      results.push({ ...thread, snippet: `${start > 0 ? '…' : ''}${text.slice(start, at + q.length + 50)}` });
+    }
+  }
+  return results;
+}
+
+/**
+ * The thread currently shown in the side panel
+ * @returns {Promise<Object>}
+ */
+export async function getActiveThread() {
+  const index = await readIndex();
+  return index.threads.find((t) => t.id === index.activeId) || index.threads[0];
+}
+
+/**
+ * Creates a thread and makes it active
+ * @param {string} [name] - Omit to name it after its first message
+ * @param {{ tool?: string }} options
+ * @returns {Promise<Object>} The new thread
+ */
+export async function createThread(name, options = {}) {
+  return mutate((index) => {
+    const thread = newThread(makeThreadId(), cleanName(name, NEW_THREAD_NAME), {
+      autoName: !String(name || '').trim(),
+      tool: options.tool || null,
+    });
+    index.threads.push(thread);
+    index.activeId = thread.id;
+    log.info('Thread created:', thread.id);
+    return thread;
+  });
+}
+
+/**
+ * Makes a thread active
+ * @param {string} id
+ * @returns {Promise<Object>} The thread
+ */
+export async function setActiveThread(id) {
+  return mutate((index) => {
+    const thread = findThread(index, id);
+    index.activeId = id;
+    return thread;
+  });
+}
+
+/**
+ * Renames a thread (stops automatic naming)
+ * @param {string} id
+ * @param {string} name
+ */
+export async function renameThread(id, name) {
+  return mutate((index) => {
+    const thread = findThread(index, id);
+    thread.name = cleanName(name, thread.name);
+    thread.autoName = false;
+    return thread;
+  });
+}
+
+/**
+ * Pins or unpins a thread (pinned threads sort first)
+ * @param {string} id
+ * @param {boolean} pinned
+ */
+export async function setThreadPinned(id, pinned) {
+  return mutate((index) => {
+    const thread = findThread(index, id);
+    thread.pinned = pinned === true;
+    return thread;
+  });
+}
+
+/**
+ * Saves the UI state to restore when the thread is shown again
+ * @param {string} id
+ * @param {{ tool?: string|null, contexts?: Array<Object>, retrieval?: Object<string, Object> }} state -
+ *   `retrieval`: follow-up sessions by tool (see retrieval/stores/memoryStore.js)
+ */
+export async function saveThreadState(id, state = {}) {
+  return mutate((index) => {
+    const thread = index.threads.find((t) => t.id === id);
+    if (!thread) {
+      return null;
+    }
+    if ('tool' in state) {
+      thread.tool = state.tool || null;
+    }
+    if ('contexts' in state) {
+      thread.contexts = Array.isArray(state.contexts) ? state.contexts : [];
+    }
+    if ('retrieval' in state) {
+      thread.retrieval = state.retrieval && typeof state.retrieval === 'object' ? state.retrieval : {};
+    }
+    return thread;
+  });
+}
+
+/**
+ * Marks a thread as used; names auto-named threads after their first message
+ * @param {string} id
+ * @param {string} [userText] - Latest user message
+ */
+export async function touchThread(id, userText) {
+  return mutate((index) => {
+    const thread = index.threads.find((t) => t.id === id);
+    if (!thread) {
+      return null;
+    }
+    thread.updatedAt = Date.now();
+    if (thread.autoName && String(userText || '').trim()) {
+      thread.name = cleanName(userText, thread.name);
+      thread.autoName = false;
+    }
+    return thread;
+  });
+}
+
+/**
+ * Deletes a thread and its transcript. If it was active, the next thread
+ * becomes active; deleting the last thread leaves a fresh "General" thread.
+ * @param {string} id
+ * @returns {Promise<string>} Id of the active thread afterwards
+ */
+export async function deleteThread(id) {
+  const activeId = await mutate((index) => {
+    index.threads = index.threads.filter((t) => t.id !== id);
+    if (!index.threads.length) {
+      index.threads.push(newThread(DEFAULT_CONVERSATION_ID, DEFAULT_THREAD_NAME));
+    }
+    if (index.activeId === id || !index.threads.some((t) => t.id === index.activeId)) {
+      index.activeId = sortThreads(index.threads)[0].id;
+    }
+    return index.activeId;
+  });
+  await clearConversation(id);
+  log.info('Thread deleted:', id);
+  return activeId;
+}
+
+// For non-module script compatibility
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    listThreads,
+    searchThreads,
+    getActiveThread,
+    createThread,
+    setActiveThread,
+    renameThread,
+    setThreadPinned,
+    saveThreadState,
+    touchThread,
+    deleteThread,
+  };
+}
@@ -13,6 +13,7 @@
 
 import { logger } from '../core/logger.js';
 import { sendPrompt } from './ai.js';
+import { AI } from '../core/constants.js';
 
 const log = logger.create('Translation');
 
@@ -96,7 +97,8 @@ export async function translateText(text, opts) {
       const prompt = `Translate the following text to ${langName}. Output ONLY the translated text, nothing else.\n\nText to translate:\n${String(text || '')}`;
       try {
         log.debug(`Translating to ${langName} via AI`);
-        const response = await sendPrompt(prompt);
+        // Never translate a silently shortened text
+        const response = await sendPrompt(prompt, { purpose: AI.PURPOSE_TRANSLATOR, overflow: AI.OVERFLOW_REJECT });
         if (typeof response === 'string' && response.trim()) {
           log.info('AI translation successful');
           return { ok: true, text: response.trim() };
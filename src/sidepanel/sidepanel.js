@@ -17,12 +17,37 @@
 // - Accessibility compliant
 // ============================================================================
 
-import { TOOLS, ERROR_MESSAGES, STATUS_MESSAGES } from '../core/constants.js';
-import { captureActivePage, chunkContent, pageState, setPageState, clearPageState, selectChunkById } from '../features/page-content/page-content.js';
-import { initializeAI, sendStreamingPrompt, sendPrompt, destroyAISession } from '../services/ai.js';
+import { TOOLS, AI, ERROR_MESSAGES, STATUS_MESSAGES, PERMISSIONS } from '../core/constants.js';
+import { captureActivePage, chunkContent, pageState, setPageState, clearPageState, selectChunkById, highlightQuoteInTab } from '../features/page-content/page-content.js';
+import {
+  initializeAI,
+  sendStreamingPrompt,
+  sendPrompt,
+  destroyAISession,
+  setActiveTool,
+  setConversationContext,
+  resetConversationSession,
+  checkAIAvailability,
+  startModelDownload,
+  getAIModelState,
+  onModelStateChange,
+} from '../services/ai.js';
+import {
+  DEFAULT_CONVERSATION_ID,
+  loadConversation,
+  appendTurn,
+  clearConversation,
+  compactConversation,
+  addBranch,
+  switchBranch,
+  getBranchInfo,
+  exportConversationMarkdown,
+} from '../services/conversation_store.js';
+import { getActiveThread, setActiveThread, saveThreadState, touchThread } from '../services/thread_store.js';
 import { searchHistory, extractQueryParameters } from '../features/history/history.js';
 import { searchBookmarks, convertBookmarksToResults } from '../features/bookmarks/bookmarks.js';
 import { searchDownloads, convertDownloadsToResults } from '../features/downloads/downloads.js';
+import { listOpenTabs, filterTabs, focusTab, convertTabsToResults } from '../features/tabs/tabs.js';
 import { initThemeSync } from '../services/theme.js';
 import {
   initializeSpeech,
@@ -40,6 +65,7 @@ import {
   openModal as openSettingsModal 
 } from '../ui/settings-modal.js';
 import { initializeSettings, getSettings } from '../services/settings.js';
+import { initializeThreadSwitcher, refreshThreadSwitcher } from '../ui/thread-switcher.js';
 import {
   initializeElements,
   applyConfiguration,
@@ -65,12 +91,19 @@ import {
   getSelectedContexts,
   getSelectedContextsRaw,
   clearSelectedContextsAfterSend,
+  setSelectedContexts,
   // New UI helpers for @Page
   renderChunkSelectionBubble,
   showPagePill,
   clearPagePill,
+  renderModelState,
+  renderConfidenceBadge,
+  renderHopTrace,
+  setBranchControls,
+  setBranchControlsDisabled,
+  openInlineEditor,
 } from '../ui/ui.js';
-import { AIError, PermissionError } from '../core/errors.js';
+import { PermissionError, ContextOverflowError, AbortedError, isAbortError } from '../core/errors.js';
 import { logger } from '../core/logger.js';
 import { formatErrorForUser } from '../core/errors.js';
 import { handleChromePadRequest, handleChromePadSelected } from '../features/chromepad/chromepad.js';
@@ -80,9 +113,74 @@ import { ChromePadAdapter } from '../services/retrieval/adapters/chromepadAdapte
 import { askWholeCorpus, retrieveRefs, answerWithRetrieval } from '../services/retrieval/engine.js';
 import { HistoryAdapter } from '../services/retrieval/adapters/historyAdapter.js';
 import { DownloadsAdapter } from '../services/retrieval/adapters/downloadsAdapter.js';
+import { BookmarksAdapter } from '../services/retrieval/adapters/bookmarksAdapter.js';
+import { TabsAdapter } from '../services/retrieval/adapters/tabsAdapter.js';
+import { progressiveRead } from '../services/retrieval/progressiveReader.js';
+import { answerAcrossSources, SOURCE_KIND_LABELS } from '../services/retrieval/federated.js';
+import { checkMultiplePermissions } from '../services/permissions.js';
+import { getSession, rememberSession, clearSession } from '../services/retrieval/stores/memoryStore.js';
 
 const log = logger.create('SidePanel');
-// Renders answer text and clickable sources; clicking a source shows its section content
+
+// Citation click-through: brings the tab showing `url` to the front (the
+// active tab if no open tab matches) and highlights the quoted passage there
+async function focusAndHighlightQuote(url, quote) {
+  try {
+    const base = (u) => String(u || '').split('#')[0];
+    const all = await chrome.tabs.query({});
+    const [active] = await chrome.tabs.query({ active: true, currentWindow: true });
+    const tab = (url && all.find((t) => base(t.url) === base(url))) || active;
+    if (!tab || !tab.id) {
+      return false;
+    }
+    await focusTab(tab.id, tab.windowId);
+    return await highlightQuoteInTab(tab.id, quote);
+  } catch (err) {
+    log.warn('Citation highlight failed:', err && err.message);
+    return false;
+  }
+}
+
+// Updates the Thinking indicator while multi-hop reading fetches more sections
+function showHopProgress(stopThink, hop) {
+  if (!stopThink || typeof stopThink.updateLabel !== 'function' || !hop || hop.hop < 2) {
+    return;
+  }
+  stopThink.updateLabel(`Reading more (hop ${hop.hop}: ${hop.query})`);
+}
+
+// Tools whose questions keep a follow-up session (see retrieval/followUp.js)
+const FOLLOW_UP_TOOLS = [TOOLS.PAGE, TOOLS.HISTORY];
+
+// Follow-up sessions are per thread and tool
+function retrievalSessionId(tool) {
+  return `${activeThreadId}:${tool}`;
+}
+
+// Saves the active thread's follow-up sessions with the thread
+async function saveRetrievalSessions() {
+  const retrieval = {};
+  for (const tool of FOLLOW_UP_TOOLS) {
+    const session = getSession(retrievalSessionId(tool));
+    if (session.turns && session.turns.length) {
+      retrieval[tool] = session;
+    }
+  }
+  try {
+    await saveThreadState(activeThreadId, { retrieval });
+  } catch (err) {
+    log.warn('Could not save follow-up sessions:', err && err.message);
+  }
+}
+
+// Quote text for a citation button, shortened for display
+function formatQuoteLabel(quote) {
+  const q = String(quote || '').replace(/\s+/g, ' ').trim();
+  return `“${q.length > 80 ? q.slice(0, 77) + '…' : q}”`;
+}
+
+// Renders answer text and clickable sources; clicking a source shows its section
+// content, clicking one of its quotes highlights that text (in the live page for @Page)
 async function renderAnswerWithSources(container, out, adapter, context, titleMap) {
   try {
     container.innerHTML = '';
@@ -95,6 +193,14 @@ async function renderAnswerWithSources(container, out, adapter, context, titleMa
       if (bubble) bubble.dataset.rawMarkdown = answerMarkdown;
     } catch {}
     container.appendChild(ans);
+    if (out && out.standaloneQuery) {
+      const searched = document.createElement('div');
+      searched.className = 'rewritten-query';
+      searched.textContent = `Searched for: ${out.standaloneQuery}`;
+      container.appendChild(searched);
+    }
+    renderConfidenceBadge(container, out);
+    renderHopTrace(container, out && out.hops);
 
     const used = out && out.usedRefs ? out.usedRefs : [];
     if (used.length) {
@@ -112,7 +218,8 @@ async function renderAnswerWithSources(container, out, adapter, context, titleMa
         const docTitle = titleMap && titleMap.get && titleMap.get(String(u.docId));
         const label = docTitle ? `${docTitle}${u.heading ? ' — ' + u.heading : ''}` : (u.heading || u.chunkId);
         btn.textContent = label;
-        btn.addEventListener('click', async () => {
+        // Shows the cited section; a quoted span is bolded (or quoted above it if it spans lines)
+        const showChunk = async (span) => {
           try {
             const docs = await adapter.listDocuments(context);
             const docById = new Map(docs.map((d) => [String(d.id), d]));
@@ -123,7 +230,16 @@ async function renderAnswerWithSources(container, out, adapter, context, titleMa
             if (!chunk) return;
             const view = appendMessage('', 'ai');
             const title = (docTitle || targetDoc.title || 'Document') + (chunk.heading ? ' — ' + chunk.heading : '');
-            const chunkMarkdown = `**${title}**\n\n${chunk.content || ''}`;
+            let content = String(chunk.content || '');
+            let lead = '';
+            if (span && content.slice(span.start, span.end) === span.quote) {
+              if (/[\n*]/.test(span.quote)) {
+                lead = `> ${span.quote.replace(/\n+/g, ' ')}\n\n`;
+              } else {
+                content = `${content.slice(0, span.start)}**${span.quote}**${content.slice(span.end)}`;
+              }
+            }
+            const chunkMarkdown = `**${title}**\n\n${lead}${content}`;
             view.innerHTML = renderMarkdown(chunkMarkdown);
             // Update rawMarkdown for export functionality
             try {
@@ -131,8 +247,25 @@ async function renderAnswerWithSources(container, out, adapter, context, titleMa
               if (bubble) bubble.dataset.rawMarkdown = chunkMarkdown;
             } catch {}
           } catch {}
-        });
+        };
+        btn.addEventListener('click', () => showChunk(null));
         li.appendChild(btn);
+
+        // One button per quoted passage
+        (u.spans || []).forEach((span) => {
+          const quoteBtn = document.createElement('button');
+          quoteBtn.type = 'button';
+          quoteBtn.className = 'citation-quote';
+          quoteBtn.textContent = formatQuoteLabel(span.quote);
+          quoteBtn.title = span.inferred ? 'Closest matching sentence' : 'Quoted in the answer';
+          quoteBtn.addEventListener('click', async () => {
+            if (adapter === PageAdapter && await focusAndHighlightQuote(context && context.url, span.quote)) {
+              return;
+            }
+            await showChunk(span);
+          });
+          li.appendChild(quoteBtn);
+        });
         list.appendChild(li);
       });
       container.appendChild(list);
@@ -150,12 +283,16 @@ let lastHistoryContext = {
 let isHistoryLoading = false;
 let isBookmarksLoading = false;
 let isDownloadsLoading = false;
+let isTabsLoading = false;
 
 // Generation state for chat streaming
 let isGenerating = false;
 let currentAbortController = null;
 let manualStopFlag = false; // Fallback if AbortSignal isn't supported
 
+// Chat thread whose transcript is shown (services/thread_store.js)
+let activeThreadId = DEFAULT_CONVERSATION_ID;
+
 // Page capture dedupe flags
 let isPageCaptureInProgress = false;
 let lastPageCaptureAt = 0;
@@ -314,14 +451,337 @@ async function handleDownloadsRequest(queryText) {
   }
 }
 
+/**
+ * Handles open tabs list requests (grouped by window and tab group)
+ * @param {string} queryText - Filter text (empty for all tabs)
+ */
+async function handleTabsRequest(queryText) {
+  if (isTabsLoading) {
+    return;
+  }
+  isTabsLoading = true;
+  const loadingMessage = appendMessage(STATUS_MESSAGES.LOADING_TABS, 'ai');
+
+  try {
+    const tabs = filterTabs(await listOpenTabs(), queryText);
+
+    if (tabs.length === 0) {
+      loadingMessage.textContent = ERROR_MESSAGES.NO_TABS_FOUND;
+      return;
+    }
+
+    renderResults(convertTabsToResults(tabs), loadingMessage);
+  } catch (error) {
+    log.error('Tabs request failed:', error);
+    loadingMessage.textContent = formatErrorForUser(error, ERROR_MESSAGES.ERROR_READING_TABS);
+  } finally {
+    isTabsLoading = false;
+  }
+}
+
+/**
+ * Answers a question over the text of all open tabs. "Summarize all my tabs"
+ * reads the opening chunk of every tab instead of the top-ranked chunks.
+ * Sources render as rows that focus their tab.
+ * @param {string} q - Question
+ */
+async function handleTabsQuestion(q) {
+  let stopThink = null;
+  try {
+    const body = appendMessage('', 'ai');
+    body.textContent = 'Reading your open tabs…';
+    try {
+      const { startThinking } = await import('../ui/ui.js');
+      stopThink = startThinking(body, 'Thinking');
+    } catch {
+      // Thinking indicator is optional
+    }
+
+    isGenerating = true;
+    manualStopFlag = false;
+    currentAbortController = (typeof AbortController !== 'undefined') ? new AbortController() : null;
+    toggleSendStopButton(true);
+    const inputElT = getInputElement();
+    if (inputElT) {
+      inputElT.disabled = true;
+    }
+
+    const signal = currentAbortController ? currentAbortController.signal : undefined;
+    const tabs = await listOpenTabs();
+    const maxTabs = Number((await getSettings('tools')).tabs?.maxTabs || 30);
+    // One context object for indexing and reading so tabs are captured once
+    const context = { tabs, maxTabs };
+    const summarizeAll = /\bsummar/i.test(q) && /\b(all|every|my)\b[^.?!]*\btabs?\b/i.test(q);
+
+    let out;
+    if (summarizeAll) {
+      const { index } = await askWholeCorpus({ adapter: TabsAdapter, context, config: { signal } });
+      const firstChunkByTab = new Map();
+      for (const chunkId of (index.inverted && index.inverted.units) || []) {
+        const docId = String(chunkId).split('::')[0];
+        if (!firstChunkByTab.has(docId)) {
+          firstChunkByTab.set(docId, chunkId);
+        }
+      }
+      const refIds = Array.from(firstChunkByTab.values());
+      out = await progressiveRead({ adapter: TabsAdapter, context, query: q, index, refIds, config: { signal, reading: { kMax: Math.max(1, refIds.length), perChunkTokenCap: 400, reserveAnswerTokens: 800 } } });
+    } else {
+      out = await answerWithRetrieval({ adapter: TabsAdapter, context, query: q, config: { signal, onHop: (h) => showHopProgress(stopThink, h), retrieval: { topM: 12, rerankK: 4, useLLM: false, expandSynonyms: true }, reading: { kMax: 3, perChunkTokenCap: 1200, reserveAnswerTokens: 800 } } });
+    }
+    if (stopThink) {
+      try {
+        stopThink();
+      } catch {
+        // Indicator already gone
+      }
+      stopThink = null;
+    }
+
+    const answerMarkdown = String(out.text || '');
+    body.innerHTML = renderMarkdown(answerMarkdown);
+    // Update rawMarkdown for export functionality
+    try {
+      const bubble = body.closest('.msg');
+      if (bubble) {
+        bubble.dataset.rawMarkdown = answerMarkdown;
+      }
+    } catch {
+      // Raw markdown only feeds export
+    }
+    renderConfidenceBadge(body, out);
+    renderHopTrace(body, out.hops);
+
+    // Sources: one clickable row per tab used
+    const usedTabIds = new Set((out.usedRefs || []).map((u) => String(u.docId)));
+    const sourceTabs = tabs.filter((t) => usedTabIds.has(`tab-${t.tabId}`));
+    if (sourceTabs.length) {
+      const hdr = document.createElement('div');
+      hdr.style.marginTop = '8px';
+      hdr.textContent = 'Sources:';
+      body.appendChild(hdr);
+      const sources = document.createElement('div');
+      body.appendChild(sources);
+      // Clicking a tab row also highlights the first passage cited from it
+      const items = convertTabsToResults(sourceTabs).map((item) => {
+        const ref = (out.usedRefs || []).find((u) => String(u.docId) === `tab-${item.tabId}` && u.spans && u.spans.length);
+        if (!ref) {
+          return item;
+        }
+        return { ...item, onOpen: async () => {
+          await focusTab(item.tabId, item.windowId);
+          await highlightQuoteInTab(item.tabId, ref.spans[0].quote);
+        } };
+      });
+      renderResults(items, sources);
+    }
+  } catch (err) {
+    if (!isAbortError(err)) {
+      log.error('Tabs question failed:', err);
+      appendMessage('Could not answer from your open tabs.', 'ai');
+    }
+  } finally {
+    isGenerating = false;
+    toggleSendStopButton(false);
+    const inputElT2 = getInputElement();
+    if (inputElT2) {
+      inputElT2.disabled = false;
+    }
+    currentAbortController = null;
+    manualStopFlag = false;
+    if (stopThink) {
+      try {
+        stopThink();
+      } catch {
+        // Indicator already gone
+      }
+    }
+  }
+}
+
+/**
+ * Builds the @All source list: every adapter the user has already granted
+ * access to (no permission prompts mid-question)
+ * @returns {Promise<{ sources: { kind: string, adapter: any, context: any }[], tabs: import('../features/tabs/tabs.js').OpenTab[] }>}
+ */
+async function buildFederatedSources() {
+  const granted = await checkMultiplePermissions([PERMISSIONS.HISTORY, PERMISSIONS.BOOKMARKS, PERMISSIONS.DOWNLOADS]);
+  let tabs = [];
+  try {
+    tabs = await listOpenTabs();
+  } catch (err) {
+    log.warn('Listing tabs for @All failed:', err);
+  }
+
+  const hasPageCapture = Array.isArray(pageState.chunks) && pageState.chunks.length > 0;
+  const pageContext = hasPageCapture
+    ? {
+      url: pageState.url || '',
+      cached: {
+        title: pageState.title || '',
+        url: pageState.url || '',
+        chunks: pageState.chunks.map((c) => ({ id: c.id, index: c.index, heading: c.heading, content: c.content, sizeBytes: c.sizeBytes })),
+        headings: pageState.chunks.map((c) => c.heading).filter(Boolean),
+      },
+    }
+    : {};
+  const maxTabs = Number((await getSettings('tools')).tabs?.maxTabs || 30);
+
+  const sources = [
+    { kind: 'page', adapter: PageAdapter, context: pageContext },
+    // The active tab is already the page source
+    { kind: 'tab', adapter: TabsAdapter, context: { tabs: tabs.filter((t) => !(t.active && t.inCurrentWindow)), maxTabs } },
+    { kind: 'note', adapter: ChromePadAdapter, context: {} },
+  ];
+  if (granted[PERMISSIONS.HISTORY]) {
+    sources.push({ kind: 'history', adapter: HistoryAdapter, context: { days: 7, text: '' } });
+  }
+  if (granted[PERMISSIONS.BOOKMARKS]) {
+    sources.push({ kind: 'bookmark', adapter: BookmarksAdapter, context: { text: '' } });
+  }
+  if (granted[PERMISSIONS.DOWNLOADS]) {
+    sources.push({ kind: 'download', adapter: DownloadsAdapter, context: { text: '' } });
+  }
+  return { sources, tabs };
+}
+
+/**
+ * Handles @All: one question across page, tabs, notes, history, bookmarks
+ * and downloads, answered once with sources grouped by kind
+ * @param {string} queryText - Question
+ */
+async function handleAllRequest(queryText) {
+  const q = String(queryText || '').trim();
+  if (!q) {
+    appendMessage('Ask a question and @All will search your page, open tabs, notes, history, bookmarks and downloads.', 'ai');
+    return;
+  }
+  let stopThink = null;
+  try {
+    const body = appendMessage('', 'ai');
+    body.textContent = 'Searching all your sources…';
+    try {
+      const { startThinking } = await import('../ui/ui.js');
+      stopThink = startThinking(body, 'Thinking');
+    } catch {
+      // Thinking indicator is optional
+    }
+
+    isGenerating = true;
+    manualStopFlag = false;
+    currentAbortController = (typeof AbortController !== 'undefined') ? new AbortController() : null;
+    toggleSendStopButton(true);
+    const inputElA = getInputElement();
+    if (inputElA) {
+      inputElA.disabled = true;
+    }
+
+    const { sources, tabs } = await buildFederatedSources();
+    const out = await answerAcrossSources({ sources, query: q, config: { signal: currentAbortController ? currentAbortController.signal : undefined, retrieval: { topM: 12 }, federated: { perSource: 4, kMax: 6 } } });
+    if (stopThink) {
+      try {
+        stopThink();
+      } catch {
+        // Indicator already gone
+      }
+      stopThink = null;
+    }
+
+    const answerMarkdown = String(out.text || '');
+    body.innerHTML = renderMarkdown(answerMarkdown);
+    // Update rawMarkdown for export functionality
+    try {
+      const bubble = body.closest('.msg');
+      if (bubble) {
+        bubble.dataset.rawMarkdown = answerMarkdown;
+      }
+    } catch {
+      // Raw markdown only feeds export
+    }
+    renderConfidenceBadge(body, out);
+
+    // Sources grouped by kind; one row per document
+    const seen = new Set();
+    const items = [];
+    for (const kind of Object.keys(SOURCE_KIND_LABELS)) {
+      for (const ref of out.usedRefs.filter((r) => r.kind === kind)) {
+        const key = `${kind}|${ref.docId}`;
+        if (seen.has(key)) {
+          continue;
+        }
+        seen.add(key);
+        const item = { title: ref.title || ref.heading || ref.docId, url: ref.url || '', lastVisitTime: ref.updatedAt, group: SOURCE_KIND_LABELS[kind] };
+        const quote = ref.spans && ref.spans.length ? ref.spans[0].quote : '';
+        if (kind === 'tab') {
+          const tab = tabs.find((t) => `tab-${t.tabId}` === ref.docId);
+          if (tab) {
+            item.onOpen = async () => {
+              await focusTab(tab.tabId, tab.windowId);
+              if (quote) {
+                await highlightQuoteInTab(tab.tabId, quote);
+              }
+            };
+          }
+        } else if (kind === 'page' && quote) {
+          item.onOpen = () => focusAndHighlightQuote(ref.url, quote);
+        } else if (kind === 'note') {
+          item.onOpen = async () => {
+            try {
+              const { renderEditorBubble } = await import('../features/chromepad/chromepad.js');
+              await renderEditorBubble(ref.docId, true);
+            } catch {
+              // The note may have been deleted
+            }
+          };
+        }
+        items.push(item);
+      }
+    }
+    if (items.length) {
+      const hdr = document.createElement('div');
+      hdr.style.marginTop = '8px';
+      hdr.textContent = 'Sources:';
+      body.appendChild(hdr);
+      const list = document.createElement('div');
+      body.appendChild(list);
+      renderResults(items, list);
+    }
+    if (out.skipped && out.skipped.length) {
+      log.info('@All skipped sources:', out.skipped);
+    }
+  } catch (err) {
+    if (!isAbortError(err)) {
+      log.error('@All request failed:', err);
+      appendMessage('Could not search across your sources.', 'ai');
+    }
+  } finally {
+    isGenerating = false;
+    toggleSendStopButton(false);
+    const inputElA2 = getInputElement();
+    if (inputElA2) {
+      inputElA2.disabled = false;
+    }
+    currentAbortController = null;
+    manualStopFlag = false;
+    if (stopThink) {
+      try {
+        stopThink();
+      } catch {
+        // Indicator already gone
+      }
+    }
+  }
+}
+
 /**
  * Handles general AI chat requests
  * @param {string} queryText - User's message
+ * @param {{ remember?: boolean }} options - `remember` uses and records the persisted conversation
  */
-async function handleChatRequest(queryText) {
+async function handleChatRequest(queryText, options = {}) {
   // This function is kept for non-controlled routes; the controlled flow is in sendMessage
+  const remember = options.remember === true;
   try {
-    const stream = await sendStreamingPrompt(queryText);
+    const stream = await sendStreamingPrompt(queryText, remember ? { purpose: AI.PURPOSE_CHAT } : {});
     const aiMessageElement = appendMessage('', 'ai');
     let buffer = '';
     let lastRender = 0;
@@ -342,10 +802,20 @@ async function handleChatRequest(queryText) {
       const bubble = aiMessageElement.closest('.msg');
       if (bubble) bubble.dataset.rawMarkdown = unwrapped;
     } catch {}
+    if (remember) {
+      await recordChatTurn(queryText, unwrapped);
+    }
   } catch (err) {
     try {
-      const response = await sendPrompt(queryText);
+      // A stream that failed partway already left the question in the chat session
+      if (remember) {
+        resetConversationSession();
+      }
+      const response = await sendPrompt(queryText, remember ? { purpose: AI.PURPOSE_CHAT } : {});
       appendMessage(response, 'ai');
+      if (remember) {
+        await recordChatTurn(queryText, response);
+      }
     } catch (promptError) {
       const errorMsg = formatErrorForUser(promptError, ERROR_MESSAGES.AI_UNAVAILABLE);
       appendMessage(errorMsg, 'ai');
@@ -353,6 +823,556 @@ async function handleChatRequest(queryText) {
   }
 }
 
+/**
+ * Shows the active thread: its transcript (when persistence is on), tool and
+ * context pills. The chat session is re-seeded from the thread's transcript
+ * so each thread keeps its own model context.
+ */
+async function restoreConversation() {
+  const thread = await getActiveThread();
+  activeThreadId = thread.id;
+  for (const [tool, session] of Object.entries(thread.retrieval || {})) {
+    rememberSession(retrievalSessionId(tool), session);
+  }
+
+  if (thread.tool && thread.tool !== getSelectedTool()) {
+    setSelectedTool(thread.tool);
+  }
+  setSelectedContexts(thread.contexts);
+
+  const chatSettings = await getSettings('chat');
+  if (!chatSettings || chatSettings.persistConversation === false) {
+    setConversationContext(null);
+    return;
+  }
+
+  // Chat sessions are seeded from this thread's stored turns, re-read whenever one is created
+  setConversationContext(activeThreadId);
+  const conversation = await loadConversation(activeThreadId);
+  if (!conversation.turns.length) {
+    return;
+  }
+
+  const limit = Math.max(1, chatSettings.historyLimit || 100);
+  for (const turn of conversation.turns.slice(-limit)) {
+    renderTurn(turn);
+  }
+  try {
+    hideOnboardingHelp();
+  } catch {
+    // Onboarding help is optional
+  }
+  scrollToBottom();
+  log.info(`Restored thread "${thread.name}" (${conversation.turns.length} turns)`);
+}
+
+/**
+ * Switches the panel to another chat thread, saving the current thread's
+ * tool and context pills first
+ * @param {string} threadId
+ * @param {{ deleted?: boolean, created?: boolean }} options - `deleted`: the
+ *   current thread is gone, so there is nothing to save
+ */
+async function switchThread(threadId, options = {}) {
+  if (!options.deleted) {
+    await saveThreadState(activeThreadId, {
+      tool: getSelectedTool(),
+      contexts: getSelectedContextsRaw(),
+    });
+  }
+  if (options.created) {
+    // New threads start from the tool in use, without the old thread's pills
+    await saveThreadState(threadId, { tool: getSelectedTool(), contexts: [] });
+  }
+  await setActiveThread(threadId);
+
+  const content = document.getElementById('sp-content');
+  if (content) {
+    content.innerHTML = '';
+  }
+  await restoreConversation();
+}
+
+/**
+ * Blocks thread switching while a response is streaming
+ * @returns {boolean}
+ */
+function canSwitchThread() {
+  if (isGenerating) {
+    updateStatus('Stop the current response before switching threads');
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Persists a completed chat exchange and compacts older turns when the
+ * transcript outgrows the memory budget
+ * @param {string} userText - What the user typed
+ * @param {string} answerText - Final assistant answer
+ * @param {{ userBody?: HTMLElement, aiBody?: HTMLElement, contexts?: Array }} bubbles - Bodies
+ *   to attach regenerate / edit / branch controls to, and the context pills the
+ *   message was sent with
+ * @returns {Promise<{ userTurn: Object, assistantTurn: Object }|null>} Stored turns
+ */
+async function recordChatTurn(userText, answerText, bubbles = {}) {
+  try {
+    const chatSettings = await getSettings('chat');
+    if (!chatSettings || chatSettings.persistConversation === false) {
+      return null;
+    }
+    if (!String(answerText || '').trim()) {
+      return null;
+    }
+
+    const userTurn = await appendTurn(activeThreadId, 'user', userText, { contexts: bubbles.contexts });
+    const assistantTurn = await appendTurn(activeThreadId, 'assistant', answerText);
+    if (bubbles.userBody) {
+      attachTurnControls(bubbles.userBody, userTurn);
+    }
+    if (bubbles.aiBody) {
+      attachTurnControls(bubbles.aiBody, assistantTurn);
+    }
+    await touchThread(activeThreadId, userText);
+    refreshThreadSwitcher();
+
+    await compactChatMemory(chatSettings);
+    return { userTurn, assistantTurn };
+  } catch (error) {
+    log.warn('Failed to record chat turn:', error);
+    return null;
+  }
+}
+
+/**
+ * Folds older turns into the rolling summary when over the memory budget
+ * @param {Object} chatSettings - Settings from the 'chat' category
+ */
+async function compactChatMemory(chatSettings) {
+  const compacted = await compactConversation(activeThreadId, {
+    maxTokens: chatSettings.memoryTokenBudget,
+    keepRecentTurns: chatSettings.keepRecentTurns,
+  });
+  if (compacted) {
+    // Rebuild the session from summary + recent turns on the next prompt
+    setConversationContext(activeThreadId);
+  }
+}
+
+// ============================================================================
+// RESPONSE BRANCHING (regenerate / edit-and-resend)
+// ============================================================================
+
+/** Sampling for regenerated answers (the chat session itself uses 0.8 / 3) */
+const REGENERATE_SAMPLING = { temperature: 1.0, topK: 8 };
+
+/**
+ * Renders a stored conversation turn as a chat bubble with branch controls
+ * @param {Object} turn - Turn from conversation_store
+ * @returns {HTMLElement} Bubble body
+ */
+function renderTurn(turn) {
+  const body = appendMessage(turn.content, turn.role === 'user' ? 'user' : 'ai');
+  attachTurnControls(body, turn);
+  return body;
+}
+
+/**
+ * Tags a bubble with its turn id and adds Regenerate / Edit and ‹ n/N › controls
+ * @param {HTMLElement} body - Bubble body
+ * @param {Object} turn - Stored turn
+ */
+function attachTurnControls(body, turn) {
+  const bubble = body && body.parentElement;
+  if (!bubble || !turn) {
+    return;
+  }
+  bubble.dataset.turnId = turn.id;
+  const { index, count } = getBranchInfo(turn);
+  const isUser = turn.role === 'user';
+  setBranchControls(body, {
+    role: isUser ? 'user' : 'ai',
+    index,
+    count,
+    onPrev: () => showBranch(turn.id, index - 1),
+    onNext: () => showBranch(turn.id, index + 1),
+    onRegenerate: isUser ? null : () => regenerateTurn(turn.id),
+    onEdit: isUser ? () => openInlineEditor(body, turn.content, (text) => editAndResend(turn.id, text)) : null,
+  });
+}
+
+function findTurnBubble(turnId) {
+  const content = document.getElementById('sp-content');
+  if (!content) {
+    return null;
+  }
+  return Array.from(content.querySelectorAll('.msg[data-turn-id]')).find((el) => el.dataset.turnId === turnId) || null;
+}
+
+/**
+ * Replaces the bubbles for turns[index..] with the conversation's live tail
+ * @param {Object} conversation
+ * @param {number} index - First turn to re-render
+ */
+function rerenderFrom(conversation, index) {
+  const content = document.getElementById('sp-content');
+  const anchor = findTurnBubble(conversation.turns[index].id);
+  if (!content || !anchor) {
+    return;
+  }
+
+  const marker = document.createComment('branch');
+  content.insertBefore(marker, anchor);
+  const stale = [];
+  for (let el = anchor; el; el = el.nextElementSibling) {
+    if (el.dataset && el.dataset.turnId) {
+      stale.push(el);
+    }
+  }
+  stale.forEach((el) => el.remove());
+  for (const turn of conversation.turns.slice(index)) {
+    const body = renderTurn(turn);
+    content.insertBefore(body.parentElement, marker);
+  }
+  marker.remove();
+}
+
+/**
+ * Builds the chat prompt: labeled context pills followed by the user's message
+ * @param {string} userText - What the user typed
+ * @param {Array<{ label?: string, text: string }>} contexts - Context pills
+ * @returns {string} Prompt text
+ */
+function buildChatPrompt(userText, contexts = []) {
+  const cfg = window.CONFIG?.contextSelection || {};
+  const labelPrefix = String(cfg.contextLabelPrefix || 'Context');
+  contexts.forEach((c, idx) => {
+    log.debug(`LLM input context ${idx + 1}:`, {
+      label: c.label,
+      textLength: c.text.length,
+      textPreview: c.text.slice(0, 200) + (c.text.length > 200 ? '...' : ''),
+    });
+  });
+  const labeled = contexts.map((c, idx) => `${labelPrefix} ${idx + 1}: "${c.text}"`);
+  const header = labeled.length ? labeled.join('\n---\n') + '\n\n' : '';
+  const prompt = `${header}User: ${userText}`;
+  log.debug('LLM input prompt length:', prompt.length);
+  return prompt;
+}
+
+/**
+ * Whether a chat message with these contexts is answered per context and
+ * synthesized (multi-chunk processing) instead of as one prompt
+ * @param {Array} contexts - Context pills
+ * @returns {boolean}
+ */
+function usesMultiContextFlow(contexts) {
+  const cfg = window.CONFIG?.contextSelection || {};
+  return cfg.enableMultiChunkProcessing !== false && Array.isArray(contexts) && contexts.length > 0;
+}
+
+/**
+ * Answers over each context pill separately and synthesizes the result,
+ * showing "Thinking i/n" progress in the bubble
+ * @param {HTMLElement} body - AI bubble body
+ * @param {Array} contexts - Context pills
+ * @param {string} query - User's message
+ * @param {AbortSignal} [signal]
+ * @param {{ temperature: number, topK: number }} [sampling] - Sampling for every prompt
+ * @returns {Promise<string>} Answer with any wrapping code fence removed
+ */
+async function answerOverContexts(body, contexts, query, signal, sampling) {
+  const cfg = window.CONFIG?.contextSelection || {};
+  let localStop = null;
+  let startThinkingRef = null;
+  try {
+    const mod = await import('../ui/ui.js');
+    startThinkingRef = mod.startThinking;
+  } catch {
+    // Progress indicator is optional
+  }
+  const { processMultiContexts } = await import('../services/multi_chunk_processor.js');
+  const showProgress = (label) => {
+    if (!localStop && startThinkingRef) {
+      try {
+        localStop = startThinkingRef(body, label);
+      } catch {
+        // Progress indicator is optional
+      }
+    } else if (localStop && typeof localStop.updateLabel === 'function') {
+      try {
+        localStop.updateLabel(label);
+      } catch {
+        // Progress indicator is optional
+      }
+    }
+  };
+  const onProgress = (info) => {
+    try {
+      if (!cfg.showChunkProgress) {
+        return;
+      }
+      if (info.phase === 'processing') {
+        showProgress(`Thinking ${info.current}/${info.total}`);
+      } else if (info.phase === 'synthesizing') {
+        showProgress('Thinking (synthesizing)');
+      }
+    } catch {
+      // Progress display is best-effort
+    }
+  };
+  try {
+    const result = await processMultiContexts({ contexts, query, config: cfg, signal, sampling, onProgress });
+    return unwrapFullCodeFence(result && result.answer ? result.answer : '');
+  } finally {
+    if (localStop) {
+      try {
+        localStop();
+      } catch {
+        // Indicator already gone
+      }
+    }
+  }
+}
+
+/**
+ * Answers a chat message into a bubble body with Stop support, assembling
+ * the prompt the same way sendMessage does (context pills, multi-chunk flow)
+ * @param {HTMLElement} body - AI bubble body
+ * @param {{ text: string, contexts?: Array }} message - User's message and the
+ *   context pills it was sent with
+ * @param {Object} extraOptions - Extra sendStreamingPrompt options (e.g. sampling)
+ * @returns {Promise<string|null>} Final answer, or null when stopped or failed
+ */
+async function generateInto(body, message, extraOptions = {}) {
+  const inputElement = getInputElement();
+  const contexts = Array.isArray(message.contexts) ? message.contexts : [];
+  let stopThinking = null;
+  isGenerating = true;
+  manualStopFlag = false;
+  currentAbortController = (typeof AbortController !== 'undefined') ? new AbortController() : null;
+  toggleSendStopButton(true);
+  setBranchControlsDisabled(true);
+  if (inputElement) {
+    inputElement.disabled = true;
+  }
+
+  try {
+    body.innerHTML = '';
+    const signal = currentAbortController ? currentAbortController.signal : undefined;
+    if (usesMultiContextFlow(contexts)) {
+      try {
+        const answer = await answerOverContexts(body, contexts, message.text, signal, extraOptions.sampling);
+        if (manualStopFlag) {
+          return null;
+        }
+        body.innerHTML = renderMarkdown(answer);
+        try {
+          body.parentElement.dataset.rawMarkdown = answer;
+        } catch {
+          // Raw markdown only feeds export
+        }
+        return answer.trim() ? answer : null;
+      } catch (mcErr) {
+        if (isAbortError(mcErr, signal) || manualStopFlag) {
+          throw mcErr;
+        }
+        // Fall through to the single-prompt path, as sendMessage does
+        console.warn('Multi-chunk path failed; falling back to streaming:', mcErr);
+      }
+    }
+    try {
+      const { startThinking } = await import('../ui/ui.js');
+      stopThinking = startThinking(body, 'Thinking');
+    } catch {
+      // Thinking indicator is optional
+    }
+    const options = { purpose: AI.PURPOSE_CHAT, ...extraOptions };
+    if (signal) {
+      options.signal = signal;
+    }
+    const stream = await sendStreamingPrompt(buildChatPrompt(message.text, contexts), options);
+    let buffer = '';
+    let lastRender = 0;
+    for await (const chunk of stream) {
+      if (manualStopFlag) {
+        break;
+      }
+      buffer += chunk;
+      if (stopThinking) {
+        try {
+          stopThinking();
+        } catch {
+          // Indicator already gone
+        }
+        stopThinking = null;
+      }
+      const now = Date.now();
+      if (now - lastRender > 120) {
+        body.innerHTML = renderMarkdown(unwrapMarkdownFenceProgressive(buffer));
+        lastRender = now;
+        scrollToBottom();
+      }
+    }
+    if (manualStopFlag) {
+      return null;
+    }
+    const unwrapped = unwrapFullCodeFence(buffer);
+    body.innerHTML = renderMarkdown(unwrapped);
+    try {
+      body.parentElement.dataset.rawMarkdown = unwrapped;
+    } catch {
+      // Raw markdown only feeds export
+    }
+    return unwrapped.trim() ? unwrapped : null;
+  } catch (error) {
+    if (!isAbortError(error, currentAbortController && currentAbortController.signal) && !manualStopFlag) {
+      log.error('Branch generation failed:', error);
+      body.innerHTML = renderMarkdown(formatErrorForUser(error, ERROR_MESSAGES.AI_UNAVAILABLE));
+    }
+    return null;
+  } finally {
+    isGenerating = false;
+    toggleSendStopButton(false);
+    setBranchControlsDisabled(false);
+    if (inputElement) {
+      inputElement.disabled = false;
+    }
+    currentAbortController = null;
+    manualStopFlag = false;
+    if (stopThinking) {
+      try {
+        stopThinking();
+      } catch {
+        // Indicator already gone
+      }
+    }
+  }
+}
+
+/**
+ * Regenerates an answer with different sampling and keeps it as a new branch
+ * @param {string} turnId - Assistant turn
+ */
+async function regenerateTurn(turnId) {
+  if (isGenerating) {
+    return;
+  }
+  try {
+    const conversation = await loadConversation(activeThreadId);
+    const index = conversation.turns.findIndex((t) => t.id === turnId);
+    const userTurn = index > 0 ? conversation.turns[index - 1] : null;
+    const bubble = findTurnBubble(turnId);
+    if (!userTurn || userTurn.role !== 'user' || !bubble) {
+      return;
+    }
+
+    // The one-off regenerate session is seeded with everything before the question
+    setConversationContext(activeThreadId, { beforeIndex: index - 1 });
+    const body = bubble.querySelector('.msg-body');
+    const answer = await generateInto(body, { text: userTurn.content, contexts: userTurn.contexts }, { sampling: REGENERATE_SAMPLING });
+    if (answer === null) {
+      setConversationContext(activeThreadId);
+      rerenderFrom(conversation, index);
+      return;
+    }
+
+    const { conversation: updated } = await addBranch(activeThreadId, turnId, answer);
+    setConversationContext(activeThreadId);
+    rerenderFrom(updated, index);
+  } catch (error) {
+    log.warn('Regenerate failed:', error);
+  }
+}
+
+/**
+ * Replaces a user message with an edited version (as a new branch) and
+ * answers it
+ * @param {string} turnId - User turn
+ * @param {string} text - Edited message
+ */
+async function editAndResend(turnId, text) {
+  if (isGenerating) {
+    return;
+  }
+  try {
+    const conversation = await loadConversation(activeThreadId);
+    const index = conversation.turns.findIndex((t) => t.id === turnId);
+    if (index < 0) {
+      return;
+    }
+
+    setConversationContext(activeThreadId, { beforeIndex: index });
+    // Show the edited message in place; it becomes a branch only once answered
+    const preview = { ...conversation, turns: conversation.turns.slice(0, index + 1) };
+    preview.turns[index] = { ...conversation.turns[index], content: text };
+    rerenderFrom(preview, index);
+
+    const aiBody = appendMessage('', 'ai');
+    // The edited message is re-asked with the context pills of the original send
+    const answer = await generateInto(aiBody, { text, contexts: conversation.turns[index].contexts });
+    if (answer === null) {
+      // Stopped or failed: nothing was stored, so put the thread back as it was
+      setConversationContext(activeThreadId);
+      if (aiBody.parentElement) {
+        aiBody.parentElement.remove();
+      }
+      rerenderFrom(conversation, index);
+      return;
+    }
+
+    const { conversation: branched } = await addBranch(activeThreadId, turnId, text);
+    const assistantTurn = await appendTurn(activeThreadId, 'assistant', answer);
+    // Later chat sessions are seeded from the whole branched thread again
+    setConversationContext(activeThreadId);
+    rerenderFrom(branched, index);
+    attachTurnControls(aiBody, assistantTurn);
+    const chatSettings = await getSettings('chat');
+    if (chatSettings) {
+      await compactChatMemory(chatSettings);
+    }
+  } catch (error) {
+    log.warn('Edit and resend failed:', error);
+  }
+}
+
+/**
+ * Shows another version of a branched turn
+ * @param {string} turnId
+ * @param {number} branchIndex - 0-based version
+ */
+async function showBranch(turnId, branchIndex) {
+  if (isGenerating) {
+    return;
+  }
+  try {
+    const { conversation, index } = await switchBranch(activeThreadId, turnId, branchIndex);
+    rerenderFrom(conversation, index);
+    setConversationContext(activeThreadId);
+  } catch (error) {
+    log.warn('Branch switch failed:', error);
+  }
+}
+
+/**
+ * Starts the model download from the download bar (needs the click's user activation)
+ */
+function requestModelDownload() {
+  startModelDownload().catch((error) => {
+    log.warn('Model download failed:', error);
+  });
+}
+
+/**
+ * Checks the active provider's availability so the download bar reflects it
+ */
+function refreshModelState() {
+  renderModelState(getAIModelState(), requestModelDownload);
+  checkAIAvailability().catch((error) => {
+    log.warn('Availability check failed:', error);
+  });
+}
+
 /**
  * Handles help tool request - shows onboarding prompt and user guide option
  * Then switches back to chat mode
@@ -447,9 +1467,10 @@ async function routeMessage(queryText) {
         const inputElH = getInputElement();
         if (inputElH) inputElH.disabled = true;
 
-        const out = await answerWithRetrieval({ adapter: HistoryAdapter, context: { days: 7, text: '' }, query: q, config: { signal: currentAbortController ? currentAbortController.signal : undefined, retrieval: { expandSynonyms: true, rerankK: 4 }, reading: { kMax: 3 } } });
+        const out = await answerWithRetrieval({ adapter: HistoryAdapter, context: { days: 7, text: '' }, query: q, sessionId: retrievalSessionId(TOOLS.HISTORY), config: { signal: currentAbortController ? currentAbortController.signal : undefined, retrieval: { expandSynonyms: true, rerankK: 4 }, reading: { kMax: 3 } } });
         if (stopThink) { try { stopThink(); } catch {} stopThink = null; }
-        const parts = [out.text || ''];
+        await saveRetrievalSessions();
+        const parts = out.standaloneQuery ? [`_Searched for: ${out.standaloneQuery}_\n\n${out.text || ''}`] : [out.text || ''];
         const used = out.usedRefs || [];
         if (used.length) {
           parts.push('\n\nSources:');
@@ -463,7 +1484,7 @@ async function routeMessage(queryText) {
           if (bubble) bubble.dataset.rawMarkdown = fullMarkdown;
         } catch {}
       } catch (err) {
-        if (String(err && err.message) !== 'aborted') {
+        if (!isAbortError(err)) {
           appendMessage('Could not analyze your history.', 'ai');
         }
       } finally {
@@ -477,9 +1498,76 @@ async function routeMessage(queryText) {
       return;
     }
 
-    case TOOLS.BOOKMARKS:
-      await handleBookmarksRequest(queryText);
+    case TOOLS.BOOKMARKS: {
+      const q = String(queryText || '').trim();
+      const looksQuestion = /[?]$|\b(what|how|why|which|when|summar|explain|compare|difference)\b/i.test(q);
+      if (!q || !looksQuestion) {
+        await handleBookmarksRequest(queryText);
+        return;
+      }
+      try {
+        const body = appendMessage('', 'ai');
+        body.textContent = 'Analyzing bookmarks…';
+        let stopThink = null;
+        try {
+          const { startThinking } = await import('../ui/ui.js');
+          stopThink = startThinking(body, 'Thinking');
+        } catch {
+          // Thinking indicator is optional
+        }
+
+        isGenerating = true;
+        manualStopFlag = false;
+        currentAbortController = (typeof AbortController !== 'undefined') ? new AbortController() : null;
+        toggleSendStopButton(true);
+        const inputElB = getInputElement();
+        if (inputElB) {
+          inputElB.disabled = true;
+        }
+
+        const out = await answerWithRetrieval({ adapter: BookmarksAdapter, context: { text: '' }, query: q, config: { signal: currentAbortController ? currentAbortController.signal : undefined, retrieval: { expandSynonyms: true, rerankK: 4 }, reading: { kMax: 3, perChunkTokenCap: 800 } } });
+        if (stopThink) {
+          try {
+            stopThink();
+          } catch {
+            // Indicator already gone
+          }
+          stopThink = null;
+        }
+        await saveRetrievalSessions();
+        const parts = out.standaloneQuery ? [`_Searched for: ${out.standaloneQuery}_\n\n${out.text || ''}`] : [out.text || ''];
+        const used = out.usedRefs || [];
+        if (used.length) {
+          parts.push('\n\nSources:');
+          used.forEach((u) => parts.push(`- ${u.heading || u.chunkId}`));
+        }
+        const fullMarkdown = parts.join('\n');
+        body.innerHTML = renderMarkdown(fullMarkdown);
+        // Update rawMarkdown for export functionality
+        try {
+          const bubble = body.closest('.msg');
+          if (bubble) {
+            bubble.dataset.rawMarkdown = fullMarkdown;
+          }
+        } catch {
+          // Raw markdown only feeds export
+        }
+      } catch (err) {
+        if (!isAbortError(err)) {
+          appendMessage('Could not analyze your bookmarks.', 'ai');
+        }
+      } finally {
+        isGenerating = false;
+        toggleSendStopButton(false);
+        const inputElB2 = getInputElement();
+        if (inputElB2) {
+          inputElB2.disabled = false;
+        }
+        currentAbortController = null;
+        manualStopFlag = false;
+      }
       return;
+    }
 
     case TOOLS.DOWNLOADS: {
       const q = String(queryText || '').trim();
@@ -503,7 +1591,8 @@ async function routeMessage(queryText) {
 
         const out = await answerWithRetrieval({ adapter: DownloadsAdapter, context: { text: '' }, query: q, config: { signal: currentAbortController ? currentAbortController.signal : undefined, retrieval: { expandSynonyms: true, rerankK: 4 }, reading: { kMax: 2, perChunkTokenCap: 800 } } });
         if (stopThink) { try { stopThink(); } catch {} stopThink = null; }
-        const parts = [out.text || ''];
+        await saveRetrievalSessions();
+        const parts = out.standaloneQuery ? [`_Searched for: ${out.standaloneQuery}_\n\n${out.text || ''}`] : [out.text || ''];
         const used = out.usedRefs || [];
         if (used.length) {
           parts.push('\n\nSources:');
@@ -517,7 +1606,7 @@ async function routeMessage(queryText) {
           if (bubble) bubble.dataset.rawMarkdown = fullMarkdown;
         } catch {}
       } catch (err) {
-        if (String(err && err.message) !== 'aborted') {
+        if (!isAbortError(err)) {
           appendMessage('Could not analyze your downloads.', 'ai');
         }
       } finally {
@@ -531,6 +1620,21 @@ async function routeMessage(queryText) {
       return;
     }
 
+    case TOOLS.TABS: {
+      const q = String(queryText || '').trim();
+      const looksQuestion = /[?]$|\b(what|how|why|which|where|summar|explain|compare|difference)\b/i.test(q);
+      if (!q || !looksQuestion) {
+        await handleTabsRequest(queryText);
+        return;
+      }
+      await handleTabsQuestion(q);
+      return;
+    }
+
+    case TOOLS.ALL:
+      await handleAllRequest(queryText);
+      return;
+
     case TOOLS.PAGE:
       await handlePageRequest(queryText);
       return;
@@ -546,7 +1650,7 @@ async function routeMessage(queryText) {
     case TOOLS.CHAT:
     default:
       // Always treat as general chat when Chat tool is selected
-      await handleChatRequest(queryText);
+      await handleChatRequest(queryText, { remember: true });
       return;
   }
 }
@@ -601,22 +1705,8 @@ async function sendMessage() {
   } catch {}
 
   // Build final prompt with labeled contexts
-  const cfg = window.CONFIG?.contextSelection || {};
-  const labelPrefix = String(cfg.contextLabelPrefix || 'Context');
   const contexts = getSelectedContexts();
-  // Debug: Log what's being sent to LLM
-  contexts.forEach((c, idx) => {
-    console.log(`[LLM Input] Context ${idx + 1}:`, {
-      label: c.label,
-      textLength: c.text.length,
-      textPreview: c.text.slice(0, 200) + (c.text.length > 200 ? '...' : ''),
-      fullText: c.text
-    });
-  });
-  const labeled = contexts.map((c, idx) => `${labelPrefix} ${idx + 1}: "${c.text}"`);
-  const header = labeled.length ? labeled.join('\n---\n') + '\n\n' : '';
-  const finalPrompt = `${header}User: ${userInput}`;
-  console.log('[LLM Input] Total prompt length:', finalPrompt.length);
+  const finalPrompt = buildChatPrompt(userInput, contexts);
 
   // Hide onboarding help after first user message
   hideOnboardingHelp();
@@ -676,23 +1766,29 @@ async function sendMessage() {
             const inputElement2 = getInputElement();
             if (inputElement2) inputElement2.disabled = true;
 
-            const run = async (kMax) => {
+            const abstractive = (await getSettings('tools')).page?.aiSummaries === true;
+
+            // First run joins the follow-up session; Thorough mode re-asks the standalone query
+            const run = async (kMax, query = userInput, sessionId = undefined) => {
               if (manualStopFlag || (currentAbortController && currentAbortController.signal.aborted)) {
-                throw new Error('aborted');
+                throw new AbortedError();
               }
-              const out = await answerWithRetrieval({ adapter: PageAdapter, context: ctx, query: userInput, config: { signal: currentAbortController ? currentAbortController.signal : undefined, retrieval: { topM: 12, rerankK: 4, useLLM: false, expandSynonyms: true }, reading: { kMax: kMax, perChunkTokenCap: 1400, reserveAnswerTokens: 800 } } });
+              const out = await answerWithRetrieval({ adapter: PageAdapter, context: ctx, query, sessionId, config: { signal: currentAbortController ? currentAbortController.signal : undefined, onHop: (h) => showHopProgress(stopThink, h), index: { abstractive }, retrieval: { topM: 12, rerankK: 4, useLLM: false, expandSynonyms: true }, reading: { kMax: kMax, perChunkTokenCap: 1400, reserveAnswerTokens: 800 } } });
               if (stopThink) { try { stopThink(); } catch {} stopThink = null; }
               if (manualStopFlag || (currentAbortController && currentAbortController.signal.aborted)) {
-                throw new Error('aborted');
+                throw new AbortedError();
               }
               await renderAnswerWithSources(body, out, PageAdapter, ctx);
+              if (sessionId) {
+                await saveRetrievalSessions();
+              }
               return out;
             };
             let first;
             try {
-              first = await run(3);
+              first = await run(3, userInput, retrievalSessionId(TOOLS.PAGE));
             } catch (e) {
-              if (String(e && e.message) === 'aborted') {
+              if (isAbortError(e)) {
                 body.textContent = 'Stopped.';
                 return;
               }
@@ -708,7 +1804,9 @@ async function sendMessage() {
                 btn.textContent = 'Thorough mode (+1 section)';
                 btn.addEventListener('click', async () => { 
                   btn.disabled = true; 
-                  try { await run(4); } catch (e) { /* ignore if aborted */ } 
+                  try {
+                    await run(4, first.standaloneQuery || userInput);
+                  } catch (e) { /* ignore if aborted */ }
                   btn.disabled = false; 
                 });
                 actions.appendChild(btn);
@@ -716,7 +1814,7 @@ async function sendMessage() {
               }
             } catch {}
           } catch (err) {
-            if (String(err && err.message) !== 'aborted') {
+            if (!isAbortError(err)) {
               appendMessage('Could not produce an answer from the page sections.', 'ai');
             }
           } finally {
@@ -747,12 +1845,13 @@ async function sendMessage() {
             toggleSendStopButton(true);
             const inputElement4 = getInputElement();
             if (inputElement4) inputElement4.disabled = true;
+            const abstractive = (await getSettings('tools')).chromepad?.aiSummaries === true;
 
             const run = async (kMax) => {
               if (manualStopFlag || (currentAbortController && currentAbortController.signal.aborted)) {
-                throw new Error('aborted');
+                throw new AbortedError();
               }
-              const out = await answerWithRetrieval({ adapter: ChromePadAdapter, context: {}, query: qTrim, config: { signal: currentAbortController ? currentAbortController.signal : undefined, retrieval: { topM: 12, rerankK: 4, useLLM: false, expandSynonyms: true }, reading: { kMax: kMax, perChunkTokenCap: 1200, reserveAnswerTokens: 800 } } });
+              const out = await answerWithRetrieval({ adapter: ChromePadAdapter, context: {}, query: qTrim, config: { signal: currentAbortController ? currentAbortController.signal : undefined, onHop: (h) => showHopProgress(stopThink, h), index: { abstractive }, retrieval: { topM: 12, rerankK: 4, useLLM: false, expandSynonyms: true }, reading: { kMax: kMax, perChunkTokenCap: 1200, reserveAnswerTokens: 800 } } });
               // Map docId → note title for clickable sources
               let titleMap = new Map();
               try {
@@ -761,7 +1860,7 @@ async function sendMessage() {
               } catch {}
               if (stopThink) { try { stopThink(); } catch {} stopThink = null; }
               if (manualStopFlag || (currentAbortController && currentAbortController.signal.aborted)) {
-                throw new Error('aborted');
+                throw new AbortedError();
               }
               await renderAnswerWithSources(body, out, ChromePadAdapter, {}, titleMap);
               return out;
@@ -771,7 +1870,7 @@ async function sendMessage() {
             try {
               firstN = await run(3);
             } catch (e) {
-              if (String(e && e.message) === 'aborted') {
+              if (isAbortError(e)) {
                 body.textContent = 'Stopped.';
                 return;
               }
@@ -788,7 +1887,7 @@ async function sendMessage() {
               body.appendChild(actions);
             }
           } catch (err) {
-            if (String(err && err.message) !== 'aborted') {
+            if (!isAbortError(err)) {
               appendMessage('Could not produce an answer from your notes.', 'ai');
             }
           } finally {
@@ -822,7 +1921,7 @@ async function sendMessage() {
 
   // Controlled chat flow with cancel support (CHAT tool only)
   // Display user message for chat
-  appendMessage(userInput, 'user');
+  const userBody = appendMessage(userInput, 'user');
   
   const inputElement = getInputElement();
   const aiMessageElement = appendMessage('', 'ai');
@@ -837,43 +1936,19 @@ async function sendMessage() {
   try {
     // Multi-chunk context flow (if enabled and contexts present)
     try {
-      const cfgCtx3 = window.CONFIG?.contextSelection || {};
-      const enableMulti = cfgCtx3 && cfgCtx3.enableMultiChunkProcessing !== false;
-      const ctxsRaw = getSelectedContexts(); // use trimmed per-chunk contexts
-      if (enableMulti && Array.isArray(ctxsRaw) && ctxsRaw.length > 0) {
-        let localStop = null;
-        let startThinkingRef = null;
-        try { const mod = await import('../ui/ui.js'); startThinkingRef = mod.startThinking; } catch {}
-        const { processMultiContexts } = await import('../services/multi_chunk_processor.js');
-        const onProgress = (info) => {
-          try {
-            if (!cfgCtx3.showChunkProgress) return;
-            if (info.phase === 'processing') {
-              const idx = String(info.current);
-              const tot = String(info.total);
-              const label = `Thinking ${idx}/${tot}`;
-              if (!localStop && startThinkingRef) {
-                try { localStop = startThinkingRef(aiMessageElement, label); } catch {}
-              } else if (localStop && typeof localStop.updateLabel === 'function') {
-                try { localStop.updateLabel(label); } catch {}
-              }
-            } else if (info.phase === 'synthesizing') {
-              const synthLabel = 'Thinking (synthesizing)';
-              if (!localStop && startThinkingRef) {
-                try { localStop = startThinkingRef(aiMessageElement, synthLabel); } catch {}
-              } else if (localStop && typeof localStop.updateLabel === 'function') {
-                try { localStop.updateLabel(synthLabel); } catch {}
-              }
-            }
-          } catch {}
-        };
-        const options = currentAbortController ? { signal: currentAbortController.signal } : {};
-        const result = await processMultiContexts({ contexts: ctxsRaw, query: userInput, config: cfgCtx3, signal: options.signal, onProgress });
-        if (localStop) { try { localStop(); } catch {} localStop = null; }
-        const unwrappedMC = unwrapFullCodeFence(result && result.answer ? result.answer : '');
+      if (usesMultiContextFlow(contexts)) {
+        const signal = currentAbortController ? currentAbortController.signal : undefined;
+        const unwrappedMC = await answerOverContexts(aiMessageElement, contexts, userInput, signal);
         aiMessageElement.innerHTML = renderMarkdown(unwrappedMC);
         try { const bubble = aiMessageElement.closest('.msg'); if (bubble) bubble.dataset.rawMarkdown = unwrappedMC; } catch {}
         try { const { addAskThisResultButton } = await import('../ui/ui.js'); addAskThisResultButton(aiMessageElement); } catch {}
+        if (!manualStopFlag) {
+          const recorded = await recordChatTurn(userInput, unwrappedMC, { userBody, aiBody: aiMessageElement, contexts });
+          // The chat session never saw this exchange: re-seed it from the stored thread
+          if (recorded) {
+            setConversationContext(activeThreadId);
+          }
+        }
         return; // Done via multi-chunk path
       }
     } catch (mcErr) {
@@ -881,7 +1956,7 @@ async function sendMessage() {
       console.warn('Multi-chunk path failed; falling back to streaming:', mcErr);
     }
 
-    const options = currentAbortController ? { signal: currentAbortController.signal } : {};
+    const options = currentAbortController ? { signal: currentAbortController.signal, purpose: AI.PURPOSE_CHAT } : { purpose: AI.PURPOSE_CHAT };
     // Regular chat streaming path
     try { const { startThinking } = await import('../ui/ui.js'); stopThinking = startThinking(aiMessageElement, 'Thinking'); } catch {}
     const stream = await sendStreamingPrompt(finalPrompt, options);
@@ -906,12 +1981,28 @@ async function sendMessage() {
         if (bubble) bubble.dataset.rawMarkdown = unwrapped;
       } catch {}
       try { const { addAskThisResultButton } = await import('../ui/ui.js'); addAskThisResultButton(aiMessageElement); } catch {}
+      // A stopped answer is partial: keep it on screen but out of the stored conversation
+    if (!manualStopFlag) {
+      await recordChatTurn(userInput, unwrapped, { userBody, aiBody: aiMessageElement, contexts });
+    }
   } catch (streamError) {
-    const aborted = (currentAbortController && currentAbortController.signal && currentAbortController.signal.aborted) || manualStopFlag;
-    if (!aborted) {
+    const aborted = isAbortError(streamError, currentAbortController && currentAbortController.signal) || manualStopFlag;
+    if (!aborted && streamError instanceof ContextOverflowError) {
+      // Retrying non-streaming would overflow the same way
+      if (stopThinking) {
+        try {
+          stopThinking();
+        } catch {
+          // Indicator already gone
+        }
+        stopThinking = null;
+      }
+      aiMessageElement.innerHTML = renderMarkdown(formatErrorForUser(streamError));
+    } else if (!aborted) {
       log.warn('Streaming/retrieval failed, trying non-streaming:', streamError);
       try {
-        const response = await sendPrompt(finalPrompt);
+        resetConversationSession();
+        const response = await sendPrompt(finalPrompt, { purpose: AI.PURPOSE_CHAT });
         if (stopThinking) { try { stopThinking(); } catch {} stopThinking = null; }
         const unwrapped2 = unwrapFullCodeFence(response);
         try { const { typewriterRenderMarkdown } = await import('../ui/ui.js'); await typewriterRenderMarkdown(aiMessageElement, unwrapped2, 3, 10); } catch { aiMessageElement.innerHTML = renderMarkdown(unwrapped2); }
@@ -921,6 +2012,7 @@ async function sendMessage() {
           if (bubble) bubble.dataset.rawMarkdown = unwrapped2;
         } catch {}
         try { const { addAskThisResultButton } = await import('../ui/ui.js'); addAskThisResultButton(aiMessageElement); } catch {}
+        await recordChatTurn(userInput, unwrapped2, { userBody, aiBody: aiMessageElement, contexts });
       } catch (promptError) {
         log.error('Chat request failed:', promptError);
         const errorMsg = formatErrorForUser(promptError, ERROR_MESSAGES.AI_UNAVAILABLE);
@@ -1087,13 +2179,37 @@ async function setupSettingsModal() {
     }, 250);
   });
 
-  // Handle clear history event from settings modal
+  // Handle clear history event from settings modal (active thread only)
   document.addEventListener('settings-clear-history', async () => {
     const content = document.getElementById('sp-content');
     if (content) {
       content.innerHTML = '';
       log.info('Chat history cleared');
     }
+    await clearConversation(activeThreadId);
+    setConversationContext(activeThreadId);
+    FOLLOW_UP_TOOLS.forEach((tool) => clearSession(retrievalSessionId(tool)));
+    await saveThreadState(activeThreadId, { retrieval: {} });
+  });
+
+  // Export the stored chat (every branch included) as Markdown
+  document.addEventListener('settings-export-history', async () => {
+    try {
+      const conversation = await loadConversation(activeThreadId);
+      if (!conversation.turns.length) {
+        updateStatus('No chat history to export');
+        return;
+      }
+      if (window.ChromePad && typeof window.ChromePad.exportContent === 'function') {
+        const thread = await getActiveThread();
+        const name = `Chat_${thread.name.replace(/[^\w-]+/g, '_')}`;
+        window.ChromePad.exportContent(name, exportConversationMarkdown(conversation));
+      } else {
+        log.error('ChromePad exportContent() not found on window');
+      }
+    } catch (error) {
+      log.warn('Chat export failed:', error);
+    }
   });
 
   log.info('Settings modal initialized');
@@ -1190,11 +2306,63 @@ function bindEventListeners() {
     });
   } catch {}
 
+  // Context-window usage from ai.js → status line (always shown when a prompt was shortened)
+  try {
+    let usageTimer = null;
+    document.addEventListener('ai-usage', (ev) => {
+      try {
+        const detail = ev && ev.detail || {};
+        const tokens = detail.fittedTokens || detail.tokens || 0;
+        // Room left for this prompt (the session may already hold earlier turns)
+        const room = Number.isFinite(detail.available) ? detail.available : detail.limit;
+        const pct = room ? Math.round((tokens / room) * 100) : 0;
+        let msg = `Context: ${tokens}/${room} tokens (${pct}%)`;
+        if (detail.action === 'truncated') {
+          msg = `Prompt truncated to fit context (${detail.tokens} → ${tokens} tokens)`;
+        }
+        if (detail.action === 'summarized') {
+          msg = `Prompt summarized to fit context (${detail.tokens} → ${tokens} tokens)`;
+        }
+        if (detail.action === 'rejected') {
+          msg = `Prompt too large (${detail.tokens}/${room} tokens)`;
+        }
+        updateStatus(msg);
+        if (usageTimer) {
+          clearTimeout(usageTimer);
+        }
+        usageTimer = setTimeout(() => {
+          try {
+            updateStatus('');
+          } catch {
+            // Panel is closing
+          }
+        }, detail.action === 'none' ? 1500 : 4000);
+      } catch {
+        // Usage display is best-effort
+      }
+    });
+  } catch {
+    // Usage events are optional
+  }
+
+  // Model lifecycle → download bar (prompts wait for the download in ai.js)
+  onModelStateChange((state) => {
+    try {
+      if (state.provider === getAIModelState().provider) {
+        renderModelState(state, requestModelDownload);
+      }
+    } catch {
+      // Download bar is best-effort
+    }
+  });
+
 
   // Start @Page capture immediately when selected (Option A)
   document.addEventListener('tool-selected', (ev) => {
     try {
       const tool = ev && ev.detail && ev.detail.tool;
+      setActiveTool(tool);
+      refreshModelState();
       if (tool === TOOLS.PAGE) {
         handlePageRequest('');
       } else if (tool === TOOLS.CHROMEPAD) {
@@ -1260,6 +2428,7 @@ async function initializeSidePanel() {
     enhanceAccessibility();
     // Refresh placeholder to include current tool label
     try { setSelectedTool(getSelectedTool()); } catch {}
+    setActiveTool(getSelectedTool());
     
     // Initialize speech service
     const speechAvailable = await initializeSpeech();
@@ -1283,6 +2452,24 @@ async function initializeSidePanel() {
     // Bind event listeners
     bindEventListeners();
 
+    // Restore the active chat thread (transcript, tool, context pills)
+    try {
+      await restoreConversation();
+    } catch (e) {
+      log.warn('Conversation restore failed:', e);
+    }
+    try {
+      await initializeThreadSwitcher(document.querySelector('.topbar-left'), {
+        onSwitch: switchThread,
+        canSwitch: canSwitchThread,
+      });
+    } catch (e) {
+      log.warn('Thread switcher init failed:', e);
+    }
+
+    // Show the download bar up front if the model isn't on this device yet
+    refreshModelState();
+
     log.info('Side panel initialization complete');
   } catch (error) {
     log.error('Fatal error during initialization:', error);
@@ -25,6 +25,8 @@ import {
   getDefaultSettings 
 } from '../services/settings.js';
 import { getVoices } from '../services/speech.js';
+import { listProviders } from '../services/ai.js';
+import { exportFixtures, clearFixtures } from '../services/providers/stubFixtures.js';
 import { hideOnboardingHelp } from './ui.js';
 
 const log = logger.create('SettingsModal');
@@ -42,6 +44,7 @@ const CATEGORIES = [
   { id: 'audio', icon: '🔊', label: 'Audio' },
   { id: 'chat', icon: '💬', label: 'Chat' },
   { id: 'tools', icon: '🔍', label: 'Tools' },
+  { id: 'ai', icon: '🤖', label: 'AI Model' },
   { id: 'translation', icon: '🌐', label: 'Translation' },
   { id: 'contextSelection', icon: '📝', label: 'Context' },
   { id: 'appearance', icon: '🎨', label: 'Appearance' },
@@ -164,6 +167,9 @@ async function renderCategoryPanel(content, categoryId) {
     case 'tools':
       renderToolsPanel(content);
       break;
+    case 'ai':
+      renderAIPanel(content);
+      break;
     case 'translation':
       renderTranslationPanel(content);
       break;
@@ -328,19 +334,49 @@ function renderChatPanel(container) {
     );
     container.appendChild(historyLimitGroup);
     
+    // Conversation memory
+    const persistToggle = createToggleGroup(
+      'Remember Conversation Between Sessions',
+      'sp-settings-persist-conversation',
+      settings.persistConversation !== false,
+      async (val) => await updateSettings('chat', { persistConversation: val }),
+    );
+    container.appendChild(persistToggle);
+
+    const memoryBudgetGroup = createNumberGroup(
+      'Conversation Memory Budget (tokens)',
+      'sp-settings-memory-budget',
+      settings.memoryTokenBudget || 3000,
+      500,
+      16000,
+      100,
+      async (val) => await updateSettings('chat', { memoryTokenBudget: val }),
+    );
+    container.appendChild(memoryBudgetGroup);
+
     // Clear history button
     const clearGroup = createSettingsGroup('', container);
     const clearBtn = document.createElement('button');
     clearBtn.className = 'settings-action-btn';
     clearBtn.textContent = 'Clear Chat History';
     clearBtn.addEventListener('click', () => {
-      if (confirm('Are you sure you want to clear all chat history? This cannot be undone.')) {
+      if (confirm('Clear the chat history of the current thread? This cannot be undone.')) {
         // Dispatch event for sidepanel to handle
         const event = new CustomEvent('settings-clear-history', { bubbles: true, composed: true });
         document.dispatchEvent(event);
       }
     });
     clearGroup.appendChild(clearBtn);
+
+    // Export history button (Markdown, includes regenerated / edited branches)
+    const exportBtn = document.createElement('button');
+    exportBtn.className = 'settings-action-btn';
+    exportBtn.textContent = 'Export Chat History';
+    exportBtn.addEventListener('click', () => {
+      const event = new CustomEvent('settings-export-history', { bubbles: true, composed: true });
+      document.dispatchEvent(event);
+    });
+    clearGroup.appendChild(exportBtn);
   });
 }
 
@@ -356,6 +392,7 @@ function renderToolsPanel(container) {
       { id: 'downloads', label: '@Downloads', icon: '📥' },
       { id: 'page', label: '@Page', icon: '📃' },
       { id: 'chromepad', label: '@ChromePad', icon: '📝' },
+      { id: 'tabs', label: '@Tabs', icon: '🗂️' },
     ];
     
     tools.forEach(tool => {
@@ -494,6 +531,13 @@ function renderToolsPanel(container) {
           toolSettings.clearOnSwitch !== false,
           async (val) => await updateSettings(`tools.${tool.id}`, { clearOnSwitch: val })
         ));
+
+        section.content.appendChild(createToggleGroup(
+          'AI Summaries for Page Index',
+          `sp-settings-tool-${tool.id}-aisummaries`,
+          toolSettings.aiSummaries === true,
+          async (val) => await updateSettings(`tools.${tool.id}`, { aiSummaries: val }),
+        ));
       }
       
       // @ChromePad settings
@@ -525,11 +569,142 @@ function renderToolsPanel(container) {
           toolSettings.showSuccess !== false,
           async (val) => await updateSettings(`tools.${tool.id}`, { showSuccess: val })
         ));
+
+        section.content.appendChild(createToggleGroup(
+          'AI Summaries for Notes Index',
+          `sp-settings-tool-${tool.id}-aisummaries`,
+          toolSettings.aiSummaries === true,
+          async (val) => await updateSettings(`tools.${tool.id}`, { aiSummaries: val }),
+        ));
       }
+
+      // @Tabs settings
+      if (tool.id === 'tabs') {
+        section.content.appendChild(createNumberGroup(
+          'Max Tabs Read per Question',
+          `sp-settings-tool-${tool.id}-maxtabs`,
+          toolSettings.maxTabs || 30,
+          1,
+          100,
+          1,
+          async (val) => await updateSettings(`tools.${tool.id}`, { maxTabs: val }),
+        ));
+      }
+
+      // Model provider override (all tools)
+      const providers = listProviders();
+      section.content.appendChild(createSelectGroup(
+        'Model Provider',
+        `sp-settings-tool-${tool.id}-provider`,
+        ['default', ...providers.map(p => p.id)],
+        ['Use global AI model', ...providers.map(p => p.label)],
+        toolSettings.provider || 'default',
+        async (val) => await updateSettings(`tools.${tool.id}`, { provider: val }),
+      ));
     });
   });
 }
 
+/**
+ * Renders AI Model Settings panel (provider + local endpoint)
+ */
+function renderAIPanel(container) {
+  getSettings('ai').then(settings => {
+    const providers = listProviders();
+    const endpoint = settings.endpoint || {};
+
+    const providerGroup = createSelectGroup(
+      'Default Model Provider',
+      'sp-settings-ai-provider',
+      providers.map(p => p.id),
+      providers.map(p => p.label),
+      settings.provider || 'gemini-nano',
+      async (val) => await updateSettings('ai', { provider: val }),
+    );
+    container.appendChild(providerGroup);
+
+    const overflowGroup = createSelectGroup(
+      'When a Prompt Is Too Large',
+      'sp-settings-ai-overflow',
+      ['truncate', 'summarize', 'reject'],
+      ['Truncate to fit', 'Summarize to fit', 'Show an error'],
+      settings.overflowPolicy || 'truncate',
+      async (val) => await updateSettings('ai', { overflowPolicy: val }),
+    );
+    container.appendChild(overflowGroup);
+
+    container.appendChild(createToggleGroup(
+      'Use Offline Stub When Gemini Nano Is Missing',
+      'sp-settings-ai-offline-fallback',
+      settings.offlineFallback === true,
+      async (val) => await updateSettings('ai', { offlineFallback: val }),
+    ));
+
+    container.appendChild(createToggleGroup(
+      'Record Responses for Offline Replay',
+      'sp-settings-ai-record-fixtures',
+      settings.recordFixtures === true,
+      async (val) => await updateSettings('ai', { recordFixtures: val }),
+    ));
+
+    // Export / clear recorded fixtures
+    const fixturesGroup = createSettingsGroup('', container);
+    const exportBtn = document.createElement('button');
+    exportBtn.className = 'settings-action-btn';
+    exportBtn.textContent = 'Export Recorded Responses';
+    exportBtn.addEventListener('click', () => {
+      const blob = new Blob([JSON.stringify(exportFixtures(), null, 2)], { type: 'application/json' });
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = 'ichrome-stub-fixtures.json';
+      a.click();
+      setTimeout(() => URL.revokeObjectURL(url), 1000);
+    });
+    fixturesGroup.appendChild(exportBtn);
+    const clearFixturesBtn = document.createElement('button');
+    clearFixturesBtn.className = 'settings-action-btn';
+    clearFixturesBtn.textContent = 'Clear Recorded Responses';
+    clearFixturesBtn.addEventListener('click', async () => {
+      if (confirm('Delete all recorded responses?')) {
+        await clearFixtures();
+      }
+    });
+    fixturesGroup.appendChild(clearFixturesBtn);
+
+    const section = createAccordionSection('Local OpenAI-compatible Endpoint', '🖥️', container);
+    const saveEndpoint = async (patch) => {
+      const current = (await getSettings('ai')).endpoint || {};
+      await updateSettings('ai', { endpoint: { ...current, ...patch } });
+    };
+
+    section.content.appendChild(createTextGroup(
+      'Base URL',
+      'sp-settings-ai-baseurl',
+      endpoint.baseUrl || '',
+      'http://localhost:11434/v1',
+      async (val) => await saveEndpoint({ baseUrl: val }),
+    ));
+
+    section.content.appendChild(createTextGroup(
+      'Model Name',
+      'sp-settings-ai-model',
+      endpoint.model || '',
+      'e.g. llama3.2',
+      async (val) => await saveEndpoint({ model: val }),
+    ));
+
+    section.content.appendChild(createTextGroup(
+      'API Key (optional)',
+      'sp-settings-ai-apikey',
+      endpoint.apiKey || '',
+      '',
+      async (val) => await saveEndpoint({ apiKey: val }),
+      'password',
+    ));
+  });
+}
+
 /**
  * Renders Translation Settings panel
  */
@@ -1084,6 +1259,27 @@ function createNumberGroup(label, id, value, min, max, step, onChange) {
   return group;
 }
 
+/**
+ * Creates a text input group (saves on change)
+ */
+function createTextGroup(label, id, value, placeholder, onChange, type = 'text') {
+  const group = createSettingsGroup(label, document.createElement('div'));
+
+  const input = document.createElement('input');
+  input.type = type;
+  input.id = id;
+  input.className = 'settings-input';
+  input.placeholder = placeholder || '';
+  input.value = value;
+
+  input.addEventListener('change', () => {
+    onChange(input.value.trim());
+  });
+
+  group.appendChild(input);
+  return group;
+}
+
 /**
  * Creates a select dropdown group
  */
@@ -0,0 +1,475 @@
+// Copyright (c) 2025 Gundlapalli Muralidhar,
+// Licensed under the MIT License. See LICENSE file in the project root.
+// LinkedIn: https://www.linkedin.com/in/technomurali/
+//
+// ============================================================================
+// THREAD SWITCHER UI COMPONENT
+// ============================================================================
+// FILE SUMMARY:
+// Top-bar dropdown listing the named chat threads (services/thread_store.js).
+// Creates, renames, pins, searches and deletes threads itself; actually
+// switching the transcript is left to the side panel via `onSwitch`.
+//
+// FEATURES:
+// - Button showing the active thread name
+// - Search by thread name or message text
+// - Pinned threads listed first
+// - Inline rename, delete with confirmation
+// ============================================================================
+
+import { logger } from '../core/logger.js';
+import {
+  listThreads,
+  searchThreads,
+  getActiveThread,
+  createThread,
+  renameThread,
+  setThreadPinned,
+  deleteThread,
+} from '../services/thread_store.js';
+
+const log = logger.create('ThreadSwitcher');
+
+// ============================================
+// STATE
+// ============================================
+
+let button = null;
+let menu = null;
+let searchInput = null;
+let list = null;
+let activeId = null;
+let searchTimer = null;
+
+/** @type {{ onSwitch: (threadId: string, options: { deleted?: boolean, created?: boolean }) => Promise<void>|void, canSwitch: () => boolean }} */
+let handlers = { onSwitch: () => {}, canSwitch: () => true };
+
+// ============================================
+// RENDERING
+// ============================================
+
+function createMenu() {
+  const el = document.createElement('div');
+  el.className = 'thread-menu';
+  el.setAttribute('role', 'dialog');
+  el.setAttribute('aria-label', 'Chat threads');
+  el.hidden = true;
+  el.innerHTML = `
+    <div class="thread-menu-head">
+      <input type="search" class="thread-search" placeholder="Search threads..." aria-label="Search threads">
+      <button type="button" class="thread-new-btn" title="New thread">+ New</button>
+    </div>
+    <ul class="thread-list" role="listbox" aria-label="Threads"></ul>
+  `;
+  searchInput = el.querySelector('.thread-search');
+  list = el.querySelector('.thread-list');
+
+  searchInput.addEventListener('input', () => {
+    clearTimeout(searchTimer);
+    searchTimer = setTimeout(renderList, 150);
+  });
+  searchInput.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') {
+      closeMenu();
+    }
+  });
+  el.querySelector('.thread-new-btn').addEventListener('click', handleCreate);
+  return el;
+}
+
+/**
+ * Builds one row: name (click to open), snippet, and pin / rename / delete actions
+ * @param {Object} thread
+ * @returns {HTMLElement}
+ */
+function createRow(thread) {
+  const row = document.createElement('li');
+  row.className = 'thread-row';
+  row.setAttribute('role', 'option');
+  row.setAttribute('aria-selected', String(thread.id === activeId));
+  if (thread.id === activeId) {
+    row.classList.add('active');
+  }
+
+  const main = document.createElement('button');
+  main.type = 'button';
+  main.className = 'thread-open';
+  main.title = thread.name;
+  const name = document.createElement('span');
+  name.className = 'thread-name';
+  name.textContent = `${thread.pinned ? '📌 ' : ''}${thread.name}`;
+  main.appendChild(name);
+  if (thread.snippet) {
+    const snippet = document.createElement('span');
+    snippet.className = 'thread-snippet';
+    snippet.textContent = thread.snippet;
+    main.appendChild(snippet);
+  }
+  main.addEventListener('click', () => handleSelect(thread.id));
+
+  const actions = document.createElement('span');
+  actions.className = 'thread-actions';
+  actions.appendChild(createAction(thread.pinned ? 'Unpin' : 'Pin', '📌', () => handlePin(thread)));
+  actions.appendChild(createAction('Rename', '✏️', () => startRename(row, thread)));
+  actions.appendChild(createAction('Delete', '🗑️', () => handleDelete(thread)));
+
+  row.appendChild(main);
+  row.appendChild(actions);
+  return row;
+}
+
+function createAction(label, icon, onClick) {
+  const btn = document.createElement('button');
+  btn.type = 'button';
+  btn.className = 'thread-action-btn';
+  btn.title = label;
+  btn.setAttribute('aria-label', label);
+  btn.textContent = icon;
+  btn.addEventListener('click', (e) => {
+    e.stopPropagation();
+    onClick();
+  });
+  return btn;
+}
+
+async function renderList() {
+  if (!list) {
+    return;
+  }
+  const query = searchInput ? searchInput.value : '';
+  const threads = query.trim() ? await searchThreads(query) : await listThreads();
+  list.innerHTML = '';
+  if (!threads.length) {
+    const empty = document.createElement('li');
+    empty.className = 'thread-empty';
+    empty.textContent = 'No matching threads';
+    list.appendChild(empty);
+    return;
+  }
+  threads.forEach((thread) => list.appendChild(createRow(thread)));
+}
+
+/**
+ * Re-reads the active thread and updates the button label (and the list when open)
+ */
+export async function refreshThreadSwitcher() {
+  try {
+    const active = await getActiveThread();
+    activeId = active.id;
+    if (button) {
+      button.querySelector('.thread-btn-label').textContent = active.name;
+      button.title = `Thread: ${active.name}`;
+    }
+    if (menu && !menu.hidden) {
+      await renderList();
+    }
+  } catch (error) {
+    log.warn('Failed to refresh thread switcher:', error);
+  }
+}
+
+// ============================================
+// ACTIONS
+// ============================================
+
+async function switchTo(threadId, options = {}) {
+  await handlers.onSwitch(threadId, options);
+  await refreshThreadSwitcher();
+}
+
+async function handleSelect(threadId) {
+  closeMenu();
+  if (threadId === activeId) {
+    return;
+  }
+  if (!handlers.canSwitch()) {
+    return;
+  }
+  await switchTo(threadId);
+}
+
+async function handleCreate() {
+  if (!handlers.canSwitch()) {
+    return;
+  }
+  closeMenu();
+  const thread = await createThread();
+  await switchTo(thread.id, { created: true });
+}
+
+async function handlePin(thread) {
+  await setThreadPinned(thread.id, !thread.pinned);
+  await renderList();
+}
+
+async function handleDelete(thread) {
+  if (!confirm(`Delete thread "${thread.name}"? Its messages cannot be recovered.`)) {
+    return;
+  }
+  const wasActive = thread.id === activeId;
+  if (wasActive && !handlers.canSwitch()) {
+    return;
+  }
+  const nextId = await deleteThread(thread.id);
+  if (wasActive) {
+    await switchTo(nextId, { deleted: true });
+  } else {
+    await refreshThreadSwitcher();
+  }
+}
+
+function startRename(row, thread) {
+  const main = row.querySelector('.thread-open');
+  const input = document.createElement('input');
+  input.type = 'text';
+  input.className = 'thread-rename-input';
+  input.value = thread.name;
+  input.setAttribute('aria-label', 'Thread name');
+  main.replaceWith(input);
+  input.focus();
+  input.select();
+
+  let done = false;
+  const finish = async (save) => {
+    if (done) {
+      return;
+    }
+    done = true;
+    if (save && input.value.trim() && input.value.trim() !== thread.name) {
+      await renameThread(thread.id, input.value);
+    }
+    await refreshThreadSwitcher();
+    await renderList();
+  };
+  input.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') {
+      finish(true);
+    }
+    if (e.key === 'Escape') {
+      e.stopPropagation();
+      finish(false);
+    }
+  });
+  input.addEventListener('blur', () => finish(true));
+}
+
+// ============================================
+// OPEN / CLOSE
+// ============================================
+
+function openMenu() {
+  if (!menu) {
+    return;
+  }
+  menu.hidden = false;
+  button.setAttribute('aria-expanded', 'true');
+  searchInput.value = '';
+  renderList();
+  searchInput.focus();
+}
+
+function closeMenu() {
+  if (!menu || menu.hidden) {
+    return;
+  }
+  menu.hidden = true;
+  button.setAttribute('aria-expanded', 'false');
+}
+
+function handleOutsideClick(e) {
+  if (!menu || menu.hidden) {
+    return;
+  }
+  if (menu.contains(e.target) || button.contains(e.target)) {
+    return;
+  }
+  closeMenu();
+}
+
+// ============================================
+// STYLES
+// ============================================
+
+function addStyles() {
+  if (document.getElementById('thread-switcher-styles')) {
+    return;
+  }
+  const style = document.createElement('style');
+  style.id = 'thread-switcher-styles';
+  style.textContent = `
+    .thread-btn {
+      appearance: none;
+      display: inline-flex;
+      align-items: center;
+      gap: 4px;
+      max-width: 160px;
+      border: 1px solid var(--sp-button-border, rgba(255,255,255,0.25));
+      background: var(--sp-button-bg, rgba(255,255,255,0.15));
+      color: var(--sp-button-color, #fff);
+      border-radius: 8px;
+      padding: 3px 8px;
+      font-size: 12px;
+      cursor: pointer;
+    }
+    .thread-btn:hover {
+      background: var(--sp-button-bg-hover, rgba(255,255,255,0.25));
+    }
+    .thread-btn-label {
+      overflow: hidden;
+      text-overflow: ellipsis;
+      white-space: nowrap;
+    }
+    .thread-menu {
+      position: fixed;
+      top: 44px;
+      left: 12px;
+      width: min(320px, calc(100% - 24px));
+      max-height: 60vh;
+      display: flex;
+      flex-direction: column;
+      background: var(--search-input-background, rgba(255,255,255,0.97));
+      color: var(--search-input-text-color, #333);
+      border: 1px solid var(--sp-input-border, rgba(0,0,0,0.15));
+      border-radius: 10px;
+      box-shadow: 0 8px 24px rgba(0,0,0,0.25);
+      z-index: 900;
+      overflow: hidden;
+    }
+    .thread-menu[hidden] {
+      display: none;
+    }
+    .thread-menu-head {
+      display: flex;
+      gap: 6px;
+      padding: 8px;
+      border-bottom: 1px solid rgba(0,0,0,0.08);
+    }
+    .thread-search, .thread-rename-input {
+      flex: 1;
+      min-width: 0;
+      padding: 5px 8px;
+      border: 1px solid rgba(0,0,0,0.2);
+      border-radius: 6px;
+      font-size: 12px;
+      background: transparent;
+      color: inherit;
+    }
+    .thread-new-btn {
+      border: none;
+      border-radius: 6px;
+      padding: 5px 10px;
+      font-size: 12px;
+      cursor: pointer;
+      background: var(--tab-bar-gradient-start, #667eea);
+      color: #fff;
+    }
+    .thread-list {
+      list-style: none;
+      margin: 0;
+      padding: 4px;
+      overflow-y: auto;
+    }
+    .thread-row {
+      display: flex;
+      align-items: center;
+      gap: 4px;
+      border-radius: 6px;
+    }
+    .thread-row:hover, .thread-row.active {
+      background: rgba(0,0,0,0.06);
+    }
+    .thread-row.active .thread-name {
+      font-weight: 600;
+    }
+    .thread-open {
+      flex: 1;
+      min-width: 0;
+      display: flex;
+      flex-direction: column;
+      align-items: flex-start;
+      gap: 2px;
+      padding: 6px 8px;
+      border: none;
+      background: transparent;
+      color: inherit;
+      text-align: left;
+      cursor: pointer;
+    }
+    .thread-name, .thread-snippet {
+      max-width: 100%;
+      overflow: hidden;
+      text-overflow: ellipsis;
+      white-space: nowrap;
+      font-size: 12px;
+    }
+    .thread-snippet {
+      font-size: 11px;
+      opacity: 0.65;
+    }
+    .thread-actions {
+      display: flex;
+      opacity: 0;
+      transition: opacity 0.15s ease;
+    }
+    .thread-row:hover .thread-actions, .thread-row:focus-within .thread-actions {
+      opacity: 1;
+    }
+    .thread-action-btn {
+      border: none;
+      background: transparent;
+      padding: 4px;
+      font-size: 12px;
+      cursor: pointer;
+    }
+    .thread-empty {
+      padding: 10px;
+      font-size: 12px;
+      opacity: 0.7;
+    }
+  `;
+  document.head.appendChild(style);
+}
+
+// ============================================
+// INITIALIZATION
+// ============================================
+
+/**
+ * Mounts the thread button into `container` and the dropdown into the page
+ * @param {HTMLElement} container - Where the button goes (top bar)
+ * @param {Object} options
+ * @param {(threadId: string, options: { deleted?: boolean, created?: boolean }) => Promise<void>|void} options.onSwitch
+ *   Shows the given thread. `deleted` means the previous thread no longer exists;
+ *   `created` means the thread is new and empty.
+ * @param {() => boolean} [options.canSwitch] - Return false to block switching (e.g. mid-response)
+ */
+export async function initializeThreadSwitcher(container, options = {}) {
+  if (!container || button) {
+    return;
+  }
+  handlers = { ...handlers, ...options };
+  addStyles();
+
+  button = document.createElement('button');
+  button.type = 'button';
+  button.className = 'thread-btn';
+  button.id = 'sp-thread-btn';
+  button.setAttribute('aria-haspopup', 'dialog');
+  button.setAttribute('aria-expanded', 'false');
+  button.innerHTML = '<span class="thread-btn-label"></span><span aria-hidden="true">▾</span>';
+  button.addEventListener('click', () => (menu.hidden ? openMenu() : closeMenu()));
+  container.appendChild(button);
+
+  menu = createMenu();
+  document.body.appendChild(menu);
+  document.addEventListener('click', handleOutsideClick);
+  menu.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') {
+      closeMenu();
+      button.focus();
+    }
+  });
+
+  await refreshThreadSwitcher();
+  log.info('Thread switcher initialized');
+}
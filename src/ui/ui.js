@@ -21,6 +21,7 @@
 import {
   SELECTORS,
   UI,
+  AI,
   STATUS_MESSAGES,
   ERROR_MESSAGES,
   TOOLS,
@@ -623,6 +624,27 @@ export function clearSelectedContextsAfterSend() {
   }
 }
 
+/**
+ * Replaces the context pills (e.g. when switching chat threads).
+ * Accepts entries from getSelectedContextsRaw(); page highlights are not restored.
+ * @param {Array<{ id: string, bubbleId?: string, text: string, label?: string, data?: * }>} list
+ */
+export function setSelectedContexts(list) {
+  clearSelectedContextsAfterSend();
+  previousToolBeforeContext = null;
+  selectedContexts = (Array.isArray(list) ? list : [])
+    .filter(c => c && typeof c.text === 'string')
+    .map(c => ({
+      id: c.id || `ctx-${Date.now()}-${Math.random().toString(36).slice(2, 7)}`,
+      bubbleId: c.bubbleId,
+      text: c.text,
+      label: c.label,
+      data: c.data,
+      highlightEl: null,
+    }));
+  updateContextPillsUI();
+}
+
 function handleSelectionChange() {
   try {
     showCtxAddButtonNearSelection();
@@ -1863,7 +1885,18 @@ export function renderResults(items, existingElement = null) {
   const wrapper = document.createElement('div');
   wrapper.className = SELECTORS.CLASS_HISTORY_LIST;
 
+  let currentGroup = null;
   items.forEach((item) => {
+    // Items may carry a group label (e.g. open tabs by window / tab group)
+    if (item.group && item.group !== currentGroup) {
+      currentGroup = item.group;
+      const header = document.createElement('div');
+      header.className = SELECTORS.CLASS_META;
+      header.textContent = item.group;
+      header.style.margin = '8px 0 4px';
+      header.style.fontWeight = '600';
+      wrapper.appendChild(header);
+    }
     const row = createResultRow(item);
     wrapper.appendChild(row);
   });
@@ -1969,8 +2002,12 @@ function createResultRow(item) {
 
   // (Removed per-row Ask iChrome button; action moved to list-level in renderResults)
 
-  // Click/Enter to open URL
+  // Click/Enter to open URL (or the item's own action, e.g. focus an open tab)
   const openUrl = () => {
+    if (typeof item.onOpen === 'function') {
+      item.onOpen();
+      return;
+    }
     if (isValidUrl(item.url)) {
       chrome.tabs.create({ url: item.url });
     }
@@ -1997,6 +2034,53 @@ export function updateStatus(text) {
   }
 }
 
+/**
+ * Shows the model download bar for downloadable / downloading / error states
+ * and hides it otherwise
+ * @param {{ state: string, progress: number, error?: string|null }} modelState
+ * @param {() => void} onDownload - Called when the Download / Retry button is clicked
+ */
+export function renderModelState(modelState, onDownload) {
+  const bar = document.getElementById(SELECTORS.MODEL_PROGRESS);
+  if (!bar) {
+    return;
+  }
+  const label = document.getElementById(SELECTORS.MODEL_PROGRESS_LABEL);
+  const fill = document.getElementById(SELECTORS.MODEL_PROGRESS_FILL);
+  const button = document.getElementById(SELECTORS.MODEL_DOWNLOAD_BUTTON);
+  const track = fill && fill.parentElement;
+  const state = modelState && modelState.state;
+
+  if (state !== AI.MODEL_STATE_DOWNLOADABLE && state !== AI.MODEL_STATE_DOWNLOADING && state !== AI.MODEL_STATE_ERROR) {
+    bar.hidden = true;
+    return;
+  }
+
+  const pct = Math.round((Number(modelState.progress) || 0) * 100);
+  bar.hidden = false;
+  if (fill) {
+    fill.style.width = `${state === AI.MODEL_STATE_DOWNLOADING ? pct : 0}%`;
+  }
+  if (track) {
+    track.setAttribute('aria-valuenow', String(pct));
+  }
+  if (label) {
+    label.textContent = state === AI.MODEL_STATE_DOWNLOADING
+      ? `${STATUS_MESSAGES.MODEL_DOWNLOADING} ${pct}%`
+      : state === AI.MODEL_STATE_ERROR ? STATUS_MESSAGES.MODEL_DOWNLOAD_FAILED : STATUS_MESSAGES.MODEL_DOWNLOADABLE;
+    label.title = (state === AI.MODEL_STATE_ERROR && modelState.error) || '';
+  }
+  if (button) {
+    button.hidden = state === AI.MODEL_STATE_DOWNLOADING;
+    button.textContent = state === AI.MODEL_STATE_ERROR ? STATUS_MESSAGES.MODEL_RETRY_BUTTON : STATUS_MESSAGES.MODEL_DOWNLOAD_BUTTON;
+    button.onclick = () => {
+      if (typeof onDownload === 'function') {
+        onDownload();
+      }
+    };
+  }
+}
+
 /**
  * Gets current input text and clears input
  * @returns {string} Input text (trimmed)
@@ -2077,6 +2161,8 @@ function getToolCatalog() {
     { id: TOOLS.BOOKMARKS, label: '@Bookmarks', icon: '🔖', aliases: ['@saved', '@favorites'] },
     { id: TOOLS.DOWNLOADS, label: '@Downloads', icon: '📥', aliases: ['@files'] },
     { id: TOOLS.CHROMEPAD, label: '@ChromePad', icon: '📝', aliases: ['@notes', '@notepad'] },
+    { id: TOOLS.TABS, label: '@Tabs', icon: '🗂️', aliases: ['@opentabs', '@windows'] },
+    { id: TOOLS.ALL, label: '@All', icon: '🔎', aliases: ['@everything', '@everywhere'] },
   ];
 }
 
@@ -2393,6 +2479,238 @@ export function addAskThisResultButton(body) {
   } catch {}
 }
 
+/**
+ * Adds (or refreshes) the branch bar under a chat bubble: Regenerate for
+ * answers, Edit for user messages, and ‹ 2/3 › navigation once a turn has
+ * more than one version. Replaces any existing bar on the bubble.
+ * @param {HTMLElement} body - Bubble body returned by appendMessage()
+ * @param {{ role: 'user'|'ai', index: number, count: number,
+ *   onPrev?: () => void, onNext?: () => void, onRegenerate?: () => void, onEdit?: () => void }} options
+ */
+export function setBranchControls(body, options = {}) {
+  try {
+    const bubble = body && body.parentElement;
+    if (!bubble) {
+      return;
+    }
+    const old = bubble.querySelector(':scope > .msg-branch-bar');
+    if (old) {
+      old.remove();
+    }
+
+    const bar = document.createElement('div');
+    bar.className = 'msg-branch-bar';
+
+    const makeBtn = (label, title, onClick) => {
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.className = 'msg-branch-btn';
+      btn.textContent = label;
+      btn.title = title;
+      btn.setAttribute('aria-label', title);
+      btn.addEventListener('click', (e) => {
+        e.preventDefault();
+        if (typeof onClick === 'function') {
+          onClick();
+        }
+      }, { signal: abortController.signal });
+      return btn;
+    };
+
+    if (options.role === 'ai' && options.onRegenerate) {
+      bar.appendChild(makeBtn('↻ Regenerate', 'Regenerate response', options.onRegenerate));
+    }
+    if (options.role === 'user' && options.onEdit) {
+      bar.appendChild(makeBtn('✎ Edit', 'Edit and resend', options.onEdit));
+    }
+
+    const count = Math.max(1, options.count || 1);
+    if (count > 1) {
+      const index = Math.max(0, Math.min(count - 1, options.index || 0));
+      const nav = document.createElement('span');
+      nav.className = 'msg-branch-nav';
+      const prev = makeBtn('‹', 'Previous version', options.onPrev);
+      const next = makeBtn('›', 'Next version', options.onNext);
+      prev.disabled = index === 0;
+      next.disabled = index === count - 1;
+      const label = document.createElement('span');
+      label.className = 'msg-branch-count';
+      label.textContent = `${index + 1}/${count}`;
+      nav.appendChild(prev);
+      nav.appendChild(label);
+      nav.appendChild(next);
+      bar.appendChild(nav);
+    }
+
+    bubble.appendChild(bar);
+  } catch {
+    // Branch controls are optional
+  }
+}
+
+/**
+ * Enables or disables every branch control in the chat (while generating)
+ * @param {boolean} disabled
+ */
+export function setBranchControlsDisabled(disabled) {
+  if (!elements.content) {
+    return;
+  }
+  elements.content.querySelectorAll('.msg-branch-bar button').forEach((btn) => {
+    if (disabled) {
+      btn.dataset.wasDisabled = btn.disabled ? '1' : '';
+      btn.disabled = true;
+    } else {
+      btn.disabled = btn.dataset.wasDisabled === '1';
+    }
+  });
+}
+
+/**
+ * Swaps a user bubble's body for an inline editor
+ * @param {HTMLElement} body - Bubble body
+ * @param {string} text - Current message text
+ * @param {(text: string) => void} onSubmit - Called with the edited text
+ */
+export function openInlineEditor(body, text, onSubmit) {
+  const bubble = body && body.parentElement;
+  if (!bubble || bubble.querySelector(':scope > .msg-edit')) {
+    return;
+  }
+
+  const editor = document.createElement('div');
+  editor.className = 'msg-edit';
+  const area = document.createElement('textarea');
+  area.className = 'msg-edit-input';
+  area.value = String(text || '');
+  area.rows = Math.min(8, Math.max(2, area.value.split('\n').length));
+  const actions = document.createElement('div');
+  actions.className = 'msg-branch-bar';
+  const send = document.createElement('button');
+  send.type = 'button';
+  send.className = 'msg-branch-btn';
+  send.textContent = 'Send';
+  const cancel = document.createElement('button');
+  cancel.type = 'button';
+  cancel.className = 'msg-branch-btn';
+  cancel.textContent = 'Cancel';
+  actions.appendChild(send);
+  actions.appendChild(cancel);
+  editor.appendChild(area);
+  editor.appendChild(actions);
+
+  const close = () => {
+    editor.remove();
+    body.style.display = '';
+    const bar = bubble.querySelector(':scope > .msg-branch-bar');
+    if (bar) {
+      bar.style.display = '';
+    }
+  };
+  const submit = () => {
+    const value = area.value.trim();
+    if (!value) {
+      return;
+    }
+    close();
+    if (value !== String(text || '').trim() && typeof onSubmit === 'function') {
+      onSubmit(value);
+    }
+  };
+  send.addEventListener('click', submit);
+  cancel.addEventListener('click', close);
+  area.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter' && !e.shiftKey) {
+      e.preventDefault();
+      submit();
+    }
+    if (e.key === 'Escape') {
+      e.preventDefault();
+      close();
+    }
+  });
+
+  body.style.display = 'none';
+  const bar = bubble.querySelector(':scope > .msg-branch-bar');
+  if (bar) {
+    bar.style.display = 'none';
+  }
+  bubble.insertBefore(editor, body.nextSibling);
+  area.focus();
+}
+
+/**
+ * Appends the confidence badge for a retrieval answer, with the reason next
+ * to it and the clarifying question when the answer stayed low-confidence.
+ * @param {HTMLElement} body
+ * @param {{ confidence?: 'low'|'medium'|'high', confidenceReason?: string, widened?: boolean, clarify?: string }} out
+ */
+export function renderConfidenceBadge(body, out) {
+  try {
+    if (!body || !out || !out.confidence) {
+      return;
+    }
+    const row = document.createElement('div');
+    row.className = 'confidence-row';
+    const badge = document.createElement('span');
+    badge.className = `confidence-badge confidence-${out.confidence}`;
+    badge.textContent = `${out.confidence} confidence`;
+    row.appendChild(badge);
+    const reasons = [out.confidenceReason, out.widened ? 'read more sections' : ''].filter(Boolean);
+    if (reasons.length) {
+      const reason = document.createElement('span');
+      reason.className = 'confidence-reason';
+      reason.textContent = reasons.join('; ');
+      row.appendChild(reason);
+    }
+    body.appendChild(row);
+    if (out.clarify) {
+      const ask = document.createElement('div');
+      ask.className = 'confidence-clarify';
+      ask.textContent = `🤔 ${out.clarify}`;
+      body.appendChild(ask);
+    }
+  } catch {
+    // The badge is an optional extra
+  }
+}
+
+/**
+ * Appends a collapsible trace of multi-hop reading: what each hop searched
+ * for, which sections it read and what the judge said was missing.
+ * Nothing is shown for single-hop answers.
+ * @param {HTMLElement} body
+ * @param {{ hop: number, query: string, read: { chunkId: string, heading?: string }[], enough?: boolean, missing?: string }[]} hops
+ */
+export function renderHopTrace(body, hops) {
+  try {
+    if (!body || !Array.isArray(hops) || hops.length < 2) {
+      return;
+    }
+    const details = document.createElement('details');
+    details.className = 'hop-trace';
+    const summary = document.createElement('summary');
+    summary.textContent = `Reading trace (${hops.length} hops)`;
+    details.appendChild(summary);
+    const list = document.createElement('ol');
+    for (const h of hops) {
+      const li = document.createElement('li');
+      const sections = h.read.map((r) => r.heading || r.chunkId).join(', ');
+      const searched = h.hop === 1 ? 'Question' : `Searched “${h.query}”`;
+      let text = `${searched} → read ${sections || 'nothing new'}`;
+      if (h.enough === false && h.missing) {
+        text += ` — missing: ${h.missing}`;
+      }
+      li.textContent = text;
+      list.appendChild(li);
+    }
+    details.appendChild(list);
+    body.appendChild(details);
+  } catch {
+    // The trace is an optional extra
+  }
+}
+
 /**
  * Shows a lightweight "Thinking…" indicator inside a bubble body.
  * Returns a stop function to remove it.
@@ -2483,6 +2801,9 @@ if (typeof module !== 'undefined' && module.exports) {
     showOnboardingHelp,
     hideOnboardingHelp,
     getSelectedContextsRaw,
+    setSelectedContexts,
+    renderConfidenceBadge,
+    renderHopTrace,
   };
 }
 
@@ -0,0 +1,107 @@
+// Copyright (c) 2025 Gundlapalli Muralidhar,
+// Licensed under the MIT License. See LICENSE file in the project root.
+// LinkedIn: https://www.linkedin.com/in/technomurali/
+//
+// ============================================================================
+// TEST ENVIRONMENT - browser globals for running extension modules in Node
+// ============================================================================
+// FILE SUMMARY:
+// Imported first by every test file, before any module under src/. Installs
+// what the extension code expects from the browser: `self`, an in-memory
+// chrome.storage.local, `document` as a bare EventTarget (for the CustomEvents
+// the services dispatch) and a LanguageModel whose answers each test sets.
+// IndexedDB is absent, so stores use their in-memory fallback.
+//
+// Extension logs are silenced; set TEST_VERBOSE=1 to keep them.
+// ============================================================================
+
+export const storage = new Map();
+
+globalThis.self = globalThis;
+globalThis.chrome = {
+  storage: {
+    local: {
+      async get(keys) {
+        const list = keys === null || keys === undefined ? Array.from(storage.keys()) : [].concat(keys);
+        const out = {};
+        for (const k of list) {
+          if (storage.has(k)) {
+            out[k] = structuredClone(storage.get(k));
+          }
+        }
+        return out;
+      },
+      async set(items) {
+        for (const [k, v] of Object.entries(items)) {
+          storage.set(k, structuredClone(v));
+        }
+      },
+      async remove(keys) {
+        for (const k of [].concat(keys)) {
+          storage.delete(k);
+        }
+      },
+    },
+    onChanged: { addListener() {} },
+  },
+};
+globalThis.document = new EventTarget();
+
+if (!process.env.TEST_VERBOSE) {
+  for (const level of ['debug', 'info', 'log', 'warn', 'error']) {
+    console[level] = () => {};
+  }
+}
+
+let respond = () => '';
+
+/** Prompts the fake LanguageModel received, oldest first */
+export const prompts = [];
+
+/**
+ * Sets how the fake LanguageModel answers
+ * @param {(prompt: string, options: Object) => string} fn
+ */
+export function answerWith(fn) {
+  respond = fn;
+}
+
+function createFakeSession() {
+  return {
+    inputUsage: 0,
+    inputQuota: 100000,
+    async prompt(prompt, options = {}) {
+      prompts.push(prompt);
+      return respond(prompt, options);
+    },
+    promptStreaming(prompt, options = {}) {
+      prompts.push(prompt);
+      const text = respond(prompt, options);
+      return (async function* stream() {
+        yield text;
+      })();
+    },
+    async measureInputUsage(prompt) {
+      return Math.ceil(String(prompt).length / 4);
+    },
+    async clone() {
+      return createFakeSession();
+    },
+    destroy() {},
+  };
+}
+
+globalThis.LanguageModel = {
+  availability: async () => 'available',
+  params: async () => ({ defaultTopK: 3, maxTopK: 8, defaultTemperature: 1, maxTemperature: 2 }),
+  create: async () => createFakeSession(),
+};
+
+/**
+ * Clears stored data and recorded prompts between tests
+ */
+export function resetEnvironment() {
+  storage.clear();
+  prompts.length = 0;
+  respond = () => '';
+}
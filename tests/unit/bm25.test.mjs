@@ -0,0 +1,57 @@
+import '../helpers/environment.mjs';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { tokenize, buildInverted, mergeInverted, scoreBM25F } from '../../src/services/retrieval/utils/bm25.js';
+
+const UNITS = [
+  { id: 'refund', heading: 'Refund policy', body: 'Refunds are issued within 30 days of purchase.' },
+  { id: 'shipping', heading: 'Shipping', body: 'Orders ship in two days. Refunds for shipping are not possible.' },
+  { id: 'about', heading: 'About us', body: 'We were founded in 1990 and sell studies of birds.' },
+];
+
+const terms = (text) => tokenize(text).map((term) => ({ term }));
+
+function rank(inverted, query) {
+  return Array.from(scoreBM25F(inverted, terms(query))).sort((a, b) => b[1] - a[1]).map(([id]) => id);
+}
+
+test('tokenize lowercases, drops stop words and folds plurals', () => {
+  assert.deepEqual(tokenize('The Refunds of the Studies, e-mail_address'), ['refund', 'study', 'mail', 'address']);
+  assert.deepEqual(tokenize('glass status axis'), ['glass', 'status', 'axis']);
+  assert.deepEqual(tokenize(''), []);
+});
+
+test('buildInverted stores per-field term frequencies and lengths', () => {
+  const inv = buildInverted(UNITS);
+  assert.deepEqual(inv.units, ['refund', 'shipping', 'about']);
+  assert.deepEqual(inv.postings.refund.slice(0, 4), [0, 1, 0, 1]);
+  assert.equal(inv.lengths.length, 3);
+  assert.equal(inv.avgLengths.length, 3);
+});
+
+test('scoreBM25F ranks a heading match above a body-only match', () => {
+  assert.deepEqual(rank(buildInverted(UNITS), 'refund'), ['refund', 'shipping']);
+});
+
+test('scoreBM25F favours rarer terms and only scores units with a hit', () => {
+  const inv = buildInverted(UNITS);
+  const scores = scoreBM25F(inv, terms('birds refund'));
+  assert.equal(scores.has('about'), true);
+  assert.equal(scores.size, 3);
+  assert.ok(scores.get('about') > scores.get('shipping'));
+  assert.equal(scoreBM25F(inv, terms('nothing matches')).size, 0);
+});
+
+test('query term weights scale scores', () => {
+  const inv = buildInverted(UNITS);
+  const plain = scoreBM25F(inv, [{ term: 'ship' }]).get('shipping');
+  const weighted = scoreBM25F(inv, [{ term: 'ship', weight: 0.5 }]).get('shipping');
+  assert.ok(Math.abs(weighted - plain / 2) < 1e-9);
+});
+
+test('mergeInverted matches an index built over all units at once', () => {
+  const merged = mergeInverted([buildInverted(UNITS.slice(0, 1)), null, buildInverted(UNITS.slice(1))]);
+  const whole = buildInverted(UNITS);
+  assert.deepEqual(merged, whole);
+  assert.deepEqual(rank(merged, 'shipping refunds'), rank(whole, 'shipping refunds'));
+});
@@ -0,0 +1,69 @@
+import '../helpers/environment.mjs';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  isInsufficientAnswer,
+  splitAnswerSentences,
+  scoreMargin,
+  scoreConfidence,
+  buildClarifyingQuestion,
+} from '../../src/services/retrieval/confidence.js';
+
+const EVIDENCE = ['Refunds are issued within 30 days of purchase. Gift cards cannot be refunded.'];
+
+test('isInsufficientAnswer recognises refusals', () => {
+  assert.equal(isInsufficientAnswer('The document does not mention a refund window.'), true);
+  assert.equal(isInsufficientAnswer('Insufficient evidence in the sources.'), true);
+  assert.equal(isInsufficientAnswer('Refunds are issued within 30 days.'), false);
+});
+
+test('splitAnswerSentences drops citations, the sources list and fragments', () => {
+  const sentences = splitAnswerSentences('Refunds take 30 days [S1]. Yes.\n- Gift cards are final [2].\n\nSources:\n[1] Refund policy');
+  assert.deepEqual(sentences.map((s) => s.replace(/\s+/g, ' ')), ['Refunds take 30 days .', 'Gift cards are final .']);
+});
+
+test('scoreMargin measures how clearly the read chunks won', () => {
+  assert.equal(scoreMargin([{ score: 5 }, { score: 1 }], 1), 1);
+  assert.equal(scoreMargin([{ score: 3 }, { score: 3 }, { score: 3 }], 1), 0);
+  assert.equal(scoreMargin([{ score: 2 }], 1), 1);
+  const margin = scoreMargin([{ score: 10 }, { score: 6 }, { score: 2 }], 1);
+  assert.ok(margin > 0.5 && margin < 1);
+});
+
+test('a supported answer with a clear winner scores high', () => {
+  const result = scoreConfidence({
+    answer: 'Refunds are issued within 30 days of purchase [S1].',
+    evidence: EVIDENCE,
+    candidates: [{ score: 9 }, { score: 1 }],
+    readCount: 1,
+  });
+  assert.equal(result.level, 'high');
+  assert.equal(result.supported, 1);
+  assert.match(result.reason, /1 of 1 statements found in the sources; clear best match/);
+});
+
+test('unsupported statements pull the score down', () => {
+  const result = scoreConfidence({
+    answer: 'Refunds are issued within 30 days. Shipping to Mars costs nothing extra.',
+    evidence: EVIDENCE,
+    candidates: [{ score: 3 }, { score: 3 }],
+    readCount: 1,
+  });
+  assert.equal(result.supported, 1);
+  assert.equal(result.total, 2);
+  assert.notEqual(result.level, 'high');
+  assert.match(result.reason, /several sections matched about equally/);
+});
+
+test('a refusal is low confidence regardless of evidence', () => {
+  const result = scoreConfidence({ answer: 'The sources do not mention shipping.', evidence: EVIDENCE });
+  assert.deepEqual([result.level, result.score, result.insufficient], ['low', 0, true]);
+});
+
+test('buildClarifyingQuestion offers up to three distinct topics', () => {
+  assert.equal(
+    buildClarifyingQuestion('price?', ['Pro plan', 'Basic plan', 'Pro plan', 'Teams', 'Extra']),
+    'I could not find a confident answer to “price?”. Are you asking about “Pro plan”, “Basic plan” or “Teams”?',
+  );
+  assert.match(buildClarifyingQuestion('price?', []), /Could you add a detail/);
+});
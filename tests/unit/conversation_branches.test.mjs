@@ -0,0 +1,85 @@
+import { resetEnvironment } from '../helpers/environment.mjs';
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  loadConversation,
+  saveConversation,
+  appendTurn,
+  addBranch,
+  switchBranch,
+  getBranchInfo,
+  exportConversationMarkdown,
+} from '../../src/services/conversation_store.js';
+
+beforeEach(() => resetEnvironment());
+
+async function seedThread() {
+  const q1 = await appendTurn('t', 'user', 'first question', { contexts: [{ id: 'c1', label: 'Page', text: 'pill text' }] });
+  const a1 = await appendTurn('t', 'assistant', 'first answer');
+  const q2 = await appendTurn('t', 'user', 'second question');
+  const a2 = await appendTurn('t', 'assistant', 'second answer');
+  return { q1, a1, q2, a2 };
+}
+
+test('appendTurn keeps context pills on the turn and skips empty ones', async () => {
+  const turn = await appendTurn('t', 'user', 'hi', { contexts: [{ id: 'c', label: 'L', text: 'body', bubbleId: 'b' }, { text: '' }] });
+  assert.deepEqual(turn.contexts, [{ id: 'c', label: 'L', text: 'body' }]);
+  assert.equal('contexts' in await appendTurn('t', 'user', 'plain'), false);
+});
+
+test('addBranch stashes the later turns and makes the new version live', async () => {
+  const { q1 } = await seedThread();
+  const { conversation, turn, index } = await addBranch('t', q1.id, 'edited question');
+
+  assert.equal(index, 0);
+  assert.equal(conversation.turns.length, 1);
+  assert.equal(turn.content, 'edited question');
+  assert.deepEqual(getBranchInfo(turn), { index: 1, count: 2 });
+  assert.deepEqual(turn.alternatives[0].rest.map((t) => t.content), ['first answer', 'second question', 'second answer']);
+  assert.deepEqual(turn.contexts, q1.contexts);
+});
+
+test('switchBranch restores the turns that followed a version', async () => {
+  const { q1 } = await seedThread();
+  await addBranch('t', q1.id, 'edited question');
+  await appendTurn('t', 'assistant', 'edited answer');
+
+  const back = await switchBranch('t', q1.id, 0);
+  assert.deepEqual(back.conversation.turns.map((t) => t.content), ['first question', 'first answer', 'second question', 'second answer']);
+
+  const forward = await switchBranch('t', q1.id, 1);
+  assert.deepEqual(forward.conversation.turns.map((t) => t.content), ['edited question', 'edited answer']);
+  assert.deepEqual((await loadConversation('t')).turns.map((t) => t.content), ['edited question', 'edited answer']);
+});
+
+test('switchBranch clamps out-of-range versions', async () => {
+  const { a2 } = await seedThread();
+  await addBranch('t', a2.id, 'regenerated answer');
+  const { turn } = await switchBranch('t', a2.id, 9);
+  assert.equal(turn.content, 'regenerated answer');
+});
+
+test('branching inside the summarized range drops the summary', async () => {
+  const { a1 } = await seedThread();
+  const conversation = await loadConversation('t');
+  await saveConversation({ ...conversation, summary: 'old summary', summarizedCount: 2 });
+
+  const { conversation: branched } = await addBranch('t', a1.id, 'regenerated answer');
+  assert.equal(branched.summary, '');
+  assert.equal(branched.summarizedCount, 0);
+});
+
+test('addBranch rejects unknown turns', async () => {
+  await seedThread();
+  await assert.rejects(addBranch('t', 'missing', 'x'), /Unknown conversation turn/);
+});
+
+test('exportConversationMarkdown includes every version and stashed continuation', async () => {
+  const { q1 } = await seedThread();
+  await addBranch('t', q1.id, 'edited question');
+  const markdown = exportConversationMarkdown(await loadConversation('t'));
+  assert.match(markdown, /version 1\/2:/);
+  assert.match(markdown, /version 2\/2 \(shown\):/);
+  assert.match(markdown, /Continuation of version 1/);
+  assert.match(markdown, /second answer/);
+});
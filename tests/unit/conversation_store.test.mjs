@@ -0,0 +1,81 @@
+import { answerWith, prompts, resetEnvironment } from '../helpers/environment.mjs';
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  loadConversation,
+  appendTurn,
+  clearConversation,
+  buildInitialPrompts,
+  buildInitialPromptsBefore,
+  compactConversation,
+} from '../../src/services/conversation_store.js';
+
+beforeEach(() => resetEnvironment());
+
+test('appendTurn persists turns in order', async () => {
+  await appendTurn('t', 'user', 'hello');
+  await appendTurn('t', 'assistant', 'hi there');
+  const conversation = await loadConversation('t');
+  assert.deepEqual(conversation.turns.map((t) => [t.role, t.content]), [['user', 'hello'], ['assistant', 'hi there']]);
+  assert.notEqual(conversation.turns[0].id, conversation.turns[1].id);
+});
+
+test('loadConversation returns an empty conversation for unknown ids and after clear', async () => {
+  assert.deepEqual((await loadConversation('missing')).turns, []);
+  await appendTurn('t', 'user', 'hello');
+  await clearConversation('t');
+  assert.deepEqual((await loadConversation('t')).turns, []);
+});
+
+test('buildInitialPrompts replays the summary and only unsummarized turns', () => {
+  const prompts = buildInitialPrompts({
+    summary: 'User is planning a trip to Oslo.',
+    summarizedCount: 2,
+    turns: [
+      { role: 'user', content: 'old question' },
+      { role: 'assistant', content: 'old answer' },
+      { role: 'user', content: 'what about hotels?' },
+    ],
+  });
+  assert.equal(prompts.length, 2);
+  assert.equal(prompts[0].role, 'system');
+  assert.match(prompts[0].content, /trip to Oslo/);
+  assert.deepEqual(prompts[1], { role: 'user', content: 'what about hotels?' });
+});
+
+test('buildInitialPromptsBefore drops a summary that covers the cut', () => {
+  const conversation = {
+    summary: 'covers four turns',
+    summarizedCount: 4,
+    turns: ['a', 'b', 'c', 'd', 'e'].map((content, i) => ({ role: i % 2 ? 'assistant' : 'user', content })),
+  };
+  const before = buildInitialPromptsBefore(conversation, 2);
+  assert.doesNotMatch(before[0].content, /covers four turns/);
+  assert.deepEqual(before.slice(1).map((p) => p.content), ['a', 'b']);
+
+  const after = buildInitialPromptsBefore(conversation, 5);
+  assert.match(after[0].content, /covers four turns/);
+  assert.deepEqual(after.slice(1).map((p) => p.content), ['e']);
+});
+
+test('compactConversation folds older turns into the summary and keeps recent ones', async () => {
+  answerWith(() => 'They talked about long messages.');
+  for (let i = 0; i < 6; i++) {
+    await appendTurn('t', i % 2 ? 'assistant' : 'user', `message ${i} ${'x'.repeat(400)}`);
+  }
+  const changed = await compactConversation('t', { maxTokens: 300, keepRecentTurns: 2 });
+  assert.equal(changed, true);
+  assert.match(prompts[0], /message 0/);
+  assert.doesNotMatch(prompts[0], /message 4/);
+
+  const conversation = await loadConversation('t');
+  assert.equal(conversation.summarizedCount, 4);
+  assert.equal(conversation.summary, 'They talked about long messages.');
+  assert.equal(conversation.turns.length, 6);
+});
+
+test('compactConversation leaves a conversation under budget alone', async () => {
+  await appendTurn('t', 'user', 'short');
+  assert.equal(await compactConversation('t', { maxTokens: 3000 }), false);
+  assert.equal(prompts.length, 0);
+});
@@ -0,0 +1,67 @@
+import '../helpers/environment.mjs';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  resolveEncoder,
+  buildChunkVectors,
+  mergeVectors,
+  hasCurrentVectors,
+  vectorRetrieve,
+  reciprocalRankFusion,
+} from '../../src/services/retrieval/embedder.js';
+import { HashedEncoder } from '../../src/services/retrieval/encoders/hashedEncoder.js';
+
+const UNITS = [
+  { id: 'a', text: 'Conductivity of copper wires at room temperature' },
+  { id: 'b', text: 'Baking sourdough bread with a starter' },
+  { id: 'c', text: 'Garden birds of northern Europe' },
+];
+
+test('reciprocalRankFusion sums 1 / (k + rank) across lists', () => {
+  const fused = reciprocalRankFusion([
+    [{ refId: 'x' }, { refId: 'y' }],
+    [{ refId: 'y' }, { refId: 'z' }],
+  ], { k: 60 });
+  assert.deepEqual(fused.map((c) => c.refId), ['y', 'x', 'z']);
+  assert.ok(Math.abs(fused[0].score - (1 / 62 + 1 / 61)) < 1e-12);
+  assert.ok(Math.abs(fused[1].score - 1 / 61) < 1e-12);
+});
+
+test('reciprocalRankFusion tolerates empty and missing lists', () => {
+  assert.deepEqual(reciprocalRankFusion([[], null]), []);
+  assert.deepEqual(reciprocalRankFusion([[{ refId: 'only' }]]).map((c) => c.refId), ['only']);
+});
+
+test('the hashed encoder is the active encoder and returns unit vectors', async () => {
+  assert.equal((await resolveEncoder()).id, HashedEncoder.id);
+  const [v] = await HashedEncoder.embed(['copper wire']);
+  const norm = Math.sqrt(v.reduce((s, x) => s + x * x, 0));
+  assert.equal(v.length, HashedEncoder.dims);
+  assert.ok(Math.abs(norm - 1) < 1e-6);
+});
+
+test('vectorRetrieve matches word variants through character n-grams', async () => {
+  const vectors = await buildChunkVectors(UNITS);
+  assert.equal(vectors.encoder, HashedEncoder.id);
+  assert.deepEqual(vectors.units, ['a', 'b', 'c']);
+  assert.equal(await hasCurrentVectors({ vectors }), true);
+
+  const hits = await vectorRetrieve({ vectors }, 'conductive copper wire', { topM: 2 });
+  assert.equal(hits[0].refId, 'a');
+  assert.ok(hits.length <= 2);
+});
+
+test('vectorRetrieve ignores vectors from another encoder', async () => {
+  const vectors = { ...(await buildChunkVectors(UNITS)), encoder: 'some-other-encoder' };
+  assert.equal(await hasCurrentVectors({ vectors }), false);
+  assert.deepEqual(await vectorRetrieve({ vectors }, 'copper'), []);
+});
+
+test('mergeVectors concatenates per-document vectors in order', async () => {
+  const first = await buildChunkVectors(UNITS.slice(0, 1));
+  const rest = await buildChunkVectors(UNITS.slice(1));
+  const merged = mergeVectors([first, null, rest]);
+  const whole = await buildChunkVectors(UNITS);
+  assert.deepEqual(merged, whole);
+  assert.equal(mergeVectors([null]), null);
+});
@@ -0,0 +1,88 @@
+import '../helpers/environment.mjs';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  entityKey,
+  extractEntities,
+  buildEntityMap,
+  mergeEntityMaps,
+  matchQueryEntities,
+  detectEntityListQuery,
+  listEntities,
+} from '../../src/services/retrieval/entities.js';
+
+const byText = (entities) => Object.fromEntries(entities.map((e) => [e.text, e.type]));
+
+test('extractEntities types dates, amounts and code from patterns', () => {
+  const found = byText(extractEntities('The deadline is 14 March 2024. It costs $1,200 or 15% more; call parseConfig() with max_retries.'));
+  assert.equal(found['14 March 2024'], 'date');
+  assert.equal(found['March 2024'], undefined);
+  assert.equal(found['$1,200'], 'amount');
+  assert.equal(found['15%'], 'amount');
+  assert.equal(found['parseConfig()'], 'code');
+  assert.equal(found.max_retries, 'code');
+});
+
+test('extractEntities types names only with a clear cue', () => {
+  const found = byText(extractEntities(
+    'The book was written by Ursula K. Le Guin. Acme Labs shipped Photon 2 last year, and Maria Lopez said it works with the iPhone.',
+  ));
+  assert.equal(found['Ursula K. Le Guin'], 'person');
+  assert.equal(found['Acme Labs'], 'organization');
+  assert.equal(found.Photon, 'product');
+  assert.equal(found['Maria Lopez'], 'person');
+  assert.equal(found.iPhone, 'product');
+  assert.equal(found.The, undefined);
+});
+
+test('extractEntities skips sentence-initial words and lone acronyms', () => {
+  const found = byText(extractEntities('Yesterday we met. NASA is busy. We thanked Grace Hopper.'));
+  assert.equal(found.Yesterday, undefined);
+  assert.equal(found.NASA, undefined);
+  assert.equal(found['Grace Hopper'], 'name');
+});
+
+test('entity maps collect chunk ids and keep the most specific type', () => {
+  const chunks = [{ id: 'c1' }, { id: 'c2' }];
+  const byChunk = new Map([
+    ['c1', [{ text: 'Grace Hopper', type: 'name' }]],
+    ['c2', [{ text: 'Grace Hopper', type: 'person' }, { text: '$5', type: 'amount' }]],
+  ]);
+  const map = buildEntityMap(chunks, byChunk);
+  assert.deepEqual(map['grace hopper'], { text: 'Grace Hopper', type: 'person', chunkIds: ['c1', 'c2'] });
+
+  const merged = mergeEntityMaps([map, { 'grace hopper': { text: 'Grace Hopper', type: 'name', chunkIds: ['d1'] } }]);
+  assert.deepEqual(merged['grace hopper'].chunkIds, ['c1', 'c2', 'd1']);
+  assert.equal(merged['grace hopper'].type, 'person');
+});
+
+test('matchQueryEntities prefers the longest entity a query names', () => {
+  const map = {
+    [entityKey('Ursula K. Le Guin')]: { text: 'Ursula K. Le Guin', type: 'person', chunkIds: ['a'] },
+    [entityKey('Le Guin')]: { text: 'Le Guin', type: 'name', chunkIds: ['b'] },
+    [entityKey('Acme')]: { text: 'Acme', type: 'organization', chunkIds: ['c'] },
+  };
+  assert.deepEqual(matchQueryEntities(map, 'What did Ursula K. Le Guin write?').map((e) => e.text), ['Ursula K. Le Guin']);
+  assert.deepEqual(matchQueryEntities(map, 'books by le guin').map((e) => e.text), ['Le Guin']);
+  assert.deepEqual(matchQueryEntities(undefined, 'anything'), []);
+});
+
+test('detectEntityListQuery finds the asked-for type', () => {
+  assert.equal(detectEntityListQuery('List all the people mentioned on this page'), 'person');
+  assert.equal(detectEntityListQuery('which companies are referenced in the article?'), 'organization');
+  assert.equal(detectEntityListQuery('show me every price'), 'amount');
+  assert.equal(detectEntityListQuery('who is the CEO?'), null);
+  assert.equal(detectEntityListQuery('list the steps'), null);
+});
+
+test('listEntities returns one type in reading order', () => {
+  const index = {
+    inverted: { units: ['c1', 'c2', 'c3'] },
+    entities: {
+      b: { text: 'B', type: 'person', chunkIds: ['c3'] },
+      a: { text: 'A', type: 'person', chunkIds: ['c2', 'c1'] },
+      x: { text: 'X', type: 'date', chunkIds: ['c1'] },
+    },
+  };
+  assert.deepEqual(listEntities(index, 'person').map((e) => e.text), ['A', 'B']);
+});
@@ -0,0 +1,73 @@
+import { answerWith, prompts, resetEnvironment } from '../helpers/environment.mjs';
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { fitPromptToQuota } from '../../src/services/ai.js';
+import { AI } from '../../src/core/constants.js';
+import { ContextOverflowError } from '../../src/core/errors.js';
+
+const usages = [];
+document.addEventListener('ai-usage', (e) => usages.push(e.detail));
+
+beforeEach(() => {
+  resetEnvironment();
+  usages.length = 0;
+});
+
+// 1 token per 4 characters, like the estimator
+function fakeSession(inputQuota, inputUsage = 0) {
+  return { inputQuota, inputUsage, measureInputUsage: async (p) => Math.ceil(p.length / 4) };
+}
+
+const QUESTION = '\n\nQuestion: what is the refund window?';
+
+test('a prompt that fits is returned unchanged and reported', async () => {
+  const session = fakeSession(4000);
+  const out = await fitPromptToQuota(session, `short context${QUESTION}`, { policy: AI.OVERFLOW_REJECT, providerId: 'p' });
+  assert.equal(out, `short context${QUESTION}`);
+  assert.equal(usages.length, 1);
+  assert.equal(usages[0].action, 'none');
+  assert.equal(usages[0].available, 4000 - AI.RESPONSE_TOKEN_RESERVE);
+});
+
+test('tokens the session already holds count against the quota', async () => {
+  const prompt = 'x'.repeat(8000);
+  const empty = await fitPromptToQuota(fakeSession(4000), prompt, { policy: AI.OVERFLOW_TRUNCATE, providerId: 'p' });
+  assert.equal(empty, prompt);
+
+  const busy = await fitPromptToQuota(fakeSession(4000, 3000), prompt, { policy: AI.OVERFLOW_TRUNCATE, providerId: 'p' });
+  assert.ok(busy.length < prompt.length);
+  assert.equal(usages[1].available, 4000 - AI.RESPONSE_TOKEN_RESERVE - 3000);
+  assert.equal(usages[1].action, 'truncated');
+});
+
+test("'reject' throws ContextOverflowError with the room that was left", async () => {
+  await assert.rejects(
+    fitPromptToQuota(fakeSession(2000, 1000), 'x'.repeat(8000), { policy: AI.OVERFLOW_REJECT, providerId: 'p' }),
+    (error) => {
+      assert.ok(error instanceof ContextOverflowError);
+      assert.equal(error.tokens, 2000);
+      assert.equal(error.quota, 2000 - AI.RESPONSE_TOKEN_RESERVE - 1000);
+      return true;
+    },
+  );
+  assert.equal(usages[0].action, 'rejected');
+});
+
+test("'truncate' keeps the tail of the prompt and marks the cut", async () => {
+  const prompt = `${'context '.repeat(2000)}${QUESTION}`;
+  const out = await fitPromptToQuota(fakeSession(2000), prompt, { policy: AI.OVERFLOW_TRUNCATE, providerId: 'p' });
+  assert.ok(out.endsWith(QUESTION));
+  assert.match(out, /content truncated to fit the context window/);
+  assert.ok(Math.ceil(out.length / 4) <= 2000 - AI.RESPONSE_TOKEN_RESERVE);
+});
+
+test("'summarize' condenses the head with the model and keeps the tail", async () => {
+  answerWith(() => 'condensed context');
+  const prompt = `${'context '.repeat(2000)}${QUESTION}`;
+  const out = await fitPromptToQuota(fakeSession(2000), prompt, { policy: AI.OVERFLOW_SUMMARIZE, providerId: 'gemini-nano' });
+  assert.ok(prompts.length > 0);
+  assert.match(prompts[0], /^Summarize the following text/);
+  assert.match(out, /^\[Summarized to fit the context window\]\ncondensed context/);
+  assert.ok(out.endsWith(QUESTION));
+  assert.equal(usages[usages.length - 1].action, 'summarized');
+});
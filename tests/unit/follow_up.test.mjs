@@ -0,0 +1,52 @@
+import { answerWith, prompts, resetEnvironment } from '../helpers/environment.mjs';
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { looksLikeFollowUp, rewriteFollowUp } from '../../src/services/retrieval/followUp.js';
+
+const SESSION = {
+  turns: [{ query: 'which plans are there', standalone: 'which plans are there', answer: 'There are two plans: Pro ($30) and Basic ($10).' }],
+};
+
+beforeEach(() => resetEnvironment());
+
+test('looksLikeFollowUp flags connectives and referring expressions', () => {
+  for (const q of ['what about the second one?', 'and for teams?', 'how do I cancel it?', 'tell me more about the latter', 'compare those', 'what is it']) {
+    assert.equal(looksLikeFollowUp(q, SESSION), true, q);
+  }
+});
+
+test('looksLikeFollowUp leaves standalone questions alone', () => {
+  for (const q of ['what is the first step to install', 'pricing plans', 'is this free', 'one drive sync']) {
+    assert.equal(looksLikeFollowUp(q, SESSION), false, q);
+  }
+});
+
+test('without earlier turns nothing is a follow-up', () => {
+  assert.equal(looksLikeFollowUp('what about the second one?', { turns: [] }), false);
+  assert.equal(looksLikeFollowUp('what about the second one?', null), false);
+});
+
+test('rewriteFollowUp uses the model rewrite and shows it the previous answer', async () => {
+  answerWith(() => JSON.stringify({ standalone: 'Basic plan price' }));
+  assert.deepEqual(await rewriteFollowUp('what about the second one?', SESSION), { query: 'Basic plan price', followUp: true });
+  assert.match(prompts[0], /A1: There are two plans/);
+  assert.match(prompts[0], /Follow-up: what about the second one\?/);
+});
+
+test('an unchanged rewrite means the question was standalone', async () => {
+  answerWith(() => JSON.stringify({ standalone: 'How do I cancel it' }));
+  assert.deepEqual(await rewriteFollowUp('how do I cancel it?', SESSION), { query: 'how do I cancel it?', followUp: false });
+});
+
+test('without the model the previous query is appended', async () => {
+  assert.deepEqual(
+    await rewriteFollowUp('and for teams?', SESSION, { useLLM: false }),
+    { query: 'and for teams? (which plans are there)', followUp: true },
+  );
+  assert.equal(prompts.length, 0);
+});
+
+test('standalone questions skip the model entirely', async () => {
+  assert.deepEqual(await rewriteFollowUp('pricing plans', SESSION), { query: 'pricing plans', followUp: false });
+  assert.equal(prompts.length, 0);
+});
@@ -0,0 +1,39 @@
+import '../helpers/environment.mjs';
+import { test, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadSegments, saveSegments, cleanupStore } from '../../src/services/retrieval/stores/indexStore.js';
+
+const DAY = 24 * 3600 * 1000;
+const T0 = Date.UTC(2025, 0, 1);
+
+afterEach(() => mock.restoreAll());
+
+function at(time) {
+  mock.method(Date, 'now', () => time);
+}
+
+const record = (docId, text) => ({ docId, hash: `h-${text}`, deletedAt: null, segment: { text } });
+
+test('saveSegments writes, replaces and removes per-document records', async () => {
+  await saveSegments('corpus-a', { put: [record('d1', 'one'), record('d2', 'two')], all: [record('d1'), record('d2')] });
+  await saveSegments('corpus-a', { put: [record('d2', 'two v2')], remove: ['d1'], all: [record('d2')] });
+
+  const records = await loadSegments('corpus-a');
+  assert.deepEqual(records.map((r) => [r.docId, r.segment.text]), [['d2', 'two v2']]);
+  assert.ok(records[0].bytes > 0);
+});
+
+test('syncing a segmented corpus keeps its TTL counting from the first build', async () => {
+  at(T0);
+  await saveSegments('corpus-b', { put: [record('d1', 'one')], all: [record('d1')] });
+  at(T0 + 6 * DAY);
+  await saveSegments('corpus-b', { put: [record('d2', 'two')], all: [record('d1'), record('d2')] });
+
+  at(T0 + 6.5 * DAY);
+  await cleanupStore({ ttlHours: 24 * 7 });
+  assert.equal((await loadSegments('corpus-b')).length, 2);
+
+  at(T0 + 8 * DAY);
+  await cleanupStore({ ttlHours: 24 * 7 });
+  assert.deepEqual(await loadSegments('corpus-b'), []);
+});
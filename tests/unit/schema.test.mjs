@@ -0,0 +1,59 @@
+import { answerWith, prompts, resetEnvironment } from '../helpers/environment.mjs';
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateSchema, formatSchemaErrors, extractJSON } from '../../src/core/schema.js';
+import { promptJSON } from '../../src/services/ai.js';
+import { ValidationError } from '../../src/core/errors.js';
+
+const SCHEMA = {
+  type: 'object',
+  properties: {
+    intent: { type: 'string', enum: ['search', 'chat'] },
+    confidence: { type: 'number', minimum: 0, maximum: 1 },
+    terms: { type: 'array', items: { type: 'string', minLength: 1 }, maxItems: 3 },
+  },
+  required: ['intent'],
+  additionalProperties: false,
+};
+
+beforeEach(() => resetEnvironment());
+
+test('validateSchema accepts a conforming value', () => {
+  assert.deepEqual(validateSchema({ intent: 'search', confidence: 0.5, terms: ['a'] }, SCHEMA), { valid: true, errors: [] });
+});
+
+test('validateSchema reports every violation with its path', () => {
+  const { valid, errors } = validateSchema({ intent: 'shop', confidence: 2, terms: ['a', '', 'c', 'd'], extra: 1 }, SCHEMA);
+  assert.equal(valid, false);
+  assert.deepEqual(errors.map((e) => e.path).sort(), ['$.confidence', '$.extra', '$.intent', '$.terms', '$.terms[1]']);
+  assert.match(formatSchemaErrors(errors), /\$\.intent must be one of "search", "chat"/);
+});
+
+test('validateSchema checks required keys and types', () => {
+  assert.deepEqual(validateSchema({}, SCHEMA).errors, [{ path: '$.intent', message: 'is required' }]);
+  assert.deepEqual(validateSchema([], SCHEMA).errors, [{ path: '$', message: 'expected object, got array' }]);
+  assert.equal(validateSchema(3, { type: 'integer' }).valid, true);
+  assert.equal(validateSchema(3.5, { type: 'integer' }).valid, false);
+});
+
+test('extractJSON finds JSON inside fences and prose', () => {
+  assert.deepEqual(extractJSON('```json\n{"a": 1}\n```'), { ok: true, value: { a: 1 } });
+  assert.deepEqual(extractJSON('Sure! Here it is: {"a": "x}"} hope that helps'), { ok: true, value: { a: 'x}' } });
+  assert.deepEqual(extractJSON('[1, 2] and more'), { ok: true, value: [1, 2] });
+  assert.equal(extractJSON('no json here').ok, false);
+  assert.equal(extractJSON('').error, 'empty output');
+});
+
+test('promptJSON repairs an invalid answer once', async () => {
+  let calls = 0;
+  answerWith(() => (++calls === 1 ? '{"intent": "shop"}' : '{"intent": "search"}'));
+  const value = await promptJSON('Classify: find my invoice', SCHEMA);
+  assert.deepEqual(value, { intent: 'search' });
+  assert.equal(prompts.length, 2);
+  assert.match(prompts[1], /must be one of/);
+});
+
+test('promptJSON throws ValidationError when the repair is still invalid', async () => {
+  answerWith(() => 'not json');
+  await assert.rejects(promptJSON('Classify: hello', SCHEMA), ValidationError);
+});
@@ -0,0 +1,90 @@
+import '../helpers/environment.mjs';
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  getPurposeConfig,
+  getBaseSession,
+  leaseSession,
+  dropSessions,
+  sweepIdleSessions,
+  pooledSessionCount,
+} from '../../src/services/session_pool.js';
+import { AI } from '../../src/core/constants.js';
+
+afterEach(() => dropSessions());
+
+function makeFactory() {
+  const made = [];
+  const destroyed = [];
+  const factory = async (config) => {
+    const id = made.length + 1;
+    made.push(config);
+    return {
+      id,
+      destroy: () => destroyed.push(id),
+      clone: async () => ({ id: `clone-${id}`, destroy: () => destroyed.push(`clone-${id}`) }),
+    };
+  };
+  return { factory, made, destroyed };
+}
+
+test('unknown purposes fall back to general', () => {
+  assert.equal(getPurposeConfig('nope').purpose, AI.PURPOSE_GENERAL);
+  assert.equal(getPurposeConfig(AI.PURPOSE_CHAT).stateful, true);
+});
+
+test('concurrent callers share one session creation', async () => {
+  const { factory, made } = makeFactory();
+  const [a, b] = await Promise.all([
+    getBaseSession('p', AI.PURPOSE_CHAT, factory),
+    getBaseSession('p', AI.PURPOSE_CHAT, factory),
+  ]);
+  assert.equal(a, b);
+  assert.equal(made.length, 1);
+  assert.equal(made[0].systemPrompt, getPurposeConfig(AI.PURPOSE_CHAT).systemPrompt);
+});
+
+test('stateless purposes lease a clone that is destroyed on release', async () => {
+  const { factory, destroyed } = makeFactory();
+  const lease = await leaseSession('p', AI.PURPOSE_CLASSIFIER, factory);
+  assert.equal(lease.session.id, 'clone-1');
+  lease.release();
+  lease.release();
+  assert.deepEqual(destroyed, ['clone-1']);
+  assert.equal(pooledSessionCount(), 1);
+});
+
+test('a session dropped while being created is destroyed and created again', async () => {
+  const { factory, destroyed } = makeFactory();
+  const pending = getBaseSession('p', AI.PURPOSE_CHAT, factory);
+  dropSessions({ purpose: AI.PURPOSE_CHAT });
+  const session = await pending;
+  assert.deepEqual(destroyed, [1]);
+  assert.equal(session.id, 2);
+});
+
+test('a leased chat session survives a drop until it is released', async () => {
+  const { factory, destroyed } = makeFactory();
+  const lease = await leaseSession('p', AI.PURPOSE_CHAT, factory);
+  assert.equal(dropSessions({ purpose: AI.PURPOSE_CHAT }), 1);
+  assert.deepEqual(destroyed, []);
+
+  const next = await leaseSession('p', AI.PURPOSE_CHAT, factory);
+  assert.equal(next.session.id, 2);
+  lease.release();
+  assert.deepEqual(destroyed, [1]);
+  next.release();
+});
+
+test('idle sessions are swept after their purpose TTL, leased ones are kept', async () => {
+  const { factory, destroyed } = makeFactory();
+  const lease = await leaseSession('p', AI.PURPOSE_CHAT, factory);
+  await getBaseSession('p', AI.PURPOSE_EDITOR, factory);
+  const later = Date.now() + getPurposeConfig(AI.PURPOSE_CHAT).idleTtlMs + 1;
+
+  assert.equal(sweepIdleSessions(later), 1);
+  assert.deepEqual(destroyed, [2]);
+  lease.release();
+  assert.equal(sweepIdleSessions(later + getPurposeConfig(AI.PURPOSE_CHAT).idleTtlMs + 1), 1);
+  assert.equal(pooledSessionCount(), 0);
+});